@@ -0,0 +1,353 @@
+// acceptance.js
+// Acceptance verification — the one verifier behind every surface
+// (/v1/execute, /v1/authority/evaluate via authority-engine.js, verify-ledger.js)
+// DETERMINISTIC: the same acceptance, executeHash and key verify the same way
+// at execution time and at audit time.
+//
+// Acceptance shape:
+// {
+//   "alg": "RS256" | "ES256" | "EdDSA",   // required; bound into the signature
+//   "issuer": "human-board-1",
+//   "actorId": "...",
+//   "intent": "...",
+//   "issuedAt": "...", "expiresAt": "...",
+//   "jti": "<required; unique per issuer>",
+//   "max_uses": 1,                        // optional, 1..MAX_ACCEPTANCE_USES
+//   "authorityKeyId": "<optional registry key id; bound into the signature>",
+//   "decisionId": "<optional governing decision (dec_...); /v1/execute gates on its obligations>",
+//   "canon": "jcs-rfc8785@1",             // optional canonicalization (canonical.js)
+//   "signature": "<base64 or base64url signature over canonical material>"
+// }
+//
+// Material: canonical { alg, issuer, actorId, intent, executeHash, issuedAt,
+// expiresAt, jti[, max_uses][, authorityKeyId][, decisionId][, canon][, signers] }, where executeHash
+// is computed by the verifying surface from the payload it is about to
+// authorize — never read from the acceptance. ES256 signatures are IEEE
+// P1363 (r||s), as in JWS. An acceptance naming a canon other than
+// CANON_ID, or whose material is not canonicalizable (missing fields,
+// non-JSON values), does not verify.
+//
+// Closed: an acceptance carries only ACCEPTANCE_FIELDS, each bound into the
+// material (signature / signatures are the signatures themselves). Anything
+// else would travel unsigned beside signed fields → unsigned_acceptance_field.
+// The acceptance's own executeHash is only covered by the signature if it is
+// the hash the surface computed; a different one → execute_hash_mismatch.
+//
+// Quorum (M-of-N) acceptances replace alg / authorityKeyId / signature with
+//   "signatures": [{ "authorityKeyId": "...", "alg": "ES256", "signature": "..." }, ...]
+// Every signer is a distinct registry key and signs the material above with
+// its own alg and authorityKeyId plus `signers` (all signer key ids, in
+// order), so no signature can be lifted into a smaller acceptance. Whether
+// the signers form a quorum is policy (quorum.js); here each must verify.
+//
+// Delegated acceptances add "delegation": [certificate, ...] (delegation.js),
+// bound into the material as presented. The surface's resolveKey follows
+// the chain and returns the leaf delegate's key; the acceptance verifies
+// against that key like any other.
+//
+// Single use: an acceptance is identified by (issuer, jti), not by its bytes,
+// and may be used max_uses times across all surfaces. Each use n claims the
+// slot acceptanceUseHash(acceptance, n); the ledger's acceptance_hash unique
+// index holds the slot durably.
+//
+// The key decides the algorithm: RS256 needs an RSA key, ES256 a P-256 key,
+// EdDSA an Ed25519 key. Which keys a surface trusts is its own policy (the
+// `resolveKey` callback); how a signature verifies is not.
+
+import crypto from "crypto";
+import { CanonicalizationError, canonical, isSupportedCanon, sha256Hex } from "./canonical.js";
+
+export const ACCEPTANCE_ALGS = ["RS256", "ES256", "EdDSA"];
+export const MAX_ACCEPTANCE_USES = 100;
+export const MAX_QUORUM_SIGNERS = 10;
+
+export const ACCEPTANCE_FIELDS = [
+  "alg",
+  "issuer",
+  "actorId",
+  "intent",
+  "executeHash",
+  "issuedAt",
+  "expiresAt",
+  "jti",
+  "max_uses",
+  "authorityKeyId",
+  "authority_key_id",
+  "decisionId",
+  "canon",
+  "delegation",
+  "signature",
+  "signatures",
+];
+const QUORUM_SIGNER_FIELDS = ["authorityKeyId", "alg", "signature"];
+
+function asKeyIdString(v) {
+  if (!v) return null;
+  const s = String(v).trim();
+  return s.length ? s : null;
+}
+
+// Registry key id named by the acceptance (camel preferred, snake legacy), or null.
+export function acceptanceAuthorityKeyId(acceptance) {
+  return (
+    asKeyIdString(acceptance?.authorityKeyId) ||
+    asKeyIdString(acceptance?.authority_key_id)
+  );
+}
+
+// Acceptance signs canonical material including alg and executeHash.
+export function acceptanceMaterial(acceptance, executeHash) {
+  const { alg, issuer, actorId, intent, issuedAt, expiresAt, jti } = acceptance;
+
+  const materialObj = {
+    alg,
+    issuer,
+    actorId,
+    intent,
+    executeHash,
+    issuedAt,
+    expiresAt,
+    jti,
+  };
+
+  if (acceptance.max_uses !== undefined) {
+    materialObj.max_uses = acceptance.max_uses;
+  }
+
+  // If authority key id is provided, it must be bound into the signature
+  const keyId = acceptanceAuthorityKeyId(acceptance);
+  if (keyId) {
+    materialObj.authorityKeyId = keyId;
+  }
+
+  if (acceptance.decisionId !== undefined) {
+    materialObj.decisionId = acceptance.decisionId;
+  }
+
+  if (acceptance.canon !== undefined) {
+    materialObj.canon = acceptance.canon;
+  }
+
+  if (Array.isArray(acceptance.signatures)) {
+    materialObj.signers = acceptance.signatures.map((s) => asKeyIdString(s?.authorityKeyId));
+  }
+
+  if (acceptance.delegation !== undefined) {
+    materialObj.delegation = acceptance.delegation;
+  }
+
+  return canonical(materialObj);
+}
+
+// First field not covered by the signature ("note", "signatures[1].note"), or null.
+export function unsignedAcceptanceField(acceptance) {
+  const extra = Object.keys(acceptance).find((k) => !ACCEPTANCE_FIELDS.includes(k));
+  if (extra !== undefined) return extra;
+
+  // Only one registry key id is bound: the legacy spelling must name the same key.
+  if (
+    acceptance.authorityKeyId !== undefined &&
+    acceptance.authority_key_id !== undefined &&
+    asKeyIdString(acceptance.authorityKeyId) !== asKeyIdString(acceptance.authority_key_id)
+  ) {
+    return "authority_key_id";
+  }
+
+  if (Array.isArray(acceptance.signatures)) {
+    for (const [i, signer] of acceptance.signatures.entries()) {
+      // A non-object signer is malformed, not unsigned (acceptanceSigners).
+      if (signer === null || typeof signer !== "object") continue;
+      const field = Object.keys(signer).find((k) => !QUORUM_SIGNER_FIELDS.includes(k));
+      if (field !== undefined) return `signatures[${i}].${field}`;
+    }
+  }
+  return null;
+}
+
+export function isQuorumAcceptance(acceptance) {
+  return acceptance?.signatures !== undefined;
+}
+
+// Signers of a quorum acceptance ({ alg, authorityKeyId, signature }), or
+// null if the list is malformed: empty, too long, a signer without a
+// registry key, a key listed twice, or mixed with a top-level signature
+// or a delegation chain.
+export function acceptanceSigners(acceptance) {
+  const list = acceptance?.signatures;
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_QUORUM_SIGNERS) return null;
+  if (acceptance.signature !== undefined || acceptance.alg !== undefined || acceptanceAuthorityKeyId(acceptance)) {
+    return null;
+  }
+  if (acceptance.delegation !== undefined) return null;
+
+  const seen = new Set();
+  const signers = [];
+  for (const s of list) {
+    const authorityKeyId = asKeyIdString(s?.authorityKeyId);
+    if (!authorityKeyId || seen.has(authorityKeyId)) return null;
+    seen.add(authorityKeyId);
+    signers.push({ alg: s.alg, authorityKeyId, signature: s.signature });
+  }
+  return signers;
+}
+
+// The single-signer view a quorum signer signs and is verified as.
+function signerView(acceptance, signer) {
+  return { ...acceptance, alg: signer.alg, authorityKeyId: signer.authorityKeyId, signature: signer.signature };
+}
+
+// Material one quorum signer signs (issuers and tests).
+export function signerMaterial(acceptance, { alg, authorityKeyId }, executeHash) {
+  return acceptanceMaterial(signerView(acceptance, { alg, authorityKeyId }), executeHash);
+}
+
+// Signed use limit (default 1), or null if malformed.
+export function acceptanceMaxUses(acceptance) {
+  const n = acceptance?.max_uses === undefined ? 1 : acceptance.max_uses;
+  return Number.isInteger(n) && n >= 1 && n <= MAX_ACCEPTANCE_USES ? n : null;
+}
+
+// Replay identity: (issuer, jti). Extra or reordered fields do not change it.
+export function acceptanceUseKey(acceptance) {
+  return sha256Hex(canonical({ issuer: String(acceptance.issuer), jti: String(acceptance.jti) }));
+}
+
+// Ledger acceptance_hash for use `use` (1-based) of an acceptance.
+export function acceptanceUseHash(acceptance, use) {
+  return sha256Hex(canonical({ issuer: String(acceptance.issuer), jti: String(acceptance.jti), use }));
+}
+
+// Algorithm a public key can verify, or null if it is not an acceptance key.
+export function acceptanceKeyAlg(publicKey) {
+  const type = publicKey.asymmetricKeyType;
+  if (type === "rsa") return "RS256";
+  if (type === "ed25519") return "EdDSA";
+  if (type === "ec" && publicKey.asymmetricKeyDetails?.namedCurve === "prime256v1") return "ES256";
+  return null;
+}
+
+// Signs acceptance material (issuers and tests); the counterpart of the check below.
+export function signAcceptanceMaterial(material, privateKeyPem, alg) {
+  const data = Buffer.from(material, "utf8");
+  if (alg === "EdDSA") return crypto.sign(null, data, privateKeyPem).toString("base64url");
+  if (alg === "ES256") {
+    return crypto.sign("sha256", data, { key: privateKeyPem, dsaEncoding: "ieee-p1363" }).toString("base64url");
+  }
+  return crypto.sign("sha256", data, privateKeyPem).toString("base64url");
+}
+
+function verifyWithKey(data, publicKey, alg, sig) {
+  try {
+    if (alg === "EdDSA") return crypto.verify(null, data, publicKey, sig);
+    if (alg === "ES256") return crypto.verify("sha256", data, { key: publicKey, dsaEncoding: "ieee-p1363" }, sig);
+    return crypto.verify("sha256", data, publicKey, sig);
+  } catch {
+    return false;
+  }
+}
+
+// true if `signature` over `material` verifies with a key of type `alg`
+// (other signed artifacts, e.g. delegation certificates).
+export function verifySignedMaterial(material, signature, publicKeyPem, alg) {
+  if (!ACCEPTANCE_ALGS.includes(alg) || typeof signature !== "string") return false;
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey(publicKeyPem);
+  } catch {
+    return false;
+  }
+  if (acceptanceKeyAlg(publicKey) !== alg) return false;
+  return verifyWithKey(Buffer.from(material, "utf8"), publicKey, alg, Buffer.from(signature, "base64"));
+}
+
+// { ok: true } or { ok: false, reason } for an acceptance against one public key.
+export function verifyAcceptanceSignatureWithKey(acceptance, executeHash, publicKeyPem) {
+  const alg = acceptance?.alg;
+  if (!alg) return { ok: false, reason: "missing_acceptance_alg" };
+  if (!ACCEPTANCE_ALGS.includes(alg)) return { ok: false, reason: "unsupported_acceptance_algorithm" };
+  if (typeof acceptance.jti !== "string" || !acceptance.jti.trim()) {
+    return { ok: false, reason: "missing_acceptance_jti" };
+  }
+  if (acceptanceMaxUses(acceptance) === null) return { ok: false, reason: "invalid_acceptance_max_uses" };
+  if (!isSupportedCanon(acceptance.canon)) return { ok: false, reason: "unsupported_canonicalization" };
+  if (!acceptance.signature) return { ok: false, reason: "missing_signature" };
+
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey(publicKeyPem);
+  } catch {
+    return { ok: false, reason: "authority_key_invalid" };
+  }
+  if (acceptanceKeyAlg(publicKey) !== alg) return { ok: false, reason: "acceptance_alg_key_mismatch" };
+
+  let data;
+  try {
+    data = Buffer.from(acceptanceMaterial(acceptance, executeHash), "utf8");
+  } catch (e) {
+    if (e instanceof CanonicalizationError) return { ok: false, reason: "acceptance_not_canonical" };
+    throw e;
+  }
+  // Node's base64 decoder accepts both alphabets.
+  const sig = Buffer.from(String(acceptance.signature), "base64");
+
+  return verifyWithKey(data, publicKey, alg, sig) ? { ok: true } : { ok: false, reason: "invalid_acceptance_signature" };
+}
+
+// verifyAcceptance(acceptance, { executeHash, resolveKey })
+//
+// resolveKey(authorityKeyId | null, acceptance) → the surface's key policy:
+//   { ok: true, publicKeyPem, row?, delegation? }  row: the registry row, if any;
+//                                                  delegation: the chain followed
+//   { ok: false, reason, row? }
+// Quorum acceptances resolve every signer (with that signer's view).
+//
+// Returns { ok: true, row, signers, delegation } or { ok: false, reason, row[, field] },
+// where signers is [{ authorityKeyId, row, delegation }] for every verified
+// signature (delegation: the chain that signer's key was reached through, or
+// null), row is the first signer's registry row, delegation is what resolveKey
+// reported for a delegated acceptance (null otherwise) and field names the
+// unsigned field of an unsigned_acceptance_field refusal.
+export async function verifyAcceptance(acceptance, { executeHash, resolveKey }) {
+  if (!executeHash) return { ok: false, reason: "missing_execute_hash", row: null };
+  if (acceptance === null || typeof acceptance !== "object" || Array.isArray(acceptance)) {
+    return { ok: false, reason: "invalid_or_missing_acceptance", row: null };
+  }
+
+  const unsigned = unsignedAcceptanceField(acceptance);
+  if (unsigned) return { ok: false, reason: "unsigned_acceptance_field", field: unsigned, row: null };
+  if (acceptance.executeHash !== undefined && acceptance.executeHash !== executeHash) {
+    return { ok: false, reason: "execute_hash_mismatch", row: null };
+  }
+
+  const views = [];
+  if (isQuorumAcceptance(acceptance)) {
+    const signers = acceptanceSigners(acceptance);
+    if (!signers) return { ok: false, reason: "invalid_quorum_signatures", row: null };
+    for (const signer of signers) views.push(signerView(acceptance, signer));
+  } else {
+    views.push(acceptance);
+  }
+
+  const signers = [];
+  let delegation = null;
+  for (const view of views) {
+    const authorityKeyId = acceptanceAuthorityKeyId(view);
+    const resolved = await resolveKey(authorityKeyId, view);
+    const row = resolved?.row || null;
+    if (!resolved?.ok) return { ok: false, reason: resolved?.reason || "authority_key_not_found", row };
+
+    const check = verifyAcceptanceSignatureWithKey(view, executeHash, resolved.publicKeyPem);
+    if (!check.ok) return { ok: false, reason: check.reason, row };
+    signers.push({ authorityKeyId, row, delegation: resolved.delegation ?? null });
+    // Quorum acceptances never carry a chain, so at most one view has one.
+    delegation = resolved.delegation ?? delegation;
+  }
+
+  return { ok: true, row: signers[0].row, signers, delegation };
+}
+
+// sha256 over the canonical acceptance object (request fingerprints, and the
+// acceptance_hash of ledger rows written before single-use slots).
+export function computeAcceptanceHash(acceptance) {
+  return sha256Hex(canonical(acceptance));
+}
@@ -0,0 +1,179 @@
+// acceptance.test.js
+// The acceptance verifier: each algorithm, alg/key binding, the ES256 P1363
+// encoding, what a signature covers and the refusal of unsigned fields.
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { acceptanceMaterial, signAcceptanceMaterial, verifyAcceptance } from "./acceptance.js";
+import { CANON_ID } from "./canonical.js";
+
+function keyPair(type, options) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  return {
+    privatePem: privateKey.export({ type: "pkcs8", format: "pem" }),
+    publicPem: publicKey.export({ type: "spki", format: "pem" }),
+  };
+}
+
+const KEYS = {
+  RS256: keyPair("rsa", { modulusLength: 2048 }),
+  ES256: keyPair("ec", { namedCurve: "P-256" }),
+  EdDSA: keyPair("ed25519"),
+};
+
+const EXECUTE_HASH = crypto.createHash("sha256").update("payload").digest("hex");
+
+function signed(alg, fields = {}) {
+  const acceptance = {
+    alg,
+    issuer: "board",
+    actorId: "svc-1",
+    intent: "pay",
+    issuedAt: "2026-01-01T00:00:00Z",
+    expiresAt: "2026-01-01T00:10:00Z",
+    jti: "j-1",
+    ...fields,
+  };
+  const material = acceptanceMaterial(acceptance, EXECUTE_HASH);
+  return { ...acceptance, signature: signAcceptanceMaterial(material, KEYS[alg].privatePem, alg) };
+}
+
+// A surface trusting one public key, whatever key id the acceptance names.
+const trusting = (publicPem) => async () => ({ ok: true, publicKeyPem: publicPem });
+
+function verify(acceptance, { publicPem = KEYS[acceptance.alg]?.publicPem, executeHash = EXECUTE_HASH } = {}) {
+  return verifyAcceptance(acceptance, { executeHash, resolveKey: trusting(publicPem) });
+}
+
+describe("algorithms", () => {
+  for (const alg of Object.keys(KEYS)) {
+    test(`${alg} verifies with its own key`, async () => {
+      assert.equal((await verify(signed(alg))).ok, true);
+    });
+  }
+
+  test("a standard base64 signature verifies like base64url", async () => {
+    const acceptance = signed("ES256");
+    const base64 = Buffer.from(acceptance.signature, "base64url").toString("base64");
+    assert.equal((await verify({ ...acceptance, signature: base64 })).ok, true);
+  });
+
+  test("ES256 signatures are IEEE P1363 (r||s), not DER", async () => {
+    const acceptance = signed("ES256");
+    const der = crypto
+      .sign("sha256", Buffer.from(acceptanceMaterial(acceptance, EXECUTE_HASH)), KEYS.ES256.privatePem)
+      .toString("base64url");
+    assert.equal((await verify({ ...acceptance, signature: der })).reason, "invalid_acceptance_signature");
+  });
+});
+
+describe("alg/key binding", () => {
+  test("the key decides the algorithm", async () => {
+    assert.equal((await verify(signed("RS256"), { publicPem: KEYS.ES256.publicPem })).reason, "acceptance_alg_key_mismatch");
+    assert.equal((await verify(signed("EdDSA"), { publicPem: KEYS.RS256.publicPem })).reason, "acceptance_alg_key_mismatch");
+  });
+
+  test("ES256 needs a P-256 key", async () => {
+    const p384 = keyPair("ec", { namedCurve: "P-384" });
+    assert.equal((await verify(signed("ES256"), { publicPem: p384.publicPem })).reason, "acceptance_alg_key_mismatch");
+  });
+
+  test("relabelling the alg does not carry a signature to another key", async () => {
+    const acceptance = signed("ES256");
+    assert.equal((await verify({ ...acceptance, alg: "EdDSA" }, { publicPem: KEYS.ES256.publicPem })).reason, "acceptance_alg_key_mismatch");
+    assert.equal((await verify({ ...acceptance, alg: "EdDSA" })).reason, "invalid_acceptance_signature");
+  });
+
+  test("alg is required and must be a supported algorithm", async () => {
+    const { alg: _alg, ...noAlg } = signed("RS256");
+    assert.equal((await verify(noAlg)).reason, "missing_acceptance_alg");
+    assert.equal((await verify({ ...signed("RS256"), alg: "HS256" })).reason, "unsupported_acceptance_algorithm");
+    assert.equal((await verify({ ...signed("RS256"), alg: "none" })).reason, "unsupported_acceptance_algorithm");
+  });
+});
+
+describe("what the signature covers", () => {
+  test("a tampered signature or field fails", async () => {
+    const acceptance = signed("EdDSA");
+    const sig = Buffer.from(acceptance.signature, "base64url");
+    sig[0] ^= 1;
+    assert.equal((await verify({ ...acceptance, signature: sig.toString("base64url") })).reason, "invalid_acceptance_signature");
+    assert.equal((await verify({ ...acceptance, intent: "refund" })).reason, "invalid_acceptance_signature");
+    assert.equal((await verify({ ...acceptance, signature: "" })).reason, "missing_signature");
+  });
+
+  test("a different executeHash fails", async () => {
+    const other = crypto.createHash("sha256").update("other payload").digest("hex");
+    assert.equal((await verify(signed("ES256"), { executeHash: other })).reason, "invalid_acceptance_signature");
+    assert.equal((await verify(signed("ES256"), { executeHash: null })).reason, "missing_execute_hash");
+  });
+
+  test("jti is required and signed", async () => {
+    const { jti: _jti, ...noJti } = signed("EdDSA");
+    assert.equal((await verify(noJti)).reason, "missing_acceptance_jti");
+    assert.equal((await verify(signed("EdDSA", { jti: " " }))).reason, "missing_acceptance_jti");
+    assert.equal((await verify({ ...signed("EdDSA"), jti: "j-2" })).reason, "invalid_acceptance_signature");
+  });
+
+  test("max_uses is signed and bounded", async () => {
+    assert.equal((await verify(signed("RS256", { max_uses: 3 }))).ok, true);
+    assert.equal((await verify({ ...signed("RS256", { max_uses: 3 }), max_uses: 4 })).reason, "invalid_acceptance_signature");
+    assert.equal((await verify(signed("RS256", { max_uses: 0 }))).reason, "invalid_acceptance_max_uses");
+    assert.equal((await verify(signed("RS256", { max_uses: 1.5 }))).reason, "invalid_acceptance_max_uses");
+  });
+
+  test("the canon id is signed; no other canonicalization is accepted", async () => {
+    const { canon: _canon, ...stripped } = signed("ES256", { canon: CANON_ID });
+    assert.equal((await verify(signed("ES256", { canon: CANON_ID }))).ok, true);
+    assert.equal((await verify(stripped)).reason, "invalid_acceptance_signature");
+    assert.equal((await verify(signed("ES256", { canon: "stable-json@0" }))).reason, "unsupported_canonicalization");
+  });
+
+  test("material with a missing field does not verify", async () => {
+    const { issuedAt: _issuedAt, ...partial } = signed("ES256");
+    assert.equal((await verify(partial)).reason, "acceptance_not_canonical");
+  });
+
+  test("a named registry key is bound into the signature", async () => {
+    const acceptance = signed("RS256", { authorityKeyId: "k1" });
+    assert.equal((await verify(acceptance)).ok, true);
+    assert.equal((await verify({ ...acceptance, authorityKeyId: "k2" })).reason, "invalid_acceptance_signature");
+  });
+});
+
+describe("key resolution", () => {
+  test("the surface's refusal and registry row are passed through", async () => {
+    const row = { id: "k1", status: "revoked" };
+    const refused = await verifyAcceptance(signed("RS256", { authorityKeyId: "k1" }), {
+      executeHash: EXECUTE_HASH,
+      resolveKey: async (keyId) => ({ ok: false, reason: `authority_key_inactive:${keyId}`, row }),
+    });
+    assert.deepEqual(refused, { ok: false, reason: "authority_key_inactive:k1", row });
+  });
+
+  test("an unreadable public key is authority_key_invalid", async () => {
+    assert.equal((await verify(signed("RS256"), { publicPem: "not a key" })).reason, "authority_key_invalid");
+  });
+});
+
+describe("unsigned fields", () => {
+  test("a field outside the signed material is unsigned_acceptance_field", async () => {
+    const result = await verify({ ...signed("RS256"), note: "approved by phone" });
+    assert.deepEqual([result.ok, result.reason, result.field], [false, "unsigned_acceptance_field", "note"]);
+  });
+
+  test("the legacy key id spelling must name the signed key", async () => {
+    const acceptance = signed("RS256", { authorityKeyId: "k1" });
+    assert.equal((await verify({ ...acceptance, authority_key_id: "k1" })).ok, true);
+    const other = await verify({ ...acceptance, authority_key_id: "k2" });
+    assert.deepEqual([other.reason, other.field], ["unsigned_acceptance_field", "authority_key_id"]);
+  });
+
+  test("an executeHash other than the surface's is execute_hash_mismatch", async () => {
+    const other = crypto.createHash("sha256").update("other payload").digest("hex");
+    assert.equal((await verify({ ...signed("EdDSA"), executeHash: other })).reason, "execute_hash_mismatch");
+    // The surface's own hash may be carried; it is the one signed.
+    assert.equal((await verify({ ...signed("EdDSA"), executeHash: EXECUTE_HASH })).ok, true);
+  });
+});
@@ -7,6 +7,9 @@
 import type { Metadata } from "next";
 import Link from "next/link";
 
+import pack from "../../../policy-packs/financial-controls.json";
+import { PackRuleTable, PackVersion } from "../pack-rules";
+
 export const metadata: Metadata = {
   title: "Financial Controls Pack | Solace Core Policy Packs",
   description:
@@ -59,6 +62,7 @@ export default function FinancialControlsPackPage(): React.ReactElement {
             <Pill>Replay resistance</Pill>
             <Pill>Auditability</Pill>
           </div>
+          <PackVersion pack={pack} />
         </div>
 
         <Link
@@ -97,28 +101,13 @@ export default function FinancialControlsPackPage(): React.ReactElement {
         </ul>
       </Section>
 
-      <Section title="Typical obligations (examples)">
+      <Section title="Rules (enforced)">
         <p className="mb-3">
-          This pack commonly drives obligations such as:
+          This table is rendered from{" "}
+          <code className="text-sm">policy-packs/financial-controls.json</code>, the same
+          file the authority engine loads and evaluates.
         </p>
-        <ul className="list-disc space-y-2 pl-5">
-          <li>
-            <span className="font-medium">DUAL_CONTROL</span> for transfers,
-            writes, or irreversible commits
-          </li>
-          <li>
-            <span className="font-medium">SECONDARY_APPROVAL</span> for threshold
-            amounts or abnormal patterns
-          </li>
-          <li>
-            <span className="font-medium">RATE_LIMIT_BACKOFF</span> on risk quota
-            exceedance or anomaly conditions
-          </li>
-          <li>
-            <span className="font-medium">LOG_PERSISTENCE</span> for audit-grade
-            reconstruction
-          </li>
-        </ul>
+        <PackRuleTable pack={pack} />
       </Section>
 
       <Section title="What this pack is not">
@@ -7,6 +7,9 @@
 import type { Metadata } from "next";
 import Link from "next/link";
 
+import pack from "../../../policy-packs/hipaa.json";
+import { PackRuleTable, PackVersion } from "../pack-rules";
+
 export const metadata: Metadata = {
   title: "HIPAA Pack | Solace Core Policy Packs",
   description:
@@ -58,6 +61,7 @@ export default function HipaaPackPage(): React.ReactElement {
             <Pill>Human oversight</Pill>
             <Pill>Fail-closed</Pill>
           </div>
+          <PackVersion pack={pack} />
         </div>
 
         <Link
@@ -98,29 +102,13 @@ export default function HipaaPackPage(): React.ReactElement {
         </ul>
       </Section>
 
-      <Section title="Typical obligations (examples)">
+      <Section title="Rules (enforced)">
         <p className="mb-3">
-          Exact obligation names depend on your governance API, but the HIPAA
-          pack typically drives:
+          This table is rendered from{" "}
+          <code className="text-sm">policy-packs/hipaa.json</code>, the same
+          file the authority engine loads and evaluates.
         </p>
-        <ul className="list-disc space-y-2 pl-5">
-          <li>
-            <span className="font-medium">HUMAN_APPROVAL</span> for EHR writes or
-            clinically consequential actions
-          </li>
-          <li>
-            <span className="font-medium">LOG_PERSISTENCE</span> with longer
-            retention horizons
-          </li>
-          <li>
-            <span className="font-medium">USER_CONSENT</span> where patient
-            consent is required for specific disclosures
-          </li>
-          <li>
-            <span className="font-medium">DATA_MINIMIZATION</span> to force
-            redaction/parameter minimization in intents
-          </li>
-        </ul>
+        <PackRuleTable pack={pack} />
       </Section>
 
       <Section title="What this pack is not">
@@ -7,6 +7,9 @@
 import type { Metadata } from "next";
 import Link from "next/link";
 
+import pack from "../../../policy-packs/internal-enterprise.json";
+import { PackRuleTable, PackVersion } from "../pack-rules";
+
 export const metadata: Metadata = {
   title: "Internal Enterprise Pack | Solace Core Policy Packs",
   description:
@@ -59,6 +62,7 @@ export default function InternalEnterprisePackPage(): React.ReactElement {
             <Pill>Admin gating</Pill>
             <Pill>Auditability</Pill>
           </div>
+          <PackVersion pack={pack} />
         </div>
 
         <Link
@@ -98,28 +102,13 @@ export default function InternalEnterprisePackPage(): React.ReactElement {
         </ul>
       </Section>
 
-      <Section title="Typical obligations (examples)">
+      <Section title="Rules (enforced)">
         <p className="mb-3">
-          This pack commonly drives obligations such as:
+          This table is rendered from{" "}
+          <code className="text-sm">policy-packs/internal-enterprise.json</code>, the same
+          file the authority engine loads and evaluates.
         </p>
-        <ul className="list-disc space-y-2 pl-5">
-          <li>
-            <span className="font-medium">HUMAN_APPROVAL</span> for admin actions
-            and policy-controlled side effects
-          </li>
-          <li>
-            <span className="font-medium">DUAL_CONTROL</span> for permission or
-            entitlement changes
-          </li>
-          <li>
-            <span className="font-medium">USER_NOTIFICATION</span> for actions
-            affecting users/employees where appropriate
-          </li>
-          <li>
-            <span className="font-medium">LOG_PERSISTENCE</span> for internal
-            audit and incident response
-          </li>
-        </ul>
+        <PackRuleTable pack={pack} />
       </Section>
 
       <Section title="What this pack is not">
@@ -0,0 +1,204 @@
+// app/policy-packs/pack-rules.tsx
+// ============================================================
+// POLICY PACK — RULE TABLE
+// Renders pack rules straight from policy-packs/*.json so the
+// published docs and the enforced pack cannot drift.
+// ============================================================
+
+type Predicate = {
+  all?: Predicate[];
+  any?: Predicate[];
+  not?: Predicate;
+  field?: string;
+  equals?: unknown;
+  in?: unknown[];
+  includes?: unknown;
+  includes_any?: unknown[];
+  gt?: number;
+  gte?: number;
+  lt?: number;
+  lte?: number;
+  exists?: boolean;
+};
+
+type PackObligation = {
+  type: string;
+  details?: Record<string, unknown>;
+};
+
+type PackRule = {
+  id: string;
+  description?: string;
+  when: Predicate;
+  then: {
+    decision: string;
+    reason_code: string;
+    obligations?: PackObligation[];
+  };
+};
+
+type QuorumRule = {
+  id: string;
+  description?: string;
+  when: Predicate;
+  satisfies: string;
+  min_signers: number;
+  roles?: string[];
+  distinct_principals?: boolean;
+};
+
+export type PolicyPackDocument = {
+  policy_id: string;
+  version: string;
+  sha256?: string;
+  scope?: { regions?: string[]; intent_types?: string[] };
+  combine?: string;
+  rules: PackRule[];
+  quorum_rules?: QuorumRule[];
+};
+
+function show(value: unknown): string {
+  return Array.isArray(value) ? value.map(show).join(", ") : JSON.stringify(value);
+}
+
+export function describePredicate(p: Predicate): string {
+  if (p.all) return p.all.map(describePredicate).join(" AND ");
+  if (p.any) return `(${p.any.map(describePredicate).join(" OR ")})`;
+  if (p.not) return `NOT (${describePredicate(p.not)})`;
+
+  const f = p.field ?? "?";
+  if ("equals" in p) return `${f} = ${show(p.equals)}`;
+  if (p.in) return `${f} in [${show(p.in)}]`;
+  if ("includes" in p) return `${f} includes ${show(p.includes)}`;
+  if (p.includes_any) return `${f} includes any of [${show(p.includes_any)}]`;
+  if (p.gt !== undefined) return `${f} > ${p.gt}`;
+  if (p.gte !== undefined) return `${f} ≥ ${p.gte}`;
+  if (p.lt !== undefined) return `${f} < ${p.lt}`;
+  if (p.lte !== undefined) return `${f} ≤ ${p.lte}`;
+  if (p.exists !== undefined) return p.exists ? `${f} is present` : `${f} is absent`;
+  return f;
+}
+
+function describeQuorum(q: QuorumRule): string {
+  const who = q.roles?.length ? ` of [${show(q.roles)}]` : "";
+  const distinct = q.distinct_principals === false ? "" : ", distinct principals";
+  return `${q.min_signers} signer${q.min_signers === 1 ? "" : "s"}${who}${distinct}`;
+}
+
+function describeObligation(o: PackObligation): string {
+  const details = Object.entries(o.details ?? {})
+    .filter(([k]) => k !== "evidence_required")
+    .map(([k, v]) => `${k}: ${show(v)}`);
+  return details.length ? `${o.type} (${details.join("; ")})` : o.type;
+}
+
+export function PackVersion({ pack }: { pack: PolicyPackDocument }) {
+  return (
+    <p className="mt-3 text-sm text-neutral-600">
+      <span className="font-medium">{pack.policy_id}</span> · version{" "}
+      {pack.version}
+      {pack.sha256 ? (
+        <>
+          {" "}
+          · sha256{" "}
+          <code className="break-all text-xs">{pack.sha256}</code>
+        </>
+      ) : null}
+    </p>
+  );
+}
+
+export function PackRuleTable({ pack }: { pack: PolicyPackDocument }) {
+  const regions = pack.scope?.regions?.join(", ") ?? "all";
+  const intents = pack.scope?.intent_types?.join(", ") ?? "all";
+
+  return (
+    <div>
+      <p className="mb-3 text-sm">
+        Rules are evaluated in order ({pack.combine ?? "first_match"}). Scope —
+        regions: {regions}; intent types: {intents}. Intents no rule matches
+        are not decided by this pack.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse text-left text-sm">
+          <thead>
+            <tr className="border-b border-neutral-200 text-neutral-900">
+              <th className="py-2 pr-4 font-semibold">Rule</th>
+              <th className="py-2 pr-4 font-semibold">When</th>
+              <th className="py-2 pr-4 font-semibold">Decision</th>
+              <th className="py-2 font-semibold">Obligations</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pack.rules.map((rule) => (
+              <tr key={rule.id} className="border-b border-neutral-100 align-top">
+                <td className="py-2 pr-4">
+                  <div className="font-medium text-neutral-900">{rule.id}</div>
+                  {rule.description ? (
+                    <div className="mt-1 text-neutral-600">{rule.description}</div>
+                  ) : null}
+                </td>
+                <td className="py-2 pr-4 font-mono text-xs">
+                  {describePredicate(rule.when)}
+                </td>
+                <td className="py-2 pr-4">
+                  <div className="font-medium">{rule.then.decision}</div>
+                  <div className="font-mono text-xs">{rule.then.reason_code}</div>
+                </td>
+                <td className="py-2">
+                  {(rule.then.obligations ?? []).length ? (
+                    <ul className="space-y-1">
+                      {(rule.then.obligations ?? []).map((o) => (
+                        <li key={o.type}>{describeObligation(o)}</li>
+                      ))}
+                    </ul>
+                  ) : (
+                    "—"
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {(pack.quorum_rules ?? []).length ? (
+        <>
+          <p className="mb-3 mt-6 text-sm">
+            Quorum rules: when an intent matches, co-signatures on its
+            acceptance from distinct registry keys satisfy the named
+            obligation. Signers may never include the acting principal.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse text-left text-sm">
+              <thead>
+                <tr className="border-b border-neutral-200 text-neutral-900">
+                  <th className="py-2 pr-4 font-semibold">Quorum rule</th>
+                  <th className="py-2 pr-4 font-semibold">When</th>
+                  <th className="py-2 pr-4 font-semibold">Signers</th>
+                  <th className="py-2 font-semibold">Satisfies</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(pack.quorum_rules ?? []).map((q) => (
+                  <tr key={q.id} className="border-b border-neutral-100 align-top">
+                    <td className="py-2 pr-4">
+                      <div className="font-medium text-neutral-900">{q.id}</div>
+                      {q.description ? (
+                        <div className="mt-1 text-neutral-600">{q.description}</div>
+                      ) : null}
+                    </td>
+                    <td className="py-2 pr-4 font-mono text-xs">
+                      {describePredicate(q.when)}
+                    </td>
+                    <td className="py-2 pr-4">{describeQuorum(q)}</td>
+                    <td className="py-2 font-mono text-xs">{q.satisfies}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
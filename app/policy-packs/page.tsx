@@ -7,6 +7,11 @@
 import type { Metadata } from "next";
 import Link from "next/link";
 
+import hipaaPack from "../../policy-packs/hipaa.json";
+import financialControlsPack from "../../policy-packs/financial-controls.json";
+import internalEnterprisePack from "../../policy-packs/internal-enterprise.json";
+import type { PolicyPackDocument } from "./pack-rules";
+
 export const metadata: Metadata = {
   title: "Policy Packs | Solace Core",
   description:
@@ -20,6 +25,7 @@ type PackCard = {
   summary: string;
   bullets: string[];
   tags: string[];
+  pack: PolicyPackDocument;
 };
 
 const PACKS: PackCard[] = [
@@ -35,6 +41,7 @@ const PACKS: PackCard[] = [
       "Audit posture: strict evidence + time-bounded permits",
     ],
     tags: ["healthcare", "PHI", "human oversight", "fail-closed"],
+    pack: hipaaPack,
   },
   {
     title: "Financial Controls Pack",
@@ -48,6 +55,7 @@ const PACKS: PackCard[] = [
       "Resilience: replay protection + downstream idempotency requirements",
     ],
     tags: ["finance", "dual-control", "audit", "replay protection"],
+    pack: financialControlsPack,
   },
   {
     title: "Internal Enterprise Pack",
@@ -61,6 +69,7 @@ const PACKS: PackCard[] = [
       "Controls: least privilege + separation of duties enforcement",
     ],
     tags: ["enterprise", "least privilege", "SoD", "admin controls"],
+    pack: internalEnterprisePack,
   },
 ];
 
@@ -78,6 +87,7 @@ function Card({
   summary,
   bullets,
   tags,
+  pack,
 }: PackCard): React.ReactElement {
   return (
     <div className="rounded-2xl border border-neutral-200 bg-white p-6 shadow-sm">
@@ -85,6 +95,9 @@ function Card({
         <div>
           <h2 className="text-xl font-semibold text-neutral-900">{title}</h2>
           <p className="mt-2 text-neutral-700">{summary}</p>
+          <p className="mt-2 text-xs text-neutral-500">
+            {pack.policy_id}@{pack.version} · {pack.rules.length} rules
+          </p>
         </div>
         <Link
           href={slug}
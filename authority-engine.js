@@ -14,22 +14,40 @@
 // - If no PERMIT is issued, execution must not proceed
 
 import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  loadPolicyPacksFromDir,
+  evaluatePolicyPacks,
+  evaluateQuorumRules,
+  describePolicyPacks
+} from "./policy-engine.js";
+import {
+  acceptanceMaxUses,
+  acceptanceUseKey,
+  isQuorumAcceptance,
+  verifyAcceptance
+} from "./acceptance.js";
+import { claimAcceptanceUse, createMemoryReplayStore } from "./replay-store.js";
+import { assessQuorum } from "./quorum.js";
+import { followDelegation, hasDelegation } from "./delegation.js";
 
 // ---------------------------------------------------------------------
 // Crypto configuration
 // ---------------------------------------------------------------------
 //
-// Preferred: ed25519 (public keys registered server-side; client signs payload)
-// Optional fallback: HMAC shared secret (for quick local demos / legacy clients)
+// Acceptances use the single format verified by acceptance.js (RS256, ES256
+// or EdDSA; alg and executeHash bound into the signature).
 //
-// Public key registry (JSON):
+// Keys:
+// - acceptance.authorityKeyId → authority key registry, via
+//   options.resolveRegistryKey (supplied by the server; fail closed without it)
+// - otherwise the acting actor's registered public key (RSA, P-256 or Ed25519):
 //   SOLACE_ACTOR_PUBKEYS_JSON='{"phala-runtime":"-----BEGIN PUBLIC KEY-----\n...\n-----END PUBLIC KEY-----\n"}'
+// - a delegated acceptance is signed by the leaf of its chain, rooted at the
+//   key above (delegation.js); fail closed unless the caller supplies
+//   options.delegation
 //
-// HMAC secret (legacy/demo):
-//   SOLACE_SHARED_SECRET="solace-demo-secret"
-//
-const SHARED_SECRET = process.env.SOLACE_SHARED_SECRET || "solace-demo-secret";
-
 let ACTOR_PUBKEYS = null;
 function getActorPubKeys() {
   if (ACTOR_PUBKEYS) return ACTOR_PUBKEYS;
@@ -56,141 +74,199 @@ function getActorPublicKeyPem(actorId) {
 // Max allowable acceptance window (defense-in-depth)
 const MAX_ACCEPTANCE_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
 
-// In-memory replay guard: prevents reusing the same acceptance to mint multiple permits.
-// (Server stores this module singleton in-process; for multi-instance, externalize.)
-const SEEN_ACCEPTANCE_IDS = new Map(); // acceptanceId -> expiresAtEpochMs
+// Replay guard: prevents reusing the same acceptance to mint multiple permits.
+// options.replayStore (replay-store.js) is shared across instances; without
+// one, this process-local store only protects a single instance.
+const DEFAULT_REPLAY_STORE = createMemoryReplayStore();
+
+// ---------------------------------------------------------------------
+// Acceptance verification (shared verifier, engine key policy)
+// ---------------------------------------------------------------------
 
-function nowIso() {
-  return new Date().toISOString();
+function engineRootKey(resolveRegistryKey, authorityKeyId, acceptance) {
+  if (authorityKeyId) {
+    if (typeof resolveRegistryKey !== "function") {
+      return { ok: false, reason: "authority_key_registry_unavailable" };
+    }
+    return resolveRegistryKey(authorityKeyId);
+  }
+
+  const publicKeyPem = getActorPublicKeyPem(acceptance.actorId);
+  // No registered public key for this actor → cannot verify → fail closed
+  return publicKeyPem ? { ok: true, publicKeyPem } : { ok: false, reason: "unknown_actor_public_key" };
 }
 
-function cleanupSeenAcceptance() {
-  const now = Date.now();
-  for (const [id, exp] of SEEN_ACCEPTANCE_IDS.entries()) {
-    if (typeof exp !== "number" || exp <= now) SEEN_ACCEPTANCE_IDS.delete(id);
+// delegation: { request, isRevoked, now } for followDelegation, or null.
+function engineKeyResolver(resolveRegistryKey, delegation) {
+  return async (authorityKeyId, acceptance) => {
+    const root = await engineRootKey(resolveRegistryKey, authorityKeyId, acceptance);
+    if (!root.ok || !hasDelegation(acceptance)) return root;
+    if (!delegation) return { ok: false, reason: "delegation_unsupported", row: root.row || null };
+    return followDelegation(root, acceptance, delegation);
+  };
+}
+
+// Bindings the signature covers must match the request being decided.
+function acceptanceBindingProblem(acceptance, actorId, action) {
+  const signed = acceptance.signature || isQuorumAcceptance(acceptance);
+  if (!acceptance.issuer || !acceptance.actorId || !acceptance.intent || !signed) {
+    return "invalid_or_missing_acceptance";
   }
+  if (String(acceptance.actorId) !== String(actorId)) return "actor_binding_mismatch";
+  if (String(acceptance.intent) !== String(action)) return "intent_binding_mismatch";
+  return null;
 }
 
-function makeAcceptanceId({ actorId, payload, signatureB64 }) {
-  // Replay key: deterministic, tied to signed content.
-  const material = `${actorId}|${payload}|${signatureB64}`;
-  return crypto.createHash("sha256").update(material).digest("hex");
+// Signature-only re-check of a stored acceptance (no clock, no replay guard).
+// Used by verify-ledger.js to re-verify PERMITs after the fact; the caller's
+// resolveRegistryKey decides registry key state, and delegation ({ request,
+// isRevoked, now }) the delegation chain, at the entry's time.
+export async function verifyAcceptanceSignature({
+  actorId,
+  action,
+  acceptance,
+  executeHash,
+  resolveRegistryKey,
+  delegation = null
+}) {
+  if (!acceptance || !acceptance.issuedAt || !acceptance.expiresAt) {
+    return { ok: false, reason: "malformed_acceptance_timestamps" };
+  }
+
+  const problem = acceptanceBindingProblem(acceptance, actorId, action);
+  if (problem) return { ok: false, reason: problem };
+
+  return verifyAcceptance(acceptance, {
+    executeHash,
+    resolveKey: engineKeyResolver(resolveRegistryKey, delegation)
+  });
 }
 
 // ---------------------------------------------------------------------
-// Canonical signing payload
+// Deterministic policy surface (declarative policy packs)
 // ---------------------------------------------------------------------
 //
-// IMPORTANT: canonical payload order must match what the client signs.
-// Payload MUST be exactly:
-// {"actor":"...","action":"...","issuedAt":"...","expiresAt":"..."}
+// Decisions come from versioned, hashed policy packs (see policy-engine.js
+// and POLICY_PACK_AUTHORING_GUIDE.md), loaded once from:
+//   SOLACE_POLICY_PACKS_DIR (default: ./policy-packs next to this file)
 //
-// Notes:
-// - We sign "action" (not full context) to keep it narrow and unambiguous.
-// - Context still influences decisions, but it is not part of the acceptance signature
-//   unless you explicitly choose to include it (future hardening).
+// Actions are the unit of scope. Roles are inputs, not authority.
 //
-function makeCanonicalAcceptancePayload({ actorId, action, issuedAt, expiresAt }) {
-  return JSON.stringify({
-    actor: String(actorId),
-    action: String(action),
-    issuedAt: String(issuedAt),
-    expiresAt: String(expiresAt)
-  });
-}
+// decision defaults:
+// - If required inputs missing → DENY
+// - If no pack covers the action → DENY
+// - If any pack fails to load or verify → DENY everything (no partial rule sets)
+//
+const POLICY_PACKS_DIR =
+  process.env.SOLACE_POLICY_PACKS_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "policy-packs");
 
-// ---------------------------------------------------------------------
-// Signature verification
-// ---------------------------------------------------------------------
+let POLICY_PACKS = null; // { ok: true, packs } | { ok: false, error }
 
-function safeEqualHex(aHex, bHex) {
+export function getPolicyPacks() {
+  if (POLICY_PACKS) return POLICY_PACKS;
   try {
-    const a = Buffer.from(String(aHex || ""), "hex");
-    const b = Buffer.from(String(bHex || ""), "hex");
-    if (a.length !== b.length) return false;
-    return crypto.timingSafeEqual(a, b);
-  } catch {
-    return false;
+    POLICY_PACKS = { ok: true, packs: loadPolicyPacksFromDir(POLICY_PACKS_DIR) };
+  } catch (e) {
+    POLICY_PACKS = { ok: false, error: String(e?.message || e) };
+    console.error("[POLICY] pack load failed:", POLICY_PACKS.error);
   }
+  return POLICY_PACKS;
 }
 
-function verifyHmacHexSignature({ payload, signatureHex }) {
-  const expected = crypto
-    .createHmac("sha256", SHARED_SECRET)
-    .update(payload)
-    .digest("hex");
-  return safeEqualHex(expected, signatureHex);
+// Pack quorum requirements for intent facts (surfaces that do not run the
+// full engine, i.e. /v1/execute). { ok, requirements } or { ok: false, reason }.
+export function quorumRequirementsFor(facts) {
+  const loaded = getPolicyPacks();
+  if (!loaded.ok) return { ok: false, reason: "policy_pack_load_failed" };
+  return { ok: true, requirements: evaluateQuorumRules(loaded.packs, facts) };
 }
 
-function base64urlToBuf(s) {
-  try {
-    const str = String(s || "");
-    const pad = str.length % 4 === 0 ? "" : "=".repeat(4 - (str.length % 4));
-    const b64 = (str + pad).replace(/-/g, "+").replace(/_/g, "/");
-    return Buffer.from(b64, "base64");
-  } catch {
-    return null;
-  }
-}
+// Pack outcome → engine result fields (reason stays the stable code).
+function rulingFromOutcome(outcome) {
+  const ruling = {
+    decision: outcome.decision,
+    reason: outcome.reason_code,
+    reasonText: outcome.reason,
+    obligations: outcome.obligations,
+    policy: outcome.policy,
+    ruleId: outcome.rule_id
+  };
 
-function verifyEd25519Signature({ payload, signatureB64Url, actorPublicKeyPem }) {
-  try {
-    const sig = base64urlToBuf(signatureB64Url);
-    if (!sig || sig.length === 0) return false;
-    const msg = Buffer.from(String(payload), "utf8");
-    // For Ed25519, algorithm is `null` in Node's crypto.verify
-    return crypto.verify(null, msg, actorPublicKeyPem, sig);
-  } catch {
-    return false;
+  // Legacy view: escalations list the engine requirements they need.
+  if (outcome.decision === "ESCALATE") {
+    ruling.required = outcome.obligations
+      .map((o) => o.details?.requirement)
+      .filter(Boolean);
   }
+
+  return ruling;
 }
 
 // ---------------------------------------------------------------------
-// Deterministic policy surface (minimal + explicit)
-// ---------------------------------------------------------------------
+// authorizeExecution(intent, options)
+// Returns:
+//  - DENY (with reason), or
+//  - ESCALATE (with reason + obligations + required fields), or
+//  - PERMIT (with permitId, jti, expiresAt)
 //
-// This is intentionally small for demo clarity.
-// Expand by adding actions and required constraints.
+// Every result carries `policies` ({ policy_id, version, sha256 } for each
+// loaded pack); pack-derived results also carry the deciding `policy` and
+// `ruleId`.
 //
-// Actions are the unit of scope. Roles are inputs, not authority.
+// options.executeHash: hash of the exact payload the decision authorizes;
+// every acceptance signature binds it.
 //
-// decision defaults:
-// - If required inputs missing → DENY
-// - If policy cannot resolve deterministically → ESCALATE
+// options.resolveRegistryKey(authorityKeyId): registry key policy for
+// acceptances naming an authorityKeyId ({ ok, publicKeyPem, row } or
+// { ok: false, reason }).
+//
+// options.delegation: { request, isRevoked } (delegation.js) for delegated
+// acceptances, checked at decision time; without it they are DENY
+// delegation_unsupported. Results decided after one carry `delegation`.
+//
+// options.replayStore: replay store (replay-store.js); an unreachable store
+// is DENY replay_store_unavailable. Results decided after a verified
+// acceptance carry `acceptanceUse` (which of its max_uses was spent).
+//
+// options.dryRun: evaluate without recording the acceptance in the replay
+// guard (the replay check itself still applies). Used by dry-run evaluation.
 //
-const POLICY = {
-  // Low-risk example action: safe drafting (still can require acceptance if you want)
-  draft_assist: {
-    risk: "low",
-    requireAcceptance: false,
-    onUnclear: "DENY"
-  },
-
-  // High-liability reliance action: MUST be gated
-  // This is the boundary you’re trying to demonstrate.
-  reliance_eligible_output: {
-    risk: "high",
-    requireAcceptance: true,
-    // Under deadline pressure, do NOT infer permission. Escalate by default.
-    // If your product stance is “deny under pressure unless pre-cleared,” set to DENY.
-    onDeadlinePressure: "ESCALATE",
-    onUnclear: "ESCALATE"
+// options.bindingId: decision the acceptance is consumed for. Re-evaluating
+// the same decision (obligation /ack) may present the acceptance again;
+// any other use is a replay.
+//
+// options.satisfied: obligation types proven by verified evidence
+// (e.g. ["HUMAN_APPROVAL"]). Packs see them as `obligations_satisfied`.
+// Evidence resolves escalations only; it never substitutes for the
+// cryptographic acceptance.
+//
+// Quorum: pack quorum rules matching the intent are met by the signers of
+// a verified acceptance (quorum.js); each met rule adds its `satisfies`
+// obligation before the packs rule, and the acceptance is then spent like
+// any required one. Results decided after a verified acceptance carry
+// `signerKeyIds` (registry keys that signed it).
+//
+// Pack-derived results carry `obligations` (pack obligations, obligations.js)
+// and `obligationsSatisfied` (evidence and quorum obligations counted as proven).
+// ---------------------------------------------------------------------
+export async function authorizeExecution(intent, options = {}) {
+  const loaded = getPolicyPacks();
+  if (!loaded.ok) {
+    return { decision: "DENY", reason: "policy_pack_load_failed", policies: [] };
   }
-};
 
-function policyForAction(actionName) {
-  return POLICY[String(actionName || "")] || null;
+  return {
+    ...(await decide(intent, options, loaded.packs)),
+    policies: describePolicyPacks(loaded.packs)
+  };
 }
 
-// ---------------------------------------------------------------------
-// authorizeExecution(intent)
-// Returns:
-//  - DENY (with reason), or
-//  - ESCALATE (with reason + required fields), or
-//  - PERMIT (with permitId, jti, expiresAt)
-// ---------------------------------------------------------------------
-export function authorizeExecution(intent) {
-  cleanupSeenAcceptance();
+async function decide(intent, options, packs) {
+  const dryRun = options.dryRun === true;
+  const bindingId = options.bindingId ? String(options.bindingId) : null;
+  const satisfied = Array.isArray(options.satisfied) ? [...options.satisfied] : [];
+  const replayStore = options.replayStore || DEFAULT_REPLAY_STORE;
 
   // ------------------------------------------------------------
   // FAIL CLOSED: structural validation
@@ -204,7 +280,7 @@ export function authorizeExecution(intent) {
   const actionName =
     intent.intent ||
     intent.action?.name ||
-    intent.action ||
+    (typeof intent.action === "string" ? intent.action : null) ||
     null;
 
   if (!actionName) {
@@ -214,41 +290,58 @@ export function authorizeExecution(intent) {
   const actorId = String(intent.actor.id);
 
   // ------------------------------------------------------------
-  // Resolve policy deterministically
+  // Quorum: signers of the acceptance may satisfy obligations
   // ------------------------------------------------------------
-  const policy = policyForAction(actionName);
-  if (!policy) {
-    // Unknown action: fail closed (or escalate if you want discovery mode)
-    return { decision: "DENY", reason: "unknown_action_not_authorized" };
+  // Packs see intent metadata only (never the acceptance itself).
+  const { acceptance: _acceptance, ...intentFacts } = intent;
+  const facts = { ...intentFacts, action_name: String(actionName) };
+  const acceptance = intent.acceptance;
+
+  // The acceptance is verified at most once, when something depends on it.
+  let verification = null;
+  const verifyPresented = async () => {
+    verification ??= await verifyPresentedAcceptance(acceptance, actorId, actionName, options);
+    return verification;
+  };
+
+  const quorumRequirements = evaluateQuorumRules(packs, facts);
+  let quorumMet = [];
+  if (acceptance && quorumRequirements.length > 0) {
+    const verified = await verifyPresented();
+    if (!verified.ok) return { decision: "DENY", reason: verified.reason };
+
+    const quorum = assessQuorum(quorumRequirements, verified.signers, actorId);
+    if (quorum.problem) return { decision: "DENY", reason: quorum.problem };
+    quorumMet = quorum.met;
+    satisfied.push(...quorumMet.map((r) => r.satisfies));
   }
 
   // ------------------------------------------------------------
-  // Hard boundary: reliance under deadline pressure
+  // Resolve policy deterministically
   // ------------------------------------------------------------
-  const deadlinePressure =
-    intent.context?.deadline_pressure === true ||
-    (typeof intent.context?.deadline_minutes === "number" &&
-      intent.context.deadline_minutes <= 30);
-
-  if (actionName === "reliance_eligible_output" && deadlinePressure) {
-    if (policy.onDeadlinePressure === "DENY") {
-      return { decision: "DENY", reason: "authority_undefined_under_pressure" };
-    }
-    return {
-      decision: "ESCALATE",
-      reason: "human_attestation_required_under_pressure",
-      required: ["explicit_acceptance", "human_attestation"]
-    };
+  const outcome = evaluatePolicyPacks(packs, { ...facts, obligations_satisfied: satisfied });
+
+  if (!outcome) {
+    // Unknown action: fail closed (or escalate if you want discovery mode)
+    return { decision: "DENY", reason: "unknown_action_not_authorized" };
   }
 
+  const ruling = rulingFromOutcome(outcome);
+  // Obligations this ruling already counts as proven (evidence, quorums).
+  ruling.obligationsSatisfied = [...satisfied];
+
   // ------------------------------------------------------------
   // Acceptance required?
   // ------------------------------------------------------------
-  if (policy.requireAcceptance !== true) {
-    // PERMIT for low-risk actions in demo mode (still time-bound)
+  // A quorum that carried an obligation makes its acceptance required:
+  // it must be spent, or it could be presented again.
+  if (outcome.require_acceptance !== true && quorumMet.length === 0) {
+    if (ruling.decision !== "PERMIT") return ruling;
+
+    // PERMIT without acceptance (low-risk actions; still time-bound)
     const expiresAt = new Date(Date.now() + 2 * 60 * 1000).toISOString(); // 2 min
     return {
-      decision: "PERMIT",
+      ...ruling,
       permitId: crypto.randomUUID(),
       jti: crypto.randomUUID(),
       expiresAt
@@ -256,23 +349,78 @@ export function authorizeExecution(intent) {
   }
 
   // For high-risk actions, acceptance is mandatory.
-  const acceptance = intent.acceptance;
   if (!acceptance) {
     return { decision: "DENY", reason: "missing_explicit_acceptance" };
   }
 
+  const verified = await verifyPresented();
+  if (!verified.ok) {
+    return { decision: "DENY", reason: verified.reason };
+  }
+  if (isQuorumAcceptance(acceptance) && quorumRequirements.length === 0) {
+    // A multi-signer acceptance with no quorum rule still may not be self-approved.
+    const quorum = assessQuorum([], verified.signers, actorId);
+    if (quorum.problem) return { decision: "DENY", reason: quorum.problem };
+  }
+
+  const expires = new Date(acceptance.expiresAt);
+  const signerKeyIds = verified.signers.map((s) => s.authorityKeyId).filter(Boolean);
+  const delegation = verified.delegation;
+
+  // ------------------------------------------------------------
+  // Prevent acceptance replay (minting multiple permits)
+  // ------------------------------------------------------------
+  // One use per (issuer, jti) — shared with /v1/execute — up to max_uses.
+  // Atomic per use slot; dry runs only look.
+  let acceptanceUse;
+  try {
+    acceptanceUse = await claimAcceptanceUse(replayStore, {
+      useKey: acceptanceUseKey(acceptance),
+      maxUses: acceptanceMaxUses(acceptance),
+      bindingId,
+      expiresAtMs: expires.getTime(),
+      dryRun
+    });
+  } catch (e) {
+    console.error("[REPLAY] store unavailable:", String(e?.message || e));
+    return { decision: "DENY", reason: "replay_store_unavailable" };
+  }
+
+  if (acceptanceUse === null) {
+    return { decision: "DENY", reason: "acceptance_replay_detected" };
+  }
+
+  // ------------------------------------------------------------
+  // Pack ruling stands once the acceptance is verified
+  // ------------------------------------------------------------
+  // This is how Solace prevents “I accept responsibility” from becoming authority:
+  // packs may still ESCALATE (e.g. human attestation) after a valid acceptance.
+  if (ruling.decision !== "PERMIT") {
+    return { ...ruling, acceptanceUse, signerKeyIds, delegation };
+  }
+
+  // ------------------------------------------------------------
+  // PERMIT (time-bound) + jti (token identifier)
+  // ------------------------------------------------------------
+  return {
+    ...ruling,
+    acceptanceUse,
+    signerKeyIds,
+    delegation,
+    permitId: crypto.randomUUID(),
+    jti: crypto.randomUUID(),
+    expiresAt: acceptance.expiresAt
+  };
+}
+
+// Time window, bindings and signatures of the presented acceptance.
+// { ok: true, signers, delegation } or { ok: false, reason }.
+async function verifyPresentedAcceptance(acceptance, actorId, actionName, options) {
   const issuedAt = acceptance.issuedAt;
   const expiresAt = acceptance.expiresAt;
 
-  // Signature format:
-  // - ed25519: { alg:"ed25519", sig:"<base64url>" }
-  // - hmac:    { alg:"hmac-sha256", sigHex:"<hex>" }  (legacy)
-  const alg = String(acceptance.alg || "ed25519");
-  const sigB64 = acceptance.sig;     // base64url (ed25519)
-  const sigHex = acceptance.sigHex;  // hex (hmac)
-
   if (!issuedAt || !expiresAt) {
-    return { decision: "DENY", reason: "malformed_acceptance_timestamps" };
+    return { ok: false, reason: "malformed_acceptance_timestamps" };
   }
 
   const now = new Date();
@@ -280,116 +428,38 @@ export function authorizeExecution(intent) {
   const expires = new Date(expiresAt);
 
   if (Number.isNaN(issued.getTime()) || Number.isNaN(expires.getTime())) {
-    return { decision: "DENY", reason: "invalid_acceptance_timestamps" };
+    return { ok: false, reason: "invalid_acceptance_timestamps" };
   }
 
   // Must be valid now
   if (now < issued || now > expires) {
-    return { decision: "DENY", reason: "authorization_expired" };
+    return { ok: false, reason: "authorization_expired" };
   }
 
   // Defense-in-depth: cap window
   const windowMs = expires.getTime() - issued.getTime();
   if (windowMs <= 0 || windowMs > MAX_ACCEPTANCE_WINDOW_MS) {
-    return { decision: "DENY", reason: "invalid_acceptance_window" };
+    return { ok: false, reason: "invalid_acceptance_window" };
   }
 
   // ------------------------------------------------------------
-  // Verify acceptance signature
+  // Verify acceptance signature(s) (acceptance.js, same as /v1/execute)
   // ------------------------------------------------------------
-  const payload = makeCanonicalAcceptancePayload({
-    actorId,
-    action: actionName,
-    issuedAt,
-    expiresAt
-  });
-
-  let sigOk = false;
-
-  if (alg === "ed25519") {
-    const pubPem = getActorPublicKeyPem(actorId);
-    if (!pubPem) {
-      // No registered public key for this actor → cannot verify → fail closed
-      return { decision: "DENY", reason: "unknown_actor_public_key" };
-    }
-    if (!sigB64) return { decision: "DENY", reason: "missing_signature" };
-    sigOk = verifyEd25519Signature({
-      payload,
-      signatureB64Url: sigB64,
-      actorPublicKeyPem: pubPem
-    });
-  } else if (alg === "hmac-sha256") {
-    if (!sigHex) return { decision: "DENY", reason: "missing_signature" };
-    sigOk = verifyHmacHexSignature({ payload, signatureHex: sigHex });
-  } else {
-    return { decision: "DENY", reason: "unsupported_acceptance_algorithm" };
-  }
-
-  if (!sigOk) {
-    return { decision: "DENY", reason: "invalid_cryptographic_acceptance" };
+  const bindingProblem = acceptanceBindingProblem(acceptance, actorId, actionName);
+  if (bindingProblem) {
+    return { ok: false, reason: bindingProblem };
   }
 
-  // ------------------------------------------------------------
-  // Prevent acceptance replay (minting multiple permits)
-  // ------------------------------------------------------------
-  const replayKeySig = alg === "ed25519" ? String(sigB64) : String(sigHex);
-  const acceptanceId = makeAcceptanceId({
-    actorId,
-    payload,
-    signatureB64: replayKeySig
+  const sigCheck = await verifyAcceptance(acceptance, {
+    executeHash: options.executeHash,
+    resolveKey: engineKeyResolver(
+      options.resolveRegistryKey,
+      options.delegation ? { ...options.delegation, now } : null
+    )
   });
-
-  if (SEEN_ACCEPTANCE_IDS.has(acceptanceId)) {
-    return { decision: "DENY", reason: "acceptance_replay_detected" };
-  }
-
-  SEEN_ACCEPTANCE_IDS.set(acceptanceId, expires.getTime());
-
-  // ------------------------------------------------------------
-  // Optional: require human attestation for high-risk actions
-  // ------------------------------------------------------------
-  // This is how Solace prevents “I accept responsibility” from becoming authority.
-  // Human attestation must be an explicit field, not an implied statement.
-  if (actionName === "reliance_eligible_output") {
-    const attested = intent.context?.human_attestation === true;
-    if (!attested) {
-      return {
-        decision: "ESCALATE",
-        reason: "human_attestation_required",
-        required: ["human_attestation"]
-      };
-    }
+  if (!sigCheck.ok) {
+    return { ok: false, reason: sigCheck.reason };
   }
 
-  // ------------------------------------------------------------
-  // PERMIT (time-bound) + jti (token identifier)
-  // ------------------------------------------------------------
-  return {
-    decision: "PERMIT",
-    permitId: crypto.randomUUID(),
-    jti: crypto.randomUUID(),
-    expiresAt
-  };
-}
-
-// Expose for tests/debug (optional)
-export function _debugAcceptancePayload(actorId, action, issuedAt, expiresAt) {
-  const payload = makeCanonicalAcceptancePayload({
-    actorId: String(actorId),
-    action: String(action),
-    issuedAt,
-    expiresAt
-  });
-
-  const expectedHmac = crypto
-    .createHmac("sha256", SHARED_SECRET)
-    .update(payload)
-    .digest("hex");
-
-  return {
-    generatedAt: nowIso(),
-    payload,
-    expectedHmac,
-    actorHasEd25519PubKey: Boolean(getActorPublicKeyPem(String(actorId)))
-  };
+  return { ok: true, signers: sigCheck.signers, delegation: sigCheck.delegation };
 }
@@ -0,0 +1,183 @@
+// canonical.js
+// Canonical JSON and hashing — the one implementation behind every hash
+// Core computes, signs or compares
+// DETERMINISTIC: intent / execute hashes, acceptance material, ledger entry
+// hashes and pack hashes are computed here, so the server, verify-ledger.js
+// and the issuer CLI (issue.js) cannot disagree about a payload's bytes.
+//
+// canonical(value) is the JSON Canonicalization Scheme (RFC 8785), so any
+// JCS implementation (Python, Go, ...) reproduces Core's hashes:
+// - object members sorted by key, compared as UTF-16 code units
+// - no insignificant whitespace; arrays keep their order
+// - numbers serialized as ECMAScript Number.prototype.toString (4.50 → 4.5,
+//   1E30 → 1e+30, -0 → 0)
+// - strings escaped as ECMAScript JSON.stringify (\b \t \n \f \r \" \\ and
+//   \u00XX for other controls; everything else literal UTF-8)
+//
+// FAIL-CLOSED: input that is not I-JSON throws CanonicalizationError instead
+// of hashing something another implementation would hash differently:
+//   canon_non_finite_number   NaN, ±Infinity (also 1E400 after parsing)
+//   canon_undefined_value     undefined, as a member or array element
+//   canon_unsupported_type    functions, symbols, bigints, non-plain objects
+//   canon_lone_surrogate      strings (or keys) that are not valid Unicode
+//   canon_duplicate_key       duplicate member names (parseCanonicalJson)
+//
+// CANON_ID names this scheme. Signed and hashed material that records it
+// (acceptances, delegation certificates, local ledger entries) commits to
+// the version; anything naming another version is refused.
+//
+// Test vectors: docs/api/canonicalization-vectors.v1.json
+// (node tools/canon-vectors.mjs checks this module against them).
+
+import crypto from "crypto";
+
+export const CANON_ID = "jcs-rfc8785@1";
+
+export class CanonicalizationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "CanonicalizationError";
+    this.code = code;
+  }
+}
+
+// True for an absent canon (material predating CANON_ID, which serializes
+// identically) or this version.
+export function isSupportedCanon(canon) {
+  return canon === undefined || canon === CANON_ID;
+}
+
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+function serializeString(s, where) {
+  if (LONE_SURROGATE.test(s)) {
+    throw new CanonicalizationError("canon_lone_surrogate", `${where}: string is not valid Unicode`);
+  }
+  return JSON.stringify(s);
+}
+
+function isPlainObject(v) {
+  if (v === null || typeof v !== "object") return false;
+  const proto = Object.getPrototypeOf(v);
+  return proto === Object.prototype || proto === null;
+}
+
+function serialize(value, where) {
+  if (value === null) return "null";
+
+  switch (typeof value) {
+    case "boolean":
+      return value ? "true" : "false";
+    case "number":
+      if (!Number.isFinite(value)) {
+        throw new CanonicalizationError("canon_non_finite_number", `${where}: ${value} is not a JSON number`);
+      }
+      return JSON.stringify(value);
+    case "string":
+      return serializeString(value, where);
+    case "undefined":
+      throw new CanonicalizationError("canon_undefined_value", `${where}: undefined is not a JSON value`);
+  }
+
+  if (Array.isArray(value)) {
+    const items = [];
+    for (let i = 0; i < value.length; i++) items.push(serialize(value[i], `${where}[${i}]`));
+    return `[${items.join(",")}]`;
+  }
+
+  if (isPlainObject(value)) {
+    // Default sort compares UTF-16 code units, as RFC 8785 §3.2.3 requires.
+    const members = [];
+    for (const k of Object.keys(value).sort()) {
+      members.push(`${serializeString(k, where)}:${serialize(value[k], `${where}.${k}`)}`);
+    }
+    return `{${members.join(",")}}`;
+  }
+
+  throw new CanonicalizationError("canon_unsupported_type", `${where}: ${typeof value} is not a JSON value`);
+}
+
+export function canonical(value) {
+  return serialize(value, "$");
+}
+
+// ---------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------
+// JSON.parse keeps the last of duplicate members silently; a hash over that
+// would disagree with parsers that keep the first. Member names are compared
+// after unescaping ("a" and "\u0061" are duplicates). `text` must already
+// be valid JSON.
+function duplicateKeyIn(text) {
+  const stack = []; // Set of member names per open object, null per array
+  let expectKey = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"') {
+      let j = i + 1;
+      while (text[j] !== '"') j += text[j] === "\\" ? 2 : 1;
+      const names = stack[stack.length - 1];
+      if (expectKey && names) {
+        const name = JSON.parse(text.slice(i, j + 1));
+        if (names.has(name)) return name;
+        names.add(name);
+      }
+      expectKey = false;
+      i = j;
+    } else if (c === "{") {
+      stack.push(new Set());
+      expectKey = true;
+    } else if (c === "[") {
+      stack.push(null);
+      expectKey = false;
+    } else if (c === "}" || c === "]") {
+      stack.pop();
+      expectKey = false;
+    } else if (c === ",") {
+      expectKey = stack[stack.length - 1] instanceof Set;
+    } else if (c === ":") {
+      expectKey = false;
+    }
+  }
+  return null;
+}
+
+// JSON.parse that also refuses what canonical() would refuse: duplicate
+// member names, numbers outside the double range, lone surrogates.
+// Throws SyntaxError for invalid JSON, CanonicalizationError otherwise.
+export function parseCanonicalJson(text) {
+  const value = JSON.parse(text);
+
+  const duplicate = duplicateKeyIn(text);
+  if (duplicate !== null) {
+    throw new CanonicalizationError("canon_duplicate_key", `duplicate member name: ${JSON.stringify(duplicate)}`);
+  }
+
+  canonical(value);
+  return value;
+}
+
+// ---------------------------------------------------------------------
+// Hashes
+// ---------------------------------------------------------------------
+// Hex sha256 of a string (UTF-8) or Buffer.
+export function sha256Hex(data) {
+  return crypto.createHash("sha256").update(typeof data === "string" ? data : Buffer.from(data)).digest("hex");
+}
+
+// intent_hash and executeHash are plain sha256 over the JCS bytes and do not
+// fold in CANON_ID: clients reproduce them with any RFC 8785 library, and the
+// version is committed by whatever signs or records the hash (acceptance
+// `canon`, local ledger entries). See INTEGRATION_PATTERNS.md, Intent Hashing.
+
+// intent_hash: sha256 of the canonical intent object.
+export function computeIntentHash(intent) {
+  return sha256Hex(canonical(intent));
+}
+
+// executeHash: sha256 of the canonical payload a decision authorizes (the
+// execute object on /v1/execute, the structured intent on /v1/authority/evaluate).
+export function computeExecuteHash(execute) {
+  return sha256Hex(canonical(execute));
+}
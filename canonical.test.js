@@ -0,0 +1,53 @@
+// canonical.test.js
+// RFC 8785 canonicalization against the published vectors
+// (docs/api/canonicalization-vectors.v1.json, shared with tools/canon-vectors.mjs).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  CANON_ID,
+  CanonicalizationError,
+  canonical,
+  computeExecuteHash,
+  computeIntentHash,
+  parseCanonicalJson,
+  sha256Hex,
+} from "./canonical.js";
+
+const vectors = JSON.parse(
+  fs.readFileSync(new URL("./docs/api/canonicalization-vectors.v1.json", import.meta.url), "utf8")
+);
+
+test("vectors are for this canonicalization", () => {
+  assert.equal(vectors.canon, CANON_ID);
+});
+
+for (const v of vectors.valid) {
+  test(`valid: ${v.name}`, () => {
+    const out = canonical(parseCanonicalJson(v.input));
+    assert.equal(out, v.canonical);
+    assert.equal(sha256Hex(out), v.sha256);
+  });
+}
+
+for (const v of vectors.invalid) {
+  test(`invalid: ${v.name}`, () => {
+    assert.throws(() => parseCanonicalJson(v.input), (e) => (e.code ?? e.name) === v.error);
+  });
+}
+
+test("member order does not change the intent_hash", () => {
+  assert.equal(computeIntentHash({ b: 1, a: [true, null] }), computeIntentHash({ a: [true, null], b: 1 }));
+});
+
+test("intent and execute hashes are plain sha256 over the canonical bytes", () => {
+  const [v] = vectors.valid;
+  const value = parseCanonicalJson(v.input);
+  assert.equal(computeIntentHash(value), v.sha256);
+  assert.equal(computeExecuteHash(value), v.sha256);
+});
+
+test("undefined is not a JSON value", () => {
+  assert.throws(() => canonical({ a: undefined }), CanonicalizationError);
+});
@@ -0,0 +1,91 @@
+// core-signer.js
+// The core's own signing key (attestations, verification artefacts)
+// FAIL-CLOSED: a configured key that cannot be loaded aborts boot.
+//
+// Key source (first match wins):
+//   SOLACE_CORE_SIGNING_KEY_PATH   PEM private key file (Ed25519, P-256 or RSA)
+//   SOLACE_CORE_SIGNING_KEY_PEM    inline PEM
+//
+// Without a configured key an ephemeral Ed25519 key is generated at boot and
+// every signature says so (`ephemeral: true`). Ephemeral keys are refused
+// when SOLACE_ENVIRONMENT is "production".
+//
+// Signer:
+//   signer.alg          "EdDSA" | "ES256" | "RS256"
+//   signer.kid          RFC 7638 JWK thumbprint of the public key
+//   signer.publicJwk    public key as JWK (kid, alg, use: "sig")
+//   signer.publicKeyPem SPKI PEM
+//   signer.ephemeral    true if generated at boot
+//   signer.sign(data)   Buffer signature (ES256 in IEEE P1363 form, as in JWS)
+
+import fs from "fs";
+import crypto from "crypto";
+
+// Thumbprint members per key type (RFC 7638 §3.2), in lexicographic order.
+const THUMBPRINT_MEMBERS = {
+  OKP: ["crv", "kty", "x"],
+  EC: ["crv", "kty", "x", "y"],
+  RSA: ["e", "kty", "n"],
+};
+
+export function jwkThumbprint(jwk) {
+  const members = THUMBPRINT_MEMBERS[jwk.kty];
+  if (!members) throw new Error(`core_signing_key_unsupported: kty ${jwk.kty}`);
+
+  const required = {};
+  for (const m of members) required[m] = jwk[m];
+  return crypto.createHash("sha256").update(JSON.stringify(required)).digest("base64url");
+}
+
+function algFor(privateKey) {
+  const type = privateKey.asymmetricKeyType;
+  if (type === "ed25519") return "EdDSA";
+  if (type === "rsa") return "RS256";
+  if (type === "ec" && privateKey.asymmetricKeyDetails?.namedCurve === "prime256v1") return "ES256";
+  throw new Error(`core_signing_key_unsupported: ${type}`);
+}
+
+export function createCoreSigner(privateKey, { ephemeral = false } = {}) {
+  const alg = algFor(privateKey);
+  const publicKey = crypto.createPublicKey(privateKey);
+  const jwk = publicKey.export({ format: "jwk" });
+  const kid = jwkThumbprint(jwk);
+
+  return Object.freeze({
+    alg,
+    kid,
+    ephemeral,
+    publicKeyPem: publicKey.export({ type: "spki", format: "pem" }),
+    publicJwk: Object.freeze({ ...jwk, kid, alg, use: "sig" }),
+
+    sign(data) {
+      const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+      if (alg === "EdDSA") return crypto.sign(null, buf, privateKey);
+      if (alg === "ES256") {
+        return crypto.sign("sha256", buf, { key: privateKey, dsaEncoding: "ieee-p1363" });
+      }
+      return crypto.sign("sha256", buf, privateKey);
+    },
+  });
+}
+
+export function createCoreSignerFromEnv(env = process.env) {
+  let pem = null;
+  if (env.SOLACE_CORE_SIGNING_KEY_PATH) {
+    pem = fs.readFileSync(env.SOLACE_CORE_SIGNING_KEY_PATH, "utf8");
+  } else if (env.SOLACE_CORE_SIGNING_KEY_PEM) {
+    pem = env.SOLACE_CORE_SIGNING_KEY_PEM;
+  }
+
+  if (pem) {
+    return createCoreSigner(crypto.createPrivateKey(pem));
+  }
+
+  if (String(env.SOLACE_ENVIRONMENT || "").toLowerCase() === "production") {
+    throw new Error("core_signing_key_missing");
+  }
+
+  console.warn("[CORE-SIGNER] no signing key configured; using an ephemeral Ed25519 key");
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  return createCoreSigner(privateKey, { ephemeral: true });
+}
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+import fs from "fs";
+import crypto from "crypto";
+import {
+  DELEGATION_RISK_TIERS,
+  MAX_DELEGATION_DEPTH,
+  delegationCertificateId,
+  signDelegationCertificate,
+} from "./delegation.js";
+
+// ------------------------------------------------------------
+// Config
+// ------------------------------------------------------------
+const DEFAULT_VALID_HOURS = 24;
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function takeOption(args, name) {
+  const at = args.indexOf(name);
+  if (at === -1) return null;
+  const value = args[at + 1];
+  if (value === undefined) fail(`${name} needs a value`);
+  args.splice(at, 2);
+  return value;
+}
+
+// ------------------------------------------------------------
+// CLI input
+// ------------------------------------------------------------
+// Usage:
+//   delegate <delegator.key> <delegatorId> <delegate.pub> <delegateKeyId> <delegatePrincipalId>
+//     --intents a,b                 intents the delegate may approve ("*" for any)
+//     [--max-amount-usd N]          cap on intent.parameters.amount_usd
+//     [--max-risk-tier low|medium|high]
+//     [--valid-hours H]             default 24, never past the parent's window
+//     [--max-depth N]               further sub-delegations allowed (default 0)
+//     [--parent chain.json]         chain this certificate extends
+//
+// delegatorId is the root's authorityKeyId (or the issuer, for the legacy
+// issuer key) for the first link, else the parent's delegate key id.
+// Prints the chain (parent links + the new one) to attach to acceptances
+// signed with the delegate's key (issue.js --delegation).
+//
+const args = process.argv.slice(2);
+const intents = takeOption(args, "--intents");
+const maxAmount = takeOption(args, "--max-amount-usd");
+const maxRiskTier = takeOption(args, "--max-risk-tier");
+const validHours = Number(takeOption(args, "--valid-hours") ?? DEFAULT_VALID_HOURS);
+const maxDepth = Number(takeOption(args, "--max-depth") ?? 0);
+const parentPath = takeOption(args, "--parent");
+
+const [delegatorKeyPath, delegatorId, delegatePubPath, delegateKeyId, delegatePrincipalId] = args;
+
+if (!delegatorKeyPath || !delegatorId || !delegatePubPath || !delegateKeyId || !delegatePrincipalId || !intents) {
+  fail(
+    "Usage: delegate <delegator.key> <delegatorId> <delegate.pub> <delegateKeyId> <delegatePrincipalId> " +
+      "--intents a,b [--max-amount-usd N] [--max-risk-tier tier] [--valid-hours H] [--max-depth N] [--parent chain.json]"
+  );
+}
+if (maxAmount !== null && !(Number(maxAmount) >= 0)) fail("--max-amount-usd must be a non-negative number");
+if (maxRiskTier !== null && !DELEGATION_RISK_TIERS.includes(maxRiskTier)) {
+  fail(`--max-risk-tier must be one of ${DELEGATION_RISK_TIERS.join(", ")}`);
+}
+if (!(validHours > 0)) fail("--valid-hours must be positive");
+if (!(Number.isInteger(maxDepth) && maxDepth >= 0)) fail("--max-depth must be a non-negative integer");
+
+// ------------------------------------------------------------
+// Parent chain
+// ------------------------------------------------------------
+const parentChain = parentPath ? JSON.parse(fs.readFileSync(parentPath, "utf8")) : [];
+if (!Array.isArray(parentChain)) fail("--parent must be a JSON array of certificates");
+if (parentChain.length + 1 > MAX_DELEGATION_DEPTH) fail(`chains are at most ${MAX_DELEGATION_DEPTH} links`);
+
+const parent = parentChain[parentChain.length - 1] || null;
+if (parent && parent.delegate?.key_id !== delegatorId) {
+  fail(`delegatorId must be the parent's delegate key id (${parent.delegate?.key_id})`);
+}
+
+// ------------------------------------------------------------
+// Certificate (a link may only narrow its parent; Core rejects it otherwise)
+// ------------------------------------------------------------
+const now = Date.now();
+const validFrom = parent ? Math.max(now, Date.parse(parent.valid_from)) : now;
+const validUntil = Math.min(
+  now + validHours * 3_600_000,
+  parent ? Date.parse(parent.valid_until) : Infinity
+);
+if (!(validUntil > validFrom)) fail("the parent certificate has expired");
+
+const certificate = {
+  delegator: delegatorId,
+  delegate: {
+    key_id: delegateKeyId,
+    principal_id: delegatePrincipalId,
+    public_key: crypto.createPublicKey(fs.readFileSync(delegatePubPath, "utf8")).export({ type: "spki", format: "pem" }),
+  },
+  intents: intents.split(",").map((i) => i.trim()).filter(Boolean),
+  valid_from: new Date(validFrom).toISOString(),
+  valid_until: new Date(validUntil).toISOString(),
+  max_depth: maxDepth,
+};
+
+if (maxAmount !== null) certificate.max_amount_usd = Number(maxAmount);
+if (maxRiskTier !== null) certificate.max_risk_tier = maxRiskTier;
+
+// ------------------------------------------------------------
+// Sign + output chain
+// ------------------------------------------------------------
+const signed = signDelegationCertificate(certificate, fs.readFileSync(delegatorKeyPath, "utf8"));
+
+console.error(`certificate_id ${delegationCertificateId(signed)}`);
+console.log(JSON.stringify([...parentChain, signed], null, 2));
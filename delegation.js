@@ -0,0 +1,256 @@
+// delegation.js
+// Delegated authority — signed certificate chains from a root key down to
+// the key that signed an acceptance
+// FAIL-CLOSED: a link that is malformed, badly signed, outside its window,
+// revoked or broader than its parent → DENY; so is a leaf that does not
+// cover the request being decided.
+//
+// An acceptance may carry `delegation`: certificates ordered from the root
+// down. The acceptance is then signed by the last certificate's delegate
+// key, and its material binds the whole chain (acceptance.js).
+//
+// Certificate:
+// {
+//   "delegator": "<key id>",            // link 0: the acceptance's authorityKeyId, or its
+//                                       // issuer under the surface's non-registry key;
+//                                       // afterwards the parent's delegate.key_id
+//   "delegate": {
+//     "key_id": "lead-payments-2026q4",
+//     "principal_id": "team-lead-7",
+//     "public_key": "<SPKI PEM: RSA, P-256 or Ed25519>"
+//   },
+//   "intents": ["payment"],             // ["*"] for any
+//   "max_amount_usd": 50000,            // optional; requests must then state an amount
+//   "max_risk_tier": "medium",          // optional; low < medium < high
+//   "valid_from": "...", "valid_until": "...",
+//   "max_depth": 0,                     // sub-delegations allowed below this link
+//   "canon": "jcs-rfc8785@1",           // optional; no other canonicalization is accepted
+//   "alg": "ES256",                     // the delegator key's algorithm
+//   "signature": "<base64url over canonical certificate without signature>"
+// }
+//
+// A link may only narrow its parent: intents a subset, amount and risk caps
+// no higher, a window inside the parent's, max_depth below the parent's.
+// The root key's own policy (registry state, key scope) still applies.
+//
+// Revocation is by certificate id, the sha256 of the signed content (a
+// re-signed copy is the same certificate). Where revocations live is the
+// surface's policy (server.js: ledger evidence, intent "delegation.revoke").
+//
+// Reasons: delegation_malformed, delegation_depth_exceeded,
+// delegation_signature_invalid, delegation_outside_validity_window,
+// delegation_broader_than_parent, delegation_revoked,
+// delegation_revocation_lookup_failed, delegation_out_of_bounds
+
+import crypto from "crypto";
+import { CANON_ID, canonical, isSupportedCanon, sha256Hex } from "./canonical.js";
+import {
+  ACCEPTANCE_ALGS,
+  acceptanceAuthorityKeyId,
+  acceptanceKeyAlg,
+  signAcceptanceMaterial,
+  verifySignedMaterial,
+} from "./acceptance.js";
+
+export const MAX_DELEGATION_DEPTH = 4;
+export const DELEGATION_RISK_TIERS = ["low", "medium", "high"];
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+function parseTs(v) {
+  if (!isNonEmptyString(v)) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function riskRank(tier) {
+  return DELEGATION_RISK_TIERS.indexOf(tier);
+}
+
+// ---------------------------------------------------------------------
+// Certificates
+// ---------------------------------------------------------------------
+// What the delegator signs: the certificate without its signature.
+export function delegationMaterial(cert) {
+  const { signature: _ignored, ...content } = cert;
+  return canonical(content);
+}
+
+export function delegationCertificateId(cert) {
+  return sha256Hex(delegationMaterial(cert));
+}
+
+// Signs a certificate with the delegator's private key (issuers and tests);
+// alg is taken from the key.
+export function signDelegationCertificate(cert, privateKeyPem) {
+  const alg = acceptanceKeyAlg(crypto.createPublicKey(privateKeyPem));
+  if (!alg) throw new Error("delegation_key_unsupported");
+
+  const { signature: _ignored, ...content } = cert;
+  const signed = { ...content, canon: CANON_ID, alg };
+  return { ...signed, signature: signAcceptanceMaterial(delegationMaterial(signed), privateKeyPem, alg) };
+}
+
+export function hasDelegation(acceptance) {
+  return acceptance?.delegation !== undefined;
+}
+
+// Request facts a chain is checked against. scopeRequest is the key-scope.js
+// request of the surface; the amount is intent.parameters.amount_usd.
+export function delegationRequest(scopeRequest, intent) {
+  const amount = intent?.parameters?.amount_usd;
+  return {
+    intent: scopeRequest?.intent ?? null,
+    risk_tier: scopeRequest?.risk_tier ?? null,
+    amount_usd: typeof amount === "number" && Number.isFinite(amount) ? amount : null,
+  };
+}
+
+// Parsed certificate, or null if anything is missing or ambiguous.
+function readCertificate(raw) {
+  if (!isPlainObject(raw) || !isNonEmptyString(raw.delegator)) return null;
+
+  const delegate = raw.delegate;
+  if (!isPlainObject(delegate) || !isNonEmptyString(delegate.key_id) || !isNonEmptyString(delegate.principal_id)) {
+    return null;
+  }
+  try {
+    if (!acceptanceKeyAlg(crypto.createPublicKey(String(delegate.public_key)))) return null;
+  } catch {
+    return null;
+  }
+
+  if (!Array.isArray(raw.intents) || raw.intents.length === 0 || !raw.intents.every(isNonEmptyString)) return null;
+
+  const maxAmount = raw.max_amount_usd ?? null;
+  if (maxAmount !== null && !(typeof maxAmount === "number" && Number.isFinite(maxAmount) && maxAmount >= 0)) {
+    return null;
+  }
+  const maxRisk = raw.max_risk_tier ?? null;
+  if (maxRisk !== null && riskRank(maxRisk) === -1) return null;
+
+  const from = parseTs(raw.valid_from);
+  const until = parseTs(raw.valid_until);
+  if (!from || !until || until <= from) return null;
+
+  if (!Number.isInteger(raw.max_depth) || raw.max_depth < 0) return null;
+  if (!ACCEPTANCE_ALGS.includes(raw.alg) || !isNonEmptyString(raw.signature)) return null;
+  if (!isSupportedCanon(raw.canon)) return null;
+
+  let id;
+  try {
+    id = delegationCertificateId(raw);
+  } catch {
+    return null;
+  }
+
+  return {
+    id,
+    raw,
+    delegator: raw.delegator,
+    delegate,
+    intents: raw.intents,
+    maxAmount,
+    maxRisk,
+    from,
+    until,
+    maxDepth: raw.max_depth,
+  };
+}
+
+function broaderThanParent(child, parent) {
+  if (!parent.intents.includes("*")) {
+    if (!child.intents.every((i) => i !== "*" && parent.intents.includes(i))) return true;
+  }
+  if (parent.maxAmount !== null && (child.maxAmount === null || child.maxAmount > parent.maxAmount)) return true;
+  if (parent.maxRisk !== null && (child.maxRisk === null || riskRank(child.maxRisk) > riskRank(parent.maxRisk))) {
+    return true;
+  }
+  if (child.from < parent.from || child.until > parent.until) return true;
+  return child.maxDepth >= parent.maxDepth;
+}
+
+function coversRequest(cert, request) {
+  if (!cert.intents.includes("*") && !cert.intents.includes(request?.intent)) return false;
+  if (cert.maxAmount !== null && (request?.amount_usd == null || request.amount_usd > cert.maxAmount)) return false;
+  if (cert.maxRisk !== null) {
+    const rank = riskRank(request?.risk_tier);
+    if (rank === -1 || rank > riskRank(cert.maxRisk)) return false;
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------
+// Chain validation
+// ---------------------------------------------------------------------
+// followDelegation(root, acceptance, { request, now, isRevoked })
+//
+// root: the surface's resolveKey result for the acceptance (acceptance.js);
+// returned unchanged when the acceptance carries no chain.
+//   request    delegationRequest() facts of the request being decided
+//   now        the time every link must be valid at
+//   isRevoked  async (certificateId) → boolean; throws if it cannot tell
+//
+// Returns the resolveKey shape with the leaf delegate's key:
+//   { ok: true, publicKeyPem, row, delegation: { certificate_ids, delegate_key_id, delegate_principal_id } }
+//   { ok: false, reason, row }
+export async function followDelegation(root, acceptance, { request, now, isRevoked }) {
+  if (!root?.ok || !hasDelegation(acceptance)) return root;
+
+  const row = root.row || null;
+  const deny = (reason) => ({ ok: false, reason, row });
+
+  const chain = acceptance.delegation;
+  if (!Array.isArray(chain) || chain.length === 0) return deny("delegation_malformed");
+  if (chain.length > MAX_DELEGATION_DEPTH) return deny("delegation_depth_exceeded");
+
+  const certs = chain.map(readCertificate);
+  if (certs.some((c) => c === null)) return deny("delegation_malformed");
+
+  let delegatorId = acceptanceAuthorityKeyId(acceptance) || String(acceptance.issuer || "");
+  let delegatorPem = root.publicKeyPem;
+  let parent = null;
+
+  for (const cert of certs) {
+    if (cert.delegator !== delegatorId) return deny("delegation_malformed");
+    if (!verifySignedMaterial(delegationMaterial(cert.raw), cert.raw.signature, delegatorPem, cert.raw.alg)) {
+      return deny("delegation_signature_invalid");
+    }
+    if (now < cert.from || now > cert.until) return deny("delegation_outside_validity_window");
+    if (parent) {
+      if (parent.maxDepth === 0) return deny("delegation_depth_exceeded");
+      if (broaderThanParent(cert, parent)) return deny("delegation_broader_than_parent");
+    }
+
+    let revoked;
+    try {
+      revoked = await isRevoked(cert.id);
+    } catch {
+      return deny("delegation_revocation_lookup_failed");
+    }
+    if (revoked) return deny("delegation_revoked");
+
+    delegatorId = cert.delegate.key_id;
+    delegatorPem = cert.delegate.public_key;
+    parent = cert;
+  }
+
+  if (!coversRequest(parent, request)) return deny("delegation_out_of_bounds");
+
+  return {
+    ok: true,
+    publicKeyPem: parent.delegate.public_key,
+    row,
+    delegation: {
+      certificate_ids: certs.map((c) => c.id),
+      delegate_key_id: parent.delegate.key_id,
+      delegate_principal_id: parent.delegate.principal_id,
+    },
+  };
+}
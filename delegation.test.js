@@ -0,0 +1,222 @@
+// delegation.test.js
+// Delegation chains: signatures, depth, narrowing, validity windows,
+// revocation and the bounds the leaf puts on the request.
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { acceptanceMaterial, signAcceptanceMaterial, verifyAcceptance } from "./acceptance.js";
+import { assessQuorum } from "./quorum.js";
+import {
+  MAX_DELEGATION_DEPTH,
+  delegationCertificateId,
+  delegationRequest,
+  followDelegation,
+  signDelegationCertificate,
+} from "./delegation.js";
+
+function keyPair(id) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  return {
+    id,
+    privatePem: privateKey.export({ type: "pkcs8", format: "pem" }),
+    publicPem: publicKey.export({ type: "spki", format: "pem" }),
+  };
+}
+
+const ROOT = keyPair("root-key");
+const LEAD = keyPair("lead-key");
+const CLERK = keyPair("clerk-key");
+const NOW = new Date("2026-06-01T00:00:00Z");
+
+// Certificate from `from` to `to`, signed by `from`.
+function cert(from, to, fields = {}) {
+  return signDelegationCertificate(
+    {
+      delegator: from.id,
+      delegate: { key_id: to.id, principal_id: `${to.id}-holder`, public_key: to.publicPem },
+      intents: ["payment"],
+      max_amount_usd: 50000,
+      max_risk_tier: "medium",
+      valid_from: "2026-01-01T00:00:00Z",
+      valid_until: "2027-01-01T00:00:00Z",
+      max_depth: 1,
+      ...fields,
+    },
+    from.privatePem
+  );
+}
+
+const ROOT_RESOLVED = { ok: true, publicKeyPem: ROOT.publicPem, row: { id: ROOT.id, principal_id: "cfo" } };
+const REQUEST = { intent: "payment", risk_tier: "low", amount_usd: 1200 };
+
+function follow(chain, { request = REQUEST, now = NOW, isRevoked = async () => false } = {}) {
+  const acceptance = { issuer: "board", authorityKeyId: ROOT.id, delegation: chain };
+  return followDelegation(ROOT_RESOLVED, acceptance, { request, now, isRevoked });
+}
+
+describe("a valid chain", () => {
+  test("resolves to the leaf delegate's key and keeps the root row", async () => {
+    const link = cert(ROOT, LEAD, { max_depth: 0 });
+    const resolved = await follow([link]);
+    assert.equal(resolved.ok, true);
+    assert.equal(resolved.publicKeyPem, LEAD.publicPem);
+    assert.deepEqual(resolved.row, ROOT_RESOLVED.row);
+    assert.deepEqual(resolved.delegation, {
+      certificate_ids: [delegationCertificateId(link)],
+      delegate_key_id: LEAD.id,
+      delegate_principal_id: "lead-key-holder",
+    });
+  });
+
+  test("each link may narrow its parent", async () => {
+    const chain = [cert(ROOT, LEAD), cert(LEAD, CLERK, { max_amount_usd: 5000, max_risk_tier: "low", max_depth: 0 })];
+    const resolved = await follow(chain);
+    assert.equal(resolved.ok, true);
+    assert.equal(resolved.delegation.delegate_key_id, CLERK.id);
+  });
+
+  test("an acceptance without a chain resolves unchanged", async () => {
+    const acceptance = { issuer: "board", authorityKeyId: ROOT.id };
+    assert.equal(await followDelegation(ROOT_RESOLVED, acceptance, { request: REQUEST, now: NOW }), ROOT_RESOLVED);
+  });
+});
+
+describe("depth", () => {
+  test("a link with max_depth 0 cannot be delegated further", async () => {
+    const chain = [cert(ROOT, LEAD, { max_depth: 0 }), cert(LEAD, CLERK, { max_depth: 0 })];
+    assert.equal((await follow(chain)).reason, "delegation_depth_exceeded");
+  });
+
+  test("no chain is longer than MAX_DELEGATION_DEPTH", async () => {
+    const keys = [ROOT, ...Array.from({ length: MAX_DELEGATION_DEPTH + 1 }, (_, i) => keyPair(`k${i}`))];
+    const chain = keys.slice(1).map((to, i) => cert(keys[i], to, { max_depth: MAX_DELEGATION_DEPTH + 1 - i }));
+    assert.equal((await follow(chain)).reason, "delegation_depth_exceeded");
+  });
+});
+
+describe("narrowing", () => {
+  for (const [what, fields] of [
+    ["more intents", { intents: ["payment", "refund"] }],
+    ["any intent", { intents: ["*"] }],
+    ["a higher amount", { max_amount_usd: 60000 }],
+    ["no amount cap", { max_amount_usd: null }],
+    ["a higher risk tier", { max_risk_tier: "high" }],
+    ["a longer window", { valid_until: "2027-06-01T00:00:00Z" }],
+    ["the same depth", { max_depth: 1 }],
+  ]) {
+    test(`a child with ${what} than its parent is refused`, async () => {
+      const chain = [cert(ROOT, LEAD), cert(LEAD, CLERK, { max_depth: 0, ...fields })];
+      assert.equal((await follow(chain)).reason, "delegation_broader_than_parent");
+    });
+  }
+});
+
+describe("signatures and links", () => {
+  test("a certificate not signed by its delegator is refused", async () => {
+    const forged = { ...cert(LEAD, CLERK), delegator: ROOT.id };
+    assert.equal((await follow([forged])).reason, "delegation_signature_invalid");
+  });
+
+  test("an edited certificate no longer verifies", async () => {
+    const link = { ...cert(ROOT, LEAD), max_amount_usd: 5_000_000 };
+    assert.equal((await follow([link])).reason, "delegation_signature_invalid");
+  });
+
+  test("a chain that does not start at the acceptance's key is malformed", async () => {
+    assert.equal((await follow([cert(LEAD, CLERK)])).reason, "delegation_malformed");
+    assert.equal((await follow([])).reason, "delegation_malformed");
+    assert.equal((await follow([{ ...cert(ROOT, LEAD), intents: [] }])).reason, "delegation_malformed");
+  });
+});
+
+describe("validity and revocation", () => {
+  test("every link must be valid now", async () => {
+    const chain = [cert(ROOT, LEAD, { max_depth: 0 })];
+    assert.equal((await follow(chain, { now: new Date("2025-12-31T23:59:59Z") })).reason, "delegation_outside_validity_window");
+    assert.equal((await follow(chain, { now: new Date("2027-01-01T00:00:01Z") })).reason, "delegation_outside_validity_window");
+  });
+
+  test("a revoked link voids the chain below it", async () => {
+    const chain = [cert(ROOT, LEAD), cert(LEAD, CLERK, { max_depth: 0 })];
+    const revoked = new Set([delegationCertificateId(chain[0])]);
+    assert.equal((await follow(chain, { isRevoked: async (id) => revoked.has(id) })).reason, "delegation_revoked");
+  });
+
+  test("a revocation lookup that fails denies", async () => {
+    const isRevoked = async () => {
+      throw new Error("ledger down");
+    };
+    const result = await follow([cert(ROOT, LEAD, { max_depth: 0 })], { isRevoked });
+    assert.equal(result.reason, "delegation_revocation_lookup_failed");
+  });
+});
+
+describe("request bounds", () => {
+  const chain = [cert(ROOT, LEAD, { max_depth: 0 })];
+
+  for (const [what, request] of [
+    ["another intent", { ...REQUEST, intent: "refund" }],
+    ["an amount over the cap", { ...REQUEST, amount_usd: 50001 }],
+    ["no amount under an amount cap", { ...REQUEST, amount_usd: null }],
+    ["a higher risk tier", { ...REQUEST, risk_tier: "high" }],
+    ["no risk tier under a risk cap", { ...REQUEST, risk_tier: null }],
+  ]) {
+    test(`${what} is out of bounds`, async () => {
+      assert.equal((await follow(chain, { request })).reason, "delegation_out_of_bounds");
+    });
+  }
+
+  test("the amount is intent.parameters.amount_usd, numbers only", () => {
+    const scope = { intent: "payment", risk_tier: "low" };
+    assert.equal(delegationRequest(scope, { parameters: { amount_usd: 10 } }).amount_usd, 10);
+    assert.equal(delegationRequest(scope, { parameters: { amount_usd: "10" } }).amount_usd, null);
+  });
+});
+
+describe("delegated acceptances", () => {
+  const executeHash = crypto.createHash("sha256").update("payload").digest("hex");
+
+  function delegatedAcceptance(chain, signer) {
+    const acceptance = {
+      alg: "EdDSA",
+      issuer: "board",
+      actorId: "svc-1",
+      intent: "payment",
+      issuedAt: "2026-06-01T00:00:00Z",
+      expiresAt: "2026-06-01T00:10:00Z",
+      jti: "d-1",
+      authorityKeyId: ROOT.id,
+      delegation: chain,
+    };
+    const material = acceptanceMaterial(acceptance, executeHash);
+    return { ...acceptance, signature: signAcceptanceMaterial(material, signer.privatePem, "EdDSA") };
+  }
+
+  const resolveKey = (_keyId, view) =>
+    followDelegation(ROOT_RESOLVED, view, { request: REQUEST, now: NOW, isRevoked: async () => false });
+
+  test("verify against the leaf delegate's key", async () => {
+    const chain = [cert(ROOT, LEAD, { max_depth: 0 })];
+    const verified = await verifyAcceptance(delegatedAcceptance(chain, LEAD), { executeHash, resolveKey });
+    assert.equal(verified.ok, true);
+    assert.equal(verified.delegation.delegate_principal_id, "lead-key-holder");
+
+    const byRoot = await verifyAcceptance(delegatedAcceptance(chain, ROOT), { executeHash, resolveKey });
+    assert.equal(byRoot.reason, "invalid_acceptance_signature");
+  });
+
+  test("are signed by the leaf delegate, who may not be the actor", async () => {
+    const chain = [cert(ROOT, LEAD, { max_depth: 0 })];
+    const verified = await verifyAcceptance(delegatedAcceptance(chain, LEAD), { executeHash, resolveKey });
+    assert.equal(verified.signers[0].delegation.delegate_principal_id, "lead-key-holder");
+    assert.equal(assessQuorum([], verified.signers, "lead-key-holder").problem, "quorum_signer_is_actor");
+    assert.equal(assessQuorum([], verified.signers, "cfo").problem, null);
+  });
+
+  test("bind the chain they were signed with", async () => {
+    const signed = delegatedAcceptance([cert(ROOT, LEAD, { max_depth: 0 })], LEAD);
+    const swapped = { ...signed, delegation: [cert(ROOT, LEAD, { max_depth: 0, intents: ["*"] })] };
+    assert.equal((await verifyAcceptance(swapped, { executeHash, resolveKey })).reason, "invalid_acceptance_signature");
+  });
+});
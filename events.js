@@ -0,0 +1,571 @@
+// events.js
+// Audit event sinks — every ledger entry, as a CloudEvents record, copied
+// to the operator's SIEM through a durable outbox
+// ADVISORY: events are a copy; the ledger stays the record. An event is
+// appended to the outbox (fsync) after its entry is written and delivered
+// at least once per sink; receivers deduplicate by event id. A malformed sink
+// file stops Core from starting.
+//
+// SOLACE_EVENT_SINKS_PATH (JSON file) or SOLACE_EVENT_SINKS_JSON (inline):
+// {
+//   "source": "urn:solace-core:prod-eu-1",             // CloudEvents source
+//   "outbox_path": "data/solace-events.outbox.ndjson",
+//   "dead_letter_path": "data/solace-events.dead.ndjson",
+//   "max_attempts": 8,                                  // per event and sink
+//   "retry_base_ms": 1000, "retry_max_ms": 300000,      // backoff, doubling
+//   "sinks": [
+//     { "sink_id": "siem", "type": "webhook", "url": "https://siem.example/solace",
+//       "secret_env": "SOLACE_SIEM_HMAC_SECRET", "timeout_ms": 5000 },
+//     { "sink_id": "syslog", "type": "syslog", "host": "10.0.0.5", "port": 6514,
+//       "protocol": "tls", "facility": 13, "app_name": "solace-core" },
+//     { "sink_id": "archive", "type": "file", "path": "data/audit-events.ndjson",
+//       "max_bytes": 10485760, "max_files": 5 }
+//   ]
+// }
+// Without configuration there are no sinks and no outbox.
+//
+// Event types (CloudEvents 1.0, structured JSON):
+//   solace.ledger.entry.v1         a ledger entry was written; data is the row
+//                                  with its ledger id and entry_hash; id is the
+//                                  entry_hash
+//   solace.ledger.write_failed.v1  a decision could not be written (e.g. a
+//                                  /v1/authorize answer whose entry was lost);
+//                                  data is the row and the error
+// Extensions: solaceactor (ordering partition), solacesequence (outbox order).
+//
+// Sinks:
+//   webhook  POST application/cloudevents+json; 2xx is delivery. Signed with
+//            HMAC-SHA256 over "<X-Solace-Timestamp>.<body>", key from the
+//            environment variable `secret_env`:
+//            X-Solace-Signature: sha256=<hex>
+//   syslog   RFC 5424 message per event (MSG is the event JSON) over udp
+//            (RFC 5426), tcp or tls (octet counting, RFC 6587 / 5425);
+//            severity from the decision (DENY warning, ESCALATE notice,
+//            PERMIT info, write failures error)
+//   file     one event per line, fsynced; rotated at max_bytes to
+//            <path>.1 … <path>.<max_files>
+//
+// Delivery: each sink delivers one actor's events in outbox order — an event
+// waits until the previous event of its actor for that sink was delivered or
+// dead-lettered; different actors proceed in parallel. A failed delivery is
+// retried with backoff; after max_attempts the event is appended to the
+// dead-letter file ({ sink_id, attempts, last_error, dead_lettered_at, event })
+// and the actor's queue moves on. The outbox records each settled delivery,
+// so a restart resumes with what was pending (attempt counts start over).
+
+import fs from "fs";
+import os from "os";
+import net from "net";
+import tls from "tls";
+import http from "http";
+import https from "https";
+import path from "path";
+import dgram from "dgram";
+import crypto from "crypto";
+import { canonical, sha256Hex } from "./canonical.js";
+
+export const SINK_TYPES = ["webhook", "syslog", "file"];
+export const SYSLOG_PROTOCOLS = ["udp", "tcp", "tls"];
+export const EVENT_TYPES = {
+  entry: "solace.ledger.entry.v1",
+  writeFailed: "solace.ledger.write_failed.v1",
+};
+
+const DEFAULTS = {
+  source: "solace-core",
+  outbox_path: "data/solace-events.outbox.ndjson",
+  dead_letter_path: "data/solace-events.dead.ndjson",
+  max_attempts: 8,
+  retry_base_ms: 1000,
+  retry_max_ms: 300_000,
+};
+const SINK_ID = /^[A-Za-z0-9_.-]+$/;
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_IN_FLIGHT_PER_SINK = 8;
+// Rewrite the outbox without its settled events once this many were settled
+// since the last rewrite, however many are still pending.
+const COMPACT_AFTER_SETTLED = 500;
+// RFC 5424 example enterprise number (RFC 5612), for the structured data id.
+const SYSLOG_SD_ID = "solace@32473";
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+function isPositiveInteger(v) {
+  return Number.isInteger(v) && v > 0;
+}
+
+// ---------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------
+function normalizeSink(raw, i, env) {
+  const where = `sinks[${i}]`;
+  const invalid = (what) => new Error(`event_sinks_invalid: ${where}${what}`);
+
+  if (!isPlainObject(raw)) throw invalid(" must be an object");
+  if (!(typeof raw.sink_id === "string" && SINK_ID.test(raw.sink_id))) throw invalid(".sink_id must match [A-Za-z0-9_.-]+");
+  if (!SINK_TYPES.includes(raw.type)) throw invalid(`.type must be one of ${SINK_TYPES.join(", ")}`);
+  const timeoutMs = raw.timeout_ms ?? DEFAULT_TIMEOUT_MS;
+  if (!isPositiveInteger(timeoutMs)) throw invalid(".timeout_ms must be a positive integer");
+
+  if (raw.type === "webhook") {
+    let url;
+    try {
+      url = new URL(raw.url);
+    } catch {
+      throw invalid(".url must be an absolute URL");
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") throw invalid(".url must be http(s)");
+    if (!isNonEmptyString(raw.secret_env)) throw invalid(".secret_env is required");
+    // The secret itself never sits in the sink file.
+    if (!env[raw.secret_env]) throw invalid(`: ${raw.secret_env} is not set`);
+    return Object.freeze({ sink_id: raw.sink_id, type: "webhook", url: url.href, secret: env[raw.secret_env], timeout_ms: timeoutMs });
+  }
+
+  if (raw.type === "syslog") {
+    if (!isNonEmptyString(raw.host)) throw invalid(".host is required");
+    const protocol = raw.protocol ?? "udp";
+    if (!SYSLOG_PROTOCOLS.includes(protocol)) throw invalid(`.protocol must be one of ${SYSLOG_PROTOCOLS.join(", ")}`);
+    const port = raw.port ?? (protocol === "tls" ? 6514 : 514);
+    if (!(Number.isInteger(port) && port > 0 && port < 65536)) throw invalid(".port must be a TCP/UDP port");
+    const facility = raw.facility ?? 13; // log audit
+    if (!(Number.isInteger(facility) && facility >= 0 && facility <= 23)) throw invalid(".facility must be 0..23");
+    const appName = raw.app_name ?? "solace-core";
+    if (!/^[!-~]{1,48}$/.test(appName)) throw invalid(".app_name must be 1..48 printable ASCII characters");
+    if (raw.ca_path !== undefined && !isNonEmptyString(raw.ca_path)) throw invalid(".ca_path must be a path");
+    return Object.freeze({
+      sink_id: raw.sink_id,
+      type: "syslog",
+      host: raw.host,
+      port,
+      protocol,
+      facility,
+      app_name: appName,
+      ca: raw.ca_path ? fs.readFileSync(raw.ca_path, "utf8") : undefined,
+      timeout_ms: timeoutMs,
+    });
+  }
+
+  if (!isNonEmptyString(raw.path)) throw invalid(".path is required");
+  const maxBytes = raw.max_bytes ?? 10 * 1024 * 1024;
+  const maxFiles = raw.max_files ?? 5;
+  if (!isPositiveInteger(maxBytes)) throw invalid(".max_bytes must be a positive integer");
+  if (!isPositiveInteger(maxFiles)) throw invalid(".max_files must be a positive integer");
+  return Object.freeze({ sink_id: raw.sink_id, type: "file", path: path.resolve(raw.path), max_bytes: maxBytes, max_files: maxFiles });
+}
+
+// Normalized, frozen configuration; null when no sink is configured.
+export function createEventSinkConfig(raw, env = process.env) {
+  if (!isPlainObject(raw)) throw new Error("event_sinks_invalid: expected an object");
+  const unknown = Object.keys(raw).find((k) => k !== "sinks" && !(k in DEFAULTS));
+  if (unknown) throw new Error(`event_sinks_invalid: unknown field ${unknown}`);
+
+  const config = { ...DEFAULTS, ...raw };
+  if (!isNonEmptyString(config.source)) throw new Error("event_sinks_invalid: source must be a non-empty string");
+  for (const k of ["outbox_path", "dead_letter_path"]) {
+    if (!isNonEmptyString(config[k])) throw new Error(`event_sinks_invalid: ${k} must be a path`);
+  }
+  for (const k of ["max_attempts", "retry_base_ms", "retry_max_ms"]) {
+    if (!isPositiveInteger(config[k])) throw new Error(`event_sinks_invalid: ${k} must be a positive integer`);
+  }
+
+  if (!Array.isArray(config.sinks ?? [])) throw new Error("event_sinks_invalid: sinks must be an array");
+  const sinks = (config.sinks ?? []).map((s, i) => normalizeSink(s, i, env));
+  const ids = new Set();
+  for (const sink of sinks) {
+    if (ids.has(sink.sink_id)) throw new Error(`event_sinks_invalid: duplicate sink_id ${sink.sink_id}`);
+    ids.add(sink.sink_id);
+  }
+  if (sinks.length === 0) return null;
+
+  return Object.freeze({
+    source: config.source,
+    outbox_path: path.resolve(config.outbox_path),
+    dead_letter_path: path.resolve(config.dead_letter_path),
+    max_attempts: config.max_attempts,
+    retry_base_ms: config.retry_base_ms,
+    retry_max_ms: config.retry_max_ms,
+    sinks: Object.freeze(sinks),
+  });
+}
+
+export function loadEventSinksFromEnv(env = process.env) {
+  if (env.SOLACE_EVENT_SINKS_PATH) {
+    return createEventSinkConfig(JSON.parse(fs.readFileSync(env.SOLACE_EVENT_SINKS_PATH, "utf8")), env);
+  }
+  if (env.SOLACE_EVENT_SINKS_JSON) return createEventSinkConfig(JSON.parse(env.SOLACE_EVENT_SINKS_JSON), env);
+  return null;
+}
+
+// ---------------------------------------------------------------------
+// Events
+// ---------------------------------------------------------------------
+function cloudEvent({ id, source, type, subject, time, actor, data }) {
+  return {
+    specversion: "1.0",
+    id,
+    source,
+    type,
+    subject,
+    time,
+    datacontenttype: "application/json",
+    solaceactor: actor,
+    data,
+  };
+}
+
+// `row` as passed to ledger.insert, `written` its { id, entry_hash }.
+export function ledgerEntryEvent(row, written, { source, now = new Date() }) {
+  return cloudEvent({
+    id: written.entry_hash ?? sha256Hex(canonical({ decision_id: row.decision_id, at: now.toISOString() })),
+    source,
+    type: EVENT_TYPES.entry,
+    subject: row.decision_id ?? null,
+    time: now.toISOString(),
+    actor: row.actor_id ?? "-",
+    data: { ...row, ledger_id: written.id ?? null, entry_hash: written.entry_hash ?? null },
+  });
+}
+
+export function ledgerWriteFailedEvent(row, error, { source, now = new Date() }) {
+  return cloudEvent({
+    id: sha256Hex(canonical({ write_failed: row.decision_id ?? null, at: now.toISOString() })),
+    source,
+    type: EVENT_TYPES.writeFailed,
+    subject: row.decision_id ?? null,
+    time: now.toISOString(),
+    actor: row.actor_id ?? "-",
+    data: { row, error: String(error?.message || error) },
+  });
+}
+
+// ---------------------------------------------------------------------
+// Sinks
+// ---------------------------------------------------------------------
+export function signWebhookBody(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+function syslogSeverity(event) {
+  if (event.type === EVENT_TYPES.writeFailed) return 3; // error
+  const decision = event.data?.decision;
+  if (decision === "DENY") return 4; // warning
+  if (decision === "ESCALATE") return 5; // notice
+  return 6; // informational
+}
+
+function sdValue(v) {
+  return String(v ?? "-").replace(/[\\"\]]/g, (c) => `\\${c}`);
+}
+
+// RFC 5424: <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [SD] BOM MSG
+export function formatSyslogMessage(event, { facility, appName, hostname = os.hostname() }) {
+  const pri = facility * 8 + syslogSeverity(event);
+  const msgId = event.type === EVENT_TYPES.writeFailed ? "ledger-write-failed" : "ledger-entry";
+  const row = event.type === EVENT_TYPES.writeFailed ? event.data.row : event.data;
+  const sd =
+    `[${SYSLOG_SD_ID} event_id="${sdValue(event.id)}" decision_id="${sdValue(row?.decision_id)}"` +
+    ` decision="${sdValue(row?.decision)}" reason="${sdValue(row?.reason)}" actor="${sdValue(event.solaceactor)}"]`;
+  const host = String(hostname || "-").replace(/[^!-~]/g, "").slice(0, 255) || "-";
+  return `<${pri}>1 ${event.time} ${host} ${appName} ${process.pid} ${msgId} ${sd} \uFEFF${JSON.stringify(event)}`;
+}
+
+function deliverWebhook(sink, event) {
+  const body = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const client = sink.url.startsWith("https:") ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(sink.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/cloudevents+json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(body),
+        "X-Solace-Timestamp": timestamp,
+        "X-Solace-Signature": signWebhookBody(sink.secret, timestamp, body),
+      },
+      timeout: sink.timeout_ms,
+    });
+    req.on("timeout", () => req.destroy(new Error("webhook_timeout")));
+    req.on("error", reject);
+    req.on("response", (res) => {
+      res.resume();
+      if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+      else reject(new Error(`webhook_status_${res.statusCode}`));
+    });
+    req.end(body);
+  });
+}
+
+function deliverSyslog(sink, event) {
+  const message = formatSyslogMessage(event, { facility: sink.facility, appName: sink.app_name });
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let socket;
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (sink.protocol === "udp") socket.close();
+      else socket.destroy();
+      if (err) reject(err);
+      else resolve();
+    };
+    const timer = setTimeout(() => finish(new Error("syslog_timeout")), sink.timeout_ms);
+
+    if (sink.protocol === "udp") {
+      socket = dgram.createSocket(net.isIPv6(sink.host) ? "udp6" : "udp4");
+      socket.on("error", finish);
+      socket.send(Buffer.from(message), sink.port, sink.host, (err) => finish(err));
+      return;
+    }
+
+    // Delivered once the frame is flushed to the collector's connection.
+    const frame = `${Buffer.byteLength(message)} ${message}`;
+    socket =
+      sink.protocol === "tls"
+        ? tls.connect({ host: sink.host, port: sink.port, servername: sink.host, ca: sink.ca })
+        : net.connect({ host: sink.host, port: sink.port });
+    socket.on("error", finish);
+    socket.once(sink.protocol === "tls" ? "secureConnect" : "connect", () => socket.end(frame, () => finish()));
+  });
+}
+
+function rotateFile(sink) {
+  for (let n = sink.max_files - 1; n >= 1; n--) {
+    if (fs.existsSync(`${sink.path}.${n}`)) fs.renameSync(`${sink.path}.${n}`, `${sink.path}.${n + 1}`);
+  }
+  fs.renameSync(sink.path, `${sink.path}.1`);
+}
+
+function deliverFile(sink, event) {
+  const line = JSON.stringify(event) + "\n";
+  fs.mkdirSync(path.dirname(sink.path), { recursive: true });
+  const size = fs.existsSync(sink.path) ? fs.statSync(sink.path).size : 0;
+  if (size > 0 && size + Buffer.byteLength(line) > sink.max_bytes) rotateFile(sink);
+  appendDurably(sink.path, line);
+  return Promise.resolve();
+}
+
+const DELIVER = { webhook: deliverWebhook, syslog: deliverSyslog, file: deliverFile };
+
+// ---------------------------------------------------------------------
+// Outbox
+// ---------------------------------------------------------------------
+function appendDurably(filePath, text) {
+  const fd = fs.openSync(filePath, "a");
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Outbox records: { op: "event", seq, event }, { op: "done", seq, sink_id, outcome }
+// and { op: "mark", seq } (highest seq issued; keeps solacesequence rising
+// across compactions).
+// A torn last line (crash mid-append) is dropped; any other bad line stops Core.
+function readOutbox(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const lines = fs.readFileSync(filePath, "utf8").split("\n");
+  const records = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      if (i !== lines.length - 1) throw new Error(`event_outbox_corrupt: ${filePath} line ${i + 1}`);
+      console.warn(`[EVENTS] dropping torn outbox line ${i + 1}`);
+    }
+  });
+  return records;
+}
+
+// createEventOutbox(config, { onOutcome })
+//   outbox.enqueue(event)  appends the event (fsync) and schedules delivery;
+//                          throws if the outbox cannot be written
+//   outbox.pending()       events not yet settled for every sink
+// onOutcome({ sink_id, type, outcome: "delivered" | "retry" | "dead_lettered", error })
+export function createEventOutbox(config, { onOutcome = () => {} } = {}) {
+  fs.mkdirSync(path.dirname(config.outbox_path), { recursive: true });
+  fs.mkdirSync(path.dirname(config.dead_letter_path), { recursive: true });
+
+  const sinkIds = config.sinks.map((s) => s.sink_id);
+  const pending = new Map(); // seq -> { event, remaining: Set(sink_id), outcomes: Map(sink_id -> outcome) }
+  const sinks = config.sinks.map((spec) => ({
+    spec,
+    queues: new Map(), // actor -> [seq] in outbox order
+    inFlight: new Set(), // actors with a delivery under way
+    attempts: new Map(), // seq -> { count, nextAtMs, lastError }
+  }));
+  let nextSeq = 1;
+  let settledSinceCompaction = 0;
+  let timer = null;
+
+  function queue(sink, seq, actor) {
+    if (!sink.queues.has(actor)) sink.queues.set(actor, []);
+    sink.queues.get(actor).push(seq);
+  }
+
+  // Resume: every event with a sink not yet settled, in sequence order.
+  const done = new Map(); // seq -> Map(sink_id -> outcome)
+  const events = new Map();
+  for (const record of readOutbox(config.outbox_path)) {
+    if (record.op === "event") events.set(record.seq, record.event);
+    if (record.op === "done") {
+      if (!done.has(record.seq)) done.set(record.seq, new Map());
+      done.get(record.seq).set(record.sink_id, record.outcome);
+    }
+    if (Number.isInteger(record.seq)) nextSeq = Math.max(nextSeq, record.seq + 1);
+  }
+  for (const seq of [...events.keys()].sort((a, b) => a - b)) {
+    const remaining = new Set(sinkIds.filter((id) => !done.get(seq)?.has(id)));
+    if (remaining.size === 0) continue;
+    const outcomes = new Map([...(done.get(seq) ?? [])].filter(([id]) => sinkIds.includes(id)));
+    pending.set(seq, { event: events.get(seq), remaining, outcomes });
+    for (const sink of sinks) {
+      if (remaining.has(sink.spec.sink_id)) queue(sink, seq, events.get(seq).solaceactor);
+    }
+  }
+  rewriteOutbox();
+
+  // Keep only what is still pending, in sequence order (temp file + rename),
+  // with the outcome each settled sink recorded.
+  // Synchronous, so no append can land between the write and the rename.
+  function rewriteOutbox() {
+    const lines = [JSON.stringify({ op: "mark", seq: nextSeq - 1 })];
+    for (const [seq, { event, outcomes }] of pending) {
+      lines.push(JSON.stringify({ op: "event", seq, event }));
+      for (const [id, outcome] of outcomes) lines.push(JSON.stringify({ op: "done", seq, sink_id: id, outcome }));
+    }
+    const tmp = `${config.outbox_path}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, lines.join("\n") + "\n");
+    fs.renameSync(tmp, config.outbox_path);
+    settledSinceCompaction = 0;
+  }
+
+  function backoffMs(count) {
+    return Math.min(config.retry_max_ms, config.retry_base_ms * 2 ** (count - 1));
+  }
+
+  function settle(sink, actor, seq, outcome) {
+    try {
+      appendDurably(config.outbox_path, JSON.stringify({ op: "done", seq, sink_id: sink.spec.sink_id, outcome }) + "\n");
+    } catch (e) {
+      // Not fatal: after a restart the event is delivered again (at least once).
+      console.error("[EVENTS] outbox settle failed:", String(e?.message || e));
+    }
+    const q = sink.queues.get(actor);
+    q.shift();
+    if (q.length === 0) sink.queues.delete(actor);
+    sink.attempts.delete(seq);
+
+    const entry = pending.get(seq);
+    entry.remaining.delete(sink.spec.sink_id);
+    entry.outcomes.set(sink.spec.sink_id, outcome);
+    if (entry.remaining.size > 0) return;
+    pending.delete(seq);
+    settledSinceCompaction += 1;
+    if (settledSinceCompaction >= COMPACT_AFTER_SETTLED) {
+      try {
+        rewriteOutbox();
+      } catch (e) {
+        console.error("[EVENTS] outbox compaction failed:", String(e?.message || e));
+      }
+    }
+  }
+
+  async function deliverOne(sink, actor, seq) {
+    const { event } = pending.get(seq);
+    const { sink_id, type } = sink.spec;
+    try {
+      await DELIVER[type](sink.spec, event);
+      settle(sink, actor, seq, "delivered");
+      onOutcome({ sink_id, type, outcome: "delivered" });
+      return;
+    } catch (e) {
+      const error = String(e?.message || e);
+      const count = (sink.attempts.get(seq)?.count ?? 0) + 1;
+      if (count < config.max_attempts) {
+        sink.attempts.set(seq, { count, nextAtMs: Date.now() + backoffMs(count), lastError: error });
+        onOutcome({ sink_id, type, outcome: "retry", error });
+        return;
+      }
+      try {
+        appendDurably(
+          config.dead_letter_path,
+          JSON.stringify({ sink_id, attempts: count, last_error: error, dead_lettered_at: new Date().toISOString(), event }) + "\n"
+        );
+      } catch (dlq) {
+        // Keep the event queued rather than lose it.
+        console.error("[EVENTS] dead-letter write failed:", String(dlq?.message || dlq));
+        sink.attempts.set(seq, { count, nextAtMs: Date.now() + config.retry_max_ms, lastError: error });
+        return;
+      }
+      console.error(`[EVENTS] dead-lettered ${event.id} for ${sink_id} after ${count} attempts: ${error}`);
+      settle(sink, actor, seq, "dead_lettered");
+      onOutcome({ sink_id, type, outcome: "dead_lettered", error });
+    }
+  }
+
+  // Start every queue head that is due; sleep until the earliest retry.
+  function pump() {
+    const nowMs = Date.now();
+    let wakeAtMs = Infinity;
+    for (const sink of sinks) {
+      for (const [actor, q] of sink.queues) {
+        if (sink.inFlight.has(actor)) continue;
+        if (sink.inFlight.size >= MAX_IN_FLIGHT_PER_SINK) break;
+        const due = sink.attempts.get(q[0])?.nextAtMs ?? 0;
+        if (due > nowMs) {
+          wakeAtMs = Math.min(wakeAtMs, due);
+          continue;
+        }
+        sink.inFlight.add(actor);
+        deliverOne(sink, actor, q[0]).finally(() => {
+          sink.inFlight.delete(actor);
+          schedule(0);
+        });
+      }
+    }
+    if (wakeAtMs !== Infinity) schedule(wakeAtMs - nowMs);
+  }
+
+  function schedule(delayMs) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(0, delayMs));
+    // Pending deliveries never keep the process alive; the outbox resumes them.
+    timer.unref();
+  }
+
+  if (pending.size) schedule(0);
+
+  return {
+    sinks: config.sinks.map((s) => ({ sink_id: s.sink_id, type: s.type })),
+
+    enqueue(event) {
+      const seq = nextSeq;
+      const record = { ...event, solacesequence: seq };
+      appendDurably(config.outbox_path, JSON.stringify({ op: "event", seq, event: record }) + "\n");
+      nextSeq += 1;
+      pending.set(seq, { event: record, remaining: new Set(sinkIds), outcomes: new Map() });
+      for (const sink of sinks) queue(sink, seq, record.solaceactor);
+      schedule(0);
+      return seq;
+    },
+
+    pending() {
+      return pending.size;
+    },
+  };
+}
@@ -0,0 +1,194 @@
+// events.test.js
+// Event outbox: per-actor order, retries, dead-lettering, resume and compaction
+// (file sinks in a temporary directory).
+
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import crypto from "crypto";
+import os from "os";
+import path from "path";
+import { createEventOutbox, createEventSinkConfig, signWebhookBody } from "./events.js";
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "solace-events-"));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function configFor(sinkPath, extra = {}) {
+  return createEventSinkConfig({
+    outbox_path: path.join(dir, "outbox.ndjson"),
+    dead_letter_path: path.join(dir, "dead.ndjson"),
+    retry_base_ms: 5,
+    retry_max_ms: 20,
+    ...extra,
+    sinks: [{ sink_id: "f", type: "file", path: sinkPath }],
+  });
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").trim().split("\n").filter(Boolean).map((l) => JSON.parse(l));
+}
+
+async function drained(outbox, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  while (outbox.pending() > 0) {
+    if (Date.now() > until) throw new Error(`outbox still has ${outbox.pending()} pending`);
+    await new Promise((r) => setTimeout(r, 5));
+  }
+}
+
+const event = (id, actor) => ({ id, solaceactor: actor, type: "solace.ledger.entry.v1", data: {} });
+
+function assertActorOrder(delivered) {
+  const last = new Map();
+  for (const e of delivered) {
+    assert.ok((last.get(e.solaceactor) ?? 0) < e.solacesequence, `${e.id} out of order`);
+    last.set(e.solaceactor, e.solacesequence);
+  }
+}
+
+test("delivers every event once, in order per actor, with rising solacesequence", async () => {
+  const sinkPath = path.join(dir, "events.ndjson");
+  const outbox = createEventOutbox(configFor(sinkPath));
+  const seqs = [];
+  for (let i = 0; i < 30; i++) seqs.push(outbox.enqueue(event(`e${i}`, `a${i % 3}`)));
+  assert.deepEqual(seqs, Array.from({ length: 30 }, (_, i) => i + 1));
+
+  await drained(outbox);
+  const delivered = readLines(sinkPath);
+  assert.equal(new Set(delivered.map((e) => e.id)).size, 30);
+  assertActorOrder(delivered);
+});
+
+test("a failing sink is retried and keeps each actor's order", async () => {
+  // The sink directory is a file until the sink "recovers".
+  const blocked = path.join(dir, "sink");
+  fs.writeFileSync(blocked, "");
+  const sinkPath = path.join(blocked, "events.ndjson");
+  const outcomes = [];
+  const outbox = createEventOutbox(configFor(sinkPath, { max_attempts: 100 }), {
+    onOutcome: ({ outcome }) => outcomes.push(outcome),
+  });
+  for (let i = 0; i < 6; i++) outbox.enqueue(event(`e${i}`, `a${i % 2}`));
+
+  await new Promise((r) => setTimeout(r, 50));
+  fs.rmSync(blocked);
+  await drained(outbox);
+
+  assert.ok(outcomes.includes("retry"));
+  const delivered = readLines(sinkPath);
+  assert.deepEqual(delivered.map((e) => e.id).sort(), ["e0", "e1", "e2", "e3", "e4", "e5"]);
+  assertActorOrder(delivered);
+});
+
+test("after max_attempts the event is dead-lettered and the queue moves on", async () => {
+  const blocked = path.join(dir, "sink");
+  fs.writeFileSync(blocked, "");
+  const outbox = createEventOutbox(configFor(path.join(blocked, "events.ndjson"), { max_attempts: 2 }));
+  outbox.enqueue(event("e0", "a0"));
+  outbox.enqueue(event("e1", "a0"));
+
+  await drained(outbox);
+  const dead = readLines(path.join(dir, "dead.ndjson"));
+  assert.deepEqual(dead.map((d) => d.event.id), ["e0", "e1"]);
+  assert.equal(dead[0].sink_id, "f");
+  assert.equal(dead[0].attempts, 2);
+});
+
+test("a restart resumes unsettled events and continues the sequence", async () => {
+  const outboxPath = path.join(dir, "outbox.ndjson");
+  const sinkPath = path.join(dir, "events.ndjson");
+  // As left by a previous run: e1 delivered, e2 and e3 not.
+  fs.writeFileSync(
+    outboxPath,
+    [
+      { op: "event", seq: 1, event: { ...event("e1", "a0"), solacesequence: 1 } },
+      { op: "event", seq: 2, event: { ...event("e2", "a0"), solacesequence: 2 } },
+      { op: "done", seq: 1, sink_id: "f", outcome: "delivered" },
+      { op: "event", seq: 3, event: { ...event("e3", "a1"), solacesequence: 3 } },
+    ]
+      .map((r) => JSON.stringify(r))
+      .join("\n") + "\n"
+  );
+
+  const outbox = createEventOutbox(configFor(sinkPath));
+  assert.equal(outbox.pending(), 2);
+  assert.equal(outbox.enqueue(event("e4", "a0")), 4);
+
+  await drained(outbox);
+  assert.deepEqual(readLines(sinkPath).map((e) => e.id).sort(), ["e2", "e3", "e4"]);
+});
+
+test("a torn last outbox line is dropped; a corrupt earlier line stops the outbox", async () => {
+  const outboxPath = path.join(dir, "outbox.ndjson");
+  const sinkPath = path.join(dir, "events.ndjson");
+  fs.writeFileSync(outboxPath, JSON.stringify({ op: "mark", seq: 7 }) + "\n{\"op\":\"ev");
+  const outbox = createEventOutbox(configFor(sinkPath));
+  assert.equal(outbox.enqueue(event("e8", "a0")), 8);
+  await drained(outbox);
+
+  fs.writeFileSync(outboxPath, "not json\n" + JSON.stringify({ op: "mark", seq: 1 }) + "\n");
+  assert.throws(() => createEventOutbox(configFor(sinkPath)), /event_outbox_corrupt/);
+});
+
+test("the outbox is compacted while events are still pending", async () => {
+  const outboxPath = path.join(dir, "outbox.ndjson");
+  // The first outbox record is a mark; past seq 0 it was written by a compaction.
+  const firstRecord = () => JSON.parse(fs.readFileSync(outboxPath, "utf8").split("\n", 1)[0]);
+  let compactedWhilePending = false;
+  const outbox = createEventOutbox(configFor(path.join(dir, "events.ndjson")), {
+    onOutcome: () => {
+      if (outbox.pending() > 0 && firstRecord().seq > 0) compactedWhilePending = true;
+    },
+  });
+  // Enqueued before any delivery runs: compaction happens with the rest pending.
+  for (let i = 0; i < 600; i++) outbox.enqueue(event(`e${i}`, `a${i % 4}`));
+
+  await drained(outbox, 20_000);
+  assert.equal(compactedWhilePending, true);
+  const records = readLines(outboxPath);
+  assert.deepEqual(records[0], { op: "mark", seq: 600 });
+  assert.ok(records.length < 600, `outbox kept ${records.length} records`);
+});
+
+test("compaction keeps the outcome each sink settled with", async () => {
+  const outboxPath = path.join(dir, "outbox.ndjson");
+  // As left by a previous run: e1 dead-lettered for sink "d", not yet delivered to "f".
+  fs.writeFileSync(
+    outboxPath,
+    [
+      { op: "event", seq: 1, event: { ...event("e1", "a0"), solacesequence: 1 } },
+      { op: "done", seq: 1, sink_id: "d", outcome: "dead_lettered" },
+    ]
+      .map((r) => JSON.stringify(r))
+      .join("\n") + "\n"
+  );
+  const config = createEventSinkConfig({
+    outbox_path: outboxPath,
+    dead_letter_path: path.join(dir, "dead.ndjson"),
+    sinks: [
+      { sink_id: "d", type: "file", path: path.join(dir, "d.ndjson") },
+      { sink_id: "f", type: "file", path: path.join(dir, "f.ndjson") },
+    ],
+  });
+
+  // Opening the outbox compacts it.
+  const outbox = createEventOutbox(config);
+  assert.deepEqual(readLines(outboxPath).slice(1), [
+    { op: "event", seq: 1, event: { ...event("e1", "a0"), solacesequence: 1 } },
+    { op: "done", seq: 1, sink_id: "d", outcome: "dead_lettered" },
+  ]);
+  await drained(outbox);
+  assert.deepEqual(readLines(path.join(dir, "d.ndjson")), []);
+  assert.deepEqual(readLines(path.join(dir, "f.ndjson")).map((e) => e.id), ["e1"]);
+});
+
+test("webhook signatures are HMAC-SHA256 over \"<timestamp>.<body>\"", () => {
+  const expected = crypto.createHmac("sha256", "s3cret").update("1700000000.{}").digest("hex");
+  assert.equal(signWebhookBody("s3cret", "1700000000", "{}"), `sha256=${expected}`);
+});
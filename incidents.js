@@ -0,0 +1,203 @@
+// incidents.js
+// Incident detector — rule-based alerts over the stream of recorded decisions
+// DETERMINISTIC: the same decisions at the same times raise the same
+// incidents with the same incident_ids. ADVISORY: an incident never changes
+// a decision; a malformed rule file stops Core from starting.
+//
+// SOLACE_INCIDENTS_PATH (JSON file) or SOLACE_INCIDENTS_JSON (inline):
+// {
+//   "deny_retries": { "threshold": 5, "window_seconds": 600 },   // null disables
+//   "spikes": [
+//     { "rule_id": "deny-spike", "decision": "DENY", "per": "intent",
+//       "threshold": 50, "window_seconds": 60 }
+//   ]
+// }
+// Without configuration: deny_retries { threshold 5, window 600 s }, no spikes.
+//
+// Rules:
+//   repeated_deny_retries  one actor was DENIED the same intent_hash
+//                          `threshold` times within the window
+//   decision_spike         `threshold` decisions of one kind (per intent, or
+//                          globally) within the window
+// A rule raises at most one incident per key and window: once raised, the
+// key is quiet until a full window has passed.
+//
+// Incident (detector.observe → [incident]):
+// {
+//   incident_id    "inc_<24 hex>", from the rule, key and first counted decision
+//   rule, rule_id, detected_at, threshold, window_seconds, count,
+//   actor_id, intent, intent_hash, decision (whichever the rule keys on),
+//   decision_ids   the decisions counted (entry_hash for legacy rows without
+//                  a decision_id)
+// }
+
+import fs from "fs";
+import { canonical, sha256Hex } from "./canonical.js";
+
+export const INCIDENT_RULES = ["repeated_deny_retries", "decision_spike"];
+
+const DEFAULT_RULES = { deny_retries: { threshold: 5, window_seconds: 600 }, spikes: [] };
+const SPIKE_DECISIONS = ["PERMIT", "DENY", "ESCALATE"];
+const SPIKE_PARTITIONS = ["intent", "global"];
+const SWEEP_EVERY = 256;
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isPositiveInteger(v) {
+  return Number.isInteger(v) && v > 0;
+}
+
+// ---------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------
+function checkWindow(rule, where) {
+  if (!isPositiveInteger(rule.threshold)) throw new Error(`incident_rules_invalid: ${where}.threshold must be a positive integer`);
+  if (!isPositiveInteger(rule.window_seconds)) {
+    throw new Error(`incident_rules_invalid: ${where}.window_seconds must be a positive integer`);
+  }
+}
+
+// Normalized, frozen rules; throws on anything ambiguous.
+export function createIncidentRules(raw) {
+  if (!isPlainObject(raw)) throw new Error("incident_rules_invalid: expected an object");
+  const unknown = Object.keys(raw).find((k) => !(k in DEFAULT_RULES));
+  if (unknown) throw new Error(`incident_rules_invalid: unknown field ${unknown}`);
+
+  let denyRetries = raw.deny_retries === undefined ? DEFAULT_RULES.deny_retries : raw.deny_retries;
+  if (denyRetries !== null) {
+    if (!isPlainObject(denyRetries)) throw new Error("incident_rules_invalid: deny_retries must be an object or null");
+    checkWindow(denyRetries, "deny_retries");
+    denyRetries = Object.freeze({ threshold: denyRetries.threshold, window_seconds: denyRetries.window_seconds });
+  }
+
+  const spikes = raw.spikes ?? [];
+  if (!Array.isArray(spikes)) throw new Error("incident_rules_invalid: spikes must be an array");
+  const ids = new Set();
+  const normalizedSpikes = spikes.map((spike, i) => {
+    const where = `spikes[${i}]`;
+    if (!isPlainObject(spike)) throw new Error(`incident_rules_invalid: ${where} must be an object`);
+    if (typeof spike.rule_id !== "string" || !spike.rule_id.trim()) {
+      throw new Error(`incident_rules_invalid: ${where}.rule_id is required`);
+    }
+    if (ids.has(spike.rule_id)) throw new Error(`incident_rules_invalid: duplicate rule_id ${spike.rule_id}`);
+    ids.add(spike.rule_id);
+    if (!SPIKE_DECISIONS.includes(spike.decision)) {
+      throw new Error(`incident_rules_invalid: ${where}.decision must be one of ${SPIKE_DECISIONS.join(", ")}`);
+    }
+    const per = spike.per ?? "global";
+    if (!SPIKE_PARTITIONS.includes(per)) {
+      throw new Error(`incident_rules_invalid: ${where}.per must be one of ${SPIKE_PARTITIONS.join(", ")}`);
+    }
+    checkWindow(spike, where);
+    return Object.freeze({
+      rule_id: spike.rule_id,
+      decision: spike.decision,
+      per,
+      threshold: spike.threshold,
+      window_seconds: spike.window_seconds,
+    });
+  });
+
+  return Object.freeze({ deny_retries: denyRetries, spikes: Object.freeze(normalizedSpikes) });
+}
+
+export function loadIncidentRulesFromEnv(env = process.env) {
+  if (env.SOLACE_INCIDENTS_PATH) return createIncidentRules(JSON.parse(fs.readFileSync(env.SOLACE_INCIDENTS_PATH, "utf8")));
+  if (env.SOLACE_INCIDENTS_JSON) return createIncidentRules(JSON.parse(env.SOLACE_INCIDENTS_JSON));
+  return createIncidentRules({});
+}
+
+// ---------------------------------------------------------------------
+// Detector
+// ---------------------------------------------------------------------
+// observe(decision, now) takes a recorded decision { decision_id, decision,
+// actor_id, intent, intent_hash } and returns the incidents it raises.
+// State is in-process: each Core instance detects over what it recorded.
+export function createIncidentDetector(rules) {
+  const windows = new Map(); // key -> { windowMs, seen: [{ atMs, decisionId }] }
+  const quietUntil = new Map(); // key -> ms
+  let observed = 0;
+
+  function sweep(nowMs) {
+    for (const [key, w] of windows.entries()) {
+      const last = w.seen[w.seen.length - 1];
+      if (!last || last.atMs <= nowMs - w.windowMs) windows.delete(key);
+    }
+    for (const [key, until] of quietUntil.entries()) {
+      if (until <= nowMs) quietUntil.delete(key);
+    }
+  }
+
+  // Adds the decision to key's window; returns the window if it reached threshold.
+  function count(key, { threshold, window_seconds }, decisionId, nowMs) {
+    const windowMs = window_seconds * 1000;
+    const w = windows.get(key) ?? { windowMs, seen: [] };
+    w.seen = [...w.seen.filter((s) => s.atMs > nowMs - windowMs), { atMs: nowMs, decisionId }];
+    windows.set(key, w);
+
+    if (w.seen.length < threshold || (quietUntil.get(key) ?? 0) > nowMs) return null;
+    quietUntil.set(key, nowMs + windowMs);
+    const counted = w.seen;
+    windows.delete(key);
+    return counted;
+  }
+
+  function incident(rule, key, counted, limits, facts, now) {
+    return {
+      incident_id: `inc_${sha256Hex(canonical({ rule, key, first: counted[0].decisionId, at: counted[0].atMs })).slice(0, 24)}`,
+      rule,
+      detected_at: now.toISOString(),
+      threshold: limits.threshold,
+      window_seconds: limits.window_seconds,
+      count: counted.length,
+      ...facts,
+      decision_ids: counted.map((s) => s.decisionId),
+    };
+  }
+
+  return {
+    rules,
+
+    observe(decision, now = new Date()) {
+      const nowMs = now.getTime();
+      if (++observed % SWEEP_EVERY === 0) sweep(nowMs);
+      const raised = [];
+
+      const retries = rules.deny_retries;
+      if (retries && decision.decision === "DENY" && decision.actor_id && decision.intent_hash) {
+        const key = `repeated_deny_retries|${decision.actor_id}|${decision.intent_hash}`;
+        const counted = count(key, retries, decision.decision_id, nowMs);
+        if (counted) {
+          raised.push(
+            incident("repeated_deny_retries", key, counted, retries, {
+              rule_id: "deny_retries",
+              actor_id: decision.actor_id,
+              intent: decision.intent,
+              intent_hash: decision.intent_hash,
+              decision: "DENY",
+            }, now)
+          );
+        }
+      }
+
+      for (const spike of rules.spikes) {
+        if (decision.decision !== spike.decision) continue;
+        const key = `decision_spike|${spike.rule_id}|${spike.per === "intent" ? decision.intent : "*"}`;
+        const counted = count(key, spike, decision.decision_id, nowMs);
+        if (counted) {
+          raised.push(
+            incident("decision_spike", key, counted, spike, {
+              rule_id: spike.rule_id,
+              ...(spike.per === "intent" ? { intent: decision.intent } : {}),
+              decision: spike.decision,
+            }, now)
+          );
+        }
+      }
+
+      return raised;
+    },
+  };
+}
@@ -1,131 +1,445 @@
 #!/usr/bin/env node
+// issue.js
+// Acceptance issuer CLI — keys, signing and offline checks
+// Hashes come from canonical.js and signed material from acceptance.js, the
+// modules Core itself uses: what this signs is exactly what Core verifies.
+//
+// Usage:
+//   issue keygen  [--type rsa|ec|ed25519] [--out issuer] [--keystore] [--force]
+//   issue sign    <intent.json> <execute.json> <actorId> [--issuer ID]
+//                 [--signer SPEC | --key issuer.key] [--passphrase-file FILE]
+//                 [--ttl-minutes N] [--authority-key-id ID] [--jti NONCE] [--max-uses N]
+//                 [--decision-id dec_...] [--delegation chain.json]
+//   issue verify  <acceptance.json> <execute.json> (--pub key.pub | --keys registry.json)
+//                 [--intent intent.json] [--at ISO-time]
+//   issue hash    [--intent intent.json] [--execute execute.json]
+//   issue inspect <acceptance.json>
+//
+//   issue <intent.json> <execute.json> <actorId> [authorityKeyId] [...]   (sign, original form)
+//
+// Signing goes through signers.js. SPEC is pem:<file>, keystore:<file>,
+// process:<command> or pkcs11:<params> (default $SOLACE_ISSUER_SIGNER, else
+// pem:./issuer.key; --key F is pem:F). With process: and pkcs11: the private
+// key never enters this process. Keystore passphrases come from
+// --passphrase-file or $SOLACE_KEYSTORE_PASSPHRASE.
+//
+// Input files are parsed as Core parses request bodies: duplicate member
+// names and other non-canonicalizable JSON are refused.
+//
+// Exit code: 0 ok, 2 verification failed, 1 usage/input error.
+
 import fs from "fs";
 import crypto from "crypto";
+import {
+  ACCEPTANCE_ALGS,
+  MAX_ACCEPTANCE_USES,
+  acceptanceAuthorityKeyId,
+  acceptanceKeyAlg,
+  acceptanceMaterial,
+  acceptanceMaxUses,
+  acceptanceSigners,
+  acceptanceUseKey,
+  isQuorumAcceptance,
+  unsignedAcceptanceField,
+  verifyAcceptance,
+} from "./acceptance.js";
+import { CANON_ID, computeExecuteHash, computeIntentHash, isSupportedCanon, parseCanonicalJson } from "./canonical.js";
+import { delegationCertificateId, delegationRequest, followDelegation, hasDelegation } from "./delegation.js";
+import { keyScopeRequestForExecute } from "./key-scope.js";
+import { KEYSTORE_PASSPHRASE_ENV, createSigner, exportKeystore } from "./signers.js";
+import { describeViolations, intentNameOf, validateIntent } from "./schemas.js";
 
 // ------------------------------------------------------------
 // Config
 // ------------------------------------------------------------
-const ISSUER_ID = "human-board-1";
-const KEY_PATH = "./issuer.key";
-const TTL_MINUTES = 60;
+const DEFAULT_ISSUER_ID = "human-board-1";
+const DEFAULT_SIGNER = process.env.SOLACE_ISSUER_SIGNER || "pem:./issuer.key";
+// /v1/authority/evaluate refuses acceptance windows longer than this
+// (authority-engine.js); /v1/execute has no cap. The default window fits
+// both surfaces.
+const EVALUATE_MAX_WINDOW_MINUTES = 10;
+const DEFAULT_TTL_MINUTES = EVALUATE_MAX_WINDOW_MINUTES;
+
+const KEY_TYPES = {
+  rsa: ["rsa", { modulusLength: 2048 }],
+  ec: ["ec", { namedCurve: "prime256v1" }],
+  ed25519: ["ed25519", {}],
+};
 
 // ------------------------------------------------------------
 // Helpers
 // ------------------------------------------------------------
-function sha256(data) {
-  return crypto.createHash("sha256").update(data).digest("hex");
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
 }
 
-// Stable canonicalization (recursive, matches Core)
-function stableSort(value) {
-  if (value === null || value === undefined) return value;
-
-  if (Array.isArray(value)) {
-    return value.map(stableSort);
-  }
-
-  if (typeof value === "object") {
-    const out = {};
-    for (const k of Object.keys(value).sort()) {
-      out[k] = stableSort(value[k]);
-    }
-    return out;
+function readJson(filePath) {
+  try {
+    return parseCanonicalJson(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    return fail(`${filePath}: ${e.message}`);
   }
+}
 
+// Removes `--name value` from args and returns value (null if absent).
+function takeOption(args, name) {
+  const at = args.indexOf(name);
+  if (at === -1) return null;
+  const value = args[at + 1];
+  if (value === undefined || value.startsWith("--")) fail(`${name} needs a value`);
+  args.splice(at, 2);
   return value;
 }
 
-function canonical(obj) {
-  return JSON.stringify(stableSort(obj));
+function takeFlag(args, name) {
+  const at = args.indexOf(name);
+  if (at === -1) return false;
+  args.splice(at, 1);
+  return true;
 }
 
-// ------------------------------------------------------------
-// Load issuer private key
-// ------------------------------------------------------------
-const privateKey = fs.readFileSync(KEY_PATH, "utf8");
+function rejectUnknownOptions(args) {
+  const unknown = args.find((a) => a.startsWith("--"));
+  if (unknown) fail(`Unknown option: ${unknown}`);
+}
 
-// ------------------------------------------------------------
-// CLI input
-// ------------------------------------------------------------
-// Usage:
-//   issue <intent.json> <execute.json> <actorId> [authorityKeyId]
-//
-const [, , intentPath, executePath, actorId, authorityKeyId] = process.argv;
+function parseTime(v) {
+  const d = new Date(String(v || ""));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
 
-if (!intentPath || !executePath || !actorId) {
-  console.error("Usage: issue <intent.json> <execute.json> <actorId> [authorityKeyId]");
-  process.exit(1);
+function timeStatus(acceptance, at) {
+  const issued = parseTime(acceptance.issuedAt);
+  const expires = parseTime(acceptance.expiresAt);
+  if (!issued || !expires) return "invalid_timestamps";
+  if (at < issued) return "not_yet_valid";
+  if (at > expires) return "expired";
+  return "valid";
 }
 
-// ------------------------------------------------------------
-// Load intent + execution
-// ------------------------------------------------------------
-const intentObj = JSON.parse(fs.readFileSync(intentPath, "utf8"));
-const execute = JSON.parse(fs.readFileSync(executePath, "utf8"));
+// --passphrase-file (first line), else $SOLACE_KEYSTORE_PASSPHRASE, else null.
+function takePassphrase(args) {
+  const file = takeOption(args, "--passphrase-file");
+  if (file) return fs.readFileSync(file, "utf8").split("\n")[0];
+  return process.env[KEYSTORE_PASSPHRASE_ENV] || null;
+}
+
+function print(obj) {
+  console.log(JSON.stringify(obj, null, 2));
+}
 
 // ------------------------------------------------------------
-// Extract authority-bound intent identifier
+// keygen
 // ------------------------------------------------------------
-if (!intentObj.intent) {
-  console.error("intent.json missing required field: intent");
-  process.exit(1);
-}
+function keygen(args) {
+  const type = takeOption(args, "--type") ?? "rsa";
+  const out = takeOption(args, "--out") ?? "issuer";
+  const keystore = takeFlag(args, "--keystore");
+  const force = takeFlag(args, "--force");
+  const passphrase = takePassphrase(args);
+  rejectUnknownOptions(args);
+
+  if (!KEY_TYPES[type]) fail(`--type must be one of ${Object.keys(KEY_TYPES).join(", ")}`);
+  if (keystore && !passphrase) fail(`--keystore needs --passphrase-file or ${KEYSTORE_PASSPHRASE_ENV}`);
+  const keyPath = keystore ? `${out}.keystore` : `${out}.key`;
+  const pubPath = `${out}.pub`;
+  if (!force && (fs.existsSync(keyPath) || fs.existsSync(pubPath))) {
+    fail(`${keyPath} or ${pubPath} exists; pass --force to replace it`);
+  }
 
-const intent = intentObj.intent; // STRING ONLY (authoritative)
+  const [kind, params] = KEY_TYPES[type];
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(kind, params);
+
+  const privatePem = keystore
+    ? exportKeystore(privateKey, passphrase)
+    : privateKey.export({ type: "pkcs8", format: "pem" });
+  fs.writeFileSync(keyPath, privatePem, { mode: 0o600 });
+  fs.writeFileSync(pubPath, publicKey.export({ type: "spki", format: "pem" }));
+
+  print({
+    alg: acceptanceKeyAlg(publicKey),
+    private_key: keyPath,
+    public_key: pubPath,
+    signer: `${keystore ? "keystore" : "pem"}:${keyPath}`,
+  });
+}
 
 // ------------------------------------------------------------
-// Compute execution binding
+// sign
 // ------------------------------------------------------------
-const executeHash = sha256(canonical(execute));
+async function sign(args) {
+  const issuer = takeOption(args, "--issuer") ?? DEFAULT_ISSUER_ID;
+  const keyPath = takeOption(args, "--key");
+  const signerSpec = takeOption(args, "--signer");
+  const passphrase = takePassphrase(args);
+  const ttlArg = takeOption(args, "--ttl-minutes");
+  const ttlMinutes = Number(ttlArg ?? DEFAULT_TTL_MINUTES);
+  const authorityKeyIdOption = takeOption(args, "--authority-key-id");
+  const jti = takeOption(args, "--jti") ?? crypto.randomUUID();
+  const maxUsesArg = takeOption(args, "--max-uses");
+  const decisionId = takeOption(args, "--decision-id");
+  const delegationPath = takeOption(args, "--delegation");
+  rejectUnknownOptions(args);
+
+  // The original form passes authorityKeyId positionally.
+  const [intentPath, executePath, actorId, authorityKeyIdArg] = args;
+  const authorityKeyId = authorityKeyIdOption ?? authorityKeyIdArg ?? null;
+
+  if (!intentPath || !executePath || !actorId || args.length > 4) {
+    fail("Usage: issue sign <intent.json> <execute.json> <actorId> [options]  (see issue.js header)");
+  }
+  if (keyPath && signerSpec) fail("--key and --signer are exclusive (--key F is --signer pem:F)");
+  if (!(Number.isFinite(ttlMinutes) && ttlMinutes > 0)) fail("--ttl-minutes must be a positive number");
+  const maxUses = maxUsesArg === null ? null : Number(maxUsesArg);
+  if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= MAX_ACCEPTANCE_USES)) {
+    fail(`--max-uses must be an integer from 1 to ${MAX_ACCEPTANCE_USES}`);
+  }
+  if (!jti.trim()) fail("--jti must not be empty");
+  if (decisionId !== null && !/^dec_[A-Za-z0-9-]+$/.test(decisionId)) fail("--decision-id must be a decision id (dec_...)");
+  if (ttlMinutes > EVALUATE_MAX_WINDOW_MINUTES) {
+    console.error(`note: /v1/authority/evaluate refuses windows over ${EVALUATE_MAX_WINDOW_MINUTES} minutes`);
+  }
+
+  // Signing key: the issuer's, or the leaf delegate's for --delegation.
+  // The key decides the algorithm (RSA → RS256, P-256 → ES256, Ed25519 → EdDSA).
+  let signer;
+  try {
+    signer = createSigner(signerSpec ?? (keyPath ? `pem:${keyPath}` : DEFAULT_SIGNER), { passphrase });
+  } catch (e) {
+    fail(e.message);
+  }
+
+  const intentObj = readJson(intentPath);
+  const execute = readJson(executePath);
+
+  // Only sign what Core's /v1/execute would accept as an intent.
+  const schema = validateIntent(intentObj, {
+    allowed: ["intent.flat/1", "intent.action/1", "intent.structured/1"],
+    fallback: "intent.flat/1",
+    at: "",
+  });
+  if (schema.violations.length > 0) {
+    fail(`intent.json is not a valid ${schema.version || "intent"}: ${describeViolations(schema.violations)}`);
+  }
+
+  const issuedAt = new Date();
+  const acceptance = {
+    alg: signer.alg,
+    issuer,
+    actorId,
+    // Authority-bound intent identifier: a string, never the object
+    intent: intentNameOf(intentObj),
+    // Core recomputes executeHash from the payload it authorizes and refuses
+    // an acceptance naming a different one (execute_hash_mismatch).
+    executeHash: computeExecuteHash(execute),
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: new Date(issuedAt.getTime() + ttlMinutes * 60_000).toISOString(),
+    // Single-use identity: Core accepts (issuer, jti) at most max_uses times.
+    jti,
+    canon: CANON_ID,
+  };
+  if (maxUses !== null) acceptance.max_uses = maxUses;
+  if (authorityKeyId) acceptance.authorityKeyId = authorityKeyId;
+  if (decisionId !== null) acceptance.decisionId = decisionId;
+  if (delegationPath) acceptance.delegation = readJson(delegationPath);
+
+  try {
+    acceptance.signature = await signer.sign(acceptanceMaterial(acceptance, acceptance.executeHash));
+  } catch (e) {
+    fail(e.message);
+  }
+
+  print(acceptance);
+}
 
 // ------------------------------------------------------------
-// Temporal window
+// verify (offline)
 // ------------------------------------------------------------
-const issuedAt = new Date().toISOString();
-const expiresAt = new Date(Date.now() + TTL_MINUTES * 60_000).toISOString();
+// Signature, executeHash binding, time window and (with --intent) actor and
+// intent bindings. Registry state and delegation revocations are Core's to
+// check; --keys only maps authorityKeyId → public_key.
+async function verify(args) {
+  const pubPath = takeOption(args, "--pub");
+  const keysPath = takeOption(args, "--keys");
+  const intentPath = takeOption(args, "--intent");
+  const atArg = takeOption(args, "--at");
+  rejectUnknownOptions(args);
+
+  const [acceptancePath, executePath] = args;
+  if (!acceptancePath || !executePath || (!pubPath && !keysPath)) {
+    fail("Usage: issue verify <acceptance.json> <execute.json> (--pub key.pub | --keys registry.json) [--intent intent.json] [--at time]");
+  }
+  const at = atArg ? parseTime(atArg) : new Date();
+  if (!at) fail("--at must be an ISO timestamp");
+
+  const acceptance = readJson(acceptancePath);
+  const executeHash = computeExecuteHash(readJson(executePath));
+  const intentObj = intentPath ? readJson(intentPath) : null;
+
+  const publicKeyPem = pubPath ? fs.readFileSync(pubPath, "utf8") : null;
+  const registry = keysPath ? readJson(keysPath) : [];
+  if (!Array.isArray(registry)) fail("--keys must be a JSON array of registry rows");
+  const registryById = new Map(registry.map((row) => [String(row.id), row]));
+
+  const resolveKey = async (authorityKeyId, view) => {
+    const row = authorityKeyId ? registryById.get(authorityKeyId) : null;
+    let root;
+    if (row) root = { ok: true, publicKeyPem: row.public_key, row };
+    else if (publicKeyPem) root = { ok: true, publicKeyPem };
+    else root = { ok: false, reason: "authority_key_not_found" };
+
+    return followDelegation(root, view, {
+      request: delegationRequest(keyScopeRequestForExecute(intentObj), intentObj),
+      now: at,
+      isRevoked: async () => false,
+    });
+  };
+
+  const signature = await verifyAcceptance(acceptance, { executeHash, resolveKey });
+  const checks = {
+    signature: signature.ok ? "ok" : signature.reason,
+    time_window: timeStatus(acceptance, at),
+  };
+  if (intentObj) {
+    checks.actor_binding = String(acceptance.actorId) === String(intentObj.actor?.id) ? "ok" : "actor_binding_mismatch";
+    checks.intent_binding =
+      String(acceptance.intent) === String(intentNameOf(intentObj)) ? "ok" : "intent_binding_mismatch";
+  }
+
+  const ok = Object.values(checks).every((v) => v === "ok" || v === "valid");
+  print({
+    ok,
+    execute_hash: executeHash,
+    checked_at: at.toISOString(),
+    checks,
+    signer_key_ids: signature.ok ? signature.signers.map((s) => s.authorityKeyId).filter(Boolean) : [],
+    ...(hasDelegation(acceptance) ? { delegation: signature.delegation ?? null, revocation: "not_checked_offline" } : {}),
+  });
+  process.exit(ok ? 0 : 2);
+}
 
 // ------------------------------------------------------------
-// Canonical material to sign
+// hash
 // ------------------------------------------------------------
-const materialPayload = {
-  issuer: ISSUER_ID,
-  actorId,
-  intent,
-  executeHash,
-  issuedAt,
-  expiresAt
-};
+// /v1/execute binds execute_hash of the execute payload; evaluate binds the
+// hash of the structured intent itself (its intent_hash).
+function hash(args) {
+  const intentPath = takeOption(args, "--intent");
+  const executePath = takeOption(args, "--execute");
+  rejectUnknownOptions(args);
+  if ((!intentPath && !executePath) || args.length > 0) {
+    fail("Usage: issue hash [--intent intent.json] [--execute execute.json]");
+  }
 
-// If registry-backed, bind key ID into signed material
-if (authorityKeyId) {
-  materialPayload.authorityKeyId = authorityKeyId;
+  const out = {};
+  if (intentPath) out.intent_hash = computeIntentHash(readJson(intentPath));
+  if (executePath) out.execute_hash = computeExecuteHash(readJson(executePath));
+  print(out);
 }
 
-const material = canonical(materialPayload);
-
 // ------------------------------------------------------------
-// Sign
+// inspect
 // ------------------------------------------------------------
-const signature = crypto
-  .createSign("SHA256")
-  .update(material)
-  .sign(privateKey, "base64");
+// Fields the signature covers, or null if the material is not canonicalizable.
+function signedFields(acceptance) {
+  try {
+    return Object.keys(JSON.parse(acceptanceMaterial(acceptance, "<executeHash>")));
+  } catch {
+    return null;
+  }
+}
+
+function inspect(args) {
+  rejectUnknownOptions(args);
+  const [acceptancePath] = args;
+  if (!acceptancePath || args.length > 1) fail("Usage: issue inspect <acceptance.json>");
+
+  const acceptance = readJson(acceptancePath);
+  const now = new Date();
+  const problems = [];
+
+  const quorum = isQuorumAcceptance(acceptance);
+  const signers = quorum ? acceptanceSigners(acceptance) : null;
+  if (quorum && !signers) problems.push("invalid_quorum_signatures");
+  if (!quorum && !ACCEPTANCE_ALGS.includes(acceptance.alg)) problems.push("unsupported_acceptance_algorithm");
+  if (!quorum && !acceptance.signature) problems.push("missing_signature");
+  if (typeof acceptance.jti !== "string" || !acceptance.jti.trim()) problems.push("missing_acceptance_jti");
+  if (acceptanceMaxUses(acceptance) === null) problems.push("invalid_acceptance_max_uses");
+  if (!isSupportedCanon(acceptance.canon)) problems.push("unsupported_canonicalization");
+  const fields = signedFields(acceptance);
+  if (!fields) problems.push("acceptance_not_canonical");
+  const unsigned = unsignedAcceptanceField(acceptance);
+  if (unsigned) problems.push("unsigned_acceptance_field");
+
+  const issued = parseTime(acceptance.issuedAt);
+  const expires = parseTime(acceptance.expiresAt);
+  const windowSeconds = issued && expires ? Math.round((expires - issued) / 1000) : null;
+  if (windowSeconds !== null && windowSeconds > EVALUATE_MAX_WINDOW_MINUTES * 60) {
+    problems.push("window_too_long_for_evaluate");
+  }
+
+  const authorityKeyId = acceptanceAuthorityKeyId(acceptance);
+  let kind = "single";
+  if (quorum) kind = "quorum";
+  else if (hasDelegation(acceptance)) kind = "delegated";
+
+  print({
+    kind,
+    issuer: acceptance.issuer ?? null,
+    actor_id: acceptance.actorId ?? null,
+    intent: acceptance.intent ?? null,
+    jti: acceptance.jti ?? null,
+    max_uses: acceptanceMaxUses(acceptance),
+    decision_id: acceptance.decisionId ?? null,
+    use_key: acceptance.issuer && acceptance.jti ? acceptanceUseKey(acceptance) : null,
+    key: quorum
+      ? "each signer's registry key"
+      : authorityKeyId
+        ? `registry key ${authorityKeyId}`
+        : "legacy issuer key (/v1/execute) or the actor's registered key (/v1/authority/evaluate)",
+    alg: quorum ? null : acceptance.alg ?? null,
+    signers: signers ? signers.map((s) => ({ authority_key_id: s.authorityKeyId, alg: s.alg })) : null,
+    delegation: Array.isArray(acceptance.delegation)
+      ? acceptance.delegation.map((cert) => ({
+          certificate_id: delegationCertificateId(cert),
+          delegator: cert?.delegator ?? null,
+          delegate_key_id: cert?.delegate?.key_id ?? null,
+          delegate_principal_id: cert?.delegate?.principal_id ?? null,
+          intents: cert?.intents ?? null,
+          max_amount_usd: cert?.max_amount_usd ?? null,
+          max_risk_tier: cert?.max_risk_tier ?? null,
+          valid_from: cert?.valid_from ?? null,
+          valid_until: cert?.valid_until ?? null,
+          max_depth: cert?.max_depth ?? null,
+        }))
+      : null,
+    issued_at: acceptance.issuedAt ?? null,
+    expires_at: acceptance.expiresAt ?? null,
+    window_seconds: windowSeconds,
+    status_now: timeStatus(acceptance, now),
+    execute_hash_claimed: acceptance.executeHash ?? null,
+    canon: acceptance.canon ?? null,
+    signed_fields: fields,
+    unsigned_field: unsigned,
+    problems,
+  });
+}
 
 // ------------------------------------------------------------
-// Output acceptance
+// Dispatch
 // ------------------------------------------------------------
-const acceptance = {
-  issuer: ISSUER_ID,
-  actorId,
-  intent,
-  executeHash,
-  issuedAt,
-  expiresAt,
-  signature
-};
+const COMMANDS = { keygen, sign, verify, hash, inspect };
 
-if (authorityKeyId) {
-  acceptance.authorityKeyId = authorityKeyId;
+const [command, ...rest] = process.argv.slice(2);
+
+if (!command || command === "--help" || command === "help") {
+  fail("Usage: issue <keygen|sign|verify|hash|inspect> ...  (see issue.js header)");
 }
 
-console.log(JSON.stringify(acceptance, null, 2));
+if (COMMANDS[command]) {
+  await COMMANDS[command](rest);
+} else {
+  // Original invocation: issue <intent.json> <execute.json> <actorId> [authorityKeyId]
+  await sign([command, ...rest]);
+}
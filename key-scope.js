@@ -0,0 +1,93 @@
+// key-scope.js
+// Authority key scope — what a registry key may approve
+// FAIL-CLOSED: a key with no valid scope, a key_purpose other than
+// "acceptance", or a request outside the scope → `authority_key_scope_violation`.
+//
+// solace_authority_keys.scope (jsonb):
+// {
+//   "intents":           ["TEST_ACTION"],        // intent names
+//   "intent_categories": ["write"],              // action categories
+//   "risk_tiers":        ["low", "medium"],
+//   "actor_ids":         ["actor:test-role-1"]
+// }
+// Every dimension is required; ["*"] allows any value. A request that does
+// not state a category or risk tier passes that dimension only under "*".
+//
+// Where the request facts come from:
+//   /v1/execute             intent.intent | intent.action.name (intent.action/1),
+//                           intent.category | intent.action.category,
+//                           intent.context.risk_tier | intent.context.risk, intent.actor.id
+//   /v1/authority/evaluate  intent.intent_type, intent.action.action_type,
+//                           intent.risk.risk_class, the evaluated actor
+
+export const KEY_PURPOSE_ACCEPTANCE = "acceptance";
+// Signs /ack evidence proofs (server.js verifyEvidenceProof) and nothing else;
+// its scope is recorded but never approves a request.
+export const KEY_PURPOSE_EVIDENCE = "evidence";
+export const KEY_PURPOSES = [KEY_PURPOSE_ACCEPTANCE, KEY_PURPOSE_EVIDENCE];
+
+// Dimension → request fact it constrains.
+const DIMENSIONS = {
+  intents: "intent",
+  intent_categories: "intent_category",
+  risk_tiers: "risk_tier",
+  actor_ids: "actor_id",
+};
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function fact(v) {
+  return typeof v === "string" && v.trim() ? v.trim() : null;
+}
+
+// Normalized, frozen scope, or null if `raw` is not a complete scope.
+export function normalizeKeyScope(raw) {
+  if (!isPlainObject(raw)) return null;
+  if (Object.keys(raw).some((k) => !(k in DIMENSIONS))) return null;
+
+  const scope = {};
+  for (const dimension of Object.keys(DIMENSIONS)) {
+    const values = raw[dimension];
+    if (!Array.isArray(values) || values.length === 0) return null;
+    if (!values.every((v) => typeof v === "string" && v.trim())) return null;
+    scope[dimension] = Object.freeze([...new Set(values.map((v) => v.trim()))]);
+  }
+  return Object.freeze(scope);
+}
+
+export function keyScopeRequestForExecute(intent) {
+  return {
+    intent: fact(intent?.intent) ?? fact(intent?.action?.name),
+    intent_category: fact(intent?.category) ?? fact(intent?.action?.category),
+    risk_tier: fact(intent?.context?.risk_tier) ?? fact(intent?.context?.risk),
+    actor_id: fact(intent?.actor?.id),
+  };
+}
+
+export function keyScopeRequestForEvaluate(actorId, intent) {
+  return {
+    intent: fact(intent?.intent_type),
+    intent_category: fact(intent?.action?.action_type),
+    risk_tier: fact(intent?.risk?.risk_class),
+    actor_id: fact(actorId),
+  };
+}
+
+// null if the registry row may approve `request`, else the reason.
+export function keyScopeProblem(row, request) {
+  if (String(row?.key_purpose || "") !== KEY_PURPOSE_ACCEPTANCE) return "authority_key_scope_violation";
+
+  const scope = normalizeKeyScope(row.scope);
+  if (!scope || !isPlainObject(request)) return "authority_key_scope_violation";
+
+  for (const [dimension, key] of Object.entries(DIMENSIONS)) {
+    const allowed = scope[dimension];
+    if (allowed.includes("*")) continue;
+    if (request[key] === null || request[key] === undefined || !allowed.includes(request[key])) {
+      return "authority_key_scope_violation";
+    }
+  }
+  return null;
+}
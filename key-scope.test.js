@@ -0,0 +1,88 @@
+// key-scope.test.js
+// Registry key purpose and scope: what a key may approve, and where each
+// surface reads the request facts from.
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  keyScopeProblem,
+  keyScopeRequestForEvaluate,
+  keyScopeRequestForExecute,
+  normalizeKeyScope,
+} from "./key-scope.js";
+
+const SCOPE = {
+  intents: ["pay"],
+  intent_categories: ["write"],
+  risk_tiers: ["low", "medium"],
+  actor_ids: ["svc-1"],
+};
+const row = (extra = {}) => ({ key_purpose: "acceptance", scope: SCOPE, ...extra });
+const request = (extra = {}) => ({ intent: "pay", intent_category: "write", risk_tier: "low", actor_id: "svc-1", ...extra });
+
+describe("keyScopeProblem", () => {
+  test("a request inside every dimension passes", () => {
+    assert.equal(keyScopeProblem(row(), request()), null);
+    assert.equal(keyScopeProblem(row(), request({ risk_tier: "medium" })), null);
+  });
+
+  test("a request outside any one dimension is refused", () => {
+    for (const outside of [
+      { intent: "refund" },
+      { intent_category: "delete" },
+      { risk_tier: "high" },
+      { actor_id: "svc-2" },
+    ]) {
+      assert.equal(keyScopeProblem(row(), request(outside)), "authority_key_scope_violation", JSON.stringify(outside));
+    }
+  });
+
+  test("an unstated fact passes only under \"*\"", () => {
+    assert.equal(keyScopeProblem(row(), request({ risk_tier: null })), "authority_key_scope_violation");
+    const anyTier = row({ scope: { ...SCOPE, risk_tiers: ["*"] } });
+    assert.equal(keyScopeProblem(anyTier, request({ risk_tier: null })), null);
+    assert.equal(keyScopeProblem(anyTier, request({ risk_tier: "high" })), null);
+  });
+
+  test("only acceptance keys approve anything", () => {
+    assert.equal(keyScopeProblem(row({ key_purpose: "receipt" }), request()), "authority_key_scope_violation");
+    assert.equal(keyScopeProblem(row({ key_purpose: "evidence" }), request()), "authority_key_scope_violation");
+    assert.equal(keyScopeProblem(row({ key_purpose: undefined }), request()), "authority_key_scope_violation");
+  });
+
+  test("no scope approves nothing", () => {
+    assert.equal(keyScopeProblem(row({ scope: null }), request()), "authority_key_scope_violation");
+    assert.equal(keyScopeProblem(row({ scope: {} }), request()), "authority_key_scope_violation");
+    assert.equal(keyScopeProblem(row(), null), "authority_key_scope_violation");
+  });
+});
+
+describe("normalizeKeyScope", () => {
+  test("every dimension is required and non-empty", () => {
+    const { actor_ids: _actors, ...missing } = SCOPE;
+    assert.equal(normalizeKeyScope(missing), null);
+    assert.equal(normalizeKeyScope({ ...SCOPE, intents: [] }), null);
+    assert.equal(normalizeKeyScope({ ...SCOPE, intents: ["pay", ""] }), null);
+    assert.equal(normalizeKeyScope({ ...SCOPE, tools: ["x"] }), null);
+  });
+
+  test("values are trimmed and deduplicated", () => {
+    assert.deepEqual(normalizeKeyScope({ ...SCOPE, intents: [" pay", "pay "] }).intents, ["pay"]);
+  });
+});
+
+describe("request facts", () => {
+  test("/v1/execute", () => {
+    const intent = { intent: "pay", category: "write", context: { risk: "low" }, actor: { id: "svc-1" } };
+    assert.deepEqual(keyScopeRequestForExecute(intent), request());
+    assert.equal(keyScopeRequestForExecute({ action: { category: "write" } }).intent_category, "write");
+    // intent.action/1 names the intent under action.
+    assert.equal(keyScopeRequestForExecute({ action: { name: "pay" } }).intent, "pay");
+    assert.equal(keyScopeRequestForExecute({ context: { risk_tier: "high", risk: "low" } }).risk_tier, "high");
+  });
+
+  test("/v1/authority/evaluate", () => {
+    const intent = { intent_type: "pay", action: { action_type: "write" }, risk: { risk_class: "low" } };
+    assert.deepEqual(keyScopeRequestForEvaluate("svc-1", intent), request());
+  });
+});
@@ -0,0 +1,356 @@
+// ledger.js
+// Authority ledger backends (append-only)
+// FAIL-CLOSED: a ledger that cannot prove an append throws; callers DENY.
+//
+// Backends (SOLACE_LEDGER_BACKEND):
+// - "supabase" (default): public.solace_authority_ledger + solace_authority_keys.
+//   prev_hash / entry_hash are computed by the DB trigger; uniqueness by index.
+// - "local": embedded append-only NDJSON file (SOLACE_LEDGER_PATH).
+//   Core computes prev_hash / entry_hash itself and enforces the same unique
+//   indexes in-process. Single writer: one Core process per ledger file.
+//   Entries record `canon` (canonical.js CANON_ID), hashed with the rest.
+//
+// Interface:
+//   ledger.backend                      "supabase" | "local"
+//   await ledger.insert(row)            { id, entry_hash } of the appended entry;
+//                                       throws on failure; uniqueness violations
+//                                       carry the index name in the message
+//   await ledger.findOne(match, cols)   first row whose columns equal `match`, or null
+//   await ledger.list(query)            rows in append (id) order, or newest first; see list(query) below
+//   await ledger.findAuthorityKey(id)   solace_authority_keys row, or null
+//   await ledger.insertAuthorityKey(row)        registry row as stored; throws on failure
+//   await ledger.updateAuthorityKey(id, patch)  updated row, or null if no such key
+//
+// The local backend keeps the registry in a JSON array file (keysPath),
+// rewritten atomically (temp file + rename) on every change.
+//
+// Unique indexes (names are part of the contract; server.js matches on them;
+// Supabase: supabase/migrations/, the local backend enforces them itself):
+//   solace_ledger_acceptance_hash_uniq (acceptance_hash) WHERE acceptance_hash IS NOT NULL
+//   solace_ledger_request_id_uniq      (request_id)      WHERE request_id IS NOT NULL
+
+import fs from "fs";
+import path from "path";
+import { createClient } from "@supabase/supabase-js";
+import { CANON_ID, canonical, isSupportedCanon, sha256Hex } from "./canonical.js";
+
+export const LEDGER_GENESIS_HASH = "0".repeat(64);
+
+const AUTHORITY_KEY_COLUMNS =
+  "id, organization_id, principal_id, principal_role, public_key, key_purpose, scope, valid_from, valid_until, status, revoked_at";
+
+const UNIQUE_INDEXES = [
+  { column: "acceptance_hash", name: "solace_ledger_acceptance_hash_uniq" },
+  { column: "request_id", name: "solace_ledger_request_id_uniq" },
+];
+
+// entry_hash = sha256(canonical(entry without entry_hash)); the entry carries
+// prev_hash, so each hash commits to the whole chain before it. Throws for
+// an entry naming a canonicalization other than canonical.js's.
+export function computeEntryHash(entry) {
+  const { entry_hash: _ignored, ...content } = entry;
+  if (!isSupportedCanon(content.canon)) throw new Error(`unsupported_canonicalization: ${content.canon}`);
+  return sha256Hex(canonical(content));
+}
+
+// list(query):
+//   match     { column: value } equality filters
+//   tenantId  only rows with detail.tenant_id === tenantId (omit for all rows)
+//   from, to  created_at range, ISO strings: from inclusive, to exclusive
+//   afterId   keyset cursor: only rows after afterId in the listing order
+//   limit     max rows returned
+//   descending  newest first (id descending); default oldest first
+function matchesListQuery(entry, { match = {}, tenantId, from, to, afterId, descending = false }) {
+  if (afterId !== undefined && afterId !== null && !(descending ? entry.id < afterId : entry.id > afterId)) return false;
+  for (const [k, v] of Object.entries(match)) {
+    if (entry[k] !== v) return false;
+  }
+  if (tenantId !== undefined && tenantId !== null && entry.detail?.tenant_id !== tenantId) return false;
+  if (from && !(entry.created_at >= from)) return false;
+  if (to && !(entry.created_at < to)) return false;
+  return true;
+}
+
+function pickColumns(row, columns) {
+  if (!row || !columns) return row;
+  const out = {};
+  for (const c of columns.split(",").map((s) => s.trim()).filter(Boolean)) {
+    out[c] = row[c] === undefined ? null : row[c];
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------
+// Supabase backend
+// ---------------------------------------------------------------------
+export function createSupabaseLedger({ url, serviceRoleKey }) {
+  if (!url) throw new Error("supabase_url_missing");
+  if (!serviceRoleKey) throw new Error("supabase_service_role_key_missing");
+
+  const supabase = createClient(url, serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  return {
+    backend: "supabase",
+
+    async insert(row) {
+      // entry_hash is filled in by the trigger; read it back from the inserted row.
+      const { data, error } = await supabase
+        .from("solace_authority_ledger")
+        .insert(row)
+        .select("id, entry_hash")
+        .single();
+
+      if (error) {
+        const msg = String(error.message || "ledger_insert_failed");
+        const details = error.details ? String(error.details) : "";
+        throw new Error(details ? `${msg} :: ${details}` : msg);
+      }
+
+      return { id: data?.id ?? null, entry_hash: data?.entry_hash ?? null };
+    },
+
+    async findOne(match, columns = "*") {
+      let query = supabase.from("solace_authority_ledger").select(columns);
+      for (const [k, v] of Object.entries(match)) query = query.eq(k, v);
+
+      const { data, error } = await query.limit(1).maybeSingle();
+      if (error) throw new Error(String(error.message || error));
+      return data || null;
+    },
+
+    async list(query) {
+      const { match = {}, tenantId, from, to, afterId, limit, descending = false } = query;
+
+      let q = supabase.from("solace_authority_ledger").select("*");
+      for (const [k, v] of Object.entries(match)) q = q.eq(k, v);
+      if (tenantId !== undefined && tenantId !== null) q = q.eq("detail->>tenant_id", tenantId);
+      if (from) q = q.gte("created_at", from);
+      if (to) q = q.lt("created_at", to);
+      if (afterId !== undefined && afterId !== null) q = descending ? q.lt("id", afterId) : q.gt("id", afterId);
+
+      const { data, error } = await q.order("id", { ascending: !descending }).limit(limit);
+      if (error) throw new Error(String(error.message || error));
+      return data || [];
+    },
+
+    async findAuthorityKey(keyId) {
+      const { data, error } = await supabase
+        .from("solace_authority_keys")
+        .select(AUTHORITY_KEY_COLUMNS)
+        .eq("id", keyId)
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw new Error(String(error.message || error));
+      return data || null;
+    },
+
+    async insertAuthorityKey(row) {
+      const { data, error } = await supabase
+        .from("solace_authority_keys")
+        .insert(row)
+        .select(AUTHORITY_KEY_COLUMNS)
+        .single();
+
+      if (error) throw new Error(String(error.message || "authority_key_insert_failed"));
+      return data;
+    },
+
+    async updateAuthorityKey(keyId, patch) {
+      const { data, error } = await supabase
+        .from("solace_authority_keys")
+        .update(patch)
+        .eq("id", keyId)
+        .select(AUTHORITY_KEY_COLUMNS)
+        .maybeSingle();
+
+      if (error) throw new Error(String(error.message || "authority_key_update_failed"));
+      return data || null;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------
+// Local backend (append-only NDJSON, hash-chained)
+// ---------------------------------------------------------------------
+function readNdjson(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const lines = fs.readFileSync(filePath, "utf8").split("\n").filter((l) => l.trim());
+  return lines.map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`ledger_corrupt: ${filePath} line ${i + 1} is not JSON`);
+    }
+  });
+}
+
+// Re-walks the chain on open. A ledger we cannot prove is a ledger we do not append to.
+function verifyChain(entries, filePath) {
+  let prev = LEDGER_GENESIS_HASH;
+  entries.forEach((entry, i) => {
+    let hash = null;
+    try {
+      hash = computeEntryHash(entry);
+    } catch {
+      // not hashable by this Core: unproven
+    }
+    if (entry.id !== i + 1 || entry.prev_hash !== prev || hash === null || hash !== entry.entry_hash) {
+      throw new Error(`ledger_chain_broken: ${filePath} entry ${i + 1}`);
+    }
+    prev = entry.entry_hash;
+  });
+  return prev;
+}
+
+export function createLocalLedger({ filePath, keysPath = null }) {
+  if (!filePath) throw new Error("ledger_path_missing");
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const entries = readNdjson(filePath);
+  let head = verifyChain(entries, filePath);
+
+  const unique = new Map(UNIQUE_INDEXES.map((ix) => [ix.column, new Set()]));
+  for (const entry of entries) {
+    for (const ix of UNIQUE_INDEXES) {
+      if (entry[ix.column]) unique.get(ix.column).add(entry[ix.column]);
+    }
+  }
+
+  // Registry: a JSON array shaped like solace_authority_keys. A missing file is
+  // an empty registry (lookups fail closed as not found); no keysPath keeps
+  // registry changes in memory only.
+  const keys = keysPath && fs.existsSync(keysPath) ? JSON.parse(fs.readFileSync(keysPath, "utf8")) : [];
+  if (!Array.isArray(keys)) throw new Error("authority_keys_file_invalid");
+
+  function persistKeys() {
+    if (!keysPath) return;
+    fs.mkdirSync(path.dirname(keysPath), { recursive: true });
+    const tmp = `${keysPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(keys, null, 2) + "\n");
+    fs.renameSync(tmp, keysPath);
+  }
+
+  return {
+    backend: "local",
+
+    async insert(row) {
+      for (const ix of UNIQUE_INDEXES) {
+        const v = row[ix.column];
+        if (v && unique.get(ix.column).has(v)) {
+          throw new Error(`duplicate key value violates unique constraint "${ix.name}"`);
+        }
+      }
+
+      // Hash the entry as stored: JSON drops undefined members, so readers
+      // re-hash exactly these bytes.
+      const entry = JSON.parse(
+        JSON.stringify({
+          ...row,
+          id: entries.length + 1,
+          created_at: new Date().toISOString(),
+          prev_hash: head,
+          canon: CANON_ID,
+        })
+      );
+      entry.entry_hash = computeEntryHash(entry);
+
+      // Synchronous append + fsync: the entry is durable before the caller answers.
+      const fd = fs.openSync(filePath, "a");
+      try {
+        fs.writeSync(fd, JSON.stringify(entry) + "\n");
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      entries.push(entry);
+      head = entry.entry_hash;
+      for (const ix of UNIQUE_INDEXES) {
+        if (entry[ix.column]) unique.get(ix.column).add(entry[ix.column]);
+      }
+
+      return { id: entry.id, entry_hash: entry.entry_hash };
+    },
+
+    async findOne(match, columns = null) {
+      const found = entries.find((e) =>
+        Object.entries(match).every(([k, v]) => e[k] === v)
+      );
+      return found ? pickColumns(found, columns) : null;
+    },
+
+    async list(query) {
+      const out = [];
+      const n = entries.length;
+      for (let i = 0; i < n && out.length < query.limit; i++) {
+        const entry = entries[query.descending ? n - 1 - i : i];
+        if (matchesListQuery(entry, query)) out.push(entry);
+      }
+      return out;
+    },
+
+    async findAuthorityKey(keyId) {
+      return keys.find((k) => k && k.id === keyId) || null;
+    },
+
+    async insertAuthorityKey(row) {
+      if (keys.some((k) => k && k.id === row.id)) {
+        throw new Error(`duplicate key value violates unique constraint "solace_authority_keys_pkey"`);
+      }
+      const stored = { ...row, created_at: new Date().toISOString() };
+      keys.push(stored);
+      try {
+        persistKeys();
+      } catch (e) {
+        keys.pop();
+        throw e;
+      }
+      return { ...stored };
+    },
+
+    async updateAuthorityKey(keyId, patch) {
+      const i = keys.findIndex((k) => k && k.id === keyId);
+      if (i === -1) return null;
+
+      const previous = keys[i];
+      keys[i] = { ...previous, ...patch };
+      try {
+        persistKeys();
+      } catch (e) {
+        keys[i] = previous;
+        throw e;
+      }
+      return { ...keys[i] };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------
+export function createLedgerFromEnv(env = process.env) {
+  const backend = String(env.SOLACE_LEDGER_BACKEND || "supabase").toLowerCase();
+
+  if (backend === "supabase") {
+    return createSupabaseLedger({
+      url: env.SUPABASE_URL,
+      serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY,
+    });
+  }
+
+  if (backend === "local") {
+    const filePath = path.resolve(env.SOLACE_LEDGER_PATH || "data/solace-ledger.ndjson");
+    return createLocalLedger({
+      filePath,
+      // The registry lives beside the ledger unless placed explicitly.
+      keysPath: path.resolve(env.SOLACE_AUTHORITY_KEYS_PATH || path.join(path.dirname(filePath), "solace-authority-keys.json")),
+    });
+  }
+
+  throw new Error(`ledger_backend_unknown: ${backend}`);
+}
@@ -0,0 +1,83 @@
+// ledger.test.js
+// Local backend: NDJSON append, the hash chain from genesis, verification on
+// open and the in-process unique indexes.
+
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { LEDGER_GENESIS_HASH, computeEntryHash, createLocalLedger } from "./ledger.js";
+
+let dir;
+let filePath;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "solace-ledger-"));
+  filePath = path.join(dir, "ledger.ndjson");
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function readLines() {
+  return fs.readFileSync(filePath, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+}
+
+async function withEntries(n) {
+  const ledger = createLocalLedger({ filePath });
+  for (let i = 1; i <= n; i++) {
+    await ledger.insert({ decision: "PERMIT", intent: `i${i}`, request_id: `req-${i}` });
+  }
+  return ledger;
+}
+
+test("appends one NDJSON line per entry, chained from genesis", async () => {
+  await withEntries(3);
+  const lines = readLines();
+  assert.deepEqual(lines.map((e) => e.id), [1, 2, 3]);
+  assert.equal(lines[0].prev_hash, LEDGER_GENESIS_HASH);
+  for (const [i, entry] of lines.entries()) {
+    assert.equal(entry.entry_hash, computeEntryHash(entry));
+    if (i > 0) assert.equal(entry.prev_hash, lines[i - 1].entry_hash);
+  }
+});
+
+test("a reopened ledger continues the chain", async () => {
+  await withEntries(2);
+  const reopened = createLocalLedger({ filePath });
+  await reopened.insert({ decision: "DENY", intent: "i3" });
+  const lines = readLines();
+  assert.equal(lines[2].id, 3);
+  assert.equal(lines[2].prev_hash, lines[1].entry_hash);
+  assert.deepEqual(await reopened.findOne({ intent: "i1" }, "id, decision"), { id: 1, decision: "PERMIT" });
+});
+
+test("a ledger with one tampered line refuses to open", async () => {
+  await withEntries(3);
+  const lines = readLines();
+  lines[1].decision = "DENY";
+  fs.writeFileSync(filePath, lines.map((e) => JSON.stringify(e)).join("\n") + "\n");
+  assert.throws(() => createLocalLedger({ filePath }), /ledger_chain_broken: .* entry 2/);
+});
+
+test("a dropped line or a line that is not JSON refuses to open", async () => {
+  await withEntries(3);
+  const raw = fs.readFileSync(filePath, "utf8").trim().split("\n");
+  fs.writeFileSync(filePath, [raw[0], raw[2]].join("\n") + "\n");
+  assert.throws(() => createLocalLedger({ filePath }), /ledger_chain_broken/);
+
+  fs.writeFileSync(filePath, [raw[0], "{", raw[1]].join("\n") + "\n");
+  assert.throws(() => createLocalLedger({ filePath }), /ledger_corrupt: .* line 2/);
+});
+
+test("unique indexes refuse a repeated value and name the index", async () => {
+  const ledger = await withEntries(1);
+  await assert.rejects(ledger.insert({ request_id: "req-1" }), /solace_ledger_request_id_uniq/);
+  await ledger.insert({ acceptance_hash: "h1" });
+  await assert.rejects(ledger.insert({ acceptance_hash: "h1" }), /solace_ledger_acceptance_hash_uniq/);
+  // Refused rows are not appended.
+  assert.equal(readLines().length, 2);
+
+  const reopened = createLocalLedger({ filePath });
+  await assert.rejects(reopened.insert({ acceptance_hash: "h1" }), /solace_ledger_acceptance_hash_uniq/);
+});
@@ -0,0 +1,138 @@
+// metrics.js
+// Metrics registry — counters and histograms rendered in the Prometheus
+// text exposition format (GET /metrics)
+// DETERMINISTIC: series render sorted by name and labels. Bounded: a metric
+// holds at most MAX_SERIES label sets; further label sets are folded into one
+// series whose labels are all OVERFLOW_LABEL, so client-chosen values (intent
+// names) cannot grow memory without limit.
+//
+// Interface:
+//   const registry = createMetricsRegistry();
+//   const c = registry.counter("solace_x_total", "help", ["decision"]);
+//   c.inc({ decision: "DENY" });            // missing labels render as ""
+//   const h = registry.histogram("solace_y_seconds", "help", ["route"], buckets);
+//   h.observe({ route: "/v1/execute" }, 0.012);
+//   registry.render()                       → text/plain; version=0.0.4 body
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+export const MAX_SERIES = 2000;
+export const OVERFLOW_LABEL = "__overflow__";
+export const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function escapeLabelValue(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(names, values, extra = "") {
+  const parts = names.map((n, i) => `${n}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return "+Inf";
+  return String(n);
+}
+
+// ---------------------------------------------------------------------
+// Series storage
+// ---------------------------------------------------------------------
+function createSeriesMap(labelNames, init) {
+  const series = new Map(); // JSON(label values) -> { values, state }
+
+  return {
+    get(labels = {}) {
+      let values = labelNames.map((n) => (labels[n] === undefined || labels[n] === null ? "" : String(labels[n])));
+      let key = JSON.stringify(values);
+      if (!series.has(key) && series.size >= MAX_SERIES) {
+        values = labelNames.map(() => OVERFLOW_LABEL);
+        key = JSON.stringify(values);
+      }
+      if (!series.has(key)) series.set(key, { values, state: init() });
+      return series.get(key).state;
+    },
+
+    sorted() {
+      return [...series.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([, s]) => s);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------
+export function createMetricsRegistry() {
+  const metrics = new Map();
+
+  function register(name, help, labelNames, metric) {
+    if (!METRIC_NAME.test(name)) throw new Error(`metric_name_invalid: ${name}`);
+    if (metrics.has(name)) throw new Error(`metric_duplicate: ${name}`);
+    for (const l of labelNames) {
+      if (!LABEL_NAME.test(l) || l === "le") throw new Error(`metric_label_invalid: ${name}.${l}`);
+    }
+    metrics.set(name, { help, ...metric });
+    return metric.api;
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = createSeriesMap(labelNames, () => ({ value: 0 }));
+      return register(name, help, labelNames, {
+        type: "counter",
+        lines() {
+          return series.sorted().map((s) => `${name}${formatLabels(labelNames, s.values)} ${formatNumber(s.state.value)}`);
+        },
+        api: {
+          inc(labels, n = 1) {
+            series.get(labels).value += n;
+          },
+        },
+      });
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = createSeriesMap(labelNames, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+      return register(name, help, labelNames, {
+        type: "histogram",
+        lines() {
+          const out = [];
+          for (const s of series.sorted()) {
+            // Prometheus buckets are cumulative.
+            bounds.forEach((b, i) => {
+              out.push(`${name}_bucket${formatLabels(labelNames, s.values, `le="${formatNumber(b)}"`)} ${s.state.counts[i]}`);
+            });
+            out.push(`${name}_bucket${formatLabels(labelNames, s.values, 'le="+Inf"')} ${s.state.count}`);
+            out.push(`${name}_sum${formatLabels(labelNames, s.values)} ${formatNumber(s.state.sum)}`);
+            out.push(`${name}_count${formatLabels(labelNames, s.values)} ${s.state.count}`);
+          }
+          return out;
+        },
+        api: {
+          observe(labels, value) {
+            const state = series.get(labels);
+            bounds.forEach((b, i) => {
+              if (value <= b) state.counts[i] += 1;
+            });
+            state.sum += value;
+            state.count += 1;
+          },
+        },
+      });
+    },
+
+    render() {
+      const out = [];
+      for (const name of [...metrics.keys()].sort()) {
+        const metric = metrics.get(name);
+        out.push(`# HELP ${name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+        out.push(`# TYPE ${name} ${metric.type}`);
+        out.push(...metric.lines());
+      }
+      return out.join("\n") + "\n";
+    },
+  };
+}
@@ -0,0 +1,192 @@
+// obligations.js
+// Decision obligations — typed commitments a governance decision attaches to
+// its intent, and whether they have been met
+// FAIL-CLOSED: /v1/execute refuses PERMIT for an intent whose governing
+// decision has a required pre-execution obligation that was not met in time.
+// Unknown obligation types, phases or fields stop a pack from loading.
+//
+// Pack obligation (policy-engine.js checks it with obligationSpecProblem):
+// {
+//   "type": "DATA_MINIMIZATION",                // core type, or
+//   "vendor_code": "tenant:NOTIFY_SUPERVISOR",  // extension, "<namespace>:<CODE>"
+//   "namespace": "hipaa",
+//   "required": true,                           // default true
+//   "phase": "pre_execution",                   // default per type (OBLIGATION_TYPES)
+//   "parameters": { "fields": ["ssn"] },        // what the executor must do; opaque to Core
+//   "deadline_seconds": 900,                    // to be met within, from the decision
+//   "details": { "approver_role": "..." }       // evidence hints (/ack)
+// }
+//
+// Decision obligation (decision responses; materializeObligations): the pack
+// obligation with defaults applied, plus
+//   obligation_id   "obl_<24 hex>", stable for (decision_id, position)
+//   fulfilment      "evidence" | "report"
+//   due_at          issued_at + deadline_seconds, or null
+//   status          "open" | "satisfied" (proven by /ack evidence or a quorum)
+//
+// How an obligation is met:
+//   evidence  approval types (EVIDENCE_TO_OBLIGATION) only by verified /ack
+//             evidence or a signer quorum; an executor cannot report them
+//   report    everything else by the executor's fulfilment report
+//             (POST /v1/authority/decisions/{decision_id}/fulfilments),
+//             recorded in the ledger. A pre-execution obligation counts as
+//             met only if reported fulfilled by its due_at (Core's clock).
+//
+// The governing decision of an execution is the one its acceptance names
+// (signed decisionId), else the latest governance decision for its
+// intent_hash, else for its actor and intent name (server.js
+// findGoverningDecision); its obligations bind /v1/execute.
+
+import { canonical, sha256Hex } from "./canonical.js";
+
+export const OBLIGATION_PHASES = ["pre_execution", "post_execution"];
+
+// Core types → default phase.
+export const OBLIGATION_TYPES = {
+  HUMAN_APPROVAL: "pre_execution",
+  EXTERNAL_AUTHORITY: "pre_execution",
+  USER_CONSENT: "pre_execution",
+  SECONDARY_APPROVAL: "pre_execution",
+  DUAL_CONTROL: "pre_execution",
+  DATA_MINIMIZATION: "pre_execution",
+  RATE_LIMIT_BACKOFF: "pre_execution",
+  LOG_PERSISTENCE: "post_execution",
+  INCIDENT_REPORT: "post_execution",
+  USER_NOTIFICATION: "post_execution",
+  EXPLAIN_DECISION: "post_execution",
+  REDACT_OUTPUT: "post_execution",
+  SANITIZE_OUTPUT: "post_execution",
+};
+
+// /ack evidence type → the obligation type it proves.
+export const EVIDENCE_TO_OBLIGATION = {
+  human_approval: "HUMAN_APPROVAL",
+  external_authority_token: "EXTERNAL_AUTHORITY",
+  user_consent: "USER_CONSENT",
+  dual_control: "DUAL_CONTROL",
+  secondary_approval: "SECONDARY_APPROVAL",
+};
+
+const EVIDENCE_TYPES = new Set(Object.values(EVIDENCE_TO_OBLIGATION));
+
+export const FULFILMENT_STATUSES = ["fulfilled", "failed"];
+
+const SPEC_FIELDS = new Set([
+  "type",
+  "vendor_code",
+  "namespace",
+  "required",
+  "phase",
+  "parameters",
+  "deadline_seconds",
+  "details",
+]);
+const VENDOR_CODE = /^[A-Za-z0-9_.-]+:[A-Za-z0-9_.-]+$/;
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// Core type, else vendor code: what /ack evidence and quorums name.
+export function obligationKey(obligation) {
+  return obligation?.type ?? obligation?.vendor_code ?? null;
+}
+
+// ---------------------------------------------------------------------
+// Pack obligations
+// ---------------------------------------------------------------------
+// null if `spec` is a valid pack obligation, else what is wrong with it.
+export function obligationSpecProblem(spec) {
+  if (!isPlainObject(spec)) return "must be an object";
+
+  const unknown = Object.keys(spec).find((k) => !SPEC_FIELDS.has(k));
+  if (unknown !== undefined) return `unknown field ${unknown}`;
+
+  if (spec.type !== undefined && spec.vendor_code !== undefined) return "type and vendor_code are exclusive";
+  if (spec.type !== undefined && !(spec.type in OBLIGATION_TYPES)) return `unknown type ${spec.type}`;
+  if (spec.vendor_code !== undefined && !(typeof spec.vendor_code === "string" && VENDOR_CODE.test(spec.vendor_code))) {
+    return "vendor_code must be <namespace>:<CODE>";
+  }
+  if (spec.type === undefined && spec.vendor_code === undefined) return "type or vendor_code required";
+
+  if (spec.namespace !== undefined && !(typeof spec.namespace === "string" && spec.namespace)) {
+    return "namespace must be a non-empty string";
+  }
+  if (spec.required !== undefined && typeof spec.required !== "boolean") return "required must be a boolean";
+  if (spec.phase !== undefined && !OBLIGATION_PHASES.includes(spec.phase)) {
+    return `phase must be one of ${OBLIGATION_PHASES.join(", ")}`;
+  }
+  if (spec.parameters !== undefined && !isPlainObject(spec.parameters)) return "parameters must be an object";
+  if (spec.details !== undefined && !isPlainObject(spec.details)) return "details must be an object";
+  if (spec.deadline_seconds !== undefined && !(Number.isInteger(spec.deadline_seconds) && spec.deadline_seconds > 0)) {
+    return "deadline_seconds must be a positive integer";
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------
+// Decision obligations
+// ---------------------------------------------------------------------
+function obligationId(decisionId, index) {
+  return `obl_${sha256Hex(canonical({ decision_id: decisionId, index })).slice(0, 24)}`;
+}
+
+// Pack obligations of a decision → decision obligations. `satisfied` lists
+// obligation keys already proven (/ack evidence, signer quorums).
+export function materializeObligations(specs, { decisionId, issuedAt, satisfied = [] }) {
+  const proven = new Set(satisfied);
+  return (specs || []).map((spec, index) => {
+    const key = obligationKey(spec);
+    const out = {
+      obligation_id: obligationId(decisionId, index),
+      ...(spec.type !== undefined ? { type: spec.type } : { vendor_code: spec.vendor_code }),
+      ...(spec.namespace !== undefined ? { namespace: spec.namespace } : {}),
+      required: spec.required !== false,
+      // Extensions Core cannot classify block execution until reported.
+      phase: spec.phase ?? OBLIGATION_TYPES[spec.type] ?? "pre_execution",
+      fulfilment: EVIDENCE_TYPES.has(spec.type) ? "evidence" : "report",
+      parameters: spec.parameters ?? {},
+      due_at: spec.deadline_seconds
+        ? new Date(issuedAt.getTime() + spec.deadline_seconds * 1000).toISOString()
+        : null,
+      status: proven.has(key) ? "satisfied" : "open",
+    };
+    if (spec.details !== undefined) out.details = spec.details;
+    return out;
+  });
+}
+
+// Fulfilment reports (ledger detail.fulfilments, oldest first) that count:
+// obligation_id → the first report that met it ({ status, reported_at, ... }).
+function effectiveFulfilments(obligations, reports) {
+  const byId = new Map(obligations.map((o) => [o.obligation_id, o]));
+  const met = new Map();
+  for (const report of reports) {
+    const obligation = byId.get(report.obligation_id);
+    if (!obligation || obligation.fulfilment !== "report" || met.has(report.obligation_id)) continue;
+    if (report.status !== "fulfilled") continue;
+    if (obligation.phase === "pre_execution" && obligation.due_at && report.reported_at > obligation.due_at) continue;
+    met.set(report.obligation_id, report);
+  }
+  return met;
+}
+
+// Obligations of a decision still open after `reports`, each with
+// `overdue` (its due_at has passed at `now`).
+export function openObligations(obligations, reports, now) {
+  const met = effectiveFulfilments(obligations, reports);
+  return obligations
+    .filter((o) => o.status !== "satisfied" && !met.has(o.obligation_id))
+    .map((o) => ({ ...o, overdue: Boolean(o.due_at && now.toISOString() > o.due_at) }));
+}
+
+// Required pre-execution obligations still open, and the reason /v1/execute
+// refuses for them: obligation_overdue if any is past due, else
+// obligation_unmet. { reason: null, unmet: [] } when execution may proceed.
+export function preExecutionProblem(obligations, reports, now) {
+  const unmet = openObligations(obligations, reports, now).filter(
+    (o) => o.required && o.phase === "pre_execution"
+  );
+  if (unmet.length === 0) return { reason: null, unmet };
+  return { reason: unmet.some((o) => o.overdue) ? "obligation_overdue" : "obligation_unmet", unmet };
+}
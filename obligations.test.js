@@ -0,0 +1,107 @@
+// obligations.test.js
+// Obligation materialization and the /v1/execute pre-execution gate.
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  materializeObligations,
+  obligationSpecProblem,
+  openObligations,
+  preExecutionProblem,
+} from "./obligations.js";
+
+const ISSUED = new Date("2026-01-01T00:00:00Z");
+const at = (seconds) => new Date(ISSUED.getTime() + seconds * 1000);
+
+function decide(specs, satisfied = []) {
+  return materializeObligations(specs, { decisionId: "dec_1", issuedAt: ISSUED, satisfied });
+}
+
+const fulfilled = (obligation, seconds) => ({
+  obligation_id: obligation.obligation_id,
+  status: "fulfilled",
+  reported_at: at(seconds).toISOString(),
+});
+
+describe("materializeObligations", () => {
+  test("applies defaults and classifies fulfilment", () => {
+    const [approval, minimization, logging, vendor] = decide([
+      { type: "HUMAN_APPROVAL" },
+      { type: "DATA_MINIMIZATION", deadline_seconds: 60 },
+      { type: "LOG_PERSISTENCE", required: false },
+      { vendor_code: "acme:NOTIFY_DESK" },
+    ]);
+    assert.deepEqual(
+      [approval.fulfilment, approval.phase, approval.required],
+      ["evidence", "pre_execution", true]
+    );
+    assert.equal(minimization.due_at, at(60).toISOString());
+    assert.deepEqual([logging.phase, logging.required], ["post_execution", false]);
+    // An extension Core cannot classify blocks until reported.
+    assert.deepEqual([vendor.fulfilment, vendor.phase], ["report", "pre_execution"]);
+  });
+
+  test("obligation ids are stable per decision and position", () => {
+    assert.deepEqual(decide([{ type: "HUMAN_APPROVAL" }]), decide([{ type: "HUMAN_APPROVAL" }]));
+    const other = materializeObligations([{ type: "HUMAN_APPROVAL" }], { decisionId: "dec_2", issuedAt: ISSUED });
+    assert.notEqual(other[0].obligation_id, decide([{ type: "HUMAN_APPROVAL" }])[0].obligation_id);
+  });
+
+  test("obligations proven when deciding start satisfied", () => {
+    assert.equal(decide([{ type: "HUMAN_APPROVAL" }], ["HUMAN_APPROVAL"])[0].status, "satisfied");
+  });
+});
+
+describe("preExecutionProblem", () => {
+  test("an open required pre-execution obligation blocks execution", () => {
+    const obligations = decide([{ type: "DATA_MINIMIZATION" }, { type: "LOG_PERSISTENCE" }]);
+    const problem = preExecutionProblem(obligations, [], at(10));
+    assert.equal(problem.reason, "obligation_unmet");
+    assert.deepEqual(problem.unmet.map((o) => o.type), ["DATA_MINIMIZATION"]);
+  });
+
+  test("a fulfilment report in time unblocks it; post-execution ones stay open", () => {
+    const obligations = decide([{ type: "DATA_MINIMIZATION", deadline_seconds: 60 }, { type: "LOG_PERSISTENCE" }]);
+    const reports = [fulfilled(obligations[0], 30)];
+    assert.equal(preExecutionProblem(obligations, reports, at(40)).reason, null);
+    assert.deepEqual(openObligations(obligations, reports, at(40)).map((o) => o.type), ["LOG_PERSISTENCE"]);
+  });
+
+  test("a report after due_at never counts; past due the reason is obligation_overdue", () => {
+    const obligations = decide([{ type: "DATA_MINIMIZATION", deadline_seconds: 60 }]);
+    const late = [fulfilled(obligations[0], 61)];
+    assert.equal(preExecutionProblem(obligations, late, at(30)).reason, "obligation_unmet");
+    assert.equal(preExecutionProblem(obligations, late, at(90)).reason, "obligation_overdue");
+  });
+
+  test("failed reports and reports for approvals do not count", () => {
+    const obligations = decide([{ type: "DATA_MINIMIZATION" }, { type: "HUMAN_APPROVAL" }]);
+    const reports = [
+      { ...fulfilled(obligations[0], 1), status: "failed" },
+      fulfilled(obligations[1], 1),
+    ];
+    assert.deepEqual(
+      preExecutionProblem(obligations, reports, at(2)).unmet.map((o) => o.type),
+      ["DATA_MINIMIZATION", "HUMAN_APPROVAL"]
+    );
+  });
+
+  test("optional and satisfied obligations never block", () => {
+    const obligations = decide(
+      [{ type: "DATA_MINIMIZATION", required: false }, { type: "HUMAN_APPROVAL" }],
+      ["HUMAN_APPROVAL"]
+    );
+    assert.equal(preExecutionProblem(obligations, [], at(1)).reason, null);
+  });
+});
+
+describe("obligationSpecProblem", () => {
+  test("refuses what a pack may not declare", () => {
+    assert.equal(obligationSpecProblem({ type: "HUMAN_APPROVAL", details: { approver_role: "x" } }), null);
+    assert.match(obligationSpecProblem({ type: "TELEPORT" }), /unknown type/);
+    assert.match(obligationSpecProblem({ type: "HUMAN_APPROVAL", vendor_code: "a:B" }), /exclusive/);
+    assert.match(obligationSpecProblem({ vendor_code: "NOTIFY" }), /vendor_code/);
+    assert.match(obligationSpecProblem({ type: "HUMAN_APPROVAL", deadline_seconds: 0 }), /deadline_seconds/);
+    assert.match(obligationSpecProblem({ type: "HUMAN_APPROVAL", note: "x" }), /unknown field note/);
+  });
+});
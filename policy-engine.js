@@ -0,0 +1,456 @@
+// policy-engine.js
+// Declarative policy-pack loader + evaluator
+// DETERMINISTIC, FAIL-CLOSED, DATA-ONLY
+//
+// Pack shape (see POLICY_PACK_AUTHORING_GUIDE.md):
+// {
+//   "policy_id": "eu-ai-act",
+//   "version": "2026-02-01",
+//   "sha256": "<optional; verified if present>",
+//   "scope": { "regions": ["EU"], "intent_types": ["medical.*"] },
+//   "combine": "first_match" | "most_restrictive",
+//   "rules": [
+//     {
+//       "id": "eu-hr-oversight",
+//       "when": { ...predicate... },
+//       "then": {
+//         "decision": "PERMIT" | "DENY" | "ESCALATE",
+//         "reason_code": "EU_HR_HUMAN_OVERSIGHT_REQUIRED",
+//         "reason": "short human explanation",
+//         "obligations": [ { "type": "HUMAN_APPROVAL", ... } ],   // obligations.js
+//         "require_acceptance": true
+//       }
+//     }
+//   ],
+//   "default": { "decision": "DENY", "reason_code": "..." }   // optional
+//   "quorum_rules": [                                         // optional
+//     {
+//       "id": "fin-dual-control-quorum",
+//       "when": { ...predicate... },
+//       "satisfies": "DUAL_CONTROL",          // obligation type a met quorum proves
+//       "min_signers": 2,
+//       "roles": ["finance-approver", "controller"],   // optional; registry principal_role
+//       "distinct_principals": true           // default true
+//     }
+//   ]
+// }
+//
+// Predicates (over intent fields, dotted paths):
+//   { "all": [p, ...] }   { "any": [p, ...] }   { "not": p }   (nothing else beside them)
+//   { "field": "risk.risk_class", "equals": "high" }
+//   { "field": "jurisdiction.region", "in": ["EU", "UK"] }
+//   { "field": "action.side_effects", "includes": "medical_guidance" }
+//   { "field": "action.side_effects", "includes_any": ["phi_write", "phi_disclosure"] }
+//   { "field": "parameters.amount_usd", "gt" | "gte" | "lt" | "lte": 10000 }
+//   { "field": "context.user_present", "exists": true }
+//
+// Numeric comparisons only match numbers; a missing or non-numeric field
+// never satisfies a comparison (fail-closed: no accidental PERMIT).
+//
+// Combining:
+// - within a pack: "first_match" (default) takes the first matching rule;
+//   "most_restrictive" takes the most restrictive matching rule.
+// - across packs: most restrictive wins (DENY > ESCALATE > PERMIT).
+// - a pack with no matching rule and no default abstains. If every pack
+//   abstains, the caller must fail closed.
+//
+// Quorum rules are evaluated separately (evaluateQuorumRules): every
+// matching rule of every applicable pack is a requirement the acceptance's
+// signers must meet (quorum.js).
+
+import fs from "fs";
+import path from "path";
+import { canonical, sha256Hex } from "./canonical.js";
+import { obligationSpecProblem } from "./obligations.js";
+
+export class PolicyPackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PolicyPackError";
+  }
+}
+
+const DECISIONS = new Set(["PERMIT", "DENY", "ESCALATE"]);
+const COMBINE_MODES = new Set(["first_match", "most_restrictive"]);
+const RESTRICTIVENESS = { PERMIT: 0, ESCALATE: 1, DENY: 2 };
+
+const COMPARATORS = ["equals", "in", "includes", "includes_any", "gt", "gte", "lt", "lte", "exists"];
+
+// Pack content hash: canonical JSON of the pack without its own `sha256` field.
+export function computePackHash(pack) {
+  const { sha256: _ignored, ...content } = pack;
+  return sha256Hex(canonical(content));
+}
+
+// ---------------------------------------------------------------------
+// Structural validation (load time)
+// ---------------------------------------------------------------------
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function validatePredicate(pred, where) {
+  if (!isPlainObject(pred)) throw new PolicyPackError(`${where}: predicate must be an object`);
+
+  // A combinator is the predicate's only member: { all, any } would otherwise
+  // be evaluated as `all` alone.
+  const combinators = ["all", "any", "not"].filter((k) => k in pred);
+  if (combinators.length > 0 && Object.keys(pred).length > 1) {
+    throw new PolicyPackError(`${where}: ${combinators.join("/")} must be the only member of its predicate`);
+  }
+
+  if ("all" in pred || "any" in pred) {
+    const list = pred.all ?? pred.any;
+    if (!Array.isArray(list)) throw new PolicyPackError(`${where}: all/any must be an array`);
+    list.forEach((p, i) => validatePredicate(p, `${where}[${i}]`));
+    return;
+  }
+
+  if ("not" in pred) {
+    validatePredicate(pred.not, `${where}.not`);
+    return;
+  }
+
+  if (typeof pred.field !== "string" || !pred.field) {
+    throw new PolicyPackError(`${where}: missing field`);
+  }
+
+  const ops = COMPARATORS.filter((op) => op in pred);
+  if (ops.length !== 1) {
+    throw new PolicyPackError(`${where}: exactly one comparator required (${COMPARATORS.join(", ")})`);
+  }
+
+  const op = ops[0];
+  const operand = pred[op];
+  if ((op === "in" || op === "includes_any") && !Array.isArray(operand)) {
+    throw new PolicyPackError(`${where}: ${op} requires an array`);
+  }
+  if (["gt", "gte", "lt", "lte"].includes(op) && (typeof operand !== "number" || !Number.isFinite(operand))) {
+    throw new PolicyPackError(`${where}: ${op} requires a finite number`);
+  }
+  if (op === "exists" && typeof operand !== "boolean") {
+    throw new PolicyPackError(`${where}: exists requires a boolean`);
+  }
+}
+
+function validateOutcome(outcome, where) {
+  if (!isPlainObject(outcome)) throw new PolicyPackError(`${where}: must be an object`);
+  if (!DECISIONS.has(outcome.decision)) throw new PolicyPackError(`${where}: invalid decision`);
+  if (typeof outcome.reason_code !== "string" || !outcome.reason_code) {
+    throw new PolicyPackError(`${where}: missing reason_code`);
+  }
+  if (outcome.obligations !== undefined) {
+    if (!Array.isArray(outcome.obligations)) throw new PolicyPackError(`${where}: obligations must be an array`);
+    outcome.obligations.forEach((o, i) => {
+      const problem = obligationSpecProblem(o);
+      if (problem) throw new PolicyPackError(`${where}.obligations[${i}]: ${problem}`);
+    });
+  }
+  if (outcome.require_acceptance !== undefined && typeof outcome.require_acceptance !== "boolean") {
+    throw new PolicyPackError(`${where}: require_acceptance must be a boolean`);
+  }
+}
+
+function validateQuorumRule(rule, where) {
+  if (!isPlainObject(rule) || typeof rule.id !== "string" || !rule.id) {
+    throw new PolicyPackError(`${where}: missing id`);
+  }
+  validatePredicate(rule.when, `${where}.when`);
+  if (typeof rule.satisfies !== "string" || !rule.satisfies) {
+    throw new PolicyPackError(`${where}: missing satisfies`);
+  }
+  if (!Number.isInteger(rule.min_signers) || rule.min_signers < 1) {
+    throw new PolicyPackError(`${where}: min_signers must be a positive integer`);
+  }
+  if (rule.roles !== undefined) {
+    if (!Array.isArray(rule.roles) || rule.roles.length === 0 || !rule.roles.every((r) => typeof r === "string" && r)) {
+      throw new PolicyPackError(`${where}: roles must be a non-empty array of strings`);
+    }
+  }
+  if (rule.distinct_principals !== undefined && typeof rule.distinct_principals !== "boolean") {
+    throw new PolicyPackError(`${where}: distinct_principals must be a boolean`);
+  }
+}
+
+/**
+ * Validate a parsed pack and attach its content hash.
+ * Throws PolicyPackError on any structural problem or hash mismatch.
+ */
+export function loadPolicyPack(raw) {
+  if (!isPlainObject(raw)) throw new PolicyPackError("pack must be an object");
+
+  const id = raw.policy_id;
+  if (typeof id !== "string" || !id) throw new PolicyPackError("pack: missing policy_id");
+  if (typeof raw.version !== "string" || !raw.version) throw new PolicyPackError(`${id}: missing version`);
+
+  const combine = raw.combine ?? "first_match";
+  if (!COMBINE_MODES.has(combine)) throw new PolicyPackError(`${id}: invalid combine mode`);
+
+  const scope = raw.scope ?? {};
+  if (!isPlainObject(scope)) throw new PolicyPackError(`${id}: scope must be an object`);
+  for (const k of ["regions", "intent_types"]) {
+    if (scope[k] !== undefined && !Array.isArray(scope[k])) {
+      throw new PolicyPackError(`${id}: scope.${k} must be an array`);
+    }
+  }
+
+  if (!Array.isArray(raw.rules)) throw new PolicyPackError(`${id}: rules must be an array`);
+  const seen = new Set();
+  raw.rules.forEach((rule, i) => {
+    const where = `${id}.rules[${i}]`;
+    if (!isPlainObject(rule) || typeof rule.id !== "string" || !rule.id) {
+      throw new PolicyPackError(`${where}: missing id`);
+    }
+    if (seen.has(rule.id)) throw new PolicyPackError(`${where}: duplicate rule id ${rule.id}`);
+    seen.add(rule.id);
+    validatePredicate(rule.when, `${where}.when`);
+    validateOutcome(rule.then, `${where}.then`);
+  });
+
+  if (raw.default !== undefined) validateOutcome(raw.default, `${id}.default`);
+
+  const quorumRules = raw.quorum_rules ?? [];
+  if (!Array.isArray(quorumRules)) throw new PolicyPackError(`${id}: quorum_rules must be an array`);
+  quorumRules.forEach((rule, i) => {
+    const where = `${id}.quorum_rules[${i}]`;
+    validateQuorumRule(rule, where);
+    if (seen.has(rule.id)) throw new PolicyPackError(`${where}: duplicate rule id ${rule.id}`);
+    seen.add(rule.id);
+  });
+
+  const sha256 = computePackHash(raw);
+  if (raw.sha256 !== undefined && raw.sha256 !== sha256) {
+    throw new PolicyPackError(`${id}: sha256 mismatch (declared ${raw.sha256}, computed ${sha256})`);
+  }
+
+  return Object.freeze({ ...raw, combine, scope, quorum_rules: quorumRules, sha256 });
+}
+
+/**
+ * Load every *.json pack in a directory, ordered by file name.
+ * Duplicate policy_id values are rejected.
+ */
+export function loadPolicyPacksFromDir(dir) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort();
+
+  const packs = [];
+  const ids = new Set();
+  for (const file of files) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    } catch (e) {
+      throw new PolicyPackError(`${file}: ${e.message}`);
+    }
+    const pack = loadPolicyPack(raw);
+    if (ids.has(pack.policy_id)) throw new PolicyPackError(`${file}: duplicate policy_id ${pack.policy_id}`);
+    ids.add(pack.policy_id);
+    packs.push(pack);
+  }
+  return packs;
+}
+
+// ---------------------------------------------------------------------
+// Predicate evaluation
+// ---------------------------------------------------------------------
+function readField(facts, dotted) {
+  let cur = facts;
+  for (const part of dotted.split(".")) {
+    if (cur === null || typeof cur !== "object" || !(part in cur)) return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function matches(pred, facts) {
+  if ("all" in pred) return pred.all.every((p) => matches(p, facts));
+  if ("any" in pred) return pred.any.some((p) => matches(p, facts));
+  if ("not" in pred) return !matches(pred.not, facts);
+
+  const value = readField(facts, pred.field);
+
+  if ("exists" in pred) return (value !== undefined && value !== null) === pred.exists;
+  if ("equals" in pred) return value === pred.equals;
+  if ("in" in pred) return pred.in.includes(value);
+  if ("includes" in pred) return Array.isArray(value) && value.includes(pred.includes);
+  if ("includes_any" in pred) {
+    return Array.isArray(value) && pred.includes_any.some((v) => value.includes(v));
+  }
+
+  if (typeof value !== "number" || !Number.isFinite(value)) return false;
+  if ("gt" in pred) return value > pred.gt;
+  if ("gte" in pred) return value >= pred.gte;
+  if ("lt" in pred) return value < pred.lt;
+  if ("lte" in pred) return value <= pred.lte;
+
+  return false;
+}
+
+function intentTypeMatches(pattern, intentType) {
+  if (pattern.endsWith(".*")) return intentType.startsWith(pattern.slice(0, -1));
+  return pattern === intentType;
+}
+
+// A pack applies when the intent falls inside its declared scope.
+export function packApplies(pack, facts) {
+  const { regions, intent_types: intentTypes } = pack.scope;
+
+  if (Array.isArray(regions) && regions.length > 0) {
+    if (!regions.includes(readField(facts, "jurisdiction.region"))) return false;
+  }
+
+  if (Array.isArray(intentTypes) && intentTypes.length > 0) {
+    const intentType = String(facts.action_name ?? "");
+    if (!intentTypes.some((p) => intentTypeMatches(p, intentType))) return false;
+  }
+
+  return true;
+}
+
+// ---------------------------------------------------------------------
+// Pack + multi-pack evaluation
+// ---------------------------------------------------------------------
+function moreRestrictive(a, b) {
+  return RESTRICTIVENESS[b.decision] > RESTRICTIVENESS[a.decision] ? b : a;
+}
+
+function packRef(pack) {
+  return { policy_id: pack.policy_id, version: pack.version, sha256: pack.sha256 };
+}
+
+function evaluatePack(pack, facts) {
+  const hits = [];
+  for (const rule of pack.rules) {
+    if (!matches(rule.when, facts)) continue;
+    hits.push({ rule_id: rule.id, ...rule.then });
+    if (pack.combine === "first_match") break;
+  }
+
+  if (hits.length === 0) {
+    return pack.default ? { rule_id: null, ...pack.default, hits: [] } : null;
+  }
+
+  return { ...hits.reduce(moreRestrictive), hits };
+}
+
+function dedupeObligations(list) {
+  const seen = new Set();
+  const out = [];
+  for (const o of list) {
+    const key = canonical(o);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(o);
+  }
+  return out;
+}
+
+/**
+ * Evaluate all applicable packs over intent facts.
+ *
+ * Returns null when every pack abstains (caller must fail closed), otherwise:
+ * {
+ *   decision, reason_code, reason, obligations, require_acceptance,
+ *   policy: { policy_id, version, sha256 },   // deciding pack
+ *   rule_id,                                   // deciding rule (null = pack default)
+ *   matched: [{ policy_id, rule_id, decision }]
+ * }
+ */
+export function evaluatePolicyPacks(packs, facts) {
+  const outcomes = [];
+
+  for (const pack of packs) {
+    if (!packApplies(pack, facts)) continue;
+    const outcome = evaluatePack(pack, facts);
+    if (outcome) outcomes.push({ pack, outcome });
+  }
+
+  if (outcomes.length === 0) return null;
+
+  const winner = outcomes.reduce((a, b) =>
+    RESTRICTIVENESS[b.outcome.decision] > RESTRICTIVENESS[a.outcome.decision] ? b : a
+  );
+
+  // Obligations and acceptance requirements accumulate from every contributing rule.
+  const contributing = outcomes.flatMap(({ pack, outcome }) =>
+    outcome.hits.length > 0 ? outcome.hits.map((h) => ({ pack, hit: h })) : [{ pack, hit: outcome }]
+  );
+
+  return {
+    decision: winner.outcome.decision,
+    reason_code: winner.outcome.reason_code,
+    reason: winner.outcome.reason || null,
+    obligations: dedupeObligations(contributing.flatMap(({ hit }) => hit.obligations || [])),
+    require_acceptance: contributing.some(({ hit }) => hit.require_acceptance === true),
+    policy: packRef(winner.pack),
+    rule_id: winner.outcome.rule_id,
+    matched: contributing.map(({ pack, hit }) => ({
+      policy_id: pack.policy_id,
+      rule_id: hit.rule_id,
+      decision: hit.decision,
+    })),
+  };
+}
+
+/**
+ * Quorum requirements for intent facts: every matching quorum rule of every
+ * applicable pack.
+ * [{ policy_id, rule_id, satisfies, min_signers, roles, distinct_principals }]
+ * roles null = any role.
+ */
+export function evaluateQuorumRules(packs, facts) {
+  const requirements = [];
+  for (const pack of packs) {
+    if (!packApplies(pack, facts)) continue;
+    for (const rule of pack.quorum_rules) {
+      if (!matches(rule.when, facts)) continue;
+      requirements.push({
+        policy_id: pack.policy_id,
+        rule_id: rule.id,
+        satisfies: rule.satisfies,
+        min_signers: rule.min_signers,
+        roles: rule.roles ?? null,
+        distinct_principals: rule.distinct_principals !== false,
+      });
+    }
+  }
+  return requirements;
+}
+
+// Fact fields whose values are intent names (action_name is derived).
+const INTENT_NAME_FIELDS = new Set(["action_name", "intent", "intent_type", "action.name"]);
+
+function collectIntentNames(pred, names) {
+  if ("all" in pred || "any" in pred) {
+    for (const p of pred.all ?? pred.any) collectIntentNames(p, names);
+  } else if ("not" in pred) {
+    collectIntentNames(pred.not, names);
+  } else if (INTENT_NAME_FIELDS.has(pred.field)) {
+    for (const v of "in" in pred ? pred.in : [pred.equals]) {
+      if (typeof v === "string" && v) names.add(v);
+    }
+  }
+}
+
+/**
+ * Intent names the packs mention: scope.intent_types other than ".*"
+ * patterns, and equals / in operands of predicates over intent-name fields.
+ * A vocabulary bounded by the packs, not by callers (metric labels).
+ */
+export function intentNamesOf(packs) {
+  const names = new Set();
+  for (const pack of packs) {
+    for (const t of pack.scope.intent_types ?? []) {
+      if (typeof t === "string" && t && !t.endsWith(".*")) names.add(t);
+    }
+    for (const rule of [...pack.rules, ...pack.quorum_rules]) collectIntentNames(rule.when, names);
+  }
+  return names;
+}
+
+export function describePolicyPacks(packs) {
+  return packs.map(packRef);
+}
@@ -0,0 +1,155 @@
+// policy-engine.test.js
+// Pack loading, predicate semantics and how rules and packs combine.
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PolicyPackError,
+  computePackHash,
+  evaluatePolicyPacks,
+  intentNamesOf,
+  loadPolicyPack,
+} from "./policy-engine.js";
+
+const permit = (reason_code, extra = {}) => ({ decision: "PERMIT", reason_code, ...extra });
+const escalate = (reason_code, extra = {}) => ({ decision: "ESCALATE", reason_code, ...extra });
+const deny = (reason_code, extra = {}) => ({ decision: "DENY", reason_code, ...extra });
+
+function pack(rules, extra = {}) {
+  return loadPolicyPack({ policy_id: "p", version: "1", rules, ...extra });
+}
+
+// Decision of a one-rule pack whose rule matches when `when` does.
+function decides(when, facts) {
+  return evaluatePolicyPacks([pack([{ id: "r", when, then: permit("HIT") }])], facts)?.decision ?? null;
+}
+
+describe("predicates", () => {
+  test("comparators", () => {
+    const facts = {
+      risk: { risk_class: "high" },
+      jurisdiction: { region: "EU" },
+      action: { side_effects: ["phi_write"] },
+      parameters: { amount_usd: 10000 },
+    };
+    assert.equal(decides({ field: "risk.risk_class", equals: "high" }, facts), "PERMIT");
+    assert.equal(decides({ field: "risk.risk_class", equals: "low" }, facts), null);
+    assert.equal(decides({ field: "jurisdiction.region", in: ["EU", "UK"] }, facts), "PERMIT");
+    assert.equal(decides({ field: "action.side_effects", includes: "phi_write" }, facts), "PERMIT");
+    assert.equal(decides({ field: "action.side_effects", includes_any: ["x", "phi_write"] }, facts), "PERMIT");
+    assert.equal(decides({ field: "parameters.amount_usd", gte: 10000 }, facts), "PERMIT");
+    assert.equal(decides({ field: "parameters.amount_usd", gt: 10000 }, facts), null);
+    assert.equal(decides({ field: "context.user_present", exists: false }, facts), "PERMIT");
+  });
+
+  test("a missing or non-numeric field never satisfies a comparison", () => {
+    assert.equal(decides({ field: "parameters.amount_usd", lt: 10 }, {}), null);
+    assert.equal(decides({ field: "parameters.amount_usd", lt: 10 }, { parameters: { amount_usd: "5" } }), null);
+    assert.equal(decides({ not: { field: "parameters.amount_usd", gte: 10 } }, {}), "PERMIT");
+  });
+
+  test("all, any and not", () => {
+    const low = { field: "risk.risk_class", equals: "low" };
+    const eu = { field: "jurisdiction.region", equals: "EU" };
+    const facts = { risk: { risk_class: "low" }, jurisdiction: { region: "US" } };
+    assert.equal(decides({ all: [low, eu] }, facts), null);
+    assert.equal(decides({ any: [low, eu] }, facts), "PERMIT");
+    assert.equal(decides({ not: eu }, facts), "PERMIT");
+    assert.equal(decides({ all: [] }, facts), "PERMIT");
+    assert.equal(decides({ any: [] }, facts), null);
+  });
+});
+
+describe("combining", () => {
+  const always = { field: "action_name", exists: true };
+  const facts = { action_name: "pay" };
+
+  test("first_match takes the first matching rule; most_restrictive the strictest", () => {
+    const rules = [
+      { id: "a", when: always, then: permit("A") },
+      { id: "b", when: always, then: deny("B") },
+    ];
+    assert.equal(evaluatePolicyPacks([pack(rules)], facts).reason_code, "A");
+    const strict = evaluatePolicyPacks([pack(rules, { combine: "most_restrictive" })], facts);
+    assert.equal(strict.reason_code, "B");
+    assert.equal(strict.rule_id, "b");
+  });
+
+  test("across packs the most restrictive decision wins and obligations accumulate", () => {
+    const approval = { type: "HUMAN_APPROVAL" };
+    const one = pack([{ id: "a", when: always, then: escalate("A", { obligations: [approval] }) }]);
+    const two = loadPolicyPack({
+      policy_id: "q",
+      version: "1",
+      rules: [{ id: "b", when: always, then: permit("B", { obligations: [approval], require_acceptance: true }) }],
+    });
+    const outcome = evaluatePolicyPacks([two, one], facts);
+    assert.equal(outcome.decision, "ESCALATE");
+    assert.equal(outcome.policy.policy_id, "p");
+    assert.deepEqual(outcome.obligations, [approval]);
+    assert.equal(outcome.require_acceptance, true);
+    assert.deepEqual(outcome.matched.map((m) => m.rule_id).sort(), ["a", "b"]);
+  });
+
+  test("a pack with no matching rule uses its default, or abstains", () => {
+    const never = { field: "action_name", equals: "other" };
+    const rules = [{ id: "a", when: never, then: permit("A") }];
+    assert.equal(evaluatePolicyPacks([pack(rules)], facts), null);
+    const withDefault = evaluatePolicyPacks([pack(rules, { default: deny("NO_RULE") })], facts);
+    assert.deepEqual([withDefault.decision, withDefault.rule_id], ["DENY", null]);
+  });
+
+  test("packs outside their scope abstain", () => {
+    const scoped = pack([{ id: "a", when: always, then: permit("A") }], {
+      scope: { regions: ["EU"], intent_types: ["medical.*"] },
+    });
+    assert.equal(evaluatePolicyPacks([scoped], { action_name: "medical.triage", jurisdiction: { region: "EU" } }).decision, "PERMIT");
+    assert.equal(evaluatePolicyPacks([scoped], { action_name: "medical.triage", jurisdiction: { region: "US" } }), null);
+    assert.equal(evaluatePolicyPacks([scoped], { action_name: "payments.send", jurisdiction: { region: "EU" } }), null);
+  });
+});
+
+describe("loadPolicyPack", () => {
+  const rule = { id: "a", when: { field: "x", equals: 1 }, then: permit("A") };
+
+  test("refuses malformed packs", () => {
+    assert.throws(() => pack([{ ...rule, when: { field: "x" } }]), PolicyPackError);
+    assert.throws(() => pack([{ ...rule, when: { field: "x", equals: 1, in: [1] } }]), PolicyPackError);
+    assert.throws(() => pack([{ ...rule, when: { field: "x", gt: "1" } }]), PolicyPackError);
+    assert.throws(() => pack([{ ...rule, then: { decision: "MAYBE", reason_code: "A" } }]), PolicyPackError);
+    assert.throws(() => pack([rule, rule]), /duplicate rule id/);
+    assert.throws(() => pack([rule], { combine: "vote" }), PolicyPackError);
+  });
+
+  test("all, any and not stand alone in their predicate", () => {
+    const x = { field: "x", equals: 1 };
+    assert.throws(() => pack([{ ...rule, when: { all: [x], any: [x] } }]), /all\/any must be the only member/);
+    assert.throws(() => pack([{ ...rule, when: { not: x, field: "y", equals: 2 } }]), /not must be the only member/);
+    assert.throws(() => pack([{ ...rule, when: { any: [{ all: [], not: x }] } }]), /when\[0\]: all\/not/);
+    assert.equal(decides({ all: [{ any: [x] }, { not: { field: "y", exists: true } }] }, { x: 1 }), "PERMIT");
+  });
+
+  test("a declared sha256 must match the content", () => {
+    const raw = { policy_id: "p", version: "1", rules: [rule] };
+    assert.equal(loadPolicyPack({ ...raw, sha256: computePackHash(raw) }).sha256, computePackHash(raw));
+    assert.throws(() => loadPolicyPack({ ...raw, sha256: "0".repeat(64) }), /sha256 mismatch/);
+  });
+});
+
+describe("intentNamesOf", () => {
+  test("scope intent types and equals / in over intent-name fields", () => {
+    const named = pack(
+      [
+        { id: "a", when: { field: "action_name", equals: "pay" }, then: permit("A") },
+        {
+          id: "b",
+          when: { all: [{ field: "intent_type", in: ["refund", "void"] }, { not: { field: "intent", equals: "x" } }] },
+          then: permit("B"),
+        },
+        { id: "c", when: { field: "risk.risk_class", equals: "high" }, then: permit("C") },
+      ],
+      { scope: { intent_types: ["medical.*", "triage"] } }
+    );
+    assert.deepEqual([...intentNamesOf([named])].sort(), ["pay", "refund", "triage", "void", "x"]);
+  });
+});
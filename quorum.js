@@ -0,0 +1,55 @@
+// quorum.js
+// Quorum (M-of-N) assessment over verified acceptance signers
+// FAIL-CLOSED: a signer who is the actor voids the acceptance; a signer
+// without a registry row, or outside the required roles, counts for nothing.
+//
+// Requirements come from pack quorum rules (policy-engine.js
+// evaluateQuorumRules); signers from acceptance.js verifyAcceptance, which
+// has already verified every signature against its registry key.
+//
+// A requirement is met when at least min_signers qualifying signers signed:
+// - the signer's registry row has principal_role in `roles` (any role if null)
+// - with distinct_principals (default), signers count once per principal_id,
+//   so one person holding two keys is still one approval
+//
+// A delegated signer (delegation.js) is the leaf delegate's principal, not
+// the principal of the registry key the chain starts from: whoever holds the
+// leaf key signed, so that is who must not be the actor.
+//
+// Reasons: quorum_signer_is_actor, quorum_not_met
+
+function principalOf(signer) {
+  const id = signer?.delegation ? signer.delegation.delegate_principal_id : signer?.row?.principal_id;
+  return id === undefined || id === null || id === "" ? null : String(id);
+}
+
+// Signers approving their own action are never authority (separation of duties).
+export function signerIsActor(signers, actorId) {
+  return signers.some((s) => principalOf(s) !== null && principalOf(s) === String(actorId));
+}
+
+export function quorumMet(requirement, signers) {
+  const qualifying = signers.filter((s) => {
+    if (principalOf(s) === null) return false;
+    if (!requirement.roles) return true;
+    return requirement.roles.includes(String(s.row.principal_role ?? ""));
+  });
+
+  const count = requirement.distinct_principals
+    ? new Set(qualifying.map(principalOf)).size
+    : qualifying.length;
+  return count >= requirement.min_signers;
+}
+
+// { problem, met, unmet }: problem is a DENY reason for the whole acceptance
+// (null if none); met / unmet partition the requirements.
+export function assessQuorum(requirements, signers, actorId) {
+  if (signerIsActor(signers, actorId)) {
+    return { problem: "quorum_signer_is_actor", met: [], unmet: requirements };
+  }
+
+  const met = [];
+  const unmet = [];
+  for (const r of requirements) (quorumMet(r, signers) ? met : unmet).push(r);
+  return { problem: null, met, unmet };
+}
@@ -0,0 +1,164 @@
+// quorum.test.js
+// M-of-N quorums: counting qualifying signers, one approval per principal,
+// self-approval, and multi-signer acceptances as verified by acceptance.js.
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { signAcceptanceMaterial, signerMaterial, verifyAcceptance } from "./acceptance.js";
+import { evaluateQuorumRules, loadPolicyPack } from "./policy-engine.js";
+import { assessQuorum, quorumMet } from "./quorum.js";
+
+const signer = (keyId, principal, role = "finance-approver") => ({
+  authorityKeyId: keyId,
+  row: { id: keyId, principal_id: principal, principal_role: role },
+});
+const twoOf = (extra = {}) => ({ min_signers: 2, roles: null, distinct_principals: true, ...extra });
+
+describe("quorumMet", () => {
+  test("counts qualifying signers up to min_signers", () => {
+    assert.equal(quorumMet(twoOf(), [signer("k1", "alice")]), false);
+    assert.equal(quorumMet(twoOf(), [signer("k1", "alice"), signer("k2", "bob")]), true);
+    assert.equal(quorumMet(twoOf({ min_signers: 3 }), [signer("k1", "alice"), signer("k2", "bob")]), false);
+  });
+
+  test("one principal holding two keys is one approval", () => {
+    const sameTwice = [signer("k1", "alice"), signer("k2", "alice")];
+    assert.equal(quorumMet(twoOf(), sameTwice), false);
+    assert.equal(quorumMet(twoOf({ distinct_principals: false }), sameTwice), true);
+  });
+
+  test("only signers in the required roles count", () => {
+    const mixed = [signer("k1", "alice", "finance-approver"), signer("k2", "bob", "engineer")];
+    assert.equal(quorumMet(twoOf({ roles: ["finance-approver", "controller"] }), mixed), false);
+    assert.equal(quorumMet(twoOf({ roles: ["finance-approver", "engineer"] }), mixed), true);
+  });
+
+  test("a signer without a registry principal counts for nothing", () => {
+    assert.equal(quorumMet(twoOf(), [signer("k1", "alice"), { authorityKeyId: null, row: null }]), false);
+  });
+});
+
+describe("assessQuorum", () => {
+  test("partitions requirements into met and unmet", () => {
+    const dual = { ...twoOf(), rule_id: "dual" };
+    const triple = { ...twoOf({ min_signers: 3 }), rule_id: "triple" };
+    const result = assessQuorum([dual, triple], [signer("k1", "alice"), signer("k2", "bob")], "svc-1");
+    assert.equal(result.problem, null);
+    assert.deepEqual(result.met.map((r) => r.rule_id), ["dual"]);
+    assert.deepEqual(result.unmet.map((r) => r.rule_id), ["triple"]);
+  });
+
+  test("a signer who is the actor voids the whole acceptance", () => {
+    const result = assessQuorum([twoOf()], [signer("k1", "alice"), signer("k2", "svc-1")], "svc-1");
+    assert.equal(result.problem, "quorum_signer_is_actor");
+    assert.deepEqual(result.met, []);
+  });
+
+  test("a delegated signer is the leaf delegate's principal", () => {
+    const delegated = (delegate) => ({ ...signer("k1", "cfo"), delegation: { delegate_principal_id: delegate } });
+    assert.equal(assessQuorum([], [delegated("svc-1")], "svc-1").problem, "quorum_signer_is_actor");
+    assert.equal(assessQuorum([], [delegated("lead")], "cfo").problem, null);
+    assert.equal(quorumMet(twoOf(), [delegated("lead"), signer("k2", "cfo")]), true);
+  });
+
+  test("requirements come from the matching pack quorum rules", () => {
+    const pack = loadPolicyPack({
+      policy_id: "fin",
+      version: "1",
+      rules: [],
+      quorum_rules: [
+        {
+          id: "dual-control",
+          when: { field: "parameters.amount_usd", gte: 10000 },
+          satisfies: "DUAL_CONTROL",
+          min_signers: 2,
+          roles: ["finance-approver"],
+        },
+      ],
+    });
+    assert.deepEqual(evaluateQuorumRules([pack], { parameters: { amount_usd: 50 } }), []);
+    const [requirement] = evaluateQuorumRules([pack], { parameters: { amount_usd: 20000 } });
+    assert.deepEqual(requirement, {
+      policy_id: "fin",
+      rule_id: "dual-control",
+      satisfies: "DUAL_CONTROL",
+      min_signers: 2,
+      roles: ["finance-approver"],
+      distinct_principals: true,
+    });
+  });
+});
+
+describe("multi-signer acceptances", () => {
+  const keys = new Map(
+    ["k1", "k2", "k3"].map((id) => {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+      return [id, { privateKey, publicPem: publicKey.export({ type: "spki", format: "pem" }) }];
+    })
+  );
+  const principals = { k1: "alice", k2: "bob", k3: "alice" };
+  const executeHash = crypto.createHash("sha256").update("payload").digest("hex");
+
+  const base = {
+    issuer: "board",
+    actorId: "svc-1",
+    intent: "pay",
+    issuedAt: "2026-01-01T00:00:00Z",
+    expiresAt: "2026-01-01T00:10:00Z",
+    jti: "q-1",
+  };
+
+  function quorumAcceptance(keyIds) {
+    const acceptance = { ...base, signatures: keyIds.map((authorityKeyId) => ({ authorityKeyId, alg: "ES256" })) };
+    for (const s of acceptance.signatures) {
+      const material = signerMaterial(acceptance, s, executeHash);
+      s.signature = signAcceptanceMaterial(material, keys.get(s.authorityKeyId).privateKey, "ES256");
+    }
+    return acceptance;
+  }
+
+  const resolveKey = async (keyId) => {
+    const key = keys.get(keyId);
+    if (!key) return { ok: false, reason: "authority_key_not_found" };
+    const row = { id: keyId, principal_id: principals[keyId], principal_role: "finance-approver" };
+    return { ok: true, publicKeyPem: key.publicPem, row };
+  };
+
+  test("every signer verifies and counts toward the quorum", async () => {
+    const verified = await verifyAcceptance(quorumAcceptance(["k1", "k2"]), { executeHash, resolveKey });
+    assert.equal(verified.ok, true);
+    assert.deepEqual(verified.signers.map((s) => s.authorityKeyId), ["k1", "k2"]);
+    assert.deepEqual(assessQuorum([twoOf()], verified.signers, "svc-1").unmet, []);
+  });
+
+  test("two keys of one principal verify but do not make a quorum", async () => {
+    const verified = await verifyAcceptance(quorumAcceptance(["k1", "k3"]), { executeHash, resolveKey });
+    assert.equal(verified.ok, true);
+    assert.equal(assessQuorum([twoOf()], verified.signers, "svc-1").unmet.length, 1);
+  });
+
+  test("a key listed twice is refused", async () => {
+    const acceptance = quorumAcceptance(["k1", "k2"]);
+    acceptance.signatures[1] = { ...acceptance.signatures[0] };
+    assert.equal((await verifyAcceptance(acceptance, { executeHash, resolveKey })).reason, "invalid_quorum_signatures");
+  });
+
+  test("a signature cannot be lifted into a smaller acceptance", async () => {
+    const full = quorumAcceptance(["k1", "k2"]);
+    const lifted = { ...full, signatures: [full.signatures[0]] };
+    assert.equal((await verifyAcceptance(lifted, { executeHash, resolveKey })).reason, "invalid_acceptance_signature");
+  });
+
+  test("a field a signer did not sign is refused", async () => {
+    const acceptance = quorumAcceptance(["k1", "k2"]);
+    acceptance.signatures[1].note = "second approver";
+    const result = await verifyAcceptance(acceptance, { executeHash, resolveKey });
+    assert.deepEqual([result.reason, result.field], ["unsigned_acceptance_field", "signatures[1].note"]);
+  });
+
+  test("a quorum list mixed with a top-level signature is refused", async () => {
+    const acceptance = { ...quorumAcceptance(["k1", "k2"]), alg: "ES256", signature: "x" };
+    assert.equal((await verifyAcceptance(acceptance, { executeHash, resolveKey })).reason, "invalid_quorum_signatures");
+  });
+});
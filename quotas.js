@@ -0,0 +1,273 @@
+// quotas.js
+// Risk quotas — sliding-window caps on PERMITs per actor, tenant,
+// organization or globally, for matching intents and risk tiers
+// FAIL-CLOSED: a counter store that cannot answer throws; callers refuse
+// (quota_store_unavailable). A malformed quota file stops Core from starting.
+//
+// SOLACE_QUOTAS_PATH (JSON file) or SOLACE_QUOTAS_JSON (inline), an array of:
+// {
+//   "quota_id": "claims-status-hourly",
+//   "match": {                                   // key-scope.js facts; an omitted
+//     "intents": ["update_claim_status"],        // list (or ["*"]) matches any value
+//     "intent_categories": ["claims"],
+//     "risk_tiers": ["high", "critical"]
+//   },
+//   "per": "actor",                              // actor | tenant | organization | global
+//   "limit": 20,                                 // PERMITs per window
+//   "window_seconds": 3600,
+//   "surfaces": ["execute", "evaluate"]          // default both
+// }
+//
+// Partitions: actor is the acting actor; tenant the X-Solace-API-Key tenant
+// (/v1/authority/evaluate); organization the organization_id of the registry
+// key that approved the acceptance (/v1/execute). A quota applies only to
+// requests whose partition value is known.
+//
+// Only PERMITs are charged. Each request is checked first (checkQuotas with
+// dryRun) so a refusal spends nothing, then charged just before its PERMIT
+// is recorded; the charged keys are written to the ledger entry
+// (detail.quota_keys). A charge whose PERMIT then fails to persist is
+// refunded (refundQuotas); a refund that fails leaves the charge standing,
+// the safe side.
+//
+// Counter stores (SOLACE_QUOTA_STORE):
+// - "memory" (default): in-process sliding log. Correct for exactly one
+//   Core instance; forgotten on restart.
+// - "ledger": counts the ledger's PERMIT entries naming the quota key. Shared
+//   by every instance and durable; requests in flight at the same moment
+//   may overshoot a limit by their number.
+//
+// Store interface:
+//   store.backend                                      "memory" | "ledger"
+//   await store.reserve(key, { limit, windowMs, nowMs, dryRun })
+//       → { allowed, used, retryAfterMs }; `used` counts charges inside the
+//       window before this one. Memory records the charge when allowed and
+//       not dryRun (atomic check-and-add); the ledger's charge is the PERMIT
+//       entry itself.
+//   await store.release(key, { nowMs })
+//       undoes the charge reserve() recorded at nowMs. A no-op for the
+//       ledger: an unwritten PERMIT was never counted.
+
+import fs from "fs";
+
+export const QUOTA_PARTITIONS = ["actor", "tenant", "organization", "global"];
+export const QUOTA_SURFACES = ["execute", "evaluate"];
+
+const MATCH_FACTS = { intents: "intent", intent_categories: "intent_category", risk_tiers: "risk_tier" };
+const PARTITION_FACTS = { actor: "actor_id", tenant: "tenant_id", organization: "organization_id" };
+const LEDGER_PAGE = 500;
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+// ---------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------
+// Normalized, frozen quota; throws on anything ambiguous.
+function normalizeQuota(raw, i) {
+  const where = `quotas[${i}]`;
+  const invalid = (what) => new Error(`quota_config_invalid: ${where}${what}`);
+
+  if (!isPlainObject(raw)) throw invalid(" must be an object");
+  if (!isNonEmptyString(raw.quota_id)) throw invalid(".quota_id is required");
+  if (!QUOTA_PARTITIONS.includes(raw.per)) throw invalid(`.per must be one of ${QUOTA_PARTITIONS.join(", ")}`);
+  if (!(Number.isInteger(raw.limit) && raw.limit >= 0)) throw invalid(".limit must be a non-negative integer");
+  if (!(Number.isInteger(raw.window_seconds) && raw.window_seconds > 0)) {
+    throw invalid(".window_seconds must be a positive integer");
+  }
+
+  const match = raw.match ?? {};
+  if (!isPlainObject(match)) throw invalid(".match must be an object");
+  const normalizedMatch = {};
+  for (const [name, list] of Object.entries(match)) {
+    if (!(name in MATCH_FACTS)) throw invalid(`.match.${name} is not a quota fact`);
+    if (!Array.isArray(list) || list.length === 0 || !list.every(isNonEmptyString)) {
+      throw invalid(`.match.${name} must be a non-empty array of strings`);
+    }
+    if (!list.includes("*")) normalizedMatch[name] = Object.freeze([...list]);
+  }
+
+  const surfaces = raw.surfaces ?? QUOTA_SURFACES;
+  if (!Array.isArray(surfaces) || surfaces.length === 0 || !surfaces.every((s) => QUOTA_SURFACES.includes(s))) {
+    throw invalid(`.surfaces must list ${QUOTA_SURFACES.join(" and/or ")}`);
+  }
+
+  return Object.freeze({
+    quota_id: raw.quota_id.trim(),
+    match: Object.freeze(normalizedMatch),
+    per: raw.per,
+    limit: raw.limit,
+    window_seconds: raw.window_seconds,
+    surfaces: Object.freeze([...surfaces]),
+  });
+}
+
+export function createQuotaSet(list) {
+  if (!Array.isArray(list)) throw new Error("quota_config_invalid: expected an array");
+  const ids = new Set();
+  const quotas = list.map(normalizeQuota);
+  for (const quota of quotas) {
+    if (ids.has(quota.quota_id)) throw new Error(`quota_config_invalid: duplicate quota_id ${quota.quota_id}`);
+    ids.add(quota.quota_id);
+  }
+  return Object.freeze(quotas);
+}
+
+export function loadQuotasFromEnv(env = process.env) {
+  if (env.SOLACE_QUOTAS_PATH) return createQuotaSet(JSON.parse(fs.readFileSync(env.SOLACE_QUOTAS_PATH, "utf8")));
+  if (env.SOLACE_QUOTAS_JSON) return createQuotaSet(JSON.parse(env.SOLACE_QUOTAS_JSON));
+  return createQuotaSet([]);
+}
+
+// ---------------------------------------------------------------------
+// Counter stores
+// ---------------------------------------------------------------------
+// Milliseconds until the charges in the window (oldest first) drop below
+// limit. A zero limit never admits; its hint is one window.
+function retryAfter(times, limit, windowMs, nowMs) {
+  if (limit === 0) return windowMs;
+  return Math.max(0, times[times.length - limit] + windowMs - nowMs);
+}
+
+export function createMemoryQuotaStore() {
+  const charges = new Map(); // key -> { windowMs, times } (ascending ms)
+
+  function inWindow(key, windowMs, nowMs) {
+    return (charges.get(key)?.times || []).filter((t) => t > nowMs - windowMs);
+  }
+
+  function sweep(nowMs) {
+    for (const [key, entry] of charges.entries()) {
+      if (entry.times[entry.times.length - 1] <= nowMs - entry.windowMs) charges.delete(key);
+    }
+  }
+
+  return {
+    backend: "memory",
+
+    async reserve(key, { limit, windowMs, nowMs, dryRun = false }) {
+      if (!dryRun) sweep(nowMs);
+      const times = inWindow(key, windowMs, nowMs);
+      if (times.length >= limit) {
+        return { allowed: false, used: times.length, retryAfterMs: retryAfter(times, limit, windowMs, nowMs) };
+      }
+      if (!dryRun) charges.set(key, { windowMs, times: [...times, nowMs] });
+      return { allowed: true, used: times.length, retryAfterMs: 0 };
+    },
+
+    async release(key, { nowMs }) {
+      const entry = charges.get(key);
+      const at = entry ? entry.times.lastIndexOf(nowMs) : -1;
+      if (at === -1) return;
+      entry.times.splice(at, 1);
+      if (entry.times.length === 0) charges.delete(key);
+    },
+  };
+}
+
+export function createLedgerQuotaStore(ledger) {
+  async function chargeTimes(key, windowMs, nowMs) {
+    const from = new Date(nowMs - windowMs).toISOString();
+    const times = [];
+    let afterId;
+    for (;;) {
+      const rows = await ledger.list({ match: { decision: "PERMIT" }, from, afterId, limit: LEDGER_PAGE });
+      for (const row of rows) {
+        if ((row.detail?.quota_keys || []).includes(key)) times.push(new Date(row.created_at).getTime());
+      }
+      if (rows.length < LEDGER_PAGE) return times.sort((a, b) => a - b);
+      afterId = rows[rows.length - 1].id;
+    }
+  }
+
+  return {
+    backend: "ledger",
+
+    async reserve(key, { limit, windowMs, nowMs }) {
+      const times = await chargeTimes(key, windowMs, nowMs);
+      if (times.length >= limit) {
+        return { allowed: false, used: times.length, retryAfterMs: retryAfter(times, limit, windowMs, nowMs) };
+      }
+      return { allowed: true, used: times.length, retryAfterMs: 0 };
+    },
+
+    async release() {},
+  };
+}
+
+export function createQuotaStoreFromEnv(env = process.env, { ledger } = {}) {
+  const backend = String(env.SOLACE_QUOTA_STORE || "memory").toLowerCase();
+  if (backend === "memory") return createMemoryQuotaStore();
+  if (backend === "ledger") return createLedgerQuotaStore(ledger);
+  throw new Error(`quota_store_backend_unknown: ${backend}`);
+}
+
+// ---------------------------------------------------------------------
+// Checking
+// ---------------------------------------------------------------------
+// facts: { surface, intent, intent_category, risk_tier, actor_id, tenant_id,
+// organization_id } (key-scope.js request plus the partitions).
+function appliesTo(quota, facts) {
+  if (!quota.surfaces.includes(facts.surface)) return false;
+  if (quota.per !== "global" && !isNonEmptyString(facts[PARTITION_FACTS[quota.per]])) return false;
+  return Object.entries(quota.match).every(([name, list]) => list.includes(facts[MATCH_FACTS[name]]));
+}
+
+// "<quota_id>|<per>:<value>", or "<quota_id>|global".
+function quotaKey(quota, facts) {
+  return quota.per === "global" ? `${quota.quota_id}|global` : `${quota.quota_id}|${quota.per}:${facts[PARTITION_FACTS[quota.per]]}`;
+}
+
+// checkQuotas(store, quotas, facts, { now, dryRun })
+// → { ok: true, keys, usage, chargedAtMs } or { ok: false, exceeded, retryAfterSeconds, usage }
+//   keys         quota keys charged (dryRun: that would be charged)
+//   usage        [{ quota_id, key, used, limit, window_seconds }] per applicable quota
+//   exceeded     the first usage entry at its limit
+//   chargedAtMs  the charge time refundQuotas needs
+// A refusal charges nothing: keys charged before the exceeded one are
+// refunded. Store failures propagate (callers fail closed).
+export async function checkQuotas(store, quotas, facts, { now = new Date(), dryRun = false } = {}) {
+  const nowMs = now.getTime();
+  const keys = [];
+  const usage = [];
+
+  for (const quota of quotas.filter((q) => appliesTo(q, facts))) {
+    const key = quotaKey(quota, facts);
+    const windowMs = quota.window_seconds * 1000;
+    const reserved = await store.reserve(key, { limit: quota.limit, windowMs, nowMs, dryRun });
+    const entry = {
+      quota_id: quota.quota_id,
+      key,
+      used: reserved.used,
+      limit: quota.limit,
+      window_seconds: quota.window_seconds,
+    };
+    usage.push(entry);
+
+    if (!reserved.allowed) {
+      if (!dryRun) await refundQuotas(store, { keys, chargedAtMs: nowMs });
+      return { ok: false, exceeded: entry, retryAfterSeconds: Math.ceil(reserved.retryAfterMs / 1000), usage };
+    }
+    keys.push(key);
+  }
+
+  return { ok: true, keys, usage, chargedAtMs: nowMs };
+}
+
+// Undoes the charges of a checkQuotas result whose PERMIT was not recorded.
+// Store failures propagate.
+export async function refundQuotas(store, { keys, chargedAtMs }) {
+  for (const key of keys) await store.release(key, { nowMs: chargedAtMs });
+}
+
+// One line per check for decision traces: "claims-hourly actor:svc-1 4/20 per 3600s; ...".
+export function describeQuotaUsage(usage) {
+  return usage
+    .map((u) => `${u.key.replace("|", " ")} ${u.used}/${u.limit} per ${u.window_seconds}s`)
+    .join("; ");
+}
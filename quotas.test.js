@@ -0,0 +1,126 @@
+// quotas.test.js
+// Sliding quota windows, partitions, refunds and configuration checks.
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkQuotas,
+  createLedgerQuotaStore,
+  createMemoryQuotaStore,
+  createQuotaSet,
+  refundQuotas,
+} from "./quotas.js";
+
+const T0 = new Date("2026-01-01T00:00:00Z");
+const at = (seconds) => new Date(T0.getTime() + seconds * 1000);
+
+const perActor = createQuotaSet([
+  { quota_id: "hourly", match: { intents: ["pay"] }, per: "actor", limit: 2, window_seconds: 3600 },
+]);
+const facts = { surface: "execute", intent: "pay", actor_id: "svc-1" };
+
+describe("memory store", () => {
+  test("admits up to the limit inside one window", async () => {
+    const store = createMemoryQuotaStore();
+    assert.equal((await checkQuotas(store, perActor, facts, { now: at(0) })).ok, true);
+    assert.equal((await checkQuotas(store, perActor, facts, { now: at(10) })).ok, true);
+
+    const refused = await checkQuotas(store, perActor, facts, { now: at(20) });
+    assert.equal(refused.ok, false);
+    assert.equal(refused.exceeded.quota_id, "hourly");
+    // The oldest charge (t=0) leaves the window at t=3600.
+    assert.equal(refused.retryAfterSeconds, 3580);
+  });
+
+  test("the window slides: old charges stop counting", async () => {
+    const store = createMemoryQuotaStore();
+    await checkQuotas(store, perActor, facts, { now: at(0) });
+    await checkQuotas(store, perActor, facts, { now: at(1800) });
+    assert.equal((await checkQuotas(store, perActor, facts, { now: at(3599) })).ok, false);
+    assert.equal((await checkQuotas(store, perActor, facts, { now: at(3600) })).ok, true);
+  });
+
+  test("a dry run charges nothing", async () => {
+    const store = createMemoryQuotaStore();
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await checkQuotas(store, perActor, facts, { now: at(i), dryRun: true })).ok, true);
+    }
+    const charged = await checkQuotas(store, perActor, facts, { now: at(5) });
+    assert.equal(charged.usage[0].used, 0);
+  });
+
+  test("partitions count separately; other intents and surfaces are not charged", async () => {
+    const store = createMemoryQuotaStore();
+    await checkQuotas(store, perActor, facts, { now: at(0) });
+    await checkQuotas(store, perActor, facts, { now: at(1) });
+    assert.equal((await checkQuotas(store, perActor, { ...facts, actor_id: "svc-2" }, { now: at(2) })).ok, true);
+    assert.deepEqual((await checkQuotas(store, perActor, { ...facts, intent: "read" }, { now: at(3) })).keys, []);
+    const evaluateOnly = createQuotaSet([{ ...perActor[0], surfaces: ["evaluate"] }]);
+    assert.deepEqual((await checkQuotas(store, evaluateOnly, facts, { now: at(4) })).keys, []);
+  });
+
+  test("a refund gives the charge back", async () => {
+    const store = createMemoryQuotaStore();
+    await checkQuotas(store, perActor, facts, { now: at(0) });
+    const charged = await checkQuotas(store, perActor, facts, { now: at(1) });
+    await refundQuotas(store, charged);
+    assert.equal((await checkQuotas(store, perActor, facts, { now: at(2) })).ok, true);
+  });
+
+  test("a refusal by a later quota refunds the earlier ones", async () => {
+    const store = createMemoryQuotaStore();
+    const quotas = createQuotaSet([
+      { quota_id: "open", per: "global", limit: 5, window_seconds: 60 },
+      { quota_id: "closed", per: "global", limit: 0, window_seconds: 60 },
+    ]);
+    assert.equal((await checkQuotas(store, quotas, facts, { now: at(0) })).ok, false);
+    const probe = await checkQuotas(store, quotas.slice(0, 1), facts, { now: at(1), dryRun: true });
+    assert.equal(probe.usage[0].used, 0);
+  });
+});
+
+describe("ledger store", () => {
+  // Only created_at and detail.quota_keys matter to the count.
+  function fakeLedger(rows) {
+    return {
+      async list({ from, afterId, limit }) {
+        return rows
+          .filter((r) => r.created_at >= from && (afterId === undefined || r.id > afterId))
+          .slice(0, limit);
+      },
+    };
+  }
+
+  test("counts recorded PERMITs naming the key inside the window", async () => {
+    const key = "hourly|actor:svc-1";
+    const store = createLedgerQuotaStore(
+      fakeLedger([
+        { id: 1, created_at: at(-4000).toISOString(), detail: { quota_keys: [key] } },
+        { id: 2, created_at: at(-100).toISOString(), detail: { quota_keys: [key] } },
+        { id: 3, created_at: at(-50).toISOString(), detail: { quota_keys: ["other|global"] } },
+      ])
+    );
+    const result = await checkQuotas(store, perActor, facts, { now: at(0) });
+    assert.equal(result.ok, true);
+    assert.equal(result.usage[0].used, 1);
+  });
+});
+
+describe("configuration", () => {
+  test("refuses what it cannot read unambiguously", () => {
+    assert.throws(() => createQuotaSet([{ quota_id: "q", per: "team", limit: 1, window_seconds: 60 }]), /quota_config_invalid/);
+    assert.throws(() => createQuotaSet([{ quota_id: "q", per: "global", limit: -1, window_seconds: 60 }]), /quota_config_invalid/);
+    assert.throws(
+      () => createQuotaSet([{ quota_id: "q", per: "global", limit: 1, window_seconds: 60, match: { tools: ["x"] } }]),
+      /quota_config_invalid/
+    );
+    assert.throws(
+      () =>
+        createQuotaSet([
+          { quota_id: "q", per: "global", limit: 1, window_seconds: 60 },
+          { quota_id: "q", per: "global", limit: 2, window_seconds: 60 },
+        ]),
+      /duplicate quota_id/
+    );
+  });
+});
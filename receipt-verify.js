@@ -0,0 +1,87 @@
+// receipt-verify.js
+// Offline verification of Solace Core decision receipts
+// No dependencies beyond node's crypto: executors may vendor this one file.
+// FAIL-CLOSED: anything that cannot be proven returns { ok: false, reason }.
+//
+//   import { verifyReceipt } from "./receipt-verify.js";
+//
+//   // jwks: a cached copy of GET /.well-known/jwks.json
+//   const r = verifyReceipt(response.receipt, jwks, {
+//     expect: { execute_hash: executeHash, intent_hash: intentHash },
+//   });
+//   if (!r.ok) refuse(r.reason);
+//
+// By default only PERMIT receipts verify (expect.decision = "PERMIT"); pass
+// expect: { decision: undefined } to check the authenticity of any decision.
+//
+// Reasons:
+//   receipt_malformed, receipt_type_invalid, receipt_alg_unsupported,
+//   receipt_key_unknown, receipt_alg_mismatch, receipt_signature_invalid,
+//   receipt_expired, receipt_not_yet_valid, receipt_claim_mismatch (+ claim)
+
+import crypto from "crypto";
+
+const RECEIPT_TYP = "solace-receipt+jws";
+const ALGS = new Set(["EdDSA", "ES256", "RS256"]);
+const DEFAULT_SKEW_SECONDS = 30;
+
+function decodeJsonPart(part) {
+  if (!/^[A-Za-z0-9_-]+$/.test(part)) return null;
+  try {
+    const v = JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+    return v !== null && typeof v === "object" && !Array.isArray(v) ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+function verifySignature(alg, jwk, data, sig) {
+  try {
+    const key = crypto.createPublicKey({ key: jwk, format: "jwk" });
+    if (alg === "EdDSA") return crypto.verify(null, data, key, sig);
+    if (alg === "ES256") return crypto.verify("sha256", data, { key, dsaEncoding: "ieee-p1363" }, sig);
+    return crypto.verify("sha256", data, key, sig);
+  } catch {
+    return false;
+  }
+}
+
+export function verifyReceipt(receipt, jwks, { expect = {}, now = new Date(), skewSeconds = DEFAULT_SKEW_SECONDS } = {}) {
+  const parts = typeof receipt === "string" ? receipt.split(".") : [];
+  if (parts.length !== 3) return { ok: false, reason: "receipt_malformed" };
+
+  const header = decodeJsonPart(parts[0]);
+  const claims = decodeJsonPart(parts[1]);
+  if (!header || !claims || !/^[A-Za-z0-9_-]+$/.test(parts[2])) {
+    return { ok: false, reason: "receipt_malformed" };
+  }
+  if (header.typ !== RECEIPT_TYP) return { ok: false, reason: "receipt_type_invalid" };
+  if (!ALGS.has(header.alg)) return { ok: false, reason: "receipt_alg_unsupported" };
+
+  const keys = Array.isArray(jwks?.keys) ? jwks.keys : [];
+  const jwk = typeof header.kid === "string" ? keys.find((k) => k && k.kid === header.kid) : null;
+  if (!jwk) return { ok: false, reason: "receipt_key_unknown" };
+  // The key decides the algorithm, not the receipt.
+  if (jwk.alg !== header.alg) return { ok: false, reason: "receipt_alg_mismatch" };
+
+  const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`, "ascii");
+  if (!verifySignature(header.alg, jwk, signingInput, Buffer.from(parts[2], "base64url"))) {
+    return { ok: false, reason: "receipt_signature_invalid" };
+  }
+
+  const nowSec = Math.floor(now.getTime() / 1000);
+  if (typeof claims.exp !== "number" || nowSec > claims.exp + skewSeconds) {
+    return { ok: false, reason: "receipt_expired" };
+  }
+  if (typeof claims.iat !== "number" || claims.iat > nowSec + skewSeconds) {
+    return { ok: false, reason: "receipt_not_yet_valid" };
+  }
+
+  const expected = { decision: "PERMIT", ...expect };
+  for (const [claim, value] of Object.entries(expected)) {
+    if (value === undefined) continue;
+    if (claims[claim] !== value) return { ok: false, reason: "receipt_claim_mismatch", claim };
+  }
+
+  return { ok: true, header, claims };
+}
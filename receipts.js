@@ -0,0 +1,35 @@
+// receipts.js
+// Signed decision receipts (compact JWS, signed with the core key)
+// A receipt lets an executor prove offline that a decision came from Solace
+// Core, for exactly these hashes, until `exp`. Verify with receipt-verify.js
+// against the keys published at /.well-known/jwks.json.
+//
+// Header:  { alg, kid, typ: "solace-receipt+jws" }
+// Claims:
+//   iss                "solace-core"
+//   jti                decision_id of the ledger row (a fresh id for legacy
+//                      rows, which store none)
+//   sub                actor id (null if the request had none)
+//   decision, reason   PERMIT | DENY | ESCALATE and its reason code
+//   intent             intent identifier
+//   intent_hash, execute_hash
+//   ledger_entry_hash  entry_hash of the ledger row (null if it was not appended)
+//   authority_key_id   registry key that authorized a PERMIT (or null)
+//   core_version, environment
+//   iat, exp           NumericDate (seconds)
+
+export const RECEIPT_TYP = "solace-receipt+jws";
+
+function b64urlJson(obj) {
+  return Buffer.from(JSON.stringify(obj), "utf8").toString("base64url");
+}
+
+export function issueReceipt(signer, claims) {
+  const header = { alg: signer.alg, kid: signer.kid, typ: RECEIPT_TYP };
+  const signingInput = `${b64urlJson(header)}.${b64urlJson({ iss: "solace-core", ...claims })}`;
+  return `${signingInput}.${signer.sign(Buffer.from(signingInput, "ascii")).toString("base64url")}`;
+}
+
+export function publicJwks(signers) {
+  return { keys: signers.map((s) => s.publicJwk) };
+}
@@ -0,0 +1,321 @@
+// replay-store.js
+// Acceptance replay store (authority-engine.js replay guard)
+// FAIL-CLOSED: a store that cannot be reached throws; the engine DENYs
+// with `replay_store_unavailable` rather than risk minting a second PERMIT.
+//
+// Backends (SOLACE_REPLAY_STORE):
+// - "memory" (default): in-process. Correct for exactly one Core instance;
+//   nothing it records (acceptance uses, authority key change markers) is
+//   seen by another.
+// - "redis": any Redis-protocol server (SOLACE_REPLAY_STORE_URL,
+//   redis://[:password@]host:port[/db]). Shared by every Core instance.
+//   tools/resp-standin.mjs is a local stand-in for development.
+//
+// Interface:
+//   store.backend                           "memory" | "redis"
+//   await store.claim(id, { bindingId, expiresAtMs })
+//       atomic check-and-set: null if this call recorded `id`,
+//       else the existing record { bindingId } (nothing is overwritten)
+//   await store.peek(id)                    existing record or null (dry runs)
+//   await store.release(id)                 forget `id`; only for a claim this
+//       caller just made and could not complete (its decision was not recorded)
+//   await store.mark(id, { expiresAtMs })   unconditional set: records `id`
+//       (bound to nothing) or extends an existing record to expiresAtMs
+//
+// Records expire at the acceptance's expiresAt: an expired acceptance is
+// refused on time alone, so its replay id no longer needs to be held.
+//
+// claimAcceptanceUse() builds bounded multi-use on top of claim(): use n of
+// an acceptance is the slot `${useKey}:${n}`, so max_uses needs no counter
+// and every backend only has to get SET-if-absent right.
+
+import net from "net";
+
+const DEFAULT_TIMEOUT_MS = 500;
+const KEY_PREFIX = "solace:replay:";
+
+function ttlMs(expiresAtMs) {
+  return Math.max(1, Math.ceil(expiresAtMs - Date.now()));
+}
+
+// ---------------------------------------------------------------------
+// Memory backend
+// ---------------------------------------------------------------------
+export function createMemoryReplayStore() {
+  const seen = new Map(); // id -> { bindingId, expiresAtMs }
+
+  function live(id) {
+    const entry = seen.get(id);
+    if (!entry) return null;
+    if (entry.expiresAtMs <= Date.now()) {
+      seen.delete(id);
+      return null;
+    }
+    return entry;
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [id, entry] of seen.entries()) {
+      if (entry.expiresAtMs <= now) seen.delete(id);
+    }
+  }
+
+  return {
+    backend: "memory",
+
+    async claim(id, { bindingId = null, expiresAtMs }) {
+      sweep();
+      const existing = live(id);
+      if (existing) return { bindingId: existing.bindingId };
+      seen.set(id, { bindingId, expiresAtMs });
+      return null;
+    },
+
+    async peek(id) {
+      const existing = live(id);
+      return existing ? { bindingId: existing.bindingId } : null;
+    },
+
+    async release(id) {
+      seen.delete(id);
+    },
+
+    async mark(id, { expiresAtMs }) {
+      seen.set(id, { bindingId: null, expiresAtMs });
+    },
+  };
+}
+
+// ---------------------------------------------------------------------
+// Redis protocol (RESP2) client — just enough for SET [NX] PX / GET / DEL
+// ---------------------------------------------------------------------
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// Parses one reply from buf at offset; returns { value, next } or null if incomplete.
+function parseReply(buf, offset) {
+  const eol = buf.indexOf("\r\n", offset);
+  if (eol === -1) return null;
+
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, eol);
+  const next = eol + 2;
+
+  if (type === "+") return { value: line, next };
+  if (type === "-") return { value: new Error(line), next };
+  if (type === ":") return { value: Number(line), next };
+  if (type === "$") {
+    const len = Number(line);
+    if (len === -1) return { value: null, next };
+    if (buf.length < next + len + 2) return null;
+    return { value: buf.toString("utf8", next, next + len), next: next + len + 2 };
+  }
+  if (type === "*") {
+    const count = Number(line);
+    if (count === -1) return { value: null, next };
+    const items = [];
+    let at = next;
+    for (let i = 0; i < count; i++) {
+      const item = parseReply(buf, at);
+      if (!item) return null;
+      items.push(item.value);
+      at = item.next;
+    }
+    return { value: items, next: at };
+  }
+  throw new Error(`replay_store_protocol_error: unexpected reply type ${type}`);
+}
+
+function createRespClient({ url, timeoutMs }) {
+  const target = new URL(url);
+  if (target.protocol !== "redis:") throw new Error(`replay_store_url_invalid: ${target.protocol}`);
+
+  const host = target.hostname || "127.0.0.1";
+  const port = Number(target.port || 6379);
+  const db = target.pathname && target.pathname !== "/" ? target.pathname.slice(1) : null;
+  const password = target.password ? decodeURIComponent(target.password) : null;
+  const username = target.username ? decodeURIComponent(target.username) : null;
+
+  let socket = null;
+  let ready = null; // Promise for the current connection (incl. AUTH/SELECT)
+  let pending = []; // FIFO of { resolve, reject }
+  let buffer = Buffer.alloc(0);
+
+  function reset(err) {
+    const waiting = pending;
+    pending = [];
+    buffer = Buffer.alloc(0);
+    if (socket) socket.destroy();
+    socket = null;
+    ready = null;
+    for (const p of waiting) p.reject(err);
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    let offset = 0;
+    try {
+      for (;;) {
+        if (offset >= buffer.length) break;
+        const reply = parseReply(buffer, offset);
+        if (!reply) break;
+        offset = reply.next;
+        const p = pending.shift();
+        if (!p) continue;
+        if (reply.value instanceof Error) p.reject(reply.value);
+        else p.resolve(reply.value);
+      }
+    } catch (e) {
+      return reset(e);
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+
+    ready = new Promise((resolve, reject) => {
+      const s = net.createConnection({ host, port });
+      socket = s;
+      s.setNoDelay(true);
+      // Events from a socket that was already replaced must not reset its successor.
+      s.on("data", (chunk) => socket === s && onData(chunk));
+      s.on("error", (e) => socket === s && reset(e));
+      s.on("close", () => socket === s && reset(new Error("replay_store_connection_closed")));
+      s.once("error", reject);
+      s.once("connect", async () => {
+        try {
+          if (password) await send(username ? ["AUTH", username, password] : ["AUTH", password]);
+          if (db) await send(["SELECT", db]);
+          resolve();
+        } catch (e) {
+          reset(e);
+          reject(e);
+        }
+      });
+    });
+
+    return ready;
+  }
+
+  // Every command is bounded: a slow store is an unavailable store.
+  async function command(args) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error("replay_store_timeout");
+        reset(err);
+        reject(err);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([connect().then(() => send(args)), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { command };
+}
+
+// ---------------------------------------------------------------------
+// Redis backend
+// ---------------------------------------------------------------------
+export function createRedisReplayStore({ url, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  if (!url) throw new Error("replay_store_url_missing");
+  const client = createRespClient({ url, timeoutMs });
+
+  function decode(raw) {
+    if (raw === null || raw === undefined) return null;
+    try {
+      return { bindingId: JSON.parse(raw).bindingId ?? null };
+    } catch {
+      // Unreadable record: still a claimed id, bound to nothing.
+      return { bindingId: null };
+    }
+  }
+
+  return {
+    backend: "redis",
+
+    async claim(id, { bindingId = null, expiresAtMs }) {
+      const key = KEY_PREFIX + id;
+      const set = await client.command([
+        "SET", key, JSON.stringify({ bindingId }), "NX", "PX", ttlMs(expiresAtMs),
+      ]);
+      if (set === "OK") return null;
+
+      // Already claimed. If it expired between SET and GET, the id is still
+      // treated as claimed: refusing is the safe side of the race.
+      return decode(await client.command(["GET", key])) || { bindingId: null };
+    },
+
+    async peek(id) {
+      return decode(await client.command(["GET", KEY_PREFIX + id]));
+    },
+
+    async release(id) {
+      await client.command(["DEL", KEY_PREFIX + id]);
+    },
+
+    async mark(id, { expiresAtMs }) {
+      await client.command(["SET", KEY_PREFIX + id, JSON.stringify({ bindingId: null }), "PX", ttlMs(expiresAtMs)]);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------
+// Bounded use of one acceptance
+// ---------------------------------------------------------------------
+// Returns the 1-based use number, or null if every slot is taken.
+// A slot already held by `bindingId` is that binding's use again
+// (re-evaluating one decision does not spend a second use).
+// dryRun only looks. Store failures propagate (callers fail closed).
+export async function claimAcceptanceUse(store, { useKey, maxUses, bindingId = null, expiresAtMs, dryRun = false }) {
+  for (let use = 1; use <= maxUses; use++) {
+    const slot = `${useKey}:${use}`;
+    const held = dryRun ? await store.peek(slot) : await store.claim(slot, { bindingId, expiresAtMs });
+    if (!held) return use;
+    if (bindingId && held.bindingId === bindingId) return use;
+  }
+  return null;
+}
+
+// Gives back use `use` claimed by claimAcceptanceUse when the decision that
+// spent it could not be recorded. Never for a use a ledger row already holds.
+export async function releaseAcceptanceUse(store, { useKey, use }) {
+  await store.release(`${useKey}:${use}`);
+}
+
+// ---------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------
+export function createReplayStoreFromEnv(env = process.env) {
+  const backend = String(env.SOLACE_REPLAY_STORE || "memory").toLowerCase();
+
+  if (backend === "memory") return createMemoryReplayStore();
+
+  if (backend === "redis") {
+    return createRedisReplayStore({
+      url: env.SOLACE_REPLAY_STORE_URL,
+      timeoutMs: Number(env.SOLACE_REPLAY_STORE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    });
+  }
+
+  throw new Error(`replay_store_backend_unknown: ${backend}`);
+}
@@ -0,0 +1,127 @@
+// replay-store.test.js
+// Atomic claims and acceptance use slots (claimAcceptanceUse) on the memory
+// backend and, through tools/resp-standin.mjs, the redis backend.
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import {
+  claimAcceptanceUse,
+  createMemoryReplayStore,
+  createRedisReplayStore,
+  releaseAcceptanceUse,
+} from "./replay-store.js";
+
+const inAMinute = () => Date.now() + 60_000;
+
+// Starts the RESP stand-in on a free port; resolves { url, stop }.
+function startStandin() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["tools/resp-standin.mjs", "--port", "0"], {
+      cwd: new URL(".", import.meta.url),
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+    child.once("error", reject);
+    child.stdout.on("data", (chunk) => {
+      const m = /listening on (\S+)/.exec(String(chunk));
+      if (m) resolve({ url: `redis://${m[1]}`, stop: () => child.kill() });
+    });
+  });
+}
+
+function claimTests(makeStore) {
+  test("the first claim records the id; later claims see its binding", async () => {
+    const store = makeStore();
+    assert.equal(await store.claim("c1", { bindingId: "dec_a", expiresAtMs: inAMinute() }), null);
+    assert.deepEqual(await store.claim("c1", { bindingId: "dec_b", expiresAtMs: inAMinute() }), { bindingId: "dec_a" });
+    assert.deepEqual(await store.peek("c1"), { bindingId: "dec_a" });
+  });
+
+  test("peek records nothing", async () => {
+    const store = makeStore();
+    assert.equal(await store.peek("c2"), null);
+    assert.equal(await store.claim("c2", { expiresAtMs: inAMinute() }), null);
+  });
+
+  test("concurrent claims of one id record it once", async () => {
+    const store = makeStore();
+    const results = await Promise.all(
+      Array.from({ length: 10 }, (_, i) => store.claim("c3", { bindingId: `dec_${i}`, expiresAtMs: inAMinute() }))
+    );
+    assert.equal(results.filter((r) => r === null).length, 1);
+  });
+
+  test("records expire with the acceptance", async () => {
+    const store = makeStore();
+    await store.claim("c4", { expiresAtMs: Date.now() + 50 });
+    await new Promise((r) => setTimeout(r, 100));
+    assert.equal(await store.peek("c4"), null);
+    assert.equal(await store.claim("c4", { expiresAtMs: inAMinute() }), null);
+  });
+}
+
+function slotTests(makeStore) {
+  test("each use is claimed once, up to max_uses", async () => {
+    const store = makeStore();
+    const claim = () => claimAcceptanceUse(store, { useKey: "iss:j1", maxUses: 2, expiresAtMs: inAMinute() });
+    assert.equal(await claim(), 1);
+    assert.equal(await claim(), 2);
+    assert.equal(await claim(), null);
+  });
+
+  test("a binding re-evaluating keeps its own use", async () => {
+    const store = makeStore();
+    const opts = { useKey: "iss:j2", maxUses: 1, expiresAtMs: inAMinute() };
+    assert.equal(await claimAcceptanceUse(store, { ...opts, bindingId: "dec_a" }), 1);
+    assert.equal(await claimAcceptanceUse(store, { ...opts, bindingId: "dec_a" }), 1);
+    assert.equal(await claimAcceptanceUse(store, { ...opts, bindingId: "dec_b" }), null);
+  });
+
+  test("a dry run spends nothing", async () => {
+    const store = makeStore();
+    const opts = { useKey: "iss:j3", maxUses: 1, expiresAtMs: inAMinute() };
+    assert.equal(await claimAcceptanceUse(store, { ...opts, dryRun: true }), 1);
+    assert.equal(await claimAcceptanceUse(store, opts), 1);
+    assert.equal(await claimAcceptanceUse(store, { ...opts, dryRun: true }), null);
+  });
+
+  test("a released use can be claimed again", async () => {
+    const store = makeStore();
+    const opts = { useKey: "iss:j4", maxUses: 1, expiresAtMs: inAMinute() };
+    assert.equal(await claimAcceptanceUse(store, opts), 1);
+    await releaseAcceptanceUse(store, { useKey: opts.useKey, use: 1 });
+    assert.equal(await claimAcceptanceUse(store, opts), 1);
+  });
+
+  test("mark overwrites and extends an existing record", async () => {
+    const store = makeStore();
+    await store.mark("changed:k1", { expiresAtMs: Date.now() + 50 });
+    await store.mark("changed:k1", { expiresAtMs: inAMinute() });
+    await new Promise((r) => setTimeout(r, 100));
+    assert.deepEqual(await store.peek("changed:k1"), { bindingId: null });
+  });
+}
+
+describe("memory", () => {
+  claimTests(() => createMemoryReplayStore());
+  slotTests(() => createMemoryReplayStore());
+});
+
+// One shared server: every test uses its own ids.
+describe("redis", () => {
+  let standin;
+  let store;
+  before(async () => {
+    standin = await startStandin();
+    store = createRedisReplayStore({ url: standin.url });
+  });
+  after(() => standin.stop());
+
+  claimTests(() => store);
+  slotTests(() => store);
+
+  test("an unreachable store throws instead of answering", async () => {
+    const unreachable = createRedisReplayStore({ url: "redis://127.0.0.1:1", timeoutMs: 200 });
+    await assert.rejects(unreachable.claim("c5", { expiresAtMs: inAMinute() }));
+  });
+});
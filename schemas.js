@@ -0,0 +1,272 @@
+// schemas.js
+// Request schemas — versioned JSON Schemas for intent, execute and
+// acceptance objects, and the validator every route runs them through
+// FAIL-CLOSED: an object that violates its schema is refused before any
+// hash, key or policy sees it; a schema file that is missing, malformed or
+// uses a keyword this validator does not implement stops Core from starting.
+//
+// Schema files live in schemas/ (JSON Schema 2020-12, usable with any
+// validator). Intent shapes are selected by the intent's `schema_version`:
+//
+//   intent.flat/1        legacy flat shape: { intent, actor: { id }, ... }
+//                        (default on /v1/authorize and /v1/execute)
+//   intent.action/1      richer shape (examples/intent.json): intent_id,
+//                        action.name, targets, evidence, context.risk_tier
+//   intent.structured/1  StructuredIntent of /v1/authority/evaluate (its default);
+//                        also accepted by /v1/execute when declared
+//   execute/1            the execute payload of /v1/execute
+//   acceptance/1         signed acceptance (acceptance.js), every surface
+//   fulfilment-report/1  obligation fulfilment report (obligations.js)
+//
+// Violations: [{ path, keyword, message }], path a JSON Pointer into the
+// request body ("/intent/actor/id"), at most MAX_VIOLATIONS of them.
+//
+// Implemented keywords: type, enum, const, required, properties,
+// additionalProperties, items, minItems, maxItems, minLength, maxLength,
+// minimum, maximum, minProperties, pattern, format (date-time), oneOf,
+// $ref (#/$defs/...), $defs; annotations ($schema, $id, title,
+// description, $comment, default, examples) are ignored.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const SCHEMAS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "schemas");
+
+export const SCHEMA_FILES = {
+  "intent.flat/1": "intent.flat.v1.json",
+  "intent.action/1": "intent.action.v1.json",
+  "intent.structured/1": "intent.structured.v1.json",
+  "execute/1": "execute.v1.json",
+  "acceptance/1": "acceptance.v1.json",
+  "fulfilment-report/1": "fulfilment-report.v1.json",
+};
+
+export const MAX_VIOLATIONS = 50;
+
+const ANNOTATIONS = new Set(["$schema", "$id", "title", "description", "$comment", "default", "examples"]);
+const KEYWORDS = new Set([
+  "type",
+  "enum",
+  "const",
+  "required",
+  "properties",
+  "additionalProperties",
+  "items",
+  "minItems",
+  "maxItems",
+  "minLength",
+  "maxLength",
+  "minimum",
+  "maximum",
+  "minProperties",
+  "pattern",
+  "format",
+  "oneOf",
+  "$ref",
+  "$defs",
+]);
+const FORMATS = new Set(["date-time"]);
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// JSON Pointer segment escaping (RFC 6901).
+function pointer(base, segment) {
+  return `${base}/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+}
+
+// ---------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------
+// Throws if the schema uses anything the validator would silently skip.
+function checkKeywords(schema, where) {
+  if (typeof schema === "boolean") return;
+  if (!isPlainObject(schema)) throw new Error(`schema_invalid: ${where} is not a schema`);
+
+  for (const [k, v] of Object.entries(schema)) {
+    if (ANNOTATIONS.has(k)) continue;
+    if (!KEYWORDS.has(k)) throw new Error(`schema_invalid: ${where} uses unsupported keyword ${k}`);
+    if (k === "format" && !FORMATS.has(v)) throw new Error(`schema_invalid: ${where} uses unsupported format ${v}`);
+    if (k === "$ref" && !/^#\/\$defs\/[^/]+$/.test(v)) throw new Error(`schema_invalid: ${where} $ref must be #/$defs/<name>`);
+    if (k === "properties" || k === "$defs") {
+      for (const [name, sub] of Object.entries(v)) checkKeywords(sub, `${where}/${k}/${name}`);
+    }
+    if (k === "items" || k === "additionalProperties") checkKeywords(v, `${where}/${k}`);
+    if (k === "oneOf") v.forEach((sub, i) => checkKeywords(sub, `${where}/oneOf/${i}`));
+  }
+}
+
+function loadSchemas() {
+  const out = {};
+  for (const [version, file] of Object.entries(SCHEMA_FILES)) {
+    const schema = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), "utf8"));
+    checkKeywords(schema, file);
+    out[version] = schema;
+  }
+  return out;
+}
+
+const SCHEMAS = loadSchemas();
+
+// ---------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(v, type) {
+  const actual = typeOf(v);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function validate(schema, value, at, root, out) {
+  if (schema === true) return;
+  if (schema === false) {
+    out.push({ path: at, keyword: "false", message: "is not allowed" });
+    return;
+  }
+
+  const fail = (keyword, message) => out.push({ path: at, keyword, message });
+
+  if (schema.$ref) {
+    validate(root.$defs[schema.$ref.slice("#/$defs/".length)], value, at, root, out);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(value, t))) {
+      fail("type", `must be ${types.join(" or ")}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) fail("const", `must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail("enum", `must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("minLength", schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail("maxLength", `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+      fail("pattern", `must match ${schema.pattern}`);
+    }
+    if (schema.format === "date-time" && !(DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)))) {
+      fail("format", "must be an RFC 3339 date-time");
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail("minimum", `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail("maximum", `must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("minItems", `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("maxItems", `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => validate(schema.items, item, pointer(at, i), root, out));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail("minProperties", `must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? "y" : "ies"}`);
+    }
+    for (const name of schema.required || []) {
+      if (!(name in value)) out.push({ path: pointer(at, name), keyword: "required", message: "is required" });
+    }
+    const properties = schema.properties || {};
+    for (const key of keys) {
+      if (key in properties) {
+        validate(properties[key], value[key], pointer(at, key), root, out);
+      } else if (schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          out.push({ path: pointer(at, key), keyword: "additionalProperties", message: "is not a known property" });
+        } else {
+          validate(schema.additionalProperties, value[key], pointer(at, key), root, out);
+        }
+      }
+    }
+  }
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter((sub) => {
+      const trial = [];
+      validate(sub, value, at, root, trial);
+      return trial.length === 0;
+    });
+    if (matching.length !== 1) {
+      fail("oneOf", `must match exactly one of ${schema.oneOf.length} alternatives`);
+    }
+  }
+}
+
+// Violations of `value` against schema `version`, paths under `at`.
+// An absent value (undefined) is reported as "is required".
+export function validateSchema(version, value, at = "") {
+  const schema = SCHEMAS[version];
+  if (!schema) return [{ path: at, keyword: "$schema", message: `unknown schema ${version}` }];
+  if (value === undefined) return [{ path: at, keyword: "required", message: "is required" }];
+  const out = [];
+  validate(schema, value, at, schema, out);
+  return out.slice(0, MAX_VIOLATIONS);
+}
+
+// validateIntent(intent, { allowed, fallback, at })
+//   allowed   intent schema versions this surface accepts
+//   fallback  version assumed when intent.schema_version is absent
+// → { version, violations }; version is null if none could be selected.
+export function validateIntent(intent, { allowed, fallback, at = "/intent" }) {
+  if (intent === undefined) {
+    return { version: null, violations: [{ path: at, keyword: "required", message: "is required" }] };
+  }
+  if (!isPlainObject(intent)) {
+    return { version: null, violations: [{ path: at, keyword: "type", message: "must be object" }] };
+  }
+
+  const declared = intent.schema_version;
+  const version = declared === undefined ? fallback : declared;
+  if (!allowed.includes(version)) {
+    return {
+      version: null,
+      violations: [
+        {
+          path: pointer(at, "schema_version"),
+          keyword: "enum",
+          message: `must be one of ${allowed.map((v) => JSON.stringify(v)).join(", ")}`,
+        },
+      ],
+    };
+  }
+  return { version, violations: validateSchema(version, intent, at) };
+}
+
+// One line for logs and error messages: "/intent/actor/id is required; ...".
+export function describeViolations(violations) {
+  return violations.map((v) => `${v.path || "/"} ${v.message}`).join("; ");
+}
+
+// Authority-bound intent name: `intent` (flat), else `action.name` (action/1),
+// else `intent_type` (structured/1).
+export function intentNameOf(intent) {
+  if (typeof intent?.intent === "string" && intent.intent) return intent.intent;
+  if (typeof intent?.action?.name === "string" && intent.action.name) return intent.action.name;
+  if (typeof intent?.intent_type === "string" && intent.intent_type) return intent.intent_type;
+  return null;
+}
@@ -1,15 +1,71 @@
 // server.js
 // Solace Core Authority — Dual-Surface
-// - /v1/authorize : non-executing authority evaluation (Model A-lite)
-// - /v1/execute   : acceptance-only execution gate (Model B)
+// - /v1/authorize          : non-executing authority evaluation (Model A-lite)
+// - /v1/execute            : acceptance-only execution gate (Model B)
+// - /v1/authority/evaluate : governance evaluation (OpenAPI v1.1.1)
+// - /v1/authority/decisions/:id/fulfilments : executor obligation fulfilment reports
+// - /v1/logs/decisions     : tenant-scoped decision log reads
+// - /v1/admin/authority-keys : authority key registry (register, rotate, revoke)
+// - /v1/admin/delegations  : delegation certificate revocation
+// - /v1/attestation        : signed hashes of the rule set and code in force
+// - /.well-known/jwks.json : public core keys (receipts, attestations)
+// - /metrics               : Prometheus metrics (decisions, latency, incidents)
 // FAIL-CLOSED. EXTERNAL AUTHORITY. CRYPTOGRAPHIC BINDING.
-// EVIDENCE: writes append-only decision records to Supabase ledger (RLS locked).
+// EVIDENCE: writes append-only decision records to the authority ledger
+//           (Supabase, RLS locked; or the embedded hash-chained local store).
 
 import express from "express";
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
-import { createClient } from "@supabase/supabase-js";
+import { fileURLToPath } from "url";
+import { authorizeExecution, getPolicyPacks, quorumRequirementsFor } from "./authority-engine.js";
+import { describePolicyPacks, intentNamesOf } from "./policy-engine.js";
+import { createLedgerFromEnv } from "./ledger.js";
+import {
+  CANON_ID,
+  CanonicalizationError,
+  canonical,
+  computeExecuteHash,
+  computeIntentHash,
+  parseCanonicalJson,
+  sha256Hex,
+} from "./canonical.js";
+import {
+  acceptanceKeyAlg,
+  acceptanceMaxUses,
+  acceptanceUseHash,
+  acceptanceUseKey,
+  isQuorumAcceptance,
+  verifyAcceptance,
+} from "./acceptance.js";
+import { REDACTION_LEVELS, canManageKeysFor, loadTenantRegistryFromEnv } from "./tenants.js";
+import { createCoreSignerFromEnv } from "./core-signer.js";
+import { issueReceipt, publicJwks } from "./receipts.js";
+import { claimAcceptanceUse, createReplayStoreFromEnv, releaseAcceptanceUse } from "./replay-store.js";
+import {
+  KEY_PURPOSES,
+  KEY_PURPOSE_ACCEPTANCE,
+  KEY_PURPOSE_EVIDENCE,
+  keyScopeProblem,
+  keyScopeRequestForEvaluate,
+  keyScopeRequestForExecute,
+  normalizeKeyScope,
+} from "./key-scope.js";
+import { assessQuorum } from "./quorum.js";
+import { delegationRequest, followDelegation } from "./delegation.js";
+import { SCHEMA_FILES, describeViolations, intentNameOf, validateIntent, validateSchema } from "./schemas.js";
+import {
+  EVIDENCE_TO_OBLIGATION,
+  materializeObligations,
+  obligationKey,
+  openObligations,
+  preExecutionProblem,
+} from "./obligations.js";
+import { checkQuotas, createQuotaStoreFromEnv, describeQuotaUsage, loadQuotasFromEnv, refundQuotas } from "./quotas.js";
+import { METRICS_CONTENT_TYPE, createMetricsRegistry } from "./metrics.js";
+import { createIncidentDetector, loadIncidentRulesFromEnv } from "./incidents.js";
+import { createEventOutbox, ledgerEntryEvent, ledgerWriteFailedEvent, loadEventSinksFromEnv } from "./events.js";
 
 console.log("BOOT FILE:", import.meta.url);
 
@@ -30,20 +86,155 @@ const CORE_ENV =
   process.env.NODE_ENV ||
   "unknown";
 
+// Invariant set version reported in every governance decision (OpenAPI `Decision`).
+// Policy versions come from the policy packs that governed each decision.
+const INVARIANT_VERSION = "core-invariants@1.0.0";
+
+// Non-PERMIT governance decisions expire after this window; clients must re-evaluate.
+const DECISION_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * ------------------------------------------------------------
+ * Append-only authority ledger (see ledger.js)
+ * ------------------------------------------------------------
+ * SOLACE_LEDGER_BACKEND=supabase (default) requires SUPABASE_URL and
+ * SUPABASE_SERVICE_ROLE_KEY; =local needs no network (SOLACE_LEDGER_PATH).
+ * Boot fails if the selected backend cannot be opened.
+ */
+const ledger = createLedgerFromEnv(process.env);
+
+/**
+ * ------------------------------------------------------------
+ * Tenants (X-Solace-API-Key → contract; see tenants.js)
+ * ------------------------------------------------------------
+ * When a registry is configured, the governance surface requires a
+ * tenant key and every decision records its tenant. Log reads always
+ * require a tenant whose contract allows them.
+ */
+const tenants = loadTenantRegistryFromEnv(process.env);
+
+/**
+ * ------------------------------------------------------------
+ * Core signing key (see core-signer.js)
+ * ------------------------------------------------------------
+ */
+const coreSigner = createCoreSignerFromEnv(process.env);
+
+/**
+ * ------------------------------------------------------------
+ * Acceptance replay store (see replay-store.js)
+ * ------------------------------------------------------------
+ * Shared across instances when SOLACE_REPLAY_STORE=redis.
+ */
+const replayStore = createReplayStoreFromEnv(process.env);
+
+/**
+ * ------------------------------------------------------------
+ * Risk quotas (see quotas.js)
+ * ------------------------------------------------------------
+ * SOLACE_QUOTAS_PATH / SOLACE_QUOTAS_JSON cap PERMITs per actor, tenant,
+ * organization or globally. Counted in memory, or from the ledger
+ * (shared by every instance) when SOLACE_QUOTA_STORE=ledger.
+ */
+const quotas = loadQuotasFromEnv(process.env);
+const quotaStore = createQuotaStoreFromEnv(process.env, { ledger });
+
 /**
  * ------------------------------------------------------------
- * Supabase (service role) — append-only authority ledger
+ * Post-market monitoring (see metrics.js, incidents.js)
  * ------------------------------------------------------------
+ * Every decision recorded in the ledger is counted and fed to the
+ * incident detector; every request is timed per route. Incidents are
+ * appended to the ledger (detail.surface "incident") without delaying
+ * the decision that raised them.
+ *
+ * GET /metrics requires SOLACE_METRICS_TOKEN (Authorization: Bearer);
+ * without it the route does not exist.
  */
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const METRICS_TOKEN = process.env.SOLACE_METRICS_TOKEN || null;
+
+const metrics = createMetricsRegistry();
+const decisionsTotal = metrics.counter(
+  "solace_decisions_total",
+  "Decisions recorded in the ledger.",
+  ["surface", "decision", "reason", "intent", "authority_key"]
+);
+// The intent label is caller input: only names the policy packs mention are
+// kept, everything else is counted as "other" so callers cannot mint series.
+const METRIC_INTENTS = getPolicyPacks().ok ? intentNamesOf(getPolicyPacks().packs) : new Set();
+const METRIC_INTENT_OTHER = "other";
+const incidentsTotal = metrics.counter("solace_incidents_total", "Incidents raised by the detector.", ["rule"]);
+const ledgerWriteFailuresTotal = metrics.counter(
+  "solace_ledger_write_failures_total",
+  "Ledger appends that failed.",
+  ["surface"]
+);
+const evidenceRejectedTotal = metrics.counter(
+  "solace_evidence_rejected_total",
+  "/ack evidence that did not satisfy its obligation.",
+  ["type", "reason"]
+);
+const httpRequestsTotal = metrics.counter("solace_http_requests_total", "HTTP requests answered.", [
+  "method",
+  "route",
+  "status",
+]);
+const httpRequestSeconds = metrics.histogram(
+  "solace_http_request_duration_seconds",
+  "HTTP request latency per route.",
+  ["method", "route"]
+);
+
+const incidentDetector = createIncidentDetector(loadIncidentRulesFromEnv(process.env));
 
-if (!SUPABASE_URL) throw new Error("supabase_url_missing");
-if (!SUPABASE_SERVICE_ROLE_KEY)
-  throw new Error("supabase_service_role_key_missing");
+/**
+ * ------------------------------------------------------------
+ * Audit events (see events.js)
+ * ------------------------------------------------------------
+ * Every ledger entry, and every decision whose entry could not be
+ * written, is copied as a CloudEvents record to the configured sinks
+ * (SOLACE_EVENT_SINKS_PATH) through a durable outbox. Without sinks
+ * nothing is emitted.
+ */
+const eventsTotal = metrics.counter("solace_events_total", "Audit event deliveries by outcome.", [
+  "sink",
+  "type",
+  "outcome",
+]);
+const eventOutboxFailuresTotal = metrics.counter(
+  "solace_event_outbox_failures_total",
+  "Audit events that could not be written to the outbox."
+);
+
+const eventConfig = loadEventSinksFromEnv(process.env);
+const eventOutbox = eventConfig
+  ? createEventOutbox(eventConfig, {
+      onOutcome: ({ sink_id, type, outcome }) => eventsTotal.inc({ sink: sink_id, type, outcome }),
+    })
+  : null;
+
+// Never affects the decision: the ledger entry (or its failure) already stands.
+function emitAuditEvent(build) {
+  if (!eventOutbox) return;
+  try {
+    eventOutbox.enqueue(build({ source: eventConfig.source }));
+  } catch (e) {
+    eventOutboxFailuresTotal.inc();
+    console.error("[EVENTS] outbox append failed:", String(e?.message || e));
+  }
+}
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
-  auth: { persistSession: false },
+// Route template (e.g. /v1/authority/decisions/:decision_id/ack), never the
+// raw path, so label values stay bounded.
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = req.route?.path ?? "unmatched";
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestSeconds.observe({ method: req.method, route }, seconds);
+  });
+  next();
 });
 
 /**
@@ -59,15 +250,46 @@ app.get("/health", (_req, res) => {
     time: new Date().toISOString(),
     coreVersion: CORE_VERSION,
     environment: CORE_ENV,
+    ledger: ledger.backend,
+    replayStore: replayStore.backend,
   });
 });
 
+/**
+ * ------------------------------------------------------------
+ * Core public keys (JWKS)
+ * Executors cache this to verify receipts offline (receipt-verify.js).
+ * ------------------------------------------------------------
+ */
+app.get("/.well-known/jwks.json", (_req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  return res.status(200).json(publicJwks([coreSigner]));
+});
+
 /**
  * ------------------------------------------------------------
  * JSON body parser
  * ------------------------------------------------------------
+ * Bodies must also be canonicalizable (canonical.js): duplicate member
+ * names, out-of-range numbers and lone surrogates are refused here, so
+ * every hash Core computes over request data is one any RFC 8785
+ * implementation reproduces.
  */
-app.use(express.json());
+app.use(
+  express.json({
+    verify: (_req, _res, buf) => {
+      if (buf.length === 0) return;
+      try {
+        parseCanonicalJson(buf.toString("utf8"));
+      } catch (err) {
+        // Malformed JSON is left to body-parser's own parse, which reports
+        // it as a 400 SyntaxError (invalid_json below); anything thrown
+        // here would be wrapped as a 403 entity.verify.failed.
+        if (err instanceof CanonicalizationError) throw err;
+      }
+    },
+  })
+);
 
 /**
  * ------------------------------------------------------------
@@ -82,6 +304,13 @@ app.use((err, _req, res, next) => {
       message: err.message,
     });
   }
+  if (err instanceof CanonicalizationError) {
+    return res.status(400).json({
+      decision: "DENY",
+      reason: err.code,
+      message: err.message,
+    });
+  }
   next(err);
 });
 
@@ -90,57 +319,13 @@ app.use((err, _req, res, next) => {
  * Legacy issuer public key (fallback only)
  * ------------------------------------------------------------
  * If no authorityKeyId is provided in acceptance, we fall back
- * to issuer.pub for backwards compatibility.
+ * to issuer.pub for backwards compatibility. Without issuer.pub
+ * (the repo ships none) such acceptances are DENY issuer_pubkey_missing.
  */
 const ISSUER_PUB_PATH = path.join(process.cwd(), "issuer.pub");
-if (!fs.existsSync(ISSUER_PUB_PATH)) {
-  throw new Error("issuer_pubkey_missing");
-}
-const ISSUER_PUBLIC_KEY_FALLBACK = fs.readFileSync(ISSUER_PUB_PATH, "utf8");
-
-/**
- * ------------------------------------------------------------
- * Stable canonicalization (recursive) + hashing
- * ------------------------------------------------------------
- * Node's JSON key order is not a cryptographic primitive.
- * We canonicalize recursively so insurers can verify deterministically.
- */
-function stableSort(value) {
-  if (value === null || value === undefined) return value;
-
-  if (Array.isArray(value)) {
-    return value.map(stableSort);
-  }
-
-  if (typeof value === "object") {
-    const out = {};
-    for (const k of Object.keys(value).sort()) {
-      out[k] = stableSort(value[k]);
-    }
-    return out;
-  }
-
-  return value;
-}
-
-function canonical(obj) {
-  return JSON.stringify(stableSort(obj));
-}
-
-function sha256Hex(s) {
-  return crypto.createHash("sha256").update(String(s)).digest("hex");
-}
-
-function computeIntentHash(intent) {
-  return sha256Hex(canonical(intent));
-}
-
-function computeExecuteHash(execute) {
-  return sha256Hex(canonical(execute));
-}
-
-function computeAcceptanceHash(acceptance) {
-  return sha256Hex(canonical(acceptance));
+const ISSUER_PUBLIC_KEY_FALLBACK = fs.existsSync(ISSUER_PUB_PATH) ? fs.readFileSync(ISSUER_PUB_PATH, "utf8") : null;
+if (!ISSUER_PUBLIC_KEY_FALLBACK) {
+  console.warn("issuer.pub not found: acceptances without authorityKeyId will be denied");
 }
 
 /**
@@ -150,11 +335,27 @@ function computeAcceptanceHash(acceptance) {
  * acceptance may optionally include:
  * - authorityKeyId (preferred) OR authority_key_id (legacy snake)
  *
- * If present, Solace Core will fetch the public key from
- * public.solace_authority_keys and verify against it (fail-closed).
+ * If present, Solace Core will fetch the public key from the
+ * ledger's key registry (public.solace_authority_keys) and verify
+ * against it (fail-closed).
+ *
+ * Registry changes (/v1/admin/authority-keys) set a "changed" marker for
+ * the existing key (rotated or revoked) in the replay store, overwriting
+ * any earlier one so each change restarts its lifetime. While it is set,
+ * every instance reads that key from the registry instead of its cache, so
+ * a revocation takes effect everywhere at once. The marker outlives any
+ * cache entry taken before the change. Across instances this needs the
+ * shared store (SOLACE_REPLAY_STORE=redis); the memory store only reaches
+ * the instance that made the change, others keep a cached row up to
+ * AUTHORITY_KEY_CACHE_TTL_MS.
  */
 const AUTHORITY_KEY_CACHE = new Map(); // keyId -> { row, cachedAtMs }
 const AUTHORITY_KEY_CACHE_TTL_MS = 60_000; // 60s (safe + cheap)
+const AUTHORITY_KEY_CHANGED_TTL_MS = 2 * AUTHORITY_KEY_CACHE_TTL_MS;
+
+function authorityKeyChangedMarker(keyId) {
+  return `authority-key-changed:${keyId}`;
+}
 
 function asUuidString(v) {
   if (!v) return null;
@@ -185,79 +386,87 @@ async function fetchAuthorityKeyById(authorityKeyId) {
   const keyId = asUuidString(authorityKeyId);
   if (!keyId) return { ok: false, reason: "missing_authority_key_id" };
 
+  let changed;
+  try {
+    changed = await replayStore.peek(authorityKeyChangedMarker(keyId));
+  } catch (e) {
+    // Cannot tell whether the cached row is still current.
+    return { ok: false, reason: "authority_key_lookup_failed", error: String(e?.message || e) };
+  }
+
   const cached = AUTHORITY_KEY_CACHE.get(keyId);
   const nowMs = Date.now();
-  if (cached && nowMs - cached.cachedAtMs < AUTHORITY_KEY_CACHE_TTL_MS) {
+  if (!changed && cached && nowMs - cached.cachedAtMs < AUTHORITY_KEY_CACHE_TTL_MS) {
     return { ok: true, row: cached.row };
   }
 
-  const { data, error } = await supabase
-    .from("solace_authority_keys")
-    .select("id, organization_id, principal_id, public_key, key_purpose, valid_from, valid_until, status")
-    .eq("id", keyId)
-    .limit(1)
-    .maybeSingle();
-
-  if (error) {
-    return { ok: false, reason: "authority_key_lookup_failed", error: String(error.message || error) };
+  let data;
+  try {
+    data = await ledger.findAuthorityKey(keyId);
+  } catch (e) {
+    return { ok: false, reason: "authority_key_lookup_failed", error: String(e?.message || e) };
   }
   if (!data) {
     return { ok: false, reason: "authority_key_not_found" };
   }
 
-  AUTHORITY_KEY_CACHE.set(keyId, { row: data, cachedAtMs: nowMs });
+  if (changed) AUTHORITY_KEY_CACHE.delete(keyId);
+  else AUTHORITY_KEY_CACHE.set(keyId, { row: data, cachedAtMs: nowMs });
   return { ok: true, row: data };
 }
 
-/**
- * ------------------------------------------------------------
- * Signature verification for acceptance
- * ------------------------------------------------------------
- * Acceptance signs canonical material including executeHash.
- */
-function verifyAcceptanceSignatureWithKey(acceptance, executeHash, publicKeyPem) {
-  const {
-    issuer,
-    actorId,
-    intent,
-    issuedAt,
-    expiresAt,
-    signature,
-    authorityKeyId,
-    authority_key_id,
-  } = acceptance;
-
-  const materialObj = {
-    issuer,
-    actorId,
-    intent,
-    executeHash,
-    issuedAt,
-    expiresAt,
-  };
+// Live registry key policy (both surfaces): the key must exist, be active,
+// be inside its validity window now and have `scopeRequest` in its declared
+// scope (key-scope.js). Shape matches acceptance.js resolveKey.
+async function resolveLiveAuthorityKey(authorityKeyId, scopeRequest, now = new Date()) {
+  const keyRes = await fetchAuthorityKeyById(authorityKeyId);
+  if (!keyRes.ok) return { ok: false, reason: keyRes.reason || "invalid_authority_key" };
 
-  // If authority key id is provided, it must be bound into the signature
-  const keyId = asUuidString(authorityKeyId) || asUuidString(authority_key_id);
-  if (keyId) {
-    materialObj.authorityKeyId = keyId;
+  const row = keyRes.row;
+  if (String(row.status || "").toLowerCase() !== "active") {
+    return { ok: false, reason: "authority_key_inactive", row };
   }
+  if (!isWithinValidityWindow(row, now)) {
+    return { ok: false, reason: "authority_key_outside_validity_window", row };
+  }
+  const scopeProblem = keyScopeProblem(row, scopeRequest);
+  if (scopeProblem) return { ok: false, reason: scopeProblem, row };
 
-  const material = canonical(materialObj);
+  return { ok: true, publicKeyPem: row.public_key, row };
+}
 
-  const verifier = crypto.createVerify("SHA256");
-  verifier.update(material);
-  verifier.end();
+// Delegation certificate revocations are ledger evidence (intent
+// "delegation.revoke", intent_hash = certificate id; see
+// /v1/admin/delegations/revoke). Read on every use, never cached, so a
+// revocation holds on every instance at once. Throws if the ledger cannot
+// answer (delegation.js then fails closed).
+const DELEGATION_REVOKE_INTENT = "delegation.revoke";
 
-  return verifier.verify(publicKeyPem, signature, "base64");
+async function isDelegationRevoked(certificateId) {
+  const found = await ledger.findOne({ intent: DELEGATION_REVOKE_INTENT, intent_hash: certificateId }, "id");
+  return found !== null;
 }
 
-
 /**
  * ------------------------------------------------------------
- * Ledger write (Supabase)
+ * Ledger write
  * ------------------------------------------------------------
- * NOTE: prev_hash + entry_hash are computed in DB trigger.
+ * NOTE: prev_hash + entry_hash are computed by the backend (DB trigger
+ * on Supabase, ledger.js for the local store).
  * Core supplies decision facts + binding hashes.
+ *
+ * Rows with a detail document (governance decisions, execute PERMITs,
+ * registry evidence, reports, incidents) get a decision_id, generated if
+ * the surface has none, so the decision log can address them. They may
+ * also carry request_id, parent_decision_id and expires_at. These columns
+ * are only sent when present, so the legacy rows (/v1/authorize, execute
+ * DENYs) keep the original shape. Returns { decision_id (or null), entry_hash }.
+ *
+ * Idempotency is enforced by unique index on request_id:
+ *   solace_ledger_request_id_uniq (request_id) WHERE request_id IS NOT NULL
+ *
+ * `surface` names the surface of rows without a detail document (metrics
+ * only, not stored); otherwise detail.surface does.
  */
 async function ledgerWrite({
   actor_id,
@@ -270,6 +479,12 @@ async function ledgerWrite({
   organization_id,
   principal_id,
   authority_key_id,
+  request_id,
+  decision_id,
+  parent_decision_id,
+  expires_at,
+  detail,
+  surface,
 }) {
   const row = {
     actor_id,
@@ -286,15 +501,86 @@ async function ledgerWrite({
     authority_key_id: authority_key_id || null,
   };
 
-  const { error } = await supabase.from("solace_authority_ledger").insert(row);
+  if (decision_id || detail) row.decision_id = decision_id || `dec_${crypto.randomUUID()}`;
+  if (request_id) row.request_id = request_id;
+  if (parent_decision_id) row.parent_decision_id = parent_decision_id;
+  if (expires_at) row.expires_at = expires_at;
+  if (detail) row.detail = detail;
+
+  const rowSurface = detail?.surface ?? surface ?? "unknown";
+  let written;
+  try {
+    written = await ledger.insert(row);
+  } catch (e) {
+    ledgerWriteFailuresTotal.inc({ surface: rowSurface });
+    // A uniqueness violation is an idempotency race or replay, not a lost entry.
+    if (!String(e?.message || "").includes("violates unique constraint")) {
+      emitAuditEvent((opts) => ledgerWriteFailedEvent(row, e, opts));
+    }
+    throw e;
+  }
+  emitAuditEvent((opts) => ledgerEntryEvent(row, written ?? {}, opts));
+  observeDecision(row, rowSurface, written);
+  return { decision_id: row.decision_id ?? null, entry_hash: written?.entry_hash ?? null };
+}
+
+// Entries that record no decision: key registry changes, fulfilment
+// reports and incidents themselves.
+const NON_DECISION_SURFACES = new Set(["registry", "fulfilment", "incident"]);
+
+function observeDecision(row, surface, written) {
+  if (NON_DECISION_SURFACES.has(surface)) return;
+  decisionsTotal.inc({
+    surface,
+    decision: row.decision,
+    reason: row.reason,
+    intent: METRIC_INTENTS.has(row.intent) ? row.intent : METRIC_INTENT_OTHER,
+    authority_key: row.authority_key_id ?? "none",
+  });
 
-  if (error) {
-    const msg = String(error.message || "ledger_insert_failed");
-    const details = error.details ? String(error.details) : "";
-    throw new Error(details ? `${msg} :: ${details}` : msg);
+  // Legacy rows carry no decision_id; their entry_hash names them instead.
+  const observed = { ...row, decision_id: row.decision_id ?? written?.entry_hash ?? null };
+  for (const incident of incidentDetector.observe(observed)) {
+    incidentsTotal.inc({ rule: incident.rule });
+    console.warn("[INCIDENT]", JSON.stringify(incident));
+    recordIncident(incident).catch((e) => {
+      console.error("[LEDGER][INCIDENT] write failed:", String(e?.message || e));
+    });
   }
 }
 
+// Incidents are ESCALATE entries: they call for a human, they authorize nothing.
+function recordIncident(incident) {
+  return ledgerWrite({
+    actor_id: incident.actor_id ?? "solace-core",
+    intent: `incident.${incident.rule}`,
+    intent_hash: incident.intent_hash ?? sha256Hex(canonical({ incident_id: incident.incident_id })),
+    execute_hash: null,
+    acceptance_hash: null,
+    decision: "ESCALATE",
+    reason: incident.rule,
+    detail: { surface: "incident", incident },
+  });
+}
+
+/**
+ * ------------------------------------------------------------
+ * Request schemas (schemas.js)
+ * ------------------------------------------------------------
+ * /v1/authorize and /v1/execute take an intent in the legacy flat shape
+ * (intent.flat/1, assumed when schema_version is absent) or the action
+ * shape (intent.action/1). /v1/execute also takes the StructuredIntent of
+ * an evaluate decision (intent.structured/1, declared), so an executor can
+ * present the intent whose obligations it fulfilled. A schema violation is
+ * a DENY listing every violation; nothing is hashed, verified or evaluated
+ * first.
+ */
+const GATE_INTENT_SCHEMAS = { allowed: ["intent.flat/1", "intent.action/1"], fallback: "intent.flat/1" };
+const EXECUTE_INTENT_SCHEMAS = {
+  allowed: [...GATE_INTENT_SCHEMAS.allowed, "intent.structured/1"],
+  fallback: GATE_INTENT_SCHEMAS.fallback,
+};
+
 /**
  * ------------------------------------------------------------
  * POST /v1/authorize
@@ -311,16 +597,16 @@ app.post("/v1/authorize", async (req, res) => {
     (intentObj && intentObj.actor && intentObj.actor.id && String(intentObj.actor.id)) ||
     "unknown";
 
-  const intentName =
-    (intentObj && typeof intentObj.intent === "string" && intentObj.intent) ||
-    "unknown_intent";
+  const intentName = intentNameOf(intentObj) || "unknown_intent";
+
+  const schema = validateIntent(intentObj, { ...GATE_INTENT_SCHEMAS, at: "" });
 
   try {
-    if (!intentObj || !intentObj.intent || !intentObj.actor?.id) {
+    if (schema.violations.length > 0) {
       decision = "DENY";
       reason = "invalid_authorize_request";
     } else if (
-      intentObj.intent === "generate_court_filing_language" &&
+      intentName === "generate_court_filing_language" &&
       typeof intentObj.context?.deadline_minutes === "number" &&
       intentObj.context.deadline_minutes <= 30
     ) {
@@ -341,11 +627,15 @@ app.post("/v1/authorize", async (req, res) => {
         acceptance_hash: null,
         decision,
         reason,
+        surface: "authorize",
       });
     } catch (e) {
       console.error("[LEDGER][AUTHORIZE] write failed:", String(e?.message || e));
     }
 
+    if (schema.violations.length > 0) {
+      return res.status(200).json({ decision, reason, schema: schema.version, violations: schema.violations });
+    }
     return res.status(200).json({ decision, reason });
   } catch (err) {
     const msg = err?.message ?? "unknown_error";
@@ -359,6 +649,7 @@ app.post("/v1/authorize", async (req, res) => {
         acceptance_hash: null,
         decision: "DENY",
         reason: "authorization_gate_error",
+        surface: "authorize",
       });
     } catch (e) {
       console.error("[LEDGER][AUTHORIZE][ERROR] write failed:", String(e?.message || e));
@@ -372,14 +663,140 @@ app.post("/v1/authorize", async (req, res) => {
   }
 });
 
+/**
+ * ------------------------------------------------------------
+ * Execute decision receipts
+ * ------------------------------------------------------------
+ * Every /v1/execute decision carries `receipt`: a compact JWS over the
+ * decision, both hashes and the ledger entry hash (see receipts.js).
+ * PERMIT receipts expire with the acceptance; DENY receipts after
+ * DECISION_TTL_MS (they only prove the refusal).
+ */
+function executeReceipt({ actorId, intentName, decision, reason, intentHash, executeHash, written, authorityKeyId, expiresAt }) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = expiresAt
+    ? Math.floor(new Date(expiresAt).getTime() / 1000)
+    : iat + Math.floor(DECISION_TTL_MS / 1000);
+
+  return issueReceipt(coreSigner, {
+    jti: written?.decision_id || `dec_${crypto.randomUUID()}`,
+    sub: actorId || null,
+    decision,
+    reason,
+    intent: intentName || null,
+    intent_hash: intentHash || null,
+    execute_hash: executeHash || null,
+    ledger_entry_hash: written?.entry_hash || null,
+    authority_key_id: authorityKeyId || null,
+    core_version: CORE_VERSION,
+    environment: CORE_ENV,
+    iat,
+    exp,
+  });
+}
+
+// Records a DENY (best effort: a refusal needs no proof to be safe) and answers it.
+// A DENY spends no use of the acceptance, so it claims no acceptance_hash slot.
+// `extra` (e.g. schema violations) is added to the response, not the receipt.
+async function denyExecution(res, facts, reason, key = {}, extra = {}) {
+  let written = null;
+  try {
+    written = await ledgerWrite({
+      actor_id: facts.actorId,
+      intent: facts.intentName,
+      intent_hash: facts.intentHash,
+      execute_hash: facts.executeHash,
+      acceptance_hash: null,
+      decision: "DENY",
+      reason,
+      authority_key_id: key.id,
+      organization_id: key.organization_id,
+      principal_id: key.principal_id,
+      surface: "execute",
+    });
+  } catch {}
+
+  return res.status(200).json({
+    decision: "DENY",
+    reason,
+    ...extra,
+    receipt: executeReceipt({ ...facts, decision: "DENY", reason, written }),
+  });
+}
+
+// Releases an acceptance use claimed for a PERMIT that was then not recorded
+// (quota refused at charge time, ledger write failed). Best effort: a use
+// that cannot be given back stays spent, the safe side.
+async function giveBackAcceptanceUse(useKey, use) {
+  try {
+    await releaseAcceptanceUse(replayStore, { useKey, use });
+  } catch (e) {
+    console.error("[REPLAY] could not release acceptance use:", String(e?.message || e));
+  }
+}
+
+// Refunds a checkQuotas charge whose PERMIT was not recorded. Best effort:
+// a charge that cannot be refunded keeps counting, the safe side.
+async function refundQuotaCharge(charged) {
+  if (!charged || charged.keys.length === 0) return;
+  try {
+    await refundQuotas(quotaStore, charged);
+  } catch (e) {
+    console.error("[QUOTA] could not refund charge:", String(e?.message || e));
+  }
+}
+
+// Risk quotas of an execution (quotas.js); `dryRun` only checks. Returns the
+// checkQuotas result, or null after answering DENY.
+async function applyExecuteQuotas(res, facts, request, key, { now, dryRun }) {
+  let quota;
+  try {
+    quota = await checkQuotas(quotaStore, quotas, request, { now, dryRun });
+  } catch (e) {
+    console.error("[QUOTA] store unavailable:", String(e?.message || e));
+    await denyExecution(res, facts, "quota_store_unavailable", key);
+    return null;
+  }
+  if (!quota.ok) {
+    res.set("Retry-After", String(quota.retryAfterSeconds));
+    await denyExecution(res, facts, "risk_quota_exceeded", key, {
+      quota: quota.exceeded,
+      retry_after_seconds: quota.retryAfterSeconds,
+    });
+    return null;
+  }
+  return quota;
+}
+
 /**
  * ------------------------------------------------------------
  * POST /v1/execute
  * Acceptance-only execution gate
  * FAIL CLOSED: if ledger write fails, decision is DENY.
  *
- * Replay resistance is enforced by DB unique index on acceptance_hash:
+ * Replay resistance: each PERMIT spends one use of the acceptance's
+ * (issuer, jti), shared with /v1/authority/evaluate through the replay
+ * store; the spent use slot is the row's acceptance_hash, held durably by
  *   solace_ledger_acceptance_hash_uniq (acceptance_hash) WHERE acceptance_hash IS NOT NULL
+ *
+ * Obligations (obligations.js): the governing decision is the one the
+ * acceptance names (signed decisionId), else the latest governance decision
+ * for the intent_hash, else for the actor and intent name (see
+ * findGoverningDecision). Its required pre-execution obligations must be met
+ * (evidence, or a fulfilment report in time) → otherwise DENY
+ * obligation_unmet / obligation_overdue. A named decision that does not
+ * exist or governs another actor or intent → DENY governing_decision_not_found
+ * / governing_decision_mismatch. A PERMIT lists the governing decision's
+ * obligations still open (post-execution ones to fulfil).
+ *
+ * A claimed use is released again if the PERMIT is then not recorded (quota
+ * refused at charge time, ledger write failed); the slot a unique violation
+ * reports stays spent.
+ *
+ * Risk quotas (quotas.js): a PERMIT over a matching quota is DENY
+ * risk_quota_exceeded with Retry-After / retry_after_seconds. Checked
+ * before the acceptance use is spent, charged just before the PERMIT is
+ * recorded (detail.quota_keys) and refunded if it then is not.
  * ------------------------------------------------------------
  */
 app.post("/v1/execute", async (req, res) => {
@@ -388,240 +805,209 @@ app.post("/v1/execute", async (req, res) => {
   try {
     const { intent, execute, acceptance } = req.body || {};
 
-    if (!intent || !intent.actor?.id || !intent.intent || !execute || !acceptance) {
+    const intentSchema = validateIntent(intent, { ...EXECUTE_INTENT_SCHEMAS, at: "/intent" });
+    const structured = intentSchema.version === "intent.structured/1";
+    // Structured intents name their actor like /v1/authority/evaluate does.
+    const requestActorId = structured ? resolveEvaluateActorId(req.body) : intent?.actor?.id ? String(intent.actor.id) : null;
+    const requestViolations = [
+      ...intentSchema.violations,
+      ...(structured && intentSchema.violations.length === 0 && !requestActorId
+        ? [{ path: "/intent/context/system_id", keyword: "required", message: "is required (or /actor/id)" }]
+        : []),
+      ...validateSchema("execute/1", execute, "/execute"),
+      ...(acceptance === undefined ? [{ path: "/acceptance", keyword: "required", message: "is required" }] : []),
+    ];
+    if (requestViolations.length > 0) {
+      const reason = "invalid_or_missing_execute_request";
       return res.status(200).json({
         decision: "DENY",
-        reason: "invalid_or_missing_execute_request",
+        reason,
+        schema: intentSchema.version,
+        violations: requestViolations,
+        receipt: executeReceipt({
+          actorId: requestActorId,
+          intentName: intentNameOf(intent),
+          decision: "DENY",
+          reason,
+        }),
       });
     }
 
-    const actorId = String(intent.actor.id);
-    const intentName = String(intent.intent);
+    const actorId = requestActorId;
+    const intentName = intentNameOf(intent);
 
     const intentHash = computeIntentHash(intent);
     const executeHash = computeExecuteHash(execute);
-    const acceptanceHash = computeAcceptanceHash(acceptance);
-
-    const {
-      issuer,
-      actorId: acceptedActorId,
-      intent: acceptedIntent,
-      issuedAt,
-      expiresAt,
-      signature,
-    } = acceptance;
 
-    if (!issuer || !acceptedActorId || !acceptedIntent || !issuedAt || !expiresAt || !signature) {
-      try {
-        await ledgerWrite({
-          actor_id: actorId,
-          intent: intentName,
-          intent_hash: intentHash,
-          execute_hash: executeHash,
-          acceptance_hash: acceptanceHash,
-          decision: "DENY",
-          reason: "invalid_or_missing_acceptance",
-        });
-      } catch {}
-
-      return res.status(200).json({
-        decision: "DENY",
-        reason: "invalid_or_missing_acceptance",
+    const facts = { actorId, intentName, intentHash, executeHash };
+    const keyScopeRequest = structured
+      ? keyScopeRequestForEvaluate(actorId, intent)
+      : keyScopeRequestForExecute(intent);
+    const delegationFacts = delegationRequest(keyScopeRequest, intent);
+
+    const acceptanceViolations = validateSchema("acceptance/1", acceptance, "/acceptance");
+    if (acceptanceViolations.length > 0) {
+      return denyExecution(res, facts, "invalid_or_missing_acceptance", {}, {
+        schema: "acceptance/1",
+        violations: acceptanceViolations,
       });
     }
 
+    const { actorId: acceptedActorId, intent: acceptedIntent, issuedAt, expiresAt } = acceptance;
+
     const now = new Date();
     if (now < new Date(issuedAt) || now > new Date(expiresAt)) {
-      try {
-        await ledgerWrite({
-          actor_id: actorId,
-          intent: intentName,
-          intent_hash: intentHash,
-          execute_hash: executeHash,
-          acceptance_hash: acceptanceHash,
-          decision: "DENY",
-          reason: "acceptance_not_in_valid_time_window",
-        });
-      } catch {}
-
-      return res.status(200).json({
-        decision: "DENY",
-        reason: "acceptance_not_in_valid_time_window",
-      });
+      return denyExecution(res, facts, "acceptance_not_in_valid_time_window");
     }
 
     if (String(acceptedActorId) !== actorId) {
-      try {
-        await ledgerWrite({
-          actor_id: actorId,
-          intent: intentName,
-          intent_hash: intentHash,
-          execute_hash: executeHash,
-          acceptance_hash: acceptanceHash,
-          decision: "DENY",
-          reason: "actor_binding_mismatch",
-        });
-      } catch {}
-
-      return res.status(200).json({
-        decision: "DENY",
-        reason: "actor_binding_mismatch",
-      });
+      return denyExecution(res, facts, "actor_binding_mismatch");
     }
 
     if (String(acceptedIntent) !== intentName) {
-      try {
-        await ledgerWrite({
-          actor_id: actorId,
-          intent: intentName,
-          intent_hash: intentHash,
-          execute_hash: executeHash,
-          acceptance_hash: acceptanceHash,
-          decision: "DENY",
-          reason: "intent_binding_mismatch",
-        });
-      } catch {}
-
-      return res.status(200).json({
-        decision: "DENY",
-        reason: "intent_binding_mismatch",
-      });
+      return denyExecution(res, facts, "intent_binding_mismatch");
     }
 
-    // Registry key selection (optional, fail-closed if provided but invalid)
-    const authorityKeyId =
-      asUuidString(acceptance.authorityKeyId) || asUuidString(acceptance.authority_key_id);
-
-    let verificationKeyPem = ISSUER_PUBLIC_KEY_FALLBACK;
-    let ledgerAuthorityKeyId = null;
-    let ledgerOrgId = null;
-    let ledgerPrincipalId = null;
-
-    if (authorityKeyId) {
-      const keyRes = await fetchAuthorityKeyById(authorityKeyId);
-      if (!keyRes.ok) {
-        try {
-          await ledgerWrite({
-            actor_id: actorId,
-            intent: intentName,
-            intent_hash: intentHash,
-            execute_hash: executeHash,
-            acceptance_hash: acceptanceHash,
-            decision: "DENY",
-            reason: keyRes.reason || "invalid_authority_key",
-          });
-        } catch {}
-
-        return res.status(200).json({
-          decision: "DENY",
-          reason: keyRes.reason || "invalid_authority_key",
-        });
-      }
+    // Verify the acceptance (acceptance.js): registry key if one is named
+    // (fail-closed if invalid), else the legacy issuer key; signature binds executeHash.
+    // A delegated acceptance is signed by the leaf of a chain rooted at that key.
+    const verified = await verifyAcceptance(acceptance, {
+      executeHash,
+      resolveKey: async (authorityKeyId, view) => {
+        const root = authorityKeyId
+          ? await resolveLiveAuthorityKey(authorityKeyId, keyScopeRequest, now)
+          : ISSUER_PUBLIC_KEY_FALLBACK
+            ? { ok: true, publicKeyPem: ISSUER_PUBLIC_KEY_FALLBACK }
+            : { ok: false, reason: "issuer_pubkey_missing" };
+        return followDelegation(root, view, { request: delegationFacts, now, isRevoked: isDelegationRevoked });
+      },
+    });
+    if (!verified.ok) {
+      const detail = verified.field ? { field: verified.field } : {};
+      return denyExecution(res, facts, verified.reason, verified.row || {}, detail);
+    }
 
-      const row = keyRes.row;
-
-      if (String(row.status || "").toLowerCase() !== "active") {
-        try {
-          await ledgerWrite({
-            actor_id: actorId,
-            intent: intentName,
-            intent_hash: intentHash,
-            execute_hash: executeHash,
-            acceptance_hash: acceptanceHash,
-            decision: "DENY",
-            reason: "authority_key_inactive",
-            authority_key_id: row.id,
-            organization_id: row.organization_id,
-            principal_id: row.principal_id,
-          });
-        } catch {}
-
-        return res.status(200).json({
-          decision: "DENY",
-          reason: "authority_key_inactive",
-        });
-      }
+    const ledgerAuthorityKeyId = verified.row?.id || null;
+    const ledgerOrgId = verified.row?.organization_id || null;
+    const ledgerPrincipalId = verified.row?.principal_id || null;
+    const verifiedKey = verified.row || {};
+    const signerKeyIds = verified.signers.map((s) => s.authorityKeyId).filter(Boolean);
+
+    // Pack quorum rules for this intent (quorum.js): execute runs no packs
+    // otherwise, so an unmet quorum here is DENY, not ESCALATE.
+    const quorumRules = quorumRequirementsFor({ ...intent, action_name: intentName });
+    if (!quorumRules.ok) {
+      return denyExecution(res, facts, quorumRules.reason, verifiedKey);
+    }
+    if (quorumRules.requirements.length > 0 || isQuorumAcceptance(acceptance)) {
+      const quorum = assessQuorum(quorumRules.requirements, verified.signers, actorId);
+      if (quorum.problem) return denyExecution(res, facts, quorum.problem, verifiedKey);
+      if (quorum.unmet.length > 0) return denyExecution(res, facts, "quorum_not_met", verifiedKey);
+    }
 
-      if (!isWithinValidityWindow(row, now)) {
-        try {
-          await ledgerWrite({
-            actor_id: actorId,
-            intent: intentName,
-            intent_hash: intentHash,
-            execute_hash: executeHash,
-            acceptance_hash: acceptanceHash,
-            decision: "DENY",
-            reason: "authority_key_outside_validity_window",
-            authority_key_id: row.id,
-            organization_id: row.organization_id,
-            principal_id: row.principal_id,
-          });
-        } catch {}
-
-        return res.status(200).json({
-          decision: "DENY",
-          reason: "authority_key_outside_validity_window",
+    // Pre-execution obligations of the governing decision; FAIL CLOSED if
+    // the ledger cannot say whether they were met.
+    const governing = await findGoverningDecision({
+      decisionId: acceptance.decisionId,
+      intentHash,
+      actorId,
+      intentName,
+    });
+    if (!governing.ok) {
+      console.error("[LEDGER][EXECUTE] obligation lookup failed:", governing.error);
+      return denyExecution(res, facts, "obligation_state_unavailable", verifiedKey);
+    }
+    if (governing.problem) {
+      return denyExecution(res, facts, governing.problem, verifiedKey, { governing_decision_id: acceptance.decisionId });
+    }
+    let openAfterExecution = [];
+    if (governing.decision) {
+      const { obligations, reports } = governing.decision;
+      const pre = preExecutionProblem(obligations, reports, now);
+      if (pre.reason) {
+        return denyExecution(res, facts, pre.reason, verifiedKey, {
+          governing_decision_id: governing.decision.decisionId,
+          obligations: pre.unmet.map((o) => o.obligation_id),
         });
       }
-
-      verificationKeyPem = row.public_key;
-      ledgerAuthorityKeyId = row.id;
-      ledgerOrgId = row.organization_id;
-      ledgerPrincipalId = row.principal_id;
+      openAfterExecution = openObligations(obligations, reports, now);
     }
 
-    // Verify external signature binds to executeHash
-    const sigOk = verifyAcceptanceSignatureWithKey(acceptance, executeHash, verificationKeyPem);
-    if (!sigOk) {
-      try {
-        await ledgerWrite({
-          actor_id: actorId,
-          intent: intentName,
-          intent_hash: intentHash,
-          execute_hash: executeHash,
-          acceptance_hash: acceptanceHash,
-          decision: "DENY",
-          reason: "invalid_acceptance_signature",
-          authority_key_id: ledgerAuthorityKeyId,
-          organization_id: ledgerOrgId,
-          principal_id: ledgerPrincipalId,
-        });
-      } catch {}
+    const quotaRequest = { surface: "execute", ...keyScopeRequest, organization_id: ledgerOrgId };
+    if (!(await applyExecuteQuotas(res, facts, quotaRequest, verifiedKey, { now, dryRun: true }))) return;
 
-      return res.status(200).json({
-        decision: "DENY",
-        reason: "invalid_acceptance_signature",
+    // Spend one use of (issuer, jti); FAIL CLOSED if the store cannot answer.
+    const useKey = acceptanceUseKey(acceptance);
+    let acceptanceUse;
+    try {
+      acceptanceUse = await claimAcceptanceUse(replayStore, {
+        useKey,
+        maxUses: acceptanceMaxUses(acceptance),
+        expiresAtMs: new Date(expiresAt).getTime(),
       });
+    } catch (e) {
+      console.error("[REPLAY] store unavailable:", String(e?.message || e));
+      return denyExecution(res, facts, "replay_store_unavailable", verifiedKey);
+    }
+    if (acceptanceUse === null) {
+      return denyExecution(res, facts, "acceptance_replay_detected", verifiedKey);
+    }
+
+    const quota = await applyExecuteQuotas(res, facts, quotaRequest, verifiedKey, { now, dryRun: false });
+    if (!quota) {
+      await giveBackAcceptanceUse(useKey, acceptanceUse);
+      return;
     }
 
     // PERMIT — FAIL CLOSED if we cannot persist proof (and enforce replay resistance)
+    // The acceptance itself is stored so verify-ledger.js can re-check the signature,
+    // and the scope facts so it can re-check the registry key's scope.
+    let written;
     try {
-      await ledgerWrite({
+      written = await ledgerWrite({
         actor_id: actorId,
         intent: intentName,
         intent_hash: intentHash,
         execute_hash: executeHash,
-        acceptance_hash: acceptanceHash,
+        acceptance_hash: acceptanceUseHash(acceptance, acceptanceUse),
         decision: "PERMIT",
         reason: "valid_acceptance_signature",
         authority_key_id: ledgerAuthorityKeyId,
         organization_id: ledgerOrgId,
         principal_id: ledgerPrincipalId,
+        detail: {
+          surface: "execute",
+          acceptance,
+          acceptance_use: acceptanceUse,
+          signer_key_ids: signerKeyIds,
+          ...(quota.keys.length > 0 ? { quota_keys: quota.keys } : {}),
+          ...(governing.decision
+            ? {
+                governing_decision_id: governing.decision.decisionId,
+                open_obligations: openAfterExecution.map((o) => o.obligation_id),
+              }
+            : {}),
+          ...(ledgerAuthorityKeyId ? { key_scope: keyScopeRequest } : {}),
+          ...(verified.delegation ? { delegation: verified.delegation, delegation_request: delegationFacts } : {}),
+        },
       });
     } catch (e) {
       const msg = String(e?.message || "ledger_write_failed");
-
-      if (msg.includes("solace_ledger_acceptance_hash_uniq")) {
-        return res.status(200).json({
-          decision: "DENY",
-          reason: "acceptance_replay_detected",
-        });
-      }
+      // Nothing was appended: these receipts carry no ledger_entry_hash.
+      const reason = msg.includes("solace_ledger_acceptance_hash_uniq")
+        ? "acceptance_replay_detected"
+        : "ledger_write_failed";
+      // Nothing was charged either. A unique violation means another row
+      // holds this use; any other failure recorded nothing, so the use was
+      // not spent.
+      await refundQuotaCharge(quota);
+      if (reason === "ledger_write_failed") await giveBackAcceptanceUse(useKey, acceptanceUse);
 
       return res.status(200).json({
         decision: "DENY",
-        reason: "ledger_write_failed",
-        error: msg,
+        reason,
+        ...(reason === "ledger_write_failed" ? { error: msg } : {}),
+        receipt: executeReceipt({ ...facts, decision: "DENY", reason }),
       });
     }
 
@@ -633,6 +1019,20 @@ app.post("/v1/execute", async (req, res) => {
       expiresAt,
       time: startedAt,
       authorityKeyId: ledgerAuthorityKeyId || null,
+      decisionId: written.decision_id,
+      ledgerEntryHash: written.entry_hash,
+      ...(governing.decision
+        ? { governingDecisionId: governing.decision.decisionId, obligations: openAfterExecution }
+        : {}),
+      ...(quota.usage.length > 0 ? { quotas: quota.usage } : {}),
+      receipt: executeReceipt({
+        ...facts,
+        decision: "PERMIT",
+        reason: "valid_acceptance_signature",
+        written,
+        authorityKeyId: ledgerAuthorityKeyId,
+        expiresAt,
+      }),
     });
   } catch (err) {
     const msg = err?.message ?? "unknown_error";
@@ -644,12 +1044,1805 @@ app.post("/v1/execute", async (req, res) => {
   }
 });
 
+/**
+ * ------------------------------------------------------------
+ * Governance evaluation helpers (OpenAPI v1.1.1)
+ * ------------------------------------------------------------
+ * /v1/authority/evaluate and /ack use the spec's ErrorResponse
+ * envelope for 4xx/5xx. Clients MUST treat every non-200 as DENY.
+ */
+// `details`: optional structured diagnostics ({ schema, violations } for schema failures).
+function sendError(res, status, code, message, details = null) {
+  return res.status(status).json({ error: { code, message, ...(details ? { details } : {}) } });
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+// Schema violations of the evaluate intent (intent.structured/1) and of the
+// acceptance if one is supplied, as sendError details; null if valid.
+function evaluateRequestViolations(body) {
+  const intent = validateIntent(body.intent, { allowed: ["intent.structured/1"], fallback: "intent.structured/1" });
+  if (intent.violations.length > 0) return { schema: intent.version, violations: intent.violations };
+
+  if (body.acceptance !== undefined && body.acceptance !== null) {
+    const violations = validateSchema("acceptance/1", body.acceptance, "/acceptance");
+    if (violations.length > 0) return { schema: "acceptance/1", violations };
+  }
+  return null;
+}
+
+// Tenant named by X-Solace-API-Key, or null.
+function authenticateTenant(req) {
+  return tenants.authenticate(req.get("x-solace-api-key"));
+}
+
+// Governance surface: a tenant is required once a registry is configured.
+// Returns { tenantId, tenant } or null after sending 401.
+function requireGovernanceTenant(req, res) {
+  if (!tenants.configured) return { tenantId: null, tenant: null };
+  const tenant = authenticateTenant(req);
+  if (!tenant) {
+    sendError(res, 401, "UNAUTHORIZED", "Missing or invalid API key.");
+    return null;
+  }
+  return { tenantId: tenant.tenant_id, tenant };
+}
+
+// Risk quotas of a governance decision (quotas.js): `dryRun` checks before
+// evaluating (recorded in `trace`), otherwise a PERMIT is charged. Returns
+// the checkQuotas result, or null after sending 429 RATE_LIMITED_RISK_QUOTA
+// (clients treat it as DENY) or 503.
+async function applyGovernanceQuotas(res, request, { dryRun, trace = null, includeTrace = false }) {
+  let quota;
+  try {
+    quota = await checkQuotas(quotaStore, quotas, request, { dryRun });
+  } catch (e) {
+    console.error("[QUOTA] store unavailable:", String(e?.message || e));
+    sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    return null;
+  }
+  trace?.push({
+    step: dryRun ? "CHECK_RISK_QUOTA" : "CHARGE_RISK_QUOTA",
+    outcome: quota.ok ? "PASS" : "FAIL",
+    detail: describeQuotaUsage(quota.usage) || "no quota applies",
+  });
+  if (!quota.ok) {
+    res.set("Retry-After", String(quota.retryAfterSeconds));
+    sendError(res, 429, "RATE_LIMITED_RISK_QUOTA", "Risk quota exceeded; retry after backoff or downgrade to safe refusal.", {
+      reason: "risk_quota_exceeded",
+      quota: quota.exceeded,
+      retry_after_seconds: quota.retryAfterSeconds,
+      ...(includeTrace && trace ? { trace } : {}),
+    });
+    return null;
+  }
+  return quota;
+}
+
+// The acting system is the integrating system unless the caller names an actor.
+function resolveEvaluateActorId(body) {
+  const explicit = body.actor?.id;
+  if (isNonEmptyString(explicit)) return String(explicit);
+  const systemId = body.intent?.context?.system_id;
+  if (isNonEmptyString(systemId)) return String(systemId);
+  return null;
+}
+
+// "policy_id@version" of the deciding pack, or of every loaded pack when
+// the decision was structural (no pack ruled).
+function policyVersionOf(result) {
+  if (result.policy) return `${result.policy.policy_id}@${result.policy.version}`;
+  const all = (result.policies || []).map((p) => `${p.policy_id}@${p.version}`);
+  return all.length ? all.join(",") : "none";
+}
+
+function policyHashesOf(result) {
+  return (result.policies || []).map((p) => `${p.policy_id}@${p.version}:${p.sha256}`).join(",");
+}
+
+// Run the canonical engine over a persisted evaluation ({ actor_id, intent, acceptance }).
+// The structured intent is the payload an evaluate decision authorizes, so
+// acceptances on this surface bind executeHash = sha256(canonical(intent)).
+function runEvaluation(evaluation, options) {
+  const { actor_id, intent, acceptance } = evaluation;
+  const scopeRequest = keyScopeRequestForEvaluate(actor_id, intent);
+  return authorizeExecution(
+    {
+      ...intent,
+      intent: intent.intent_type,
+      actor: { id: actor_id },
+      acceptance: acceptance ?? undefined,
+    },
+    {
+      ...options,
+      replayStore,
+      executeHash: computeExecuteHash(intent),
+      resolveRegistryKey: (authorityKeyId) => resolveLiveAuthorityKey(authorityKeyId, scopeRequest),
+      delegation: { request: delegationRequest(scopeRequest, intent), isRevoked: isDelegationRevoked },
+    }
+  );
+}
+
+// `override` ({ reason, text }) replaces the engine reason, e.g. OBLIGATION_NOT_SATISFIED on /ack.
+function buildGovernanceResponse({ requestId, decisionId, result, override }) {
+  const issuedAt = new Date();
+  const reason = override?.reason || result.reason;
+  const reasonText = override ? override.text : result.reasonText;
+  const expiresAt =
+    result.decision === "PERMIT" && result.expiresAt
+      ? new Date(result.expiresAt).toISOString()
+      : new Date(issuedAt.getTime() + DECISION_TTL_MS).toISOString();
+
+  return {
+    request_id: requestId,
+    decision: {
+      decision: result.decision,
+      reason_code: reason.toUpperCase(),
+      reason: reasonText || reason,
+      policy_version: policyVersionOf(result),
+      invariant_version: INVARIANT_VERSION,
+      decision_id: decisionId,
+      issued_at: issuedAt.toISOString(),
+      expires_at: expiresAt,
+      confidence: 1.0,
+    },
+    obligations: materializeObligations(result.obligations, {
+      decisionId,
+      issuedAt,
+      satisfied: result.obligationsSatisfied ?? [],
+    }),
+  };
+}
+
+async function findDecisionByRequestId(requestId) {
+  try {
+    const row = await ledger.findOne({ request_id: requestId }, "decision_id, request_id, detail");
+    return { ok: true, row };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+async function findDecisionById(decisionId) {
+  try {
+    const row = await ledger.findOne({ decision_id: decisionId }, "decision_id, request_id, actor_id, intent_hash, decision, reason, expires_at, detail");
+    return { ok: true, row };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+// A decision is finalized once an /ack has produced its successor.
+async function findSuccessorDecision(decisionId) {
+  try {
+    const row = await ledger.findOne({ parent_decision_id: decisionId }, "decision_id");
+    return { ok: true, row };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+// Governing decision of an execution (obligations.js), with the fulfilment
+// reports recorded for it since (oldest first):
+//   1. the decision the acceptance names (signed decisionId): it must be a
+//      governance decision for the same actor and intent, else `problem`
+//      (governing_decision_not_found / governing_decision_mismatch); the
+//      latest decision of its /ack chain governs
+//   2. else the latest governance decision for the exact intent_hash
+//   3. else the latest governance decision for the actor and intent name, so
+//      an intent that differs in any other field is still gated
+// { ok, decision: null } if none applies.
+const GOVERNING_PAGE = 200;
+
+// Newest first: the first evaluate-surface row in `match` passing `accept`.
+async function latestGovernanceRow(match, accept = () => true) {
+  let afterId;
+  for (;;) {
+    const rows = await ledger.list({ match, descending: true, afterId, limit: GOVERNING_PAGE });
+    const found = rows.find((row) => row.detail?.surface === "evaluate" && accept(row));
+    if (found) return found;
+    if (rows.length < GOVERNING_PAGE) return null;
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+// Reports filed against `row` (fulfilment entries share its intent_hash).
+async function fulfilmentReportsFor(row) {
+  const reports = [];
+  let afterId = row.id;
+  for (;;) {
+    const rows = await ledger.list({ match: { intent_hash: row.intent_hash }, afterId, limit: GOVERNING_PAGE });
+    for (const r of rows) {
+      if (r.detail?.surface === "fulfilment" && r.detail.decision_id === row.decision_id) {
+        reports.push(...(r.detail.fulfilments || []));
+      }
+    }
+    if (rows.length < GOVERNING_PAGE) return reports;
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+async function findGoverningDecision({ decisionId, intentHash, actorId, intentName }) {
+  try {
+    let row;
+    if (decisionId) {
+      const named = await ledger.findOne({ decision_id: decisionId });
+      if (!named || named.detail?.surface !== "evaluate") {
+        return { ok: true, decision: null, problem: "governing_decision_not_found" };
+      }
+      if (named.actor_id !== actorId || named.intent !== intentName) {
+        return { ok: true, decision: null, problem: "governing_decision_mismatch" };
+      }
+      const root = named.detail.root_decision_id ?? named.decision_id;
+      row = await latestGovernanceRow(
+        { intent_hash: named.intent_hash },
+        (r) => (r.detail.root_decision_id ?? r.decision_id) === root
+      );
+    } else {
+      row =
+        (await latestGovernanceRow({ intent_hash: intentHash })) ??
+        (await latestGovernanceRow({ actor_id: actorId, intent: intentName }));
+    }
+    if (!row) return { ok: true, decision: null };
+
+    return {
+      ok: true,
+      decision: {
+        decisionId: row.decision_id,
+        obligations: row.detail.response?.obligations || [],
+        reports: await fulfilmentReportsFor(row),
+      },
+    };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+// Same request_id: identical payload from the same tenant → stored response, otherwise 409.
+function replayStoredResponse(res, row, fingerprint, tenantId) {
+  if (
+    !row.detail ||
+    row.detail.request_fingerprint !== fingerprint ||
+    (row.detail.tenant_id ?? null) !== tenantId
+  ) {
+    return sendError(res, 409, "CONFLICT_IDEMPOTENCY", "request_id replayed with incompatible payload.");
+  }
+  return res.status(200).json(row.detail.response);
+}
+
+// Persist a governance decision; on a request_id race, answer from the winner.
+// Returns true if a response has already been sent. `onUnrecorded` runs when
+// nothing was recorded, with acceptanceHashTaken if another row holds the
+// acceptance_hash.
+async function persistGovernanceDecision(res, { requestId, tenantId, fingerprint, response, result, row, label, onUnrecorded }) {
+  try {
+    await ledgerWrite({
+      ...row,
+      decision: response.decision.decision,
+      reason: response.decision.reason_code,
+      request_id: requestId,
+      decision_id: response.decision.decision_id,
+      expires_at: response.decision.expires_at,
+      detail: {
+        ...row.detail,
+        tenant_id: tenantId,
+        policy: result.policy || null,
+        rule_id: result.ruleId || null,
+        policies: result.policies || [],
+        request_fingerprint: fingerprint,
+        response,
+      },
+    });
+    return false;
+  } catch (e) {
+    const msg = String(e?.message || "ledger_write_failed");
+    await onUnrecorded?.({ acceptanceHashTaken: msg.includes("solace_ledger_acceptance_hash_uniq") });
+
+    if (msg.includes("solace_ledger_request_id_uniq")) {
+      const winner = await findDecisionByRequestId(requestId);
+      if (winner.ok && winner.row) {
+        replayStoredResponse(res, winner.row, fingerprint, tenantId);
+        return true;
+      }
+    }
+
+    console.error(`[LEDGER][${label}] write failed:`, msg);
+    sendError(res, 503, "SERVICE_UNAVAILABLE", "Decision could not be persisted.");
+    return true;
+  }
+}
+
+/**
+ * ------------------------------------------------------------
+ * POST /v1/authority/evaluate
+ * Governance evaluation backed by authorizeExecution
+ * FAIL CLOSED: if the decision cannot be persisted, no decision is issued.
+ * ------------------------------------------------------------
+ */
+app.post("/v1/authority/evaluate", async (req, res) => {
+  try {
+    const auth = requireGovernanceTenant(req, res);
+    if (!auth) return;
+    const { tenantId } = auth;
+
+    const body = req.body;
+    if (!isPlainObject(body)) {
+      return sendError(res, 400, "INVALID_REQUEST", "Request body must be a JSON object.");
+    }
+
+    const requestId = isNonEmptyString(body.request_id) ? body.request_id.trim() : null;
+    if (!requestId) {
+      return sendError(res, 400, "INVALID_REQUEST", "Missing required field: request_id");
+    }
+
+    const invalid = evaluateRequestViolations(body);
+    if (invalid) {
+      return sendError(res, 400, "INVALID_REQUEST", describeViolations(invalid.violations), invalid);
+    }
+
+    const options = body.options === undefined ? {} : body.options;
+    if (!isPlainObject(options)) {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid field: options");
+    }
+    const dryRun = options.dry_run === true;
+    const includeTrace = options.include_trace === true;
+
+    const actorId = resolveEvaluateActorId(body);
+    if (!actorId) {
+      return sendError(
+        res,
+        400,
+        "INVALID_REQUEST",
+        "Missing required field: actor.id or intent.context.system_id"
+      );
+    }
+
+    const intent = body.intent;
+    const evaluation = { actor_id: actorId, intent, acceptance: body.acceptance ?? null };
+
+    // Idempotency fingerprint: everything that can change the decision (options excluded).
+    const fingerprint = sha256Hex(canonical(evaluation));
+    const trace = [{ step: "VALIDATE_SCHEMA", outcome: "PASS" }];
+
+    // Idempotency (read-only, so it also applies to dry runs)
+    const prior = await findDecisionByRequestId(requestId);
+    if (!prior.ok) {
+      console.error("[LEDGER][EVALUATE] idempotency lookup failed:", prior.error);
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+    if (prior.row) {
+      return replayStoredResponse(res, prior.row, fingerprint, tenantId);
+    }
+    trace.push({ step: "CHECK_IDEMPOTENCY", outcome: "PASS" });
+
+    // Checked before evaluating, so a throttled request spends no acceptance use.
+    const quotaRequest = { surface: "evaluate", ...keyScopeRequestForEvaluate(actorId, intent), tenant_id: tenantId };
+    if (!(await applyGovernanceQuotas(res, quotaRequest, { dryRun: true, trace, includeTrace }))) return;
+
+    const decisionId = `dec_${crypto.randomUUID()}`;
+    const result = await runEvaluation(evaluation, { dryRun, bindingId: decisionId });
+    trace.push({ step: "APPLY_POLICY_PACKS", outcome: result.decision, detail: policyHashesOf(result) });
+    trace.push({ step: "EVALUATE_INVARIANTS", outcome: "PASS", detail: INVARIANT_VERSION });
+
+    // The use this fresh decision id claimed, given back if the decision is
+    // not recorded after all (see /v1/execute).
+    const releaseUse = async () => {
+      if (!dryRun && result.acceptanceUse) {
+        await giveBackAcceptanceUse(acceptanceUseKey(body.acceptance), result.acceptanceUse);
+      }
+    };
+
+    let charged = null;
+    if (result.decision === "PERMIT" && !dryRun) {
+      charged = await applyGovernanceQuotas(res, quotaRequest, { dryRun: false, trace, includeTrace });
+      if (!charged) {
+        await releaseUse();
+        return;
+      }
+    }
+    const quotaKeys = charged?.keys ?? [];
+
+    const response = buildGovernanceResponse({ requestId, decisionId, result });
+    trace.push({ step: "DECIDE", outcome: result.decision });
+
+    if (dryRun) {
+      trace.push({ step: "PERSIST_DECISION", outcome: "SKIPPED", detail: "dry_run" });
+      return res.status(200).json(includeTrace ? { ...response, trace } : response);
+    }
+
+    trace.push({ step: "PERSIST_DECISION", outcome: "PASS" });
+    const stored = includeTrace ? { ...response, trace } : response;
+
+    const sent = await persistGovernanceDecision(res, {
+      requestId,
+      tenantId,
+      fingerprint,
+      response: stored,
+      result,
+      label: "EVALUATE",
+      onUnrecorded: async ({ acceptanceHashTaken }) => {
+        await refundQuotaCharge(charged);
+        if (!acceptanceHashTaken) await releaseUse();
+      },
+      row: {
+        actor_id: actorId,
+        intent: intent.intent_type,
+        intent_hash: computeIntentHash(intent),
+        execute_hash: computeExecuteHash(intent),
+        // The use of the acceptance this decision spent (see /v1/execute).
+        acceptance_hash: result.acceptanceUse ? acceptanceUseHash(body.acceptance, result.acceptanceUse) : null,
+        detail: {
+          surface: "evaluate",
+          root_decision_id: decisionId,
+          evaluation,
+          satisfied_obligations: [],
+          signer_key_ids: result.signerKeyIds ?? [],
+          ...(quotaKeys.length > 0 ? { quota_keys: quotaKeys } : {}),
+          ...(result.delegation ? { delegation: result.delegation } : {}),
+        },
+      },
+    });
+    if (sent) return;
+
+    return res.status(200).json(stored);
+  } catch (err) {
+    console.error("[EVALUATE] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * Obligation evidence (/ack)
+ * ------------------------------------------------------------
+ * Evidence satisfies an obligation only if:
+ * - its type maps to the obligation type (EVIDENCE_TO_OBLIGATION,
+ *   obligations.js); report obligations are not met by evidence
+ * - evidence_hash is a SHA-256 hex reference
+ * - the attestor role matches details.approver_role (when declared)
+ * - it is inside its own issued_at / expires_at window
+ * - it carries a JWS/JWT proof that verifies against the active registry
+ *   key named by its `kid`, registered with key_purpose "evidence", and
+ *   binds decision_id + evidence_hash + obligation_type (one proof cannot
+ *   stand for another obligation type); with details.approver_role, that
+ *   key's principal_role must be the role
+ * Rejected evidence is counted in solace_evidence_rejected_total.
+ */
+const PROOF_TYPES = new Set(["jwt", "jws", "cose", "threshold_sig", "opaque"]);
+
+function base64urlDecode(s) {
+  const str = String(s || "");
+  if (!/^[A-Za-z0-9_-]*$/.test(str)) return null;
+  return Buffer.from(str.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+function validateEvidence(evidence) {
+  if (!isPlainObject(evidence)) return "Malformed evidence payload.";
+  if (!EVIDENCE_TO_OBLIGATION[evidence.type]) return "Invalid field: evidence.type";
+  if (!isPlainObject(evidence.attestor) || !isNonEmptyString(evidence.attestor.role)) {
+    return "Missing required field: evidence.attestor.role";
+  }
+  if (evidence.evidence_hash !== undefined && !isPlainObject(evidence.evidence_hash)) {
+    return "Invalid field: evidence.evidence_hash";
+  }
+  if (evidence.proof_type !== undefined && !PROOF_TYPES.has(evidence.proof_type)) {
+    return "Invalid field: evidence.proof_type";
+  }
+  if (evidence.proof !== undefined && typeof evidence.proof !== "string") {
+    return "Invalid field: evidence.proof";
+  }
+  return null;
+}
+
+const JWS_VERIFY = {
+  RS256: (data, pem, sig) => crypto.verify("sha256", data, pem, sig),
+  ES256: (data, pem, sig) =>
+    crypto.verify("sha256", data, { key: pem, dsaEncoding: "ieee-p1363" }, sig),
+  EdDSA: (data, pem, sig) => crypto.verify(null, data, pem, sig),
+};
+
+async function verifyEvidenceProof(evidence, obligation, decisionId, now) {
+  const parts = String(evidence.proof || "").split(".");
+  if (parts.length !== 3) return { ok: false, reason: "evidence_proof_malformed" };
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64urlDecode(parts[0]).toString("utf8"));
+    payload = JSON.parse(base64urlDecode(parts[1]).toString("utf8"));
+  } catch {
+    return { ok: false, reason: "evidence_proof_malformed" };
+  }
+
+  const verify = JWS_VERIFY[header?.alg];
+  if (!verify) return { ok: false, reason: "evidence_proof_unsupported_alg" };
+
+  const keyRes = await fetchAuthorityKeyById(header.kid);
+  if (!keyRes.ok) return { ok: false, reason: keyRes.reason };
+  const row = keyRes.row;
+  if (String(row.status || "").toLowerCase() !== "active" || !isWithinValidityWindow(row, now)) {
+    return { ok: false, reason: "evidence_proof_key_inactive" };
+  }
+  if (row.key_purpose !== KEY_PURPOSE_EVIDENCE) {
+    return { ok: false, reason: "evidence_proof_key_purpose" };
+  }
+  // The attestor's role is what the signing key is registered for, not what
+  // the evidence claims.
+  const role = obligation.details?.approver_role;
+  if (role && row.principal_role !== role) {
+    return { ok: false, reason: "evidence_proof_role_mismatch" };
+  }
+
+  const sig = base64urlDecode(parts[2]);
+  let sigOk = false;
+  try {
+    sigOk = Boolean(sig) && verify(Buffer.from(`${parts[0]}.${parts[1]}`), row.public_key, sig);
+  } catch {
+    sigOk = false;
+  }
+  if (!sigOk) return { ok: false, reason: "evidence_proof_invalid_signature" };
+
+  if (payload?.decision_id !== decisionId) {
+    return { ok: false, reason: "evidence_proof_decision_mismatch" };
+  }
+  if (payload?.evidence_hash !== evidence.evidence_hash?.value) {
+    return { ok: false, reason: "evidence_proof_hash_mismatch" };
+  }
+  if (payload?.obligation_type !== obligation.type) {
+    return { ok: false, reason: "evidence_proof_obligation_mismatch" };
+  }
+  if (typeof payload?.exp === "number" && now.getTime() / 1000 > payload.exp) {
+    return { ok: false, reason: "evidence_proof_expired" };
+  }
+
+  return { ok: true };
+}
+
+async function assessEvidence(evidence, obligation, decisionId, now) {
+  const hash = evidence.evidence_hash;
+  if (!hash || hash.alg !== "SHA-256" || !/^[0-9a-f]{64}$/i.test(String(hash.value || ""))) {
+    return { ok: false, reason: "evidence_hash_missing_or_invalid" };
+  }
+
+  const role = obligation.details?.approver_role;
+  if (role && evidence.attestor.role !== role) {
+    return { ok: false, reason: "attestor_role_mismatch" };
+  }
+
+  if (evidence.issued_at) {
+    const issued = parseTs(evidence.issued_at);
+    if (!issued || now < issued) return { ok: false, reason: "evidence_not_yet_valid" };
+  }
+  if (evidence.expires_at) {
+    const expires = parseTs(evidence.expires_at);
+    if (!expires || now > expires) return { ok: false, reason: "evidence_expired" };
+  }
+
+  // A hash alone proves nothing about who approved: every approval needs a
+  // proof Core can verify.
+  const verifiable = evidence.proof_type === "jws" || evidence.proof_type === "jwt";
+  if (!(verifiable && evidence.proof)) {
+    return { ok: false, reason: "evidence_proof_required" };
+  }
+  return verifyEvidenceProof(evidence, obligation, decisionId, now);
+}
+
+/**
+ * ------------------------------------------------------------
+ * POST /v1/authority/decisions/:decision_id/ack
+ * Submit obligation evidence and re-evaluate bound to the decision
+ * - expired decision            → 409 DECISION_EXPIRED
+ * - already acknowledged / final → 409 DECISION_FINALIZED
+ * - insufficient evidence        → 200, reason_code OBLIGATION_NOT_SATISFIED
+ * ------------------------------------------------------------
+ */
+app.post("/v1/authority/decisions/:decision_id/ack", async (req, res) => {
+  try {
+    const auth = requireGovernanceTenant(req, res);
+    if (!auth) return;
+    const { tenantId } = auth;
+
+    const body = req.body;
+    if (!isPlainObject(body)) {
+      return sendError(res, 400, "INVALID_REQUEST", "Request body must be a JSON object.");
+    }
+
+    const requestId = isNonEmptyString(body.request_id) ? body.request_id.trim() : null;
+    if (!requestId) {
+      return sendError(res, 400, "INVALID_REQUEST", "Missing required field: request_id");
+    }
+
+    // One evidence object per obligation; a single object is accepted as in the spec.
+    const evidenceList = Array.isArray(body.evidence) ? body.evidence : [body.evidence];
+    if (evidenceList.length === 0) {
+      return sendError(res, 400, "INVALID_REQUEST", "Missing required field: evidence");
+    }
+    for (const evidence of evidenceList) {
+      const violation = validateEvidence(evidence);
+      if (violation) return sendError(res, 400, "INVALID_REQUEST", violation);
+    }
+
+    const decisionId = String(req.params.decision_id);
+    const fingerprint = sha256Hex(canonical({ decision_id: decisionId, evidence: evidenceList }));
+
+    const prior = await findDecisionByRequestId(requestId);
+    if (!prior.ok) {
+      console.error("[LEDGER][ACK] idempotency lookup failed:", prior.error);
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+    if (prior.row) {
+      return replayStoredResponse(res, prior.row, fingerprint, tenantId);
+    }
+
+    const found = await findDecisionById(decisionId);
+    if (!found.ok) {
+      console.error("[LEDGER][ACK] decision lookup failed:", found.error);
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+    const original = found.row;
+    // Another tenant's decision is indistinguishable from a missing one.
+    if (
+      !original ||
+      original.detail?.surface !== "evaluate" ||
+      (original.detail.tenant_id ?? null) !== tenantId
+    ) {
+      return sendError(res, 404, "DECISION_NOT_FOUND", "Decision ID not found.");
+    }
+
+    const now = new Date();
+    const expiresAt = parseTs(original.expires_at);
+    if (!expiresAt || now > expiresAt) {
+      return sendError(res, 409, "DECISION_EXPIRED", "Decision expired; re-evaluation required.");
+    }
+
+    if (original.decision !== "ESCALATE") {
+      return sendError(
+        res,
+        409,
+        "DECISION_FINALIZED",
+        "Decision already finalized; acknowledgement not permitted."
+      );
+    }
+
+    const successor = await findSuccessorDecision(decisionId);
+    if (!successor.ok) {
+      console.error("[LEDGER][ACK] successor lookup failed:", successor.error);
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+    if (successor.row) {
+      return sendError(
+        res,
+        409,
+        "DECISION_FINALIZED",
+        "Decision already finalized; acknowledgement not permitted."
+      );
+    }
+
+    // Match evidence to the decision's outstanding obligations
+    const satisfied = new Set(original.detail.satisfied_obligations || []);
+    const outstanding = original.detail.response?.obligations || [];
+
+    for (const obligation of outstanding) {
+      if (obligation.fulfilment === "report" || satisfied.has(obligationKey(obligation))) continue;
+
+      const candidates = evidenceList.filter((e) => EVIDENCE_TO_OBLIGATION[e.type] === obligation.type);
+      for (const evidence of candidates) {
+        const assessed = await assessEvidence(evidence, obligation, decisionId, now);
+        if (assessed.ok) {
+          satisfied.add(obligation.type);
+          break;
+        }
+        evidenceRejectedTotal.inc({ type: obligation.type, reason: assessed.reason });
+      }
+    }
+
+    // Re-evaluate bound to the original decision's acceptance binding
+    const rootDecisionId = original.detail.root_decision_id || decisionId;
+    const evaluation = original.detail.evaluation;
+
+    // A PERMIT reached through /ack counts against the same quotas.
+    const quotaRequest = {
+      surface: "evaluate",
+      ...keyScopeRequestForEvaluate(original.actor_id, evaluation.intent),
+      tenant_id: tenantId,
+    };
+    if (!(await applyGovernanceQuotas(res, quotaRequest, { dryRun: true }))) return;
+
+    const result = await runEvaluation(evaluation, {
+      bindingId: rootDecisionId,
+      satisfied: [...satisfied],
+    });
+
+    let charged = null;
+    if (result.decision === "PERMIT") {
+      charged = await applyGovernanceQuotas(res, quotaRequest, { dryRun: false });
+      if (!charged) return;
+    }
+    const quotaKeys = charged?.keys ?? [];
+
+    const newDecisionId = `dec_${crypto.randomUUID()}`;
+    const response = buildGovernanceResponse({
+      requestId,
+      decisionId: newDecisionId,
+      result,
+      override:
+        result.decision === "ESCALATE"
+          ? {
+              reason: "obligation_not_satisfied",
+              text: "Required obligation evidence was missing or insufficient.",
+            }
+          : null,
+    });
+
+    const sent = await persistGovernanceDecision(res, {
+      requestId,
+      tenantId,
+      fingerprint,
+      response,
+      result,
+      label: "ACK",
+      onUnrecorded: () => refundQuotaCharge(charged),
+      row: {
+        actor_id: original.actor_id,
+        intent: evaluation.intent.intent_type,
+        intent_hash: computeIntentHash(evaluation.intent),
+        execute_hash: computeExecuteHash(evaluation.intent),
+        // The acceptance_hash is claimed by the root decision; the successor
+        // carries the acceptance in detail.evaluation only.
+        acceptance_hash: null,
+        parent_decision_id: decisionId,
+        detail: {
+          surface: "evaluate",
+          root_decision_id: rootDecisionId,
+          evaluation,
+          satisfied_obligations: [...satisfied],
+          evidence_hashes: evidenceList.map((e) => e.evidence_hash?.value || null),
+          signer_key_ids: result.signerKeyIds ?? [],
+          ...(quotaKeys.length > 0 ? { quota_keys: quotaKeys } : {}),
+          ...(result.delegation ? { delegation: result.delegation } : {}),
+        },
+      },
+    });
+    if (sent) return;
+
+    return res.status(200).json(response);
+  } catch (err) {
+    console.error("[ACK] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * POST /v1/authority/decisions/:decision_id/fulfilments
+ * Executor report on report-fulfilled obligations (obligations.js)
+ * - recorded as-is in the ledger (detail.surface "fulfilment"), stamped
+ *   with Core's time; deadlines are judged against that time
+ * - evidence obligations (approvals) are met only via /ack → 400
+ * - the response lists the decision's obligations still open
+ * FAIL CLOSED: a report that cannot be persisted was not made (503).
+ * ------------------------------------------------------------
+ */
+app.post("/v1/authority/decisions/:decision_id/fulfilments", async (req, res) => {
+  try {
+    const auth = requireGovernanceTenant(req, res);
+    if (!auth) return;
+    const { tenantId } = auth;
+
+    const body = req.body;
+    const violations = validateSchema("fulfilment-report/1", body, "");
+    if (violations.length > 0) {
+      return sendError(res, 400, "INVALID_REQUEST", describeViolations(violations), {
+        schema: "fulfilment-report/1",
+        violations,
+      });
+    }
+
+    const requestId = body.request_id.trim();
+    const decisionId = String(req.params.decision_id);
+    const fingerprint = sha256Hex(canonical({ decision_id: decisionId, fulfilments: body.fulfilments }));
+
+    const prior = await findDecisionByRequestId(requestId);
+    if (!prior.ok) {
+      console.error("[LEDGER][FULFILMENT] idempotency lookup failed:", prior.error);
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+    if (prior.row) {
+      return replayStoredResponse(res, prior.row, fingerprint, tenantId);
+    }
+
+    const found = await findDecisionById(decisionId);
+    if (!found.ok) {
+      console.error("[LEDGER][FULFILMENT] decision lookup failed:", found.error);
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+    const original = found.row;
+    if (
+      !original ||
+      original.detail?.surface !== "evaluate" ||
+      (original.detail.tenant_id ?? null) !== tenantId
+    ) {
+      return sendError(res, 404, "DECISION_NOT_FOUND", "Decision ID not found.");
+    }
+
+    const obligations = original.detail.response?.obligations || [];
+    const byId = new Map(obligations.map((o) => [o.obligation_id, o]));
+    for (const [i, fulfilment] of body.fulfilments.entries()) {
+      const obligation = byId.get(fulfilment.obligation_id);
+      if (!obligation) {
+        return sendError(res, 400, "INVALID_REQUEST", `Unknown obligation: fulfilments[${i}].obligation_id`);
+      }
+      if (obligation.fulfilment !== "report") {
+        return sendError(
+          res,
+          400,
+          "INVALID_REQUEST",
+          `Obligation ${obligation.obligation_id} is met by evidence (/ack), not by a fulfilment report.`
+        );
+      }
+    }
+
+    const now = new Date();
+    const fulfilments = body.fulfilments.map((f) => ({ ...f, reported_at: now.toISOString() }));
+
+    let earlier;
+    try {
+      earlier = await fulfilmentReportsFor(original);
+    } catch (e) {
+      console.error("[LEDGER][FULFILMENT] report lookup failed:", String(e?.message || e));
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+
+    const response = {
+      request_id: requestId,
+      decision_id: decisionId,
+      fulfilments,
+      open_obligations: openObligations(obligations, [...earlier, ...fulfilments], now),
+    };
+
+    let written;
+    try {
+      written = await ledgerWrite({
+        actor_id: original.actor_id,
+        intent: "obligation.fulfilment",
+        intent_hash: original.intent_hash,
+        execute_hash: null,
+        acceptance_hash: null,
+        decision: "PERMIT",
+        reason: "obligation_fulfilment_recorded",
+        request_id: requestId,
+        // Not parent_decision_id: a report does not finalize the decision (/ack).
+        detail: {
+          surface: "fulfilment",
+          tenant_id: tenantId,
+          decision_id: decisionId,
+          fulfilments,
+          request_fingerprint: fingerprint,
+          response,
+        },
+      });
+    } catch (e) {
+      const msg = String(e?.message || "ledger_write_failed");
+      if (msg.includes("solace_ledger_request_id_uniq")) {
+        const winner = await findDecisionByRequestId(requestId);
+        if (winner.ok && winner.row) return replayStoredResponse(res, winner.row, fingerprint, tenantId);
+      }
+      console.error("[LEDGER][FULFILMENT] write failed:", msg);
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Fulfilment could not be persisted.");
+    }
+
+    return res.status(200).json({ ...response, ledger_entry_hash: written.entry_hash });
+  } catch (err) {
+    console.error("[FULFILMENT] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * Decision logs (OpenAPI v1.1.1 Logs)
+ * ------------------------------------------------------------
+ * Tenant-scoped ledger reads in append order (oldest first).
+ * - default output is hashes + decision metadata (redaction "minimal");
+ *   standard/full only when the tenant contract allows them
+ * - cursors are opaque and bound to the query that produced them
+ * - format=ndjson (or Accept: application/x-ndjson) streams every
+ *   matching row; requires contract.logs.export. A failure after the
+ *   stream started ends it with a single {"error": {...}} line.
+ */
+const LOG_PAGE_DEFAULT = 50;
+const LOG_PAGE_MAX = 500;
+const DECISIONS = new Set(["PERMIT", "DENY", "ESCALATE"]);
+
+// Query parameter → ledger column (spec names alias the ledger's).
+const LOG_FILTERS = {
+  actor_id: "actor_id",
+  system_id: "actor_id",
+  intent: "intent",
+  intent_type: "intent",
+  decision: "decision",
+  reason: "reason",
+  authority_key_id: "authority_key_id",
+};
+
+// Returns the tenant, or null after sending 401/403.
+function requireLogsTenant(req, res) {
+  const tenant = authenticateTenant(req);
+  if (!tenant) {
+    sendError(res, 401, "UNAUTHORIZED", "Missing or invalid API key.");
+    return null;
+  }
+  if (!tenant.contract.logs.enabled) {
+    sendError(res, 403, "FORBIDDEN_CONTRACT_SCOPE", "Contract does not allow log access.");
+    return null;
+  }
+  return tenant;
+}
+
+// Requested redaction level bounded by the contract: { level } or { status, code, message }.
+function resolveRedaction(tenant, requested) {
+  const level = requested === undefined ? "minimal" : requested;
+  if (!REDACTION_LEVELS.includes(level)) {
+    return { status: 400, code: "INVALID_REQUEST", message: "Invalid query parameter: redaction_level" };
+  }
+  if (REDACTION_LEVELS.indexOf(level) > REDACTION_LEVELS.indexOf(tenant.contract.logs.max_redaction)) {
+    return {
+      status: 403,
+      code: "FORBIDDEN_CONTRACT_SCOPE",
+      message: "Contract does not allow the requested redaction level.",
+    };
+  }
+  return { level };
+}
+
+// { match, from, to, limit } or { error }.
+function parseLogQuery(query) {
+  for (const [k, v] of Object.entries(query)) {
+    if (typeof v !== "string") return { error: `Invalid query parameter: ${k}` };
+  }
+
+  const match = {};
+  for (const [param, column] of Object.entries(LOG_FILTERS)) {
+    if (query[param] === undefined) continue;
+    if (match[column] !== undefined && match[column] !== query[param]) {
+      return { error: `Conflicting query parameters for ${column}` };
+    }
+    match[column] = query[param];
+  }
+  if (match.decision !== undefined && !DECISIONS.has(match.decision)) {
+    return { error: "Invalid query parameter: decision" };
+  }
+
+  const range = {};
+  for (const k of ["from", "to"]) {
+    if (query[k] === undefined) continue;
+    const d = parseTs(query[k]);
+    if (!d) return { error: `Invalid query parameter: ${k}` };
+    range[k] = d.toISOString();
+  }
+
+  let limit = LOG_PAGE_DEFAULT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LOG_PAGE_MAX) {
+      return { error: "Invalid query parameter: limit" };
+    }
+  }
+
+  return { match, ...range, limit };
+}
+
+function encodeLogCursor(afterId, digest) {
+  return Buffer.from(JSON.stringify({ a: afterId, q: digest })).toString("base64url");
+}
+
+// afterId, or null if the cursor is malformed or belongs to another query.
+function decodeLogCursor(cursor, digest) {
+  try {
+    const { a, q } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return q === digest && Number.isInteger(a) ? a : null;
+  } catch {
+    return null;
+  }
+}
+
+function logIssuedAt(row) {
+  return row.created_at || row.detail?.response?.decision?.issued_at || null;
+}
+
+function redactLoggedIntent(row, level) {
+  const base = {
+    intent_type: row.intent,
+    intent_hash: { alg: "SHA-256", value: row.intent_hash },
+  };
+  const logged = row.detail?.evaluation?.intent;
+  if (level === "minimal" || !logged) return base;
+  if (level === "full") return { ...logged, intent_hash: base.intent_hash };
+
+  // standard: classification metadata only (no subject, context or parameters)
+  const { action = {}, risk, jurisdiction, authority } = logged;
+  return {
+    ...base,
+    action: {
+      action_type: action.action_type,
+      target: action.target,
+      side_effects: action.side_effects,
+    },
+    risk,
+    jurisdiction,
+    authority,
+  };
+}
+
+function toDecisionLogSummary(row, level) {
+  const summary = {
+    decision_id: row.decision_id ?? null,
+    issued_at: logIssuedAt(row),
+    decision: row.decision,
+    reason_code: row.reason,
+    intent_type: row.intent,
+    system_id: row.actor_id,
+    intent_hash: { alg: "SHA-256", value: row.intent_hash },
+    acceptance_hash: row.acceptance_hash ?? null,
+    execute_hash: row.execute_hash ?? null,
+    authority_key_id: row.authority_key_id ?? null,
+    parent_decision_id: row.parent_decision_id ?? null,
+    entry_hash: row.entry_hash ?? null,
+    redaction_level_applied: level,
+  };
+
+  if (level !== "minimal") {
+    summary.request_id = row.request_id ?? null;
+    summary.policy_version = row.detail?.response?.decision?.policy_version ?? null;
+    summary.intent = redactLoggedIntent(row, level);
+    summary.obligations = row.detail?.response?.obligations ?? [];
+  }
+  if (level === "full") {
+    summary.policies = row.detail?.policies ?? [];
+    summary.rule_id = row.detail?.rule_id ?? null;
+    summary.satisfied_obligations = row.detail?.satisfied_obligations ?? [];
+    summary.evidence_hashes = row.detail?.evidence_hashes ?? [];
+  }
+
+  return summary;
+}
+
+function toDecisionLogEntry(row, level) {
+  // Legacy surfaces stored no Decision document; reconstruct what the row proves.
+  const decision = row.detail?.response?.decision || {
+    decision: row.decision,
+    reason_code: String(row.reason || "").toUpperCase(),
+    reason: row.reason,
+    policy_version: "unknown",
+    invariant_version: "unknown",
+    decision_id: row.decision_id ?? null,
+    issued_at: logIssuedAt(row),
+  };
+
+  const entry = {
+    decision_id: row.decision_id ?? null,
+    issued_at: logIssuedAt(row),
+    request_id: row.request_id ?? null,
+    decision,
+    intent: redactLoggedIntent(row, level),
+    hashes: {
+      intent_hash: row.intent_hash ?? null,
+      acceptance_hash: row.acceptance_hash ?? null,
+      execute_hash: row.execute_hash ?? null,
+      prev_hash: row.prev_hash ?? null,
+      entry_hash: row.entry_hash ?? null,
+    },
+    redaction_level_applied: level,
+  };
+  if (level !== "minimal") {
+    entry.obligations = row.detail?.response?.obligations ?? [];
+  }
+  return entry;
+}
+
+async function streamDecisionLogs(res, query, afterId, level) {
+  res.status(200).type("application/x-ndjson");
+
+  let cursor = afterId;
+  for (;;) {
+    let rows;
+    try {
+      rows = await ledger.list({ ...query, afterId: cursor, limit: LOG_PAGE_MAX });
+    } catch (e) {
+      console.error("[LEDGER][LOGS] export read failed:", String(e?.message || e));
+      res.write(JSON.stringify({ error: { code: "SERVICE_UNAVAILABLE", message: "Export interrupted." } }) + "\n");
+      return res.end();
+    }
+
+    for (const row of rows) res.write(JSON.stringify(toDecisionLogSummary(row, level)) + "\n");
+    if (rows.length < LOG_PAGE_MAX) return res.end();
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * ------------------------------------------------------------
+ * GET /v1/logs/decisions
+ * ------------------------------------------------------------
+ */
+app.get("/v1/logs/decisions", async (req, res) => {
+  try {
+    const tenant = requireLogsTenant(req, res);
+    if (!tenant) return;
+
+    const { redaction_level, cursor, format, ...filters } = req.query;
+
+    const redaction = resolveRedaction(tenant, redaction_level);
+    if (!redaction.level) return sendError(res, redaction.status, redaction.code, redaction.message);
+    const level = redaction.level;
+
+    const parsed = parseLogQuery(filters);
+    if (parsed.error) return sendError(res, 400, "INVALID_REQUEST", parsed.error);
+
+    if (format !== undefined && format !== "ndjson" && format !== "json") {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid query parameter: format");
+    }
+    const ndjson =
+      format === "ndjson" ||
+      (format === undefined &&
+        req.accepts(["application/json", "application/x-ndjson"]) === "application/x-ndjson");
+
+    const { limit, ...scope } = parsed;
+    const query = {
+      ...scope,
+      tenantId: tenant.contract.logs.scope === "all" ? null : tenant.tenant_id,
+    };
+    const digest = sha256Hex(canonical({ ...query, level })).slice(0, 32);
+
+    let afterId = null;
+    if (cursor !== undefined) {
+      afterId = typeof cursor === "string" ? decodeLogCursor(cursor, digest) : null;
+      if (afterId === null) return sendError(res, 400, "INVALID_REQUEST", "Invalid query parameter: cursor");
+    }
+
+    if (ndjson) {
+      if (!tenant.contract.logs.export) {
+        return sendError(res, 403, "FORBIDDEN_CONTRACT_SCOPE", "Contract does not allow log export.");
+      }
+      return streamDecisionLogs(res, query, afterId, level);
+    }
+
+    let rows;
+    try {
+      rows = await ledger.list({ ...query, afterId, limit: limit + 1 });
+    } catch (e) {
+      console.error("[LEDGER][LOGS] list failed:", String(e?.message || e));
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+
+    const page = rows.slice(0, limit);
+    const body = { items: page.map((row) => toDecisionLogSummary(row, level)) };
+    if (rows.length > limit) body.next_cursor = encodeLogCursor(page[page.length - 1].id, digest);
+
+    return res.status(200).json(body);
+  } catch (err) {
+    console.error("[LOGS] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * GET /v1/logs/decisions/:decision_id
+ * ------------------------------------------------------------
+ */
+app.get("/v1/logs/decisions/:decision_id", async (req, res) => {
+  try {
+    const tenant = requireLogsTenant(req, res);
+    if (!tenant) return;
+
+    const redaction = resolveRedaction(tenant, req.query.redaction_level);
+    if (!redaction.level) return sendError(res, redaction.status, redaction.code, redaction.message);
+
+    let row;
+    try {
+      row = await ledger.findOne({ decision_id: String(req.params.decision_id) });
+    } catch (e) {
+      console.error("[LEDGER][LOGS] lookup failed:", String(e?.message || e));
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+
+    // Another tenant's decision is indistinguishable from a missing one.
+    const visible =
+      row && (tenant.contract.logs.scope === "all" || row.detail?.tenant_id === tenant.tenant_id);
+    if (!visible) {
+      return sendError(res, 404, "DECISION_NOT_FOUND", "Decision ID not found.");
+    }
+
+    return res.status(200).json(toDecisionLogEntry(row, redaction.level));
+  } catch (err) {
+    console.error("[LOGS] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * Authority key registry (admin)
+ * ------------------------------------------------------------
+ * POST /v1/admin/authority-keys             register a public key
+ * GET  /v1/admin/authority-keys/:id         read one registry row
+ * POST /v1/admin/authority-keys/:id/rotate  new key; old one valid for an overlap
+ * POST /v1/admin/authority-keys/:id/revoke  revoke now
+ *
+ * Requires a tenant whose contract has keys.manage for the key's
+ * organization_id. Every change is written to the ledger as its own
+ * evidence entry (detail.surface "registry").
+ *
+ * Order: invalidate caches of the existing key (shared marker first),
+ * change the registry, then write evidence. A registration or rotation whose evidence cannot be
+ * written is undone by revoking the new key, so no key stays usable without
+ * the ledger entry that introduced it. A revocation stays in force even if
+ * its evidence fails; the caller gets 503, and revoking again records it.
+ */
+const REGISTRY_REASONS = {
+  register: "authority_key_registered",
+  rotate: "authority_key_rotated",
+  revoke: "authority_key_revoked",
+};
+const ROTATION_OVERLAP_DEFAULT_SECONDS = 3600;
+const ROTATION_OVERLAP_MAX_SECONDS = 7 * 24 * 3600;
+
+function isIsoTimestamp(v) {
+  return typeof v === "string" && parseTs(v) !== null;
+}
+
+// Returns the tenant, or null after sending 401/403.
+function requireKeyAdmin(req, res, organizationId) {
+  const tenant = authenticateTenant(req);
+  if (!tenant) {
+    sendError(res, 401, "UNAUTHORIZED", "Missing or invalid API key.");
+    return null;
+  }
+  if (!canManageKeysFor(tenant, organizationId)) {
+    sendError(res, 403, "FORBIDDEN_CONTRACT_SCOPE", "Contract does not allow managing these keys.");
+    return null;
+  }
+  return tenant;
+}
+
+// Algorithm of a PEM public key usable for acceptances, or null.
+function registrablePublicKeyAlg(pem) {
+  if (!isNonEmptyString(pem)) return null;
+  try {
+    return acceptanceKeyAlg(crypto.createPublicKey(pem));
+  } catch {
+    return null;
+  }
+}
+
+function toAuthorityKey(row) {
+  return {
+    id: row.id,
+    organization_id: row.organization_id,
+    principal_id: row.principal_id,
+    principal_role: row.principal_role ?? null,
+    key_purpose: row.key_purpose,
+    scope: row.scope ?? null,
+    alg: registrablePublicKeyAlg(row.public_key),
+    public_key: row.public_key,
+    valid_from: row.valid_from,
+    valid_until: row.valid_until ?? null,
+    status: row.status,
+    revoked_at: row.revoked_at ?? null,
+  };
+}
+
+// Drops every instance's cached copy of an existing key before it changes.
+// Throws if the shared marker cannot be set (callers refuse the change
+// rather than leave other instances trusting a stale row).
+async function invalidateAuthorityKey(keyId) {
+  await replayStore.mark(authorityKeyChangedMarker(keyId), {
+    expiresAtMs: Date.now() + AUTHORITY_KEY_CHANGED_TTL_MS,
+  });
+  AUTHORITY_KEY_CACHE.delete(keyId);
+}
+
+async function writeRegistryEvidence(tenant, operation, key, extra = {}) {
+  const change = { operation, key: toAuthorityKey(key), ...extra };
+  return ledgerWrite({
+    actor_id: `tenant:${tenant.tenant_id}`,
+    intent: `authority_key.${operation}`,
+    intent_hash: sha256Hex(canonical(change)),
+    decision: "PERMIT",
+    reason: REGISTRY_REASONS[operation],
+    organization_id: key.organization_id,
+    principal_id: key.principal_id,
+    authority_key_id: key.id,
+    detail: { surface: "registry", tenant_id: tenant.tenant_id, ...change },
+  });
+}
+
+// Revokes a key whose introducing evidence could not be written.
+async function withdrawUnrecordedKey(keyId) {
+  try {
+    await ledger.updateAuthorityKey(keyId, { status: "revoked", revoked_at: new Date().toISOString() });
+  } catch (e) {
+    console.error("[REGISTRY] CRITICAL: could not withdraw unrecorded key", keyId, String(e?.message || e));
+  }
+}
+
+async function loadManagedKey(req, res, rawKeyId = req.params.id) {
+  const keyId = asUuidString(rawKeyId);
+  let row;
+  try {
+    row = keyId ? await ledger.findAuthorityKey(keyId) : null;
+  } catch (e) {
+    console.error("[REGISTRY] lookup failed:", String(e?.message || e));
+    sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    return null;
+  }
+
+  // Authenticate before revealing whether the key exists; another
+  // organization's key is indistinguishable from a missing one.
+  const tenant = authenticateTenant(req);
+  if (!tenant) {
+    sendError(res, 401, "UNAUTHORIZED", "Missing or invalid API key.");
+    return null;
+  }
+  if (!row || !canManageKeysFor(tenant, row.organization_id)) {
+    sendError(res, 404, "KEY_NOT_FOUND", "Authority key not found.");
+    return null;
+  }
+  return { tenant, row };
+}
+
+app.post("/v1/admin/authority-keys", async (req, res) => {
+  try {
+    const body = req.body;
+    if (!isPlainObject(body)) return sendError(res, 400, "INVALID_REQUEST", "Request body must be an object");
+
+    const { organization_id, principal_id, public_key } = body;
+    const keyPurpose = body.key_purpose ?? KEY_PURPOSE_ACCEPTANCE;
+    if (!isNonEmptyString(organization_id)) return sendError(res, 400, "INVALID_REQUEST", "Missing field: organization_id");
+
+    const tenant = requireKeyAdmin(req, res, organization_id);
+    if (!tenant) return;
+
+    if (!isNonEmptyString(principal_id)) return sendError(res, 400, "INVALID_REQUEST", "Missing field: principal_id");
+    if (!KEY_PURPOSES.includes(keyPurpose)) return sendError(res, 400, "INVALID_REQUEST", "Invalid field: key_purpose");
+    if (!registrablePublicKeyAlg(public_key)) {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid field: public_key (PEM RSA, P-256 or Ed25519 public key)");
+    }
+    const scope = normalizeKeyScope(body.scope);
+    if (!scope) return sendError(res, 400, "INVALID_REQUEST", "Invalid field: scope");
+    const principalRole = body.principal_role ?? null;
+    if (principalRole !== null && !isNonEmptyString(principalRole)) {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid field: principal_role");
+    }
+
+    const now = new Date();
+    const validFrom = body.valid_from ?? now.toISOString();
+    const validUntil = body.valid_until ?? null;
+    if (!isIsoTimestamp(validFrom)) return sendError(res, 400, "INVALID_REQUEST", "Invalid field: valid_from");
+    if (validUntil !== null && (!isIsoTimestamp(validUntil) || parseTs(validUntil) <= parseTs(validFrom))) {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid field: valid_until");
+    }
+
+    const keyId = crypto.randomUUID();
+    let key;
+    try {
+      key = await ledger.insertAuthorityKey({
+        id: keyId,
+        organization_id,
+        principal_id,
+        principal_role: principalRole,
+        public_key,
+        key_purpose: keyPurpose,
+        scope,
+        valid_from: parseTs(validFrom).toISOString(),
+        valid_until: validUntil === null ? null : parseTs(validUntil).toISOString(),
+        status: "active",
+        revoked_at: null,
+      });
+    } catch (e) {
+      console.error("[REGISTRY] register failed:", String(e?.message || e));
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+
+    try {
+      await writeRegistryEvidence(tenant, "register", key);
+    } catch (e) {
+      console.error("[LEDGER][REGISTRY] evidence write failed:", String(e?.message || e));
+      await withdrawUnrecordedKey(keyId);
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+
+    return res.status(201).json(toAuthorityKey(key));
+  } catch (err) {
+    console.error("[REGISTRY] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+app.get("/v1/admin/authority-keys/:id", async (req, res) => {
+  try {
+    const managed = await loadManagedKey(req, res);
+    if (!managed) return;
+    return res.status(200).json(toAuthorityKey(managed.row));
+  } catch (err) {
+    console.error("[REGISTRY] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+app.post("/v1/admin/authority-keys/:id/rotate", async (req, res) => {
+  try {
+    const body = req.body;
+    if (!isPlainObject(body)) return sendError(res, 400, "INVALID_REQUEST", "Request body must be an object");
+
+    const managed = await loadManagedKey(req, res);
+    if (!managed) return;
+    const { tenant, row: previous } = managed;
+
+    if (!registrablePublicKeyAlg(body.public_key)) {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid field: public_key (PEM RSA, P-256 or Ed25519 public key)");
+    }
+    // The replacement keeps the old key's scope unless the rotation supplies one.
+    const scope = body.scope === undefined ? normalizeKeyScope(previous.scope) : normalizeKeyScope(body.scope);
+    if (!scope) return sendError(res, 400, "INVALID_REQUEST", "Invalid field: scope");
+    const overlap = body.overlap_seconds ?? ROTATION_OVERLAP_DEFAULT_SECONDS;
+    if (!Number.isInteger(overlap) || overlap < 0 || overlap > ROTATION_OVERLAP_MAX_SECONDS) {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid field: overlap_seconds");
+    }
+
+    const now = new Date();
+    if (String(previous.status || "").toLowerCase() !== "active" || !isWithinValidityWindow(previous, now)) {
+      return sendError(res, 409, "KEY_STATE_CONFLICT", "Only an active key inside its validity window can be rotated.");
+    }
+
+    // The old key keeps working for the overlap, never longer than it already would.
+    const overlapEnd = new Date(now.getTime() + overlap * 1000);
+    const currentEnd = previous.valid_until ? parseTs(previous.valid_until) : null;
+    const retiredUntil = currentEnd && currentEnd < overlapEnd ? currentEnd : overlapEnd;
+
+    const keyId = crypto.randomUUID();
+    let key;
+    let retired;
+    try {
+      await invalidateAuthorityKey(previous.id);
+      key = await ledger.insertAuthorityKey({
+        id: keyId,
+        organization_id: previous.organization_id,
+        principal_id: previous.principal_id,
+        principal_role: previous.principal_role ?? null,
+        public_key: body.public_key,
+        key_purpose: previous.key_purpose,
+        scope,
+        valid_from: now.toISOString(),
+        valid_until: null,
+        status: "active",
+        revoked_at: null,
+      });
+    } catch (e) {
+      console.error("[REGISTRY] rotate failed:", String(e?.message || e));
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+
+    try {
+      retired = await ledger.updateAuthorityKey(previous.id, { valid_until: retiredUntil.toISOString() });
+      if (!retired) throw new Error("authority_key_vanished");
+      await writeRegistryEvidence(tenant, "rotate", key, { replaces: toAuthorityKey(retired) });
+    } catch (e) {
+      console.error("[LEDGER][REGISTRY] rotate not recorded:", String(e?.message || e));
+      await withdrawUnrecordedKey(keyId);
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+
+    return res.status(201).json({ key: toAuthorityKey(key), previous: toAuthorityKey(retired) });
+  } catch (err) {
+    console.error("[REGISTRY] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+app.post("/v1/admin/authority-keys/:id/revoke", async (req, res) => {
+  try {
+    const body = req.body ?? {};
+    if (!isPlainObject(body)) return sendError(res, 400, "INVALID_REQUEST", "Request body must be an object");
+    if (body.reason !== undefined && !isNonEmptyString(body.reason)) {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid field: reason");
+    }
+
+    const managed = await loadManagedKey(req, res);
+    if (!managed) return;
+    const { tenant, row } = managed;
+
+    let key = row;
+    try {
+      if (String(row.status || "").toLowerCase() === "revoked") {
+        // Already revoked: a conflict, unless an earlier revoke left no evidence.
+        const recorded = await ledger.findOne({ authority_key_id: row.id, intent: "authority_key.revoke" });
+        if (recorded) return sendError(res, 409, "KEY_STATE_CONFLICT", "Authority key is already revoked.");
+      } else {
+        await invalidateAuthorityKey(row.id);
+        key = await ledger.updateAuthorityKey(row.id, { status: "revoked", revoked_at: new Date().toISOString() });
+        if (!key) throw new Error("authority_key_vanished");
+      }
+    } catch (e) {
+      console.error("[REGISTRY] revoke failed:", String(e?.message || e));
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+
+    try {
+      await writeRegistryEvidence(tenant, "revoke", key, { revocation_reason: body.reason ?? null });
+    } catch (e) {
+      console.error("[LEDGER][REGISTRY] revocation not recorded:", row.id, String(e?.message || e));
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Key revoked; evidence not recorded. Retry the revocation.");
+    }
+
+    return res.status(200).json(toAuthorityKey(key));
+  } catch (err) {
+    console.error("[REGISTRY] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * Delegation certificate revocation (admin)
+ * ------------------------------------------------------------
+ * POST /v1/admin/delegations/revoke { certificate_id, authority_key_id?, reason? }
+ *
+ * certificate_id is delegation.js delegationCertificateId (sha256 hex of the
+ * signed certificate content); revoking any link voids every chain through
+ * it. authority_key_id is the registry key the chain is rooted at: the
+ * tenant needs keys.manage for its organization. Chains rooted at the
+ * legacy issuer key belong to no organization and take keys.manage for "*".
+ *
+ * The ledger entry is the revocation (see isDelegationRevoked), so it never
+ * exists without its evidence: a failed write revokes nothing.
+ */
+app.post("/v1/admin/delegations/revoke", async (req, res) => {
+  try {
+    const body = req.body;
+    if (!isPlainObject(body)) return sendError(res, 400, "INVALID_REQUEST", "Request body must be an object");
+
+    const certificateId = typeof body.certificate_id === "string" ? body.certificate_id.toLowerCase() : "";
+    if (!/^[0-9a-f]{64}$/.test(certificateId)) {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid field: certificate_id");
+    }
+    if (body.reason !== undefined && !isNonEmptyString(body.reason)) {
+      return sendError(res, 400, "INVALID_REQUEST", "Invalid field: reason");
+    }
+
+    let tenant;
+    let root = null;
+    if (body.authority_key_id !== undefined) {
+      const managed = await loadManagedKey(req, res, body.authority_key_id);
+      if (!managed) return;
+      tenant = managed.tenant;
+      root = managed.row;
+    } else {
+      tenant = requireKeyAdmin(req, res, "*");
+      if (!tenant) return;
+    }
+
+    let revoked;
+    try {
+      revoked = await isDelegationRevoked(certificateId);
+    } catch (e) {
+      console.error("[DELEGATION] lookup failed:", String(e?.message || e));
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Service unavailable.");
+    }
+    if (revoked) return sendError(res, 409, "KEY_STATE_CONFLICT", "Delegation certificate is already revoked.");
+
+    const revokedAt = new Date().toISOString();
+    let written;
+    try {
+      written = await ledgerWrite({
+        actor_id: `tenant:${tenant.tenant_id}`,
+        intent: DELEGATION_REVOKE_INTENT,
+        intent_hash: certificateId,
+        decision: "PERMIT",
+        reason: "delegation_revoked",
+        organization_id: root?.organization_id,
+        principal_id: root?.principal_id,
+        authority_key_id: root?.id,
+        detail: {
+          surface: "registry",
+          tenant_id: tenant.tenant_id,
+          operation: "revoke_delegation",
+          certificate_id: certificateId,
+          revoked_at: revokedAt,
+          revocation_reason: body.reason ?? null,
+        },
+      });
+    } catch (e) {
+      console.error("[LEDGER][DELEGATION] revocation not recorded:", certificateId, String(e?.message || e));
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Delegation not revoked. Retry the revocation.");
+    }
+
+    return res.status(200).json({
+      certificate_id: certificateId,
+      authority_key_id: root?.id ?? null,
+      revoked_at: revokedAt,
+      decision_id: written.decision_id,
+      ledger_entry_hash: written.entry_hash,
+    });
+  } catch (err) {
+    console.error("[DELEGATION] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * Runtime attestation snapshot (taken once at boot)
+ * ------------------------------------------------------------
+ * Hashes are of what this process loaded, not of what is on disk later:
+ * decisions issued between started_at and the next restart were governed
+ * by exactly this invariant set, boundary, pack set and code.
+ */
+const STARTED_AT = new Date().toISOString();
+const BOUNDARY_VERSION = "boundary@1.0.0";
+const CORE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Engine and surface sources that decide or record authority.
+const ATTESTED_SOURCES = [
+  "server.js",
+  "authority-engine.js",
+  "policy-engine.js",
+  "acceptance.js",
+  "ledger.js",
+  "tenants.js",
+  "core-signer.js",
+  "receipts.js",
+  "replay-store.js",
+  "key-scope.js",
+  "quorum.js",
+  "delegation.js",
+  "canonical.js",
+  "schemas.js",
+  "obligations.js",
+  "quotas.js",
+  "metrics.js",
+  "incidents.js",
+  "events.js",
+  ...Object.values(SCHEMA_FILES).map((file) => `schemas/${file}`),
+];
+
+function sha256FileOrNull(relPath) {
+  try {
+    return crypto.createHash("sha256").update(fs.readFileSync(path.join(CORE_DIR, relPath))).digest("hex");
+  } catch {
+    return null;
+  }
+}
+
+function takeAttestationSnapshot() {
+  const files = ATTESTED_SOURCES.map((p) => ({ path: p, sha256: sha256FileOrNull(p) }));
+  const invariantsSha = sha256FileOrNull("INVARIANTS.md");
+  const boundarySha = sha256FileOrNull("SYSTEM_BOUNDARY.md");
+  const loaded = getPolicyPacks();
+
+  const missing = [
+    ...files.filter((f) => !f.sha256).map((f) => f.path),
+    ...(invariantsSha ? [] : ["INVARIANTS.md"]),
+    ...(boundarySha ? [] : ["SYSTEM_BOUNDARY.md"]),
+  ];
+  if (missing.length > 0) {
+    console.error("[ATTESTATION] sources unavailable:", missing.join(", "));
+  }
+
+  return {
+    missing,
+    invariants: { version: INVARIANT_VERSION, sha256: invariantsSha },
+    boundary: { version: BOUNDARY_VERSION, sha256: boundarySha },
+    policies: loaded.ok ? describePolicyPacks(loaded.packs) : [],
+    policyLoadError: loaded.ok ? null : loaded.error,
+    // Quota rules in force (quotas.js); the store decides only where they are counted.
+    quotas: { count: quotas.length, store: quotaStore.backend, sha256: sha256Hex(canonical(quotas)) },
+    code: {
+      // Digest over "path:sha256" lines, so one value pins the whole set.
+      sha256: sha256Hex(files.map((f) => `${f.path}:${f.sha256}`).join("\n")),
+      files,
+    },
+  };
+}
+
+const ATTESTATION = takeAttestationSnapshot();
+
+/**
+ * ------------------------------------------------------------
+ * GET /v1/attestation
+ * Signed with the core key over canonical(payload without `signature`).
+ * FAIL CLOSED: if any attested source could not be hashed, no attestation.
+ * ------------------------------------------------------------
+ */
+app.get("/v1/attestation", (req, res) => {
+  try {
+    const auth = requireGovernanceTenant(req, res);
+    if (!auth) return;
+
+    if (ATTESTATION.missing.length > 0) {
+      return sendError(res, 503, "SERVICE_UNAVAILABLE", "Attestation sources unavailable.");
+    }
+
+    const payload = {
+      service: { name: "solace-core", version: CORE_VERSION },
+      runtime: { environment: CORE_ENV, started_at: STARTED_AT },
+      invariants: ATTESTATION.invariants,
+      boundary: ATTESTATION.boundary,
+      policies: ATTESTATION.policies,
+      code: ATTESTATION.code,
+      ledger: { backend: ledger.backend },
+      quotas: ATTESTATION.quotas,
+      canonicalization: CANON_ID,
+      issued_at: new Date().toISOString(),
+    };
+    if (ATTESTATION.policyLoadError) {
+      // Every decision in this window is DENY policy_pack_load_failed.
+      payload.policy_load_error = ATTESTATION.policyLoadError;
+    }
+    if (auth.tenant) {
+      payload.tenant_contract = {
+        version: auth.tenant.contract.version || "unversioned",
+        sha256: sha256Hex(canonical(auth.tenant.contract)),
+      };
+    }
+
+    const signature = coreSigner.sign(Buffer.from(canonical(payload), "utf8"));
+
+    return res.status(200).json({
+      ...payload,
+      signature: {
+        alg: coreSigner.alg,
+        kid: coreSigner.kid,
+        ephemeral: coreSigner.ephemeral,
+        public_jwk: coreSigner.publicJwk,
+        value: signature.toString("base64url"),
+      },
+    });
+  } catch (err) {
+    console.error("[ATTESTATION] error:", String(err?.message || err));
+    return sendError(res, 500, "INTERNAL_ERROR", "Internal server error.");
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * GET /metrics
+ * Prometheus text exposition; bearer SOLACE_METRICS_TOKEN.
+ * Counters are per instance and reset on restart.
+ * ------------------------------------------------------------
+ */
+function metricsTokenMatches(req) {
+  const header = String(req.get("authorization") || "");
+  if (!header.startsWith("Bearer ")) return false;
+  // Compare digests: equal length, constant time.
+  const presented = crypto.createHash("sha256").update(header.slice("Bearer ".length)).digest();
+  const expected = crypto.createHash("sha256").update(METRICS_TOKEN).digest();
+  return crypto.timingSafeEqual(presented, expected);
+}
+
+if (METRICS_TOKEN) {
+  app.get("/metrics", (req, res) => {
+    if (!metricsTokenMatches(req)) {
+      return sendError(res, 401, "UNAUTHORIZED", "Missing or invalid metrics token.");
+    }
+    res.set("Content-Type", METRICS_CONTENT_TYPE);
+    return res.status(200).send(metrics.render());
+  });
+}
+
 /**
  * ------------------------------------------------------------
  * Start server
  * ------------------------------------------------------------
  */
 const PORT = process.env.PORT || 8787;
-app.listen(PORT, () => {
-  console.log("Legacy server listening...");
+const server = app.listen(PORT, () => {
+  console.log(`Legacy server listening on port ${server.address().port}`);
 });
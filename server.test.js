@@ -0,0 +1,255 @@
+// server.test.js
+// Routes over HTTP: server.js is spawned on a free port with a local ledger,
+// policy pack and authority key registry in a temporary directory.
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import crypto from "crypto";
+import { spawn } from "child_process";
+
+// Starts server.js with `env`; resolves { port, stop }.
+function startServer(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["server.js"], {
+      cwd: new URL(".", import.meta.url),
+      env: { PATH: process.env.PATH, ...env, PORT: "0" },
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+    child.once("error", reject);
+    child.once("exit", (code) => reject(new Error(`server.js exited with ${code}`)));
+    child.stdout.on("data", (chunk) => {
+      const m = /listening on port (\d+)/.exec(String(chunk));
+      if (m) resolve({ port: Number(m[1]), stop: () => child.kill() });
+    });
+  });
+}
+
+// Sends a string `body` verbatim, anything else as JSON; resolves { status, text }.
+function send(port, method, route, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { port, path: route, method, headers: { "Content-Type": "application/json", ...headers } },
+      (res) => {
+        let text = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (text += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, text }));
+      }
+    );
+    req.once("error", reject);
+    req.end(body === undefined || typeof body === "string" ? body : JSON.stringify(body));
+  });
+}
+
+// POST; resolves { status, json }.
+async function post(port, route, body) {
+  const { status, text } = await send(port, "POST", route, body);
+  try {
+    return { status, json: JSON.parse(text) };
+  } catch {
+    throw new Error(`${status}: ${text.slice(0, 200)}`);
+  }
+}
+
+// report.publish escalates with two report-fulfilled obligations;
+// report.approve escalates until HUMAN_APPROVAL is proven, then permits.
+const PACK = {
+  policy_id: "reports",
+  version: "1",
+  rules: [
+    {
+      id: "report-back",
+      when: { field: "intent_type", equals: "report.publish" },
+      then: {
+        decision: "ESCALATE",
+        reason_code: "REPORT_BACK",
+        obligations: [{ type: "LOG_PERSISTENCE" }, { type: "USER_NOTIFICATION" }],
+      },
+    },
+    {
+      id: "approve-first",
+      when: { not: { field: "obligations_satisfied", includes: "HUMAN_APPROVAL" } },
+      then: {
+        decision: "ESCALATE",
+        reason_code: "APPROVAL_REQUIRED",
+        obligations: [{ type: "HUMAN_APPROVAL", details: { approver_role: "reviewer" } }],
+      },
+    },
+    { id: "approved", when: { field: "intent_type", exists: true }, then: { decision: "PERMIT", reason_code: "APPROVED" } },
+  ],
+};
+
+const INTENT = {
+  intent_type: "report.approve",
+  action: { action_type: "write", target: "reports", side_effects: [] },
+  risk: { risk_class: "low", impact: [], reversibility: "reversible" },
+  jurisdiction: { region: "EU" },
+  subject: { subject_type: "system", subject_role: "publisher" },
+  authority: { requested_mode: "auto_ok" },
+  context: { system_id: "svc-1" },
+};
+
+// Registry keys of the reviewer: one per purpose.
+function registryKey(keyPurpose) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  const row = {
+    id: crypto.randomUUID(),
+    organization_id: "org-1",
+    principal_id: "reviewer-1",
+    principal_role: "reviewer",
+    public_key: publicKey.export({ type: "spki", format: "pem" }),
+    key_purpose: keyPurpose,
+    scope: { intents: ["*"], intent_categories: ["*"], risk_tiers: ["*"], actor_ids: ["*"] },
+    valid_from: "2026-01-01T00:00:00Z",
+    valid_until: null,
+    status: "active",
+    revoked_at: null,
+  };
+  return { row, privateKey };
+}
+const EVIDENCE_KEY = registryKey("evidence");
+const ACCEPTANCE_KEY = registryKey("acceptance");
+
+const METRICS_TOKEN = "metrics-token";
+
+async function metricsText() {
+  const { text } = await send(server.port, "GET", "/metrics", undefined, { Authorization: `Bearer ${METRICS_TOKEN}` });
+  return text;
+}
+
+let dir;
+let server;
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "solace-server-"));
+  fs.mkdirSync(path.join(dir, "packs"));
+  fs.writeFileSync(path.join(dir, "packs", "reports.json"), JSON.stringify(PACK));
+  fs.writeFileSync(path.join(dir, "solace-authority-keys.json"), JSON.stringify([EVIDENCE_KEY.row, ACCEPTANCE_KEY.row]));
+  server = await startServer({
+    SOLACE_LEDGER_BACKEND: "local",
+    SOLACE_LEDGER_PATH: path.join(dir, "ledger.ndjson"),
+    SOLACE_POLICY_PACKS_DIR: path.join(dir, "packs"),
+    SOLACE_METRICS_TOKEN: METRICS_TOKEN,
+  });
+});
+after(() => {
+  server?.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("request bodies", () => {
+  test("malformed JSON is a 400 invalid_json DENY", async () => {
+    const { status, json } = await post(server.port, "/v1/execute", "{bad");
+    assert.equal(status, 400);
+    assert.deepEqual([json.decision, json.reason], ["DENY", "invalid_json"]);
+  });
+
+  test("duplicate member names are a 400 canon_duplicate_key DENY", async () => {
+    const { status, json } = await post(server.port, "/v1/execute", '{"intent":{},"intent":{}}');
+    assert.equal(status, 400);
+    assert.deepEqual([json.decision, json.reason], ["DENY", "canon_duplicate_key"]);
+  });
+});
+
+describe("fulfilment reports", () => {
+  test("accumulate across reports on one decision", async () => {
+    const evaluated = await post(server.port, "/v1/authority/evaluate", {
+      request_id: "eval-1",
+      intent: { ...INTENT, intent_type: "report.publish" },
+    });
+    assert.equal(evaluated.status, 200);
+    const decisionId = evaluated.json.decision.decision_id;
+    const [logged, notified] = evaluated.json.obligations.map((o) => o.obligation_id);
+    const report = (requestId, fulfilments) =>
+      post(server.port, `/v1/authority/decisions/${decisionId}/fulfilments`, { request_id: requestId, fulfilments });
+
+    const first = await report("ful-1", [{ obligation_id: logged, status: "fulfilled" }]);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.json.open_obligations.map((o) => o.obligation_id), [notified]);
+
+    // The earlier LOG_PERSISTENCE report still counts; the failed one leaves
+    // USER_NOTIFICATION open.
+    const second = await report("ful-2", [{ obligation_id: notified, status: "failed" }]);
+    assert.equal(second.status, 200);
+    assert.deepEqual(second.json.open_obligations.map((o) => o.obligation_id), [notified]);
+
+    const third = await report("ful-3", [{ obligation_id: notified, status: "fulfilled" }]);
+    assert.deepEqual(third.json.open_obligations, []);
+  });
+});
+
+describe("/ack evidence proofs", () => {
+  const evidenceHash = crypto.createHash("sha256").update("review notes").digest("hex");
+  const b64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+  function proof({ privateKey, row }, payload) {
+    const signingInput = `${b64url({ alg: "EdDSA", kid: row.id })}.${b64url(payload)}`;
+    return `${signingInput}.${crypto.sign(null, Buffer.from(signingInput), privateKey).toString("base64url")}`;
+  }
+
+  // Evaluates report.approve, then acks its HUMAN_APPROVAL with the proof
+  // `sign` returns for the decision; resolves the /ack response body.
+  async function ack(n, sign) {
+    const evaluated = await post(server.port, "/v1/authority/evaluate", { request_id: `approve-${n}`, intent: INTENT });
+    assert.equal(evaluated.json.decision.decision, "ESCALATE");
+    const decisionId = evaluated.json.decision.decision_id;
+    const evidence = {
+      type: "human_approval",
+      attestor: { role: "reviewer" },
+      evidence_hash: { alg: "SHA-256", value: evidenceHash },
+      proof_type: "jws",
+      proof: sign(decisionId),
+    };
+    const acked = await post(server.port, `/v1/authority/decisions/${decisionId}/ack`, { request_id: `ack-${n}`, evidence });
+    assert.equal(acked.status, 200);
+    return acked.json;
+  }
+
+  async function rejected(reason) {
+    const text = await metricsText();
+    const m = new RegExp(`solace_evidence_rejected_total\\{[^}]*reason="${reason}"[^}]*\\} (\\d+)`).exec(text);
+    return m ? Number(m[1]) : 0;
+  }
+
+  test("a proof bound to the decision and obligation type by an evidence key satisfies it", async () => {
+    const acked = await ack(1, (decision_id) =>
+      proof(EVIDENCE_KEY, { decision_id, evidence_hash: evidenceHash, obligation_type: "HUMAN_APPROVAL" })
+    );
+    assert.equal(acked.decision.decision, "PERMIT");
+  });
+
+  test("a proof signed by an acceptance key satisfies nothing", async () => {
+    const acked = await ack(2, (decision_id) =>
+      proof(ACCEPTANCE_KEY, { decision_id, evidence_hash: evidenceHash, obligation_type: "HUMAN_APPROVAL" })
+    );
+    assert.equal(acked.decision.decision, "ESCALATE");
+    assert.equal(await rejected("evidence_proof_key_purpose"), 1);
+  });
+
+  test("a proof for another obligation type, or none, satisfies nothing", async () => {
+    const other = await ack(3, (decision_id) =>
+      proof(EVIDENCE_KEY, { decision_id, evidence_hash: evidenceHash, obligation_type: "SECONDARY_APPROVAL" })
+    );
+    assert.equal(other.decision.decision, "ESCALATE");
+    const unbound = await ack(4, (decision_id) => proof(EVIDENCE_KEY, { decision_id, evidence_hash: evidenceHash }));
+    assert.equal(unbound.decision.decision, "ESCALATE");
+    assert.equal(await rejected("evidence_proof_obligation_mismatch"), 2);
+  });
+});
+
+describe("metrics", () => {
+  test("the intent label is a name the packs mention, or other", async () => {
+    const evaluate = (requestId, intentType) =>
+      post(server.port, "/v1/authority/evaluate", { request_id: requestId, intent: { ...INTENT, intent_type: intentType } });
+    assert.equal((await evaluate("metrics-1", "report.publish")).status, 200);
+    assert.equal((await evaluate("metrics-2", "caller-chosen-name")).status, 200);
+
+    const text = await metricsText();
+    assert.match(text, /solace_decisions_total\{[^}]*intent="report\.publish"/);
+    assert.match(text, /solace_decisions_total\{[^}]*intent="other"/);
+    assert.doesNotMatch(text, /caller-chosen-name/);
+  });
+});
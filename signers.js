@@ -0,0 +1,225 @@
+// signers.js
+// Acceptance signers — where an issuer's private key lives
+// FAIL-CLOSED: a signer that cannot describe its key, refuses, times out or
+// returns a signature that does not verify under its public key → throws;
+// nothing is emitted.
+//
+// Issuer-side only (issue.js). Core never signs acceptances and never
+// imports this module.
+//
+// A signer is { kind, alg, publicKeyPem, async sign(material) → signature },
+// signature as acceptance.js expects it (base64url; ES256 in P1363 r||s).
+// Specs:
+//
+//   pem:<path>          software key, plain PEM (the former default, ./issuer.key)
+//   keystore:<path>     encrypted PKCS#8 PEM; decrypted in-process with the passphrase
+//   process:<command>   external signer process (protocol below); the key never
+//                       enters this process. <command> is split on whitespace,
+//                       no shell.
+//   pkcs11:module=<lib>;id=<hex key id>;pub=<spki.pem>[;slot=<n>|;token=<label>]
+//                       PKCS#11 token through OpenSC pkcs11-tool; the user PIN is
+//                       read by pkcs11-tool from SOLACE_PKCS11_PIN. The key never
+//                       leaves the token.
+//
+// External signer protocol: one JSON request on stdin, one JSON response on
+// stdout, exit 0 (tools/soft-token.mjs is a software stand-in):
+//   { "op": "describe" }                                → { "alg": "...", "public_key": "<SPKI PEM>" }
+//   { "op": "sign", "alg": "ES256", "data": "<b64url>" } → { "signature": "<b64url>" }
+//   failure: { "error": "..." } and/or a non-zero exit
+//
+// Reasons: signer_spec_invalid, signer_key_unsupported, signer_unavailable,
+// signer_failed, signer_signature_invalid
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { spawnSync } from "child_process";
+import { acceptanceKeyAlg, signAcceptanceMaterial, verifySignedMaterial } from "./acceptance.js";
+
+export const SIGNER_KINDS = ["pem", "keystore", "process", "pkcs11"];
+export const KEYSTORE_PASSPHRASE_ENV = "SOLACE_KEYSTORE_PASSPHRASE";
+export const PKCS11_PIN_ENV = "SOLACE_PKCS11_PIN";
+
+// Tokens may wait for a touch or PIN pad.
+const EXTERNAL_SIGNER_TIMEOUT_MS = 60_000;
+
+const PKCS11_MECHANISMS = { RS256: "SHA256-RSA-PKCS", ES256: "ECDSA-SHA256", EdDSA: "EDDSA" };
+
+function signerError(reason, detail) {
+  return new Error(detail ? `${reason}: ${detail}` : reason);
+}
+
+function publicKeyAlg(publicKeyPem) {
+  let alg = null;
+  try {
+    alg = acceptanceKeyAlg(crypto.createPublicKey(publicKeyPem));
+  } catch {
+    // not a public key
+  }
+  if (!alg) throw signerError("signer_key_unsupported", "not an RSA, P-256 or Ed25519 public key");
+  return alg;
+}
+
+// Every signature is checked before it leaves the signer: a token signing
+// with the wrong key, or a misbehaving process, is caught here, not by Core.
+function checked(kind, publicKeyPem, signRaw) {
+  const alg = publicKeyAlg(publicKeyPem);
+  return {
+    kind,
+    alg,
+    publicKeyPem,
+    async sign(material) {
+      const signature = await signRaw(material, alg);
+      if (!verifySignedMaterial(material, signature, publicKeyPem, alg)) {
+        throw signerError("signer_signature_invalid", `${kind} signer returned a signature that does not verify`);
+      }
+      return signature;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------
+// Software keys
+// ---------------------------------------------------------------------
+function privateKeySigner(kind, privateKey) {
+  const publicKeyPem = crypto.createPublicKey(privateKey).export({ type: "spki", format: "pem" });
+  return checked(kind, publicKeyPem, async (material, alg) => signAcceptanceMaterial(material, privateKey, alg));
+}
+
+function pemSigner(filePath) {
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    throw signerError("signer_unavailable", `${filePath}: ${e.message}`);
+  }
+  return privateKeySigner("pem", privateKey);
+}
+
+function keystoreSigner(filePath, passphrase) {
+  if (!passphrase) throw signerError("signer_unavailable", `keystore passphrase missing (${KEYSTORE_PASSPHRASE_ENV})`);
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey({ key: fs.readFileSync(filePath, "utf8"), passphrase });
+  } catch (e) {
+    throw signerError("signer_unavailable", `${filePath}: ${e.message}`);
+  }
+  return privateKeySigner("keystore", privateKey);
+}
+
+// Encrypted PKCS#8 PEM of privateKey (issue.js keygen --keystore).
+export function exportKeystore(privateKey, passphrase) {
+  return privateKey.export({ type: "pkcs8", format: "pem", cipher: "aes-256-cbc", passphrase });
+}
+
+// ---------------------------------------------------------------------
+// External signer process
+// ---------------------------------------------------------------------
+function callSignerProcess(argv, request) {
+  const run = spawnSync(argv[0], argv.slice(1), {
+    input: JSON.stringify(request) + "\n",
+    encoding: "utf8",
+    timeout: EXTERNAL_SIGNER_TIMEOUT_MS,
+    stdio: ["pipe", "pipe", "inherit"],
+  });
+  if (run.error) throw signerError("signer_unavailable", run.error.message);
+
+  let response = null;
+  try {
+    response = JSON.parse(run.stdout.trim().split("\n").pop() || "null");
+  } catch {
+    // reported below
+  }
+  if (run.status !== 0 || !response || response.error) {
+    throw signerError("signer_failed", response?.error || `signer exited with status ${run.status}`);
+  }
+  return response;
+}
+
+function processSigner(command) {
+  const argv = command.split(/\s+/).filter(Boolean);
+  if (argv.length === 0) throw signerError("signer_spec_invalid", "process: needs a command");
+
+  const described = callSignerProcess(argv, { op: "describe" });
+  if (typeof described.public_key !== "string") throw signerError("signer_failed", "describe returned no public_key");
+  if (described.alg !== publicKeyAlg(described.public_key)) {
+    throw signerError("signer_key_unsupported", `describe reported ${described.alg} for a ${publicKeyAlg(described.public_key)} key`);
+  }
+
+  return checked("process", described.public_key, async (material, alg) => {
+    const data = Buffer.from(material, "utf8").toString("base64url");
+    const { signature } = callSignerProcess(argv, { op: "sign", alg, data });
+    if (typeof signature !== "string") throw signerError("signer_failed", "sign returned no signature");
+    return signature;
+  });
+}
+
+// ---------------------------------------------------------------------
+// PKCS#11 (OpenSC pkcs11-tool)
+// ---------------------------------------------------------------------
+function parsePkcs11Spec(rest) {
+  const params = {};
+  for (const part of rest.split(";").filter(Boolean)) {
+    const at = part.indexOf("=");
+    if (at === -1) throw signerError("signer_spec_invalid", `pkcs11: ${part} is not key=value`);
+    params[part.slice(0, at)] = part.slice(at + 1);
+  }
+  if (!params.module || !/^[0-9a-fA-F]+$/.test(params.id || "") || !params.pub) {
+    throw signerError("signer_spec_invalid", "pkcs11: module, id (hex) and pub are required");
+  }
+  return params;
+}
+
+function pkcs11Signer(rest) {
+  const params = parsePkcs11Spec(rest);
+  let publicKeyPem;
+  try {
+    publicKeyPem = fs.readFileSync(params.pub, "utf8");
+  } catch (e) {
+    throw signerError("signer_unavailable", `${params.pub}: ${e.message}`);
+  }
+  if (!process.env[PKCS11_PIN_ENV]) throw signerError("signer_unavailable", `token PIN missing (${PKCS11_PIN_ENV})`);
+
+  return checked("pkcs11", publicKeyPem, async (material, alg) => {
+    // Material is public; only the signature operation needs the token.
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "solace-pkcs11-"));
+    const input = path.join(dir, "material");
+    const output = path.join(dir, "signature");
+    try {
+      fs.writeFileSync(input, material, "utf8");
+      const argv = ["--module", params.module, "--login", "--pin", `env:${PKCS11_PIN_ENV}`, "--id", params.id];
+      if (params.slot !== undefined) argv.push("--slot", params.slot);
+      if (params.token !== undefined) argv.push("--token-label", params.token);
+      argv.push("--sign", "--mechanism", PKCS11_MECHANISMS[alg], "--input-file", input, "--output-file", output);
+
+      const run = spawnSync("pkcs11-tool", argv, { encoding: "utf8", timeout: EXTERNAL_SIGNER_TIMEOUT_MS });
+      if (run.error) throw signerError("signer_unavailable", run.error.message);
+      if (run.status !== 0) throw signerError("signer_failed", (run.stderr || "").trim() || `pkcs11-tool exited with status ${run.status}`);
+
+      // pkcs11-tool writes ECDSA signatures as r||s, RSA and EdDSA as-is.
+      return fs.readFileSync(output).toString("base64url");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+// ---------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------
+// createSigner("keystore:issuer.keystore", { passphrase }) → signer; throws
+// with a reason above if the spec is invalid or the signer is unusable.
+export function createSigner(spec, { passphrase = null } = {}) {
+  const at = String(spec || "").indexOf(":");
+  const kind = at === -1 ? null : spec.slice(0, at);
+  const rest = at === -1 ? "" : spec.slice(at + 1);
+  if (!SIGNER_KINDS.includes(kind) || !rest) {
+    throw signerError("signer_spec_invalid", `expected ${SIGNER_KINDS.map((k) => `${k}:...`).join(", ")}`);
+  }
+
+  if (kind === "pem") return pemSigner(rest);
+  if (kind === "keystore") return keystoreSigner(rest, passphrase);
+  if (kind === "process") return processSigner(rest);
+  return pkcs11Signer(rest);
+}
@@ -0,0 +1,47 @@
+-- solace-core: ledger and registry columns Core writes beyond the original
+-- row shape, and the unique indexes its fail-closed paths depend on.
+-- Idempotent; apply before deploying a Core that serves /v1/authority/*,
+-- the decision log or the key registry admin API.
+--
+-- Legacy rows (/v1/authorize, /v1/execute DENYs) leave every new column NULL.
+-- The entry_hash trigger is not changed here: if it hashes an explicit column
+-- list, add detail, decision_id, request_id, parent_decision_id and expires_at
+-- to it so the chain commits to them (ledger.js hashes the whole entry).
+
+alter table public.solace_authority_ledger
+  add column if not exists decision_id text,
+  add column if not exists request_id text,
+  add column if not exists parent_decision_id text,
+  add column if not exists expires_at timestamptz,
+  add column if not exists detail jsonb;
+
+-- Replay resistance: one PERMIT per acceptance use (server.js maps a
+-- violation to acceptance_replay_detected).
+create unique index if not exists solace_ledger_acceptance_hash_uniq
+  on public.solace_authority_ledger (acceptance_hash)
+  where acceptance_hash is not null;
+
+-- Idempotency: one entry per governance request_id. Concurrent retries race
+-- on this index; the loser answers with the winner's stored response.
+create unique index if not exists solace_ledger_request_id_uniq
+  on public.solace_authority_ledger (request_id)
+  where request_id is not null;
+
+-- Lookups: decision log, /ack and fulfilment targets, governing decisions.
+create index if not exists solace_ledger_decision_id_idx
+  on public.solace_authority_ledger (decision_id)
+  where decision_id is not null;
+create index if not exists solace_ledger_parent_decision_id_idx
+  on public.solace_authority_ledger (parent_decision_id)
+  where parent_decision_id is not null;
+create index if not exists solace_ledger_intent_hash_idx
+  on public.solace_authority_ledger (intent_hash);
+create index if not exists solace_ledger_tenant_idx
+  on public.solace_authority_ledger ((detail->>'tenant_id'), id)
+  where detail is not null;
+
+-- Registry: roles (quorums), declared scope (key-scope.js) and revocation time.
+alter table public.solace_authority_keys
+  add column if not exists principal_role text,
+  add column if not exists scope jsonb,
+  add column if not exists revoked_at timestamptz;
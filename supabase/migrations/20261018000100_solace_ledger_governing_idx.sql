@@ -0,0 +1,5 @@
+-- solace-core: /v1/execute finds the governing decision of an intent that
+-- matches no recorded intent_hash by actor and intent name (newest first).
+
+create index if not exists solace_ledger_actor_intent_idx
+  on public.solace_authority_ledger (actor_id, intent, id desc);
@@ -0,0 +1,133 @@
+// tenants.js
+// Tenant registry — API keys bound to contracts (X-Solace-API-Key)
+// FAIL-CLOSED: unknown key → no tenant; malformed registry → boot fails.
+//
+// SOLACE_TENANTS_PATH (JSON file) or SOLACE_TENANTS_JSON (inline), an array of:
+// {
+//   "tenant_id": "acme-health",
+//   "api_key_sha256": "<hex sha256 of the API key>",   // keys are never stored in clear
+//   "contract": {
+//     "version": "contract@2026-02-01",  // optional; reported by /v1/attestation
+//     "logs": {
+//       "enabled": true,                 // may read /v1/logs/decisions at all
+//       "max_redaction": "standard",     // minimal | standard | full
+//       "export": false,                 // may pull NDJSON bulk exports
+//       "scope": "tenant"                // tenant (own decisions) | all (operator/auditor)
+//     },
+//     "keys": {
+//       "manage": false,                 // may use /v1/admin/authority-keys
+//       "organizations": ["org-1"]       // organization_ids it administers; ["*"] for all
+//     }
+//   }
+// }
+//
+// With no registry configured, no request authenticates as a tenant.
+
+import fs from "fs";
+import crypto from "crypto";
+
+export const REDACTION_LEVELS = ["minimal", "standard", "full"];
+
+const LOG_SCOPES = new Set(["tenant", "all"]);
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+export function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+}
+
+// Normalized, frozen tenant; throws on anything ambiguous.
+function normalizeTenant(raw, i) {
+  const where = `tenants[${i}]`;
+  if (!isPlainObject(raw)) throw new Error(`tenant_registry_invalid: ${where} must be an object`);
+  if (typeof raw.tenant_id !== "string" || !raw.tenant_id.trim()) {
+    throw new Error(`tenant_registry_invalid: ${where}.tenant_id is required`);
+  }
+  if (!/^[0-9a-f]{64}$/.test(String(raw.api_key_sha256 || ""))) {
+    throw new Error(`tenant_registry_invalid: ${where}.api_key_sha256 must be lowercase sha256 hex`);
+  }
+
+  const logs = isPlainObject(raw.contract?.logs) ? raw.contract.logs : {};
+  const maxRedaction = logs.max_redaction ?? "minimal";
+  if (!REDACTION_LEVELS.includes(maxRedaction)) {
+    throw new Error(`tenant_registry_invalid: ${where}.contract.logs.max_redaction`);
+  }
+  const scope = logs.scope ?? "tenant";
+  if (!LOG_SCOPES.has(scope)) {
+    throw new Error(`tenant_registry_invalid: ${where}.contract.logs.scope`);
+  }
+
+  const keys = isPlainObject(raw.contract?.keys) ? raw.contract.keys : {};
+  const organizations = keys.organizations ?? [];
+  if (!Array.isArray(organizations) || !organizations.every((o) => typeof o === "string" && o.trim())) {
+    throw new Error(`tenant_registry_invalid: ${where}.contract.keys.organizations`);
+  }
+
+  const version = raw.contract?.version ?? null;
+  if (version !== null && (typeof version !== "string" || !version.trim())) {
+    throw new Error(`tenant_registry_invalid: ${where}.contract.version`);
+  }
+
+  return Object.freeze({
+    tenant_id: raw.tenant_id.trim(),
+    api_key_sha256: raw.api_key_sha256,
+    contract: Object.freeze({
+      version,
+      logs: Object.freeze({
+        enabled: logs.enabled === true,
+        max_redaction: maxRedaction,
+        export: logs.export === true,
+        scope,
+      }),
+      keys: Object.freeze({
+        manage: keys.manage === true,
+        organizations: Object.freeze(organizations.map((o) => o.trim())),
+      }),
+    }),
+  });
+}
+
+// Key administration is scoped per organization ("*" = every organization).
+export function canManageKeysFor(tenant, organizationId) {
+  const keys = tenant?.contract?.keys;
+  if (!keys?.manage) return false;
+  return keys.organizations.includes("*") || keys.organizations.includes(String(organizationId));
+}
+
+export function createTenantRegistry(list) {
+  if (!Array.isArray(list)) throw new Error("tenant_registry_invalid: expected an array");
+
+  const byKeyHash = new Map();
+  const ids = new Set();
+  list.map(normalizeTenant).forEach((tenant) => {
+    if (ids.has(tenant.tenant_id)) {
+      throw new Error(`tenant_registry_invalid: duplicate tenant_id ${tenant.tenant_id}`);
+    }
+    if (byKeyHash.has(tenant.api_key_sha256)) {
+      throw new Error(`tenant_registry_invalid: api key shared by ${tenant.tenant_id}`);
+    }
+    ids.add(tenant.tenant_id);
+    byKeyHash.set(tenant.api_key_sha256, tenant);
+  });
+
+  return {
+    configured: byKeyHash.size > 0,
+
+    authenticate(apiKey) {
+      if (typeof apiKey !== "string" || !apiKey) return null;
+      return byKeyHash.get(hashApiKey(apiKey)) || null;
+    },
+  };
+}
+
+export function loadTenantRegistryFromEnv(env = process.env) {
+  if (env.SOLACE_TENANTS_PATH) {
+    return createTenantRegistry(JSON.parse(fs.readFileSync(env.SOLACE_TENANTS_PATH, "utf8")));
+  }
+  if (env.SOLACE_TENANTS_JSON) {
+    return createTenantRegistry(JSON.parse(env.SOLACE_TENANTS_JSON));
+  }
+  return createTenantRegistry([]);
+}
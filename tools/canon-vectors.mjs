@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Canonicalization Vectors
+ *
+ * Checks canonical.js against the published RFC 8785 test vectors
+ * (docs/api/canonicalization-vectors.v1.json): every valid input must
+ * canonicalize to `canonical` and hash to `sha256`, every invalid input
+ * must be refused with `error`.
+ *
+ * Usage:
+ *   node tools/canon-vectors.mjs [vectors.json]          # check
+ *   node tools/canon-vectors.mjs --write [vectors.json]  # fill canonical / sha256
+ *
+ * The vectors are a contract with non-JS clients: run --write only when
+ * adding vectors, never to make a changed canonicalization pass.
+ */
+
+import fs from "node:fs";
+import { CANON_ID, canonical, parseCanonicalJson, sha256Hex } from "../canonical.js";
+
+const args = process.argv.slice(2);
+const write = args[0] === "--write";
+const file = (write ? args[1] : args[0]) ?? "docs/api/canonicalization-vectors.v1.json";
+
+const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+if (doc.canon !== CANON_ID) {
+  console.error(`✖ ${file}: vectors are for ${doc.canon}, canonical.js implements ${CANON_ID}`);
+  process.exit(1);
+}
+
+let failed = false;
+
+for (const v of doc.valid) {
+  try {
+    const out = canonical(parseCanonicalJson(v.input));
+    const sha256 = sha256Hex(out);
+
+    if (write && v.canonical === null) {
+      v.canonical = out;
+      v.sha256 = sha256;
+    } else if (out !== v.canonical || sha256 !== v.sha256) {
+      throw new Error(`got ${out} (${sha256})`);
+    }
+    console.log(`✔ ${v.name}`);
+  } catch (e) {
+    failed = true;
+    console.error(`✖ ${v.name}: ${e.message}`);
+  }
+}
+
+for (const v of doc.invalid) {
+  let code = null;
+  try {
+    parseCanonicalJson(v.input);
+  } catch (e) {
+    code = e.code ?? e.name;
+  }
+  if (code === v.error) {
+    console.log(`✔ ${v.name}`);
+  } else {
+    failed = true;
+    console.error(`✖ ${v.name}: expected ${v.error}, got ${code ?? "no error"}`);
+  }
+}
+
+if (write && !failed) fs.writeFileSync(file, JSON.stringify(doc, null, 2) + "\n");
+
+process.exit(failed ? 1 : 0);
@@ -51,6 +51,28 @@ const FORBIDDEN_PATTERNS = [
   /workflow/i,
 ];
 
+/**
+ * Network modules, imported or required with or without the node: prefix.
+ */
+const NETWORK_MODULE_PATTERN =
+  /(?:\bfrom\s*|\bimport\s*\(\s*|\brequire\s*\(\s*)["'](?:node:)?(http|https|net|tls|dgram)["']/g;
+
+/**
+ * Reviewed exceptions: the only Core files that may open network
+ * connections, and the modules each may use. Adding an entry is a
+ * reviewed change to the authority boundary.
+ */
+const NETWORK_ALLOWLIST = {
+  // Acceptance replay store: one Redis-protocol connection (SOLACE_REPLAY_STORE=redis).
+  "replay-store.js": ["net"],
+  // Audit event sinks: delivers copies of ledger entries that are already
+  // recorded; never consulted for a decision (SOLACE_EVENT_SINKS_PATH).
+  "events.js": ["http", "https", "net", "tls", "dgram"],
+  // Route tests: HTTP client to a server.js spawned on localhost; not
+  // loaded by the server.
+  "server.test.js": ["http"],
+};
+
 /**
  * Recursively walk the repository, excluding governance tooling.
  */
@@ -76,14 +98,26 @@ let violations = [];
 for (const file of walk(REPO_ROOT)) {
   const contents = fs.readFileSync(file, "utf8");
 
+  const relative = path.relative(REPO_ROOT, file);
+
   for (const pattern of FORBIDDEN_PATTERNS) {
     if (pattern.test(contents)) {
       violations.push({
-        file: path.relative(REPO_ROOT, file),
+        file: relative,
         pattern: pattern.toString(),
       });
     }
   }
+
+  const allowed = NETWORK_ALLOWLIST[relative.split(path.sep).join("/")] || [];
+  for (const [, moduleName] of contents.matchAll(NETWORK_MODULE_PATTERN)) {
+    if (!allowed.includes(moduleName)) {
+      violations.push({
+        file: relative,
+        pattern: `network module "${moduleName}" (not in NETWORK_ALLOWLIST)`,
+      });
+    }
+  }
 }
 
 if (violations.length > 0) {
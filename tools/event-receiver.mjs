@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Event receiver
+ *
+ * A local HTTP receiver for the webhook audit sink (events.js): verifies
+ * each request's X-Solace-Signature against the shared secret and prints
+ * every accepted CloudEvent as one JSON line on stdout. Duplicate event ids
+ * (at-least-once redelivery) are reported once. Not for production.
+ *
+ * Usage:
+ *   SOLACE_SIEM_HMAC_SECRET=s3cret node tools/event-receiver.mjs \
+ *     [--port 8790] [--secret-env SOLACE_SIEM_HMAC_SECRET] [--fail 3] [--max-skew 300]
+ *
+ *   --fail N   answer the first N requests with 503 (exercises retries and
+ *              dead-lettering)
+ *
+ *   SOLACE_EVENT_SINKS_JSON='{"sinks":[{"sink_id":"siem","type":"webhook",
+ *     "url":"http://127.0.0.1:8790/events","secret_env":"SOLACE_SIEM_HMAC_SECRET"}]}' node server.js
+ */
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const port = Number(arg("--port", "8790"));
+const secretEnv = arg("--secret-env", "SOLACE_SIEM_HMAC_SECRET");
+let failuresLeft = Number(arg("--fail", "0"));
+const maxSkewSeconds = Number(arg("--max-skew", "300"));
+
+const secret = process.env[secretEnv];
+if (!secret) {
+  console.error(`${secretEnv} is not set`);
+  process.exit(2);
+}
+
+const seen = new Set();
+
+function signatureValid(timestamp, body, presented) {
+  const expected = `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(presented || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (c) => chunks.push(c));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const timestamp = String(req.headers["x-solace-timestamp"] || "");
+
+    if (req.method !== "POST") {
+      res.writeHead(405).end();
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      console.error(`[receiver] failing on purpose (${failuresLeft} left)`);
+      res.writeHead(503).end();
+      return;
+    }
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkewSeconds) {
+      console.error("[receiver] stale or missing X-Solace-Timestamp");
+      res.writeHead(400).end();
+      return;
+    }
+    if (!signatureValid(timestamp, body, req.headers["x-solace-signature"])) {
+      console.error("[receiver] bad signature");
+      res.writeHead(401).end();
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+    if (seen.has(event.id)) {
+      console.error(`[receiver] duplicate ${event.id}`);
+    } else {
+      seen.add(event.id);
+      console.log(JSON.stringify(event));
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.error(`event-receiver listening on 127.0.0.1:${port}`);
+});
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Policy Pack Hash
+ *
+ * Validates policy packs and prints their content hash (sha256 over the
+ * canonical pack JSON, excluding the `sha256` field itself).
+ *
+ * Usage:
+ *   node tools/policy-pack-hash.mjs <pack.json> [...]          # print
+ *   node tools/policy-pack-hash.mjs --write <pack.json> [...]  # embed sha256
+ *
+ * Packs are immutable once published: run --write only when cutting a
+ * new version.
+ */
+
+import fs from "node:fs";
+import { loadPolicyPack, computePackHash } from "../policy-engine.js";
+
+const args = process.argv.slice(2);
+const write = args[0] === "--write";
+const files = write ? args.slice(1) : args;
+
+if (files.length === 0) {
+  console.error("Usage: policy-pack-hash [--write] <pack.json> [...]");
+  process.exit(1);
+}
+
+let failed = false;
+
+for (const file of files) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const sha256 = computePackHash(raw);
+
+    if (write) {
+      // Edit the file text in place so hand formatting survives.
+      const text = fs.readFileSync(file, "utf8");
+      const updated =
+        typeof raw.sha256 === "string"
+          ? text.replace(`"sha256": "${raw.sha256}"`, `"sha256": "${sha256}"`)
+          : text.replace(/^(\s*)("version":\s*"[^"]*",)$/m, `$1$2\n$1"sha256": "${sha256}",`);
+      loadPolicyPack(JSON.parse(updated));
+      fs.writeFileSync(file, updated);
+    } else {
+      loadPolicyPack(raw);
+    }
+
+    console.log(`${sha256}  ${file}`);
+  } catch (e) {
+    failed = true;
+    console.error(`✖ ${file}: ${e.message}`);
+  }
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * RESP stand-in
+ *
+ * A minimal in-memory Redis-protocol server for running several Core
+ * instances against one shared replay store locally or in CI, without a
+ * Redis install. Implements only what replay-store.js uses: PING, AUTH,
+ * SELECT, SET (NX, PX), GET, DEL. Not for production.
+ *
+ * Usage:
+ *   node tools/resp-standin.mjs [--port 6379] [--password secret]
+ *
+ *   SOLACE_REPLAY_STORE=redis SOLACE_REPLAY_STORE_URL=redis://127.0.0.1:6379 node server.js
+ */
+
+import net from "node:net";
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const port = Number(arg("--port", "6379"));
+const password = arg("--password", null);
+
+const store = new Map(); // key -> { value, expiresAtMs | null }
+
+function get(key) {
+  const entry = store.get(key);
+  if (!entry) return null;
+  if (entry.expiresAtMs !== null && entry.expiresAtMs <= Date.now()) {
+    store.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+const reply = {
+  ok: "+OK\r\n",
+  nil: "$-1\r\n",
+  bulk: (s) => `$${Buffer.byteLength(s)}\r\n${s}\r\n`,
+  int: (n) => `:${n}\r\n`,
+  err: (m) => `-ERR ${m}\r\n`,
+};
+
+function execute(conn, [name, ...args]) {
+  const cmd = String(name || "").toUpperCase();
+
+  if (cmd === "AUTH") {
+    conn.authed = password === null || args[args.length - 1] === password;
+    return conn.authed ? reply.ok : "-WRONGPASS invalid password\r\n";
+  }
+  if (!conn.authed) return "-NOAUTH Authentication required.\r\n";
+
+  if (cmd === "PING") return "+PONG\r\n";
+  if (cmd === "SELECT") return reply.ok;
+  if (cmd === "GET") {
+    const v = get(args[0]);
+    return v === null ? reply.nil : reply.bulk(v);
+  }
+  if (cmd === "DEL") return reply.int(store.delete(args[0]) ? 1 : 0);
+  if (cmd === "SET") {
+    const [key, value, ...opts] = args;
+    let nx = false;
+    let expiresAtMs = null;
+    for (let i = 0; i < opts.length; i++) {
+      const o = opts[i].toUpperCase();
+      if (o === "NX") nx = true;
+      else if (o === "PX") expiresAtMs = Date.now() + Number(opts[++i]);
+      else if (o === "EX") expiresAtMs = Date.now() + Number(opts[++i]) * 1000;
+      else return reply.err("syntax error");
+    }
+    if (nx && get(key) !== null) return reply.nil;
+    store.set(key, { value, expiresAtMs });
+    return reply.ok;
+  }
+  return reply.err(`unknown command '${cmd}'`);
+}
+
+// Requests are arrays of bulk strings. Returns [args, next] or null if incomplete.
+function parseRequest(buf, offset) {
+  const eol = buf.indexOf("\r\n", offset);
+  if (eol === -1) return null;
+  if (buf[offset] !== 0x2a) throw new Error("expected array");
+
+  const count = Number(buf.toString("utf8", offset + 1, eol));
+  const args = [];
+  let at = eol + 2;
+  for (let i = 0; i < count; i++) {
+    const lineEnd = buf.indexOf("\r\n", at);
+    if (lineEnd === -1) return null;
+    const len = Number(buf.toString("utf8", at + 1, lineEnd));
+    const start = lineEnd + 2;
+    if (buf.length < start + len + 2) return null;
+    args.push(buf.toString("utf8", start, start + len));
+    at = start + len + 2;
+  }
+  return [args, at];
+}
+
+const server = net.createServer((socket) => {
+  const conn = { authed: password === null };
+  let buffer = Buffer.alloc(0);
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let offset = 0;
+    try {
+      for (;;) {
+        if (offset >= buffer.length) break;
+        const parsed = parseRequest(buffer, offset);
+        if (!parsed) break;
+        offset = parsed[1];
+        socket.write(execute(conn, parsed[0]));
+      }
+    } catch (e) {
+      socket.end(reply.err(`protocol error: ${e.message}`));
+      return;
+    }
+    buffer = buffer.subarray(offset);
+  });
+  socket.on("error", () => {});
+});
+
+// --port 0 picks a free port; the line below names it.
+server.listen(port, "127.0.0.1", () => {
+  console.log(`resp-standin listening on 127.0.0.1:${server.address().port}`);
+});
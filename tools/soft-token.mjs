@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Software token stand-in
+ *
+ * An external signer (signers.js "process:" protocol) backed by a key file,
+ * for exercising hardware-token issuance locally or in CI without an HSM.
+ * The issuer CLI only ever sees the public key and signatures. Not for
+ * production: the key is a file on this machine.
+ *
+ * Usage:
+ *   node tools/soft-token.mjs --key token.key
+ *   node tools/soft-token.mjs --key token.keystore   # passphrase from SOLACE_KEYSTORE_PASSPHRASE
+ *
+ *   node issue.js sign intent.json execute.json actor-1 --signer "process:node tools/soft-token.mjs --key token.key"
+ *
+ * Reads one JSON request from stdin, writes one JSON response to stdout.
+ */
+
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { acceptanceKeyAlg, signAcceptanceMaterial } from "../acceptance.js";
+import { KEYSTORE_PASSPHRASE_ENV } from "../signers.js";
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+function respond(obj, status = 0) {
+  process.stdout.write(JSON.stringify(obj) + "\n");
+  process.exit(status);
+}
+
+const keyPath = arg("--key", null);
+if (!keyPath) respond({ error: "usage: soft-token --key <token.key|token.keystore>" }, 1);
+
+let privateKey;
+try {
+  privateKey = crypto.createPrivateKey({
+    key: fs.readFileSync(keyPath, "utf8"),
+    passphrase: process.env[KEYSTORE_PASSPHRASE_ENV],
+  });
+} catch (e) {
+  respond({ error: `token key unavailable: ${e.message}` }, 1);
+}
+
+const publicKey = crypto.createPublicKey(privateKey);
+const alg = acceptanceKeyAlg(publicKey);
+if (!alg) respond({ error: "token key is not RSA, P-256 or Ed25519" }, 1);
+
+let input = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", (chunk) => (input += chunk));
+process.stdin.on("end", () => {
+  let request;
+  try {
+    request = JSON.parse(input);
+  } catch {
+    respond({ error: "request is not JSON" }, 1);
+  }
+
+  if (request.op === "describe") {
+    respond({ alg, public_key: publicKey.export({ type: "spki", format: "pem" }) });
+  }
+  if (request.op === "sign") {
+    if (request.alg !== alg) respond({ error: `token key signs ${alg}, not ${request.alg}` }, 1);
+    const material = Buffer.from(String(request.data || ""), "base64url").toString("utf8");
+    respond({ signature: signAcceptanceMaterial(material, privateKey, alg) });
+  }
+  respond({ error: `unknown op: ${request.op}` }, 1);
+});
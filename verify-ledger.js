@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+import fs from "fs";
+import crypto from "crypto";
+import { LEDGER_GENESIS_HASH, computeEntryHash } from "./ledger.js";
+import { canonical, computeExecuteHash, isSupportedCanon, sha256Hex as sha256 } from "./canonical.js";
+import {
+  acceptanceMaxUses,
+  acceptanceUseHash,
+  computeAcceptanceHash,
+  verifyAcceptance,
+} from "./acceptance.js";
+import { verifyAcceptanceSignature } from "./authority-engine.js";
+import { keyScopeProblem, keyScopeRequestForEvaluate } from "./key-scope.js";
+import { delegationRequest, followDelegation } from "./delegation.js";
+
+// ------------------------------------------------------------
+// Ledger verification
+// ------------------------------------------------------------
+// Re-walks an exported authority ledger and re-checks every PERMIT:
+// - entry_hash recomputed from the entry (which carries prev_hash) under the
+//   canonicalization it records (canonical.js; entries without one predate it)
+// - prev_hash links, id gaps, reordering, timestamp regressions
+// - duplicate acceptance_hash values (replays that slipped through: each
+//   execute PERMIT holds one use slot of its acceptance's (issuer, jti))
+// - acceptance signatures, against the key registry as it stood at
+//   each entry's created_at, and the registry key's scope (key-scope.js)
+//   against the request facts the entry records
+// - delegation chains (delegation.js) at each entry's created_at, with the
+//   certificates revoked by earlier ledger entries (intent delegation.revoke)
+//
+// Export formats: NDJSON (the local ledger file as-is) or a JSON array
+// ordered by id (e.g. a Supabase export). Supabase exports verify only if
+// the DB trigger uses the same entry_hash scheme as ledger.js.
+//
+// Key registry evidence (detail.surface "registry") records an
+// administrative change, not an authorized action: it is hash-chained like
+// every entry but carries no acceptance to re-verify. Obligation fulfilment
+// reports (detail.surface "fulfilment") are executor statements recorded
+// against a decision, likewise chained but not re-verified.
+//
+// Both surfaces re-verify through acceptance.js, the verifier the server
+// uses. Evaluate-surface acceptances bind sha256(canonical(intent)) and fall
+// back to the same actor keys as the server (SOLACE_ACTOR_PUBKEYS_JSON).
+//
+// Output: { report, signature } — the report is signed over its canonical
+// JSON with --sign-key so the result itself is tamper-evident.
+//
+// Usage:
+//   verify-ledger <ledger.ndjson|ledger.json>
+//     [--keys authority-keys.json]   registry rows (solace_authority_keys export)
+//     [--issuer-pub issuer.pub]      legacy fallback key (default ./issuer.pub)
+//     [--anchor <hash>]              prev_hash of the first entry for partial exports
+//     [--sign-key verifier.key]      PEM private key (RSA, EC or Ed25519)
+//     [--unsigned]                   emit the report without a signature
+//     [--strict]                     PERMITs with no acceptance fail verification
+//                                    (otherwise reported under permits.without_acceptance)
+//     [--out report.json]
+//
+// Exit code: 0 verified, 2 verification failed, 1 usage/input error.
+
+const REPORT_VERSION = "ledger-verification@1";
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseTs(ts) {
+  const d = new Date(String(ts || ""));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function parseArgs(argv) {
+  const opts = { positional: [] };
+  const flags = new Set(["--unsigned", "--strict"]);
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (flags.has(a)) opts[a.slice(2)] = true;
+    else if (a.startsWith("--")) {
+      if (i + 1 >= argv.length) fail(`Missing value for ${a}`);
+      opts[a.slice(2)] = argv[++i];
+    } else opts.positional.push(a);
+  }
+  return opts;
+}
+
+function readLedger(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  const trimmed = raw.trimStart();
+
+  if (trimmed.startsWith("[")) {
+    const arr = JSON.parse(trimmed);
+    if (!Array.isArray(arr)) fail("Ledger export must be a JSON array or NDJSON");
+    return { raw, entries: arr };
+  }
+
+  const entries = raw
+    .split("\n")
+    .filter((l) => l.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return fail(`Ledger line ${i + 1} is not JSON`);
+      }
+    });
+  return { raw, entries };
+}
+
+// Registry state at time `at`: key must have been active then, even if revoked since.
+function keyUsableAt(row, at) {
+  const from = parseTs(row.valid_from);
+  if (!from || at < from) return "authority_key_not_yet_valid";
+
+  if (row.valid_until) {
+    const until = parseTs(row.valid_until);
+    if (!until || at > until) return "authority_key_outside_validity_window";
+  }
+
+  const status = String(row.status || "").toLowerCase();
+  if (status === "active") return null;
+
+  const revokedAt = parseTs(row.revoked_at);
+  if (revokedAt && at < revokedAt) return null;
+
+  return "authority_key_inactive";
+}
+
+// ------------------------------------------------------------
+// CLI input
+// ------------------------------------------------------------
+const opts = parseArgs(process.argv.slice(2));
+const [ledgerPath] = opts.positional;
+
+if (!ledgerPath) {
+  fail(
+    "Usage: verify-ledger <ledger.ndjson|ledger.json> [--keys keys.json] [--issuer-pub issuer.pub] " +
+      "[--anchor hash] [--sign-key key.pem | --unsigned] [--strict] [--out report.json]"
+  );
+}
+if (!opts["sign-key"] && !opts.unsigned) {
+  fail("A signing key is required (--sign-key <pem>), or pass --unsigned explicitly");
+}
+
+const { raw, entries } = readLedger(ledgerPath);
+
+const registry = opts.keys ? JSON.parse(fs.readFileSync(opts.keys, "utf8")) : [];
+if (!Array.isArray(registry)) fail("--keys must be a JSON array of registry rows");
+const registryById = new Map(registry.map((row) => [String(row.id), row]));
+
+const issuerPubPath = opts["issuer-pub"] || "./issuer.pub";
+const issuerPub = fs.existsSync(issuerPubPath) ? fs.readFileSync(issuerPubPath, "utf8") : null;
+
+// ------------------------------------------------------------
+// Chain walk
+// ------------------------------------------------------------
+const brokenLinks = [];
+let prevHash = opts.anchor || LEDGER_GENESIS_HASH;
+let prevId = null;
+let prevTime = null;
+
+entries.forEach((entry, position) => {
+  const ref = { position, id: entry.id ?? null };
+
+  if (typeof entry.id !== "number") {
+    brokenLinks.push({ ...ref, problem: "missing_id" });
+  } else if (prevId !== null && entry.id <= prevId) {
+    brokenLinks.push({ ...ref, problem: "id_out_of_order", previous_id: prevId });
+  } else if (prevId !== null && entry.id !== prevId + 1) {
+    brokenLinks.push({ ...ref, problem: "id_gap", previous_id: prevId });
+  }
+
+  if (entry.prev_hash !== prevHash) {
+    brokenLinks.push({ ...ref, problem: "prev_hash_mismatch", expected: prevHash, found: entry.prev_hash ?? null });
+  }
+
+  if (!isSupportedCanon(entry.canon)) {
+    brokenLinks.push({ ...ref, problem: "unsupported_canonicalization", found: entry.canon });
+  } else {
+    let recomputed = null;
+    try {
+      recomputed = computeEntryHash(entry);
+    } catch (e) {
+      brokenLinks.push({ ...ref, problem: "entry_not_canonical", message: e.message });
+    }
+    if (recomputed !== null && recomputed !== entry.entry_hash) {
+      brokenLinks.push({ ...ref, problem: "entry_hash_mismatch", expected: recomputed, found: entry.entry_hash ?? null });
+    }
+  }
+
+  const at = parseTs(entry.created_at);
+  if (!at) {
+    brokenLinks.push({ ...ref, problem: "invalid_created_at" });
+  } else if (prevTime && at < prevTime) {
+    brokenLinks.push({ ...ref, problem: "timestamp_regression" });
+  }
+
+  prevHash = entry.entry_hash;
+  if (typeof entry.id === "number") prevId = entry.id;
+  if (at) prevTime = at;
+});
+
+// ------------------------------------------------------------
+// Duplicate acceptance_hash
+// ------------------------------------------------------------
+const byAcceptance = new Map();
+for (const entry of entries) {
+  if (!entry.acceptance_hash) continue;
+  const ids = byAcceptance.get(entry.acceptance_hash) || [];
+  ids.push(entry.id ?? null);
+  byAcceptance.set(entry.acceptance_hash, ids);
+}
+
+const duplicateAcceptanceHashes = [...byAcceptance.entries()]
+  .filter(([, ids]) => ids.length > 1)
+  .map(([acceptance_hash, ids]) => ({ acceptance_hash, ids }));
+
+// ------------------------------------------------------------
+// PERMIT re-verification
+// ------------------------------------------------------------
+// Registry key policy at the entry's time (resolveKey shape, see acceptance.js).
+// scopeRequest null: the entry predates key scopes (execute rows without detail.key_scope).
+function registryKeyAt(entry, scopeRequest) {
+  return (keyId) => {
+    // Every key that signed must be one the entry records (all quorum signers).
+    const recorded = Array.isArray(entry.detail?.signer_key_ids) && entry.detail.signer_key_ids.length > 0
+      ? entry.detail.signer_key_ids.map(String)
+      : entry.authority_key_id ? [String(entry.authority_key_id)] : null;
+    if (recorded && !recorded.includes(keyId)) {
+      return { ok: false, reason: "authority_key_id_mismatch" };
+    }
+    const row = registryById.get(keyId);
+    if (!row) return { ok: false, reason: "authority_key_not_found" };
+
+    const keyProblem = keyUsableAt(row, parseTs(entry.created_at) || new Date(0));
+    if (keyProblem) return { ok: false, reason: keyProblem, row };
+    const scopeProblem = scopeRequest ? keyScopeProblem(row, scopeRequest) : null;
+    if (scopeProblem) return { ok: false, reason: scopeProblem, row };
+    return { ok: true, publicKeyPem: row.public_key, row };
+  };
+}
+
+// Delegation revocations in force before `entry` (revocations are ledger
+// entries themselves; see server.js /v1/admin/delegations/revoke).
+const delegationRevokedAt = new Map(); // certificate id -> first revoking entry id
+for (const entry of entries) {
+  if (entry.intent !== "delegation.revoke" || entry.detail?.surface !== "registry") continue;
+  if (!delegationRevokedAt.has(entry.intent_hash)) delegationRevokedAt.set(entry.intent_hash, entry.id);
+}
+
+function delegationAt(entry, request) {
+  return {
+    request,
+    now: parseTs(entry.created_at) || new Date(0),
+    isRevoked: async (certificateId) =>
+      delegationRevokedAt.has(certificateId) && delegationRevokedAt.get(certificateId) < entry.id,
+  };
+}
+
+// Execute PERMITs hold use slot `acceptance_use` of (issuer, jti); rows from
+// before single-use slots hold the whole-acceptance hash instead.
+function acceptanceSlotProblem(entry, acceptance, use) {
+  if (use === undefined) {
+    return entry.acceptance_hash === computeAcceptanceHash(acceptance) ? null : "acceptance_hash_mismatch";
+  }
+  const maxUses = acceptanceMaxUses(acceptance);
+  if (!Number.isInteger(use) || maxUses === null || use < 1 || use > maxUses) {
+    return "acceptance_use_out_of_range";
+  }
+  return entry.acceptance_hash === acceptanceUseHash(acceptance, use) ? null : "acceptance_hash_mismatch";
+}
+
+async function verifyExecutePermit(entry, acceptance, use) {
+  const slotProblem = acceptanceSlotProblem(entry, acceptance, use);
+  if (slotProblem) return slotProblem;
+
+  if (String(acceptance.actorId) !== String(entry.actor_id)) return "actor_binding_mismatch";
+  if (String(acceptance.intent) !== String(entry.intent)) return "intent_binding_mismatch";
+
+  const atEntry = registryKeyAt(entry, entry.detail?.key_scope ?? null);
+  const delegation = delegationAt(entry, entry.detail?.delegation_request ?? null);
+  const check = await verifyAcceptance(acceptance, {
+    executeHash: entry.execute_hash,
+    resolveKey: async (keyId, view) => {
+      let root;
+      if (keyId) root = await atEntry(keyId);
+      else root = issuerPub ? { ok: true, publicKeyPem: issuerPub } : { ok: false, reason: "issuer_pubkey_missing" };
+      return followDelegation(root, view, delegation);
+    },
+  });
+  return check.ok ? null : check.reason;
+}
+
+async function verifyEvaluatePermit(entry, evaluation) {
+  if (!evaluation.intent) return "evaluation_intent_missing";
+
+  const scopeRequest = keyScopeRequestForEvaluate(evaluation.actor_id, evaluation.intent);
+  const check = await verifyAcceptanceSignature({
+    actorId: evaluation.actor_id,
+    action: evaluation.intent.intent_type ?? entry.intent,
+    acceptance: evaluation.acceptance,
+    executeHash: computeExecuteHash(evaluation.intent),
+    resolveRegistryKey: registryKeyAt(entry, scopeRequest),
+    delegation: delegationAt(entry, delegationRequest(scopeRequest, evaluation.intent)),
+  });
+  return check.ok ? null : check.reason;
+}
+
+const permits = entries.filter(
+  (e) => e.decision === "PERMIT" && e.detail?.surface !== "registry" && e.detail?.surface !== "fulfilment"
+);
+const unverifiedPermits = [];
+
+for (const entry of permits) {
+  const detail = entry.detail || {};
+  let cause;
+
+  if (detail.surface === "execute" && detail.acceptance) {
+    cause = await verifyExecutePermit(entry, detail.acceptance, detail.acceptance_use);
+  } else if (detail.surface === "evaluate" && detail.evaluation?.acceptance) {
+    cause = await verifyEvaluatePermit(entry, detail.evaluation);
+  } else {
+    cause = "no_acceptance";
+  }
+
+  if (cause) {
+    unverifiedPermits.push({ id: entry.id ?? null, decision_id: entry.decision_id ?? null, cause });
+  }
+}
+
+// Without --strict, PERMITs with no acceptance (decisions that did not
+// require one) are listed apart and do not fail verification.
+const failingPermits = unverifiedPermits.filter((p) => opts.strict || p.cause !== "no_acceptance");
+const permitsWithoutAcceptance = opts.strict ? [] : unverifiedPermits.filter((p) => p.cause === "no_acceptance");
+
+// ------------------------------------------------------------
+// Report
+// ------------------------------------------------------------
+const report = {
+  report_version: REPORT_VERSION,
+  generated_at: new Date().toISOString(),
+  source: {
+    path: ledgerPath,
+    sha256: sha256(raw),
+    entries: entries.length,
+    first_id: entries.length ? entries[0].id ?? null : null,
+    last_id: entries.length ? entries[entries.length - 1].id ?? null : null,
+    anchor: opts.anchor || LEDGER_GENESIS_HASH,
+    head_hash: entries.length ? entries[entries.length - 1].entry_hash ?? null : null,
+  },
+  registry: {
+    path: opts.keys || null,
+    sha256: opts.keys ? sha256(fs.readFileSync(opts.keys)) : null,
+    keys: registry.length,
+  },
+  strict: Boolean(opts.strict),
+  ok: brokenLinks.length === 0 && duplicateAcceptanceHashes.length === 0 && failingPermits.length === 0,
+  broken_links: brokenLinks,
+  duplicate_acceptance_hashes: duplicateAcceptanceHashes,
+  permits: {
+    total: permits.length,
+    verified: permits.length - unverifiedPermits.length,
+    without_valid_signature: failingPermits,
+    without_acceptance: permitsWithoutAcceptance,
+  },
+};
+
+// ------------------------------------------------------------
+// Sign
+// ------------------------------------------------------------
+let signature = null;
+
+if (opts["sign-key"]) {
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(opts["sign-key"], "utf8"));
+  const publicKeyPem = crypto.createPublicKey(privateKey).export({ type: "spki", format: "pem" });
+  const keyType = privateKey.asymmetricKeyType;
+  const digest = keyType === "ed25519" || keyType === "ed448" ? null : "sha256";
+
+  signature = {
+    key_type: keyType,
+    digest: digest || "none",
+    public_key: publicKeyPem,
+    public_key_sha256: sha256(publicKeyPem),
+    signed: "canonical(report)",
+    value: crypto.sign(digest, Buffer.from(canonical(report)), privateKey).toString("base64"),
+  };
+}
+
+// ------------------------------------------------------------
+// Output report
+// ------------------------------------------------------------
+const output = JSON.stringify({ report, signature }, null, 2);
+
+if (opts.out) {
+  fs.writeFileSync(opts.out, output + "\n");
+  console.error(`verification ${report.ok ? "PASSED" : "FAILED"} → ${opts.out}`);
+} else {
+  console.log(output);
+}
+
+process.exit(report.ok ? 0 : 2);
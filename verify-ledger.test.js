@@ -0,0 +1,148 @@
+// verify-ledger.test.js
+// verify-ledger CLI over small exports: chain links, duplicate acceptance_hash
+// values and PERMITs re-checked against the registry at entry time.
+
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { spawnSync } from "child_process";
+import { LEDGER_GENESIS_HASH, computeEntryHash } from "./ledger.js";
+import { acceptanceMaterial, acceptanceUseHash, signAcceptanceMaterial } from "./acceptance.js";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const PRIVATE_PEM = privateKey.export({ type: "pkcs8", format: "pem" });
+const PUBLIC_PEM = publicKey.export({ type: "spki", format: "pem" });
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "solace-verify-"));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Chains rows the way the local ledger does; created_at one minute apart.
+function chain(rows) {
+  let prev = LEDGER_GENESIS_HASH;
+  return rows.map((row, i) => {
+    const entry = {
+      created_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+      ...row,
+      id: i + 1,
+      prev_hash: prev,
+    };
+    entry.entry_hash = computeEntryHash(entry);
+    prev = entry.entry_hash;
+    return entry;
+  });
+}
+
+// An execute-surface PERMIT signed by registry key k1.
+function executePermit(n, extra = {}) {
+  const executeHash = crypto.createHash("sha256").update(`payload-${n}`).digest("hex");
+  const acceptance = {
+    alg: "RS256",
+    issuer: "board",
+    actorId: "svc-1",
+    intent: "pay",
+    issuedAt: "2026-01-01T00:00:00Z",
+    expiresAt: "2026-01-02T00:00:00Z",
+    jti: `j-${n}`,
+    authorityKeyId: "k1",
+  };
+  acceptance.signature = signAcceptanceMaterial(acceptanceMaterial(acceptance, executeHash), PRIVATE_PEM, "RS256");
+  return {
+    decision: "PERMIT",
+    actor_id: "svc-1",
+    intent: "pay",
+    execute_hash: executeHash,
+    acceptance_hash: acceptanceUseHash(acceptance, 1),
+    authority_key_id: "k1",
+    detail: { surface: "execute", acceptance, acceptance_use: 1 },
+    ...extra,
+  };
+}
+
+const key = (extra = {}) => ({
+  id: "k1",
+  public_key: PUBLIC_PEM,
+  valid_from: "2025-01-01T00:00:00Z",
+  status: "active",
+  ...extra,
+});
+
+// Runs the CLI; resolves { status, report }.
+function verify(entries, { keys = [key()], args = [] } = {}) {
+  const ledgerPath = path.join(dir, "ledger.ndjson");
+  const keysPath = path.join(dir, "keys.json");
+  fs.writeFileSync(ledgerPath, entries.map((e) => JSON.stringify(e)).join("\n") + "\n");
+  fs.writeFileSync(keysPath, JSON.stringify(keys));
+  const run = spawnSync(
+    process.execPath,
+    ["verify-ledger.js", ledgerPath, "--keys", keysPath, "--unsigned", ...args],
+    { cwd: new URL(".", import.meta.url), encoding: "utf8" }
+  );
+  return { status: run.status, report: run.stdout ? JSON.parse(run.stdout).report : null };
+}
+
+test("a clean ledger verifies", () => {
+  const { status, report } = verify(chain([executePermit(1), { decision: "DENY" }, executePermit(2)]));
+  assert.equal(status, 0);
+  assert.equal(report.ok, true);
+  assert.deepEqual([report.permits.total, report.permits.verified], [2, 2]);
+});
+
+test("an edited entry and a removed entry break the chain", () => {
+  const entries = chain([executePermit(1), { decision: "DENY" }, executePermit(2)]);
+  entries[1].decision = "PERMIT_LATER";
+  const edited = verify(entries);
+  assert.equal(edited.status, 2);
+  assert.deepEqual(edited.report.broken_links.map((l) => [l.id, l.problem]), [[2, "entry_hash_mismatch"]]);
+
+  const removed = verify(chain([executePermit(1), { decision: "DENY" }, executePermit(2)]).filter((e) => e.id !== 2));
+  assert.deepEqual(
+    removed.report.broken_links.map((l) => [l.id, l.problem]),
+    [[3, "id_gap"], [3, "prev_hash_mismatch"]]
+  );
+});
+
+test("a repeated acceptance_hash is reported", () => {
+  const permit = executePermit(1);
+  const { status, report } = verify(chain([permit, { decision: "DENY" }, permit]));
+  assert.equal(status, 2);
+  assert.deepEqual(report.duplicate_acceptance_hashes, [{ acceptance_hash: permit.acceptance_hash, ids: [1, 3] }]);
+});
+
+test("a key revoked before the entry fails it; one revoked afterwards does not", () => {
+  const entries = chain([executePermit(1), executePermit(2)]);
+  const revokedBetween = key({ status: "revoked", revoked_at: entries[1].created_at });
+  const { status, report } = verify(entries, { keys: [revokedBetween] });
+  assert.equal(status, 2);
+  assert.deepEqual(report.permits.without_valid_signature.map((p) => [p.id, p.cause]), [[2, "authority_key_inactive"]]);
+});
+
+test("a signature over other material fails", () => {
+  const permit = executePermit(1);
+  const { report } = verify(chain([{ ...permit, execute_hash: "0".repeat(64) }]));
+  assert.deepEqual(report.permits.without_valid_signature.map((p) => p.cause), ["invalid_acceptance_signature"]);
+});
+
+test("a PERMIT without an acceptance is listed apart and does not fail", () => {
+  const entries = chain([executePermit(1), { decision: "PERMIT", detail: { surface: "execute" } }]);
+  const { status, report } = verify(entries);
+  assert.equal(status, 0);
+  assert.equal(report.ok, true);
+  assert.deepEqual(report.permits.without_valid_signature, []);
+  assert.deepEqual(report.permits.without_acceptance.map((p) => [p.id, p.cause]), [[2, "no_acceptance"]]);
+});
+
+test("with --strict a PERMIT without an acceptance fails", () => {
+  const entries = chain([{ decision: "PERMIT", detail: { surface: "execute" } }]);
+  const { status, report } = verify(entries, { args: ["--strict"] });
+  assert.equal(status, 2);
+  assert.deepEqual(report.permits.without_valid_signature.map((p) => p.cause), ["no_acceptance"]);
+  assert.deepEqual(report.permits.without_acceptance, []);
+});